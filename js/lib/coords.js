@@ -0,0 +1,214 @@
+/*
+Coordinate Spaces
+
+The models give keypoints in pixels of the video they looked at. When the canvas is a different
+size or shape from the video (e.g. a 640x480 webcam on an 800x800 canvas), the video has to be
+scaled and letterboxed, and the keypoints have to be moved the same way to line up with it.
+
+Spaces:
+- "source": pixels of the video the model saw (what ml5 returns)
+- "canvas": pixels of the p5 canvas, after fitting the video onto it
+- "normalized": 0-1 across the video, handy for sending to other tools or comparing sizes
+
+Mirroring: create the capture and the model with the same flipped setting, e.g.
+    video = createCapture(VIDEO, { flipped: true });
+    bodyPose = ml5.bodyPose("MoveNet", { flipped: true });
+and the results already match the mirrored video. mirror: true is only for showing results
+that were not mirrored (e.g. an old recording) on a mirrored picture, or the other way round.
+
+Fit modes (how the video is placed on the canvas):
+- "contain": the whole video is visible, with bars at the sides or top and bottom (default)
+- "cover": the video fills the canvas and the overflow is cut off
+- "stretch": the video is stretched to the canvas size
+
+Key Functions (CoordinateSpace):
+- update(canvasWidth, canvasHeight, sourceWidth, sourceHeight): recalculate after a resize
+- videoRect: where the video is drawn on the canvas { x, y, width, height }
+- drawVideo(video): draw the video in videoRect (mirrored if mirror is on)
+- convertPoint(point, from, to) / convertBox(box, from, to): copy of a point or box in another space
+- convertSubject(subject, from, to) / convertSubjects(subjects, from, to): copy of a whole pose, hand
+  or face with its keypoints, box and named parts converted (z and keypoints3D are left alone)
+- isInsideVideo(point): whether a canvas point is on the video and not on the bars
+
+Example:
+
+let coords = new CoordinateSpace({ sourceWidth: 640, sourceHeight: 480, canvasWidth: width, canvasHeight: height });
+// in gotPoses()
+poses = coords.convertSubjects(results, "source", "canvas");
+// in draw()
+coords.drawVideo(video);
+*/
+
+(function (root) {
+    const { Tracking } = typeof module !== 'undefined' && module.exports ? require('./tracking.js') : root;
+
+    const SPACES = ['source', 'canvas', 'normalized'];
+
+    // Subject properties that are not in the subject's 2D space
+    const SKIPPED_PROPERTIES = ['keypoints', 'keypoints3D', 'box'];
+
+    class CoordinateSpace {
+        // options: { sourceWidth 640, sourceHeight 480, canvasWidth, canvasHeight, fit "contain", mirror false }
+        constructor(options = {}) {
+            this.sourceWidth = options.sourceWidth ?? 640;
+            this.sourceHeight = options.sourceHeight ?? 480;
+            this.canvasWidth = options.canvasWidth ?? this.sourceWidth;
+            this.canvasHeight = options.canvasHeight ?? this.sourceHeight;
+            this.fit = options.fit ?? 'contain';
+            this.mirror = options.mirror ?? false;
+            this.update();
+        }
+
+        // Work out the scale and offset of the video on the canvas
+        update(canvasWidth = this.canvasWidth, canvasHeight = this.canvasHeight,
+               sourceWidth = this.sourceWidth, sourceHeight = this.sourceHeight) {
+            this.canvasWidth = canvasWidth;
+            this.canvasHeight = canvasHeight;
+            this.sourceWidth = sourceWidth;
+            this.sourceHeight = sourceHeight;
+
+            const scaleX = canvasWidth / sourceWidth;
+            const scaleY = canvasHeight / sourceHeight;
+            if (this.fit === 'stretch') {
+                this.scaleX = scaleX;
+                this.scaleY = scaleY;
+            } else {
+                const scale = this.fit === 'cover' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+                this.scaleX = scale;
+                this.scaleY = scale;
+            }
+            this.offsetX = (canvasWidth - sourceWidth * this.scaleX) / 2;
+            this.offsetY = (canvasHeight - sourceHeight * this.scaleY) / 2;
+            return this;
+        }
+
+        // Where the video is drawn on the canvas
+        get videoRect() {
+            return {
+                x: this.offsetX,
+                y: this.offsetY,
+                width: this.sourceWidth * this.scaleX,
+                height: this.sourceHeight * this.scaleY
+            };
+        }
+
+        // Any space to source pixels
+        toSource(x, y, from) {
+            if (from === 'canvas') {
+                const sx = (x - this.offsetX) / this.scaleX;
+                return { x: this.mirror ? this.sourceWidth - sx : sx, y: (y - this.offsetY) / this.scaleY };
+            }
+            if (from === 'normalized') {
+                return { x: x * this.sourceWidth, y: y * this.sourceHeight };
+            }
+            return { x: x, y: y };
+        }
+
+        // Source pixels to any space
+        fromSource(x, y, to) {
+            if (to === 'canvas') {
+                const sx = this.mirror ? this.sourceWidth - x : x;
+                return { x: sx * this.scaleX + this.offsetX, y: y * this.scaleY + this.offsetY };
+            }
+            if (to === 'normalized') {
+                return { x: x / this.sourceWidth, y: y / this.sourceHeight };
+            }
+            return { x: x, y: y };
+        }
+
+        checkSpaces(from, to) {
+            [from, to].forEach(space => {
+                if (!SPACES.includes(space)) throw new Error(`Unknown coordinate space: ${space}`);
+            });
+        }
+
+        // Copy of a point in another space; other fields (confidence, name, z, ...) are kept
+        convertPoint(point, from, to) {
+            if (!Tracking.isValidPoint(point)) return point;
+            this.checkSpaces(from, to);
+            const source = this.toSource(point.x, point.y, from);
+            return Object.assign({}, point, this.fromSource(source.x, source.y, to));
+        }
+
+        // Copy of a box { xMin, yMin, xMax, yMax, width, height } in another space
+        convertBox(box, from, to) {
+            if (!box) return box;
+            const full = Tracking.getBox({ box: box });
+            const a = this.convertPoint({ x: full.xMin, y: full.yMin }, from, to);
+            const b = this.convertPoint({ x: full.xMax, y: full.yMax }, from, to);
+            // Mirroring swaps the left and right edges
+            return Tracking.makeBox(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.max(a.x, b.x), Math.max(a.y, b.y));
+        }
+
+        // Copy of a named part with a rectangle, like FaceMesh's face.lips { x, y, width, height, centerX, centerY, keypoints }
+        convertRegion(region, from, to) {
+            const box = this.convertBox(Tracking.makeBox(region.x, region.y, region.x + region.width, region.y + region.height), from, to);
+            const out = Object.assign({}, region, { x: box.xMin, y: box.yMin, width: box.width, height: box.height });
+            if (typeof region.centerX === 'number') {
+                const center = this.convertPoint({ x: region.centerX, y: region.centerY }, from, to);
+                out.centerX = center.x;
+                out.centerY = center.y;
+            }
+            if (Array.isArray(region.keypoints)) {
+                out.keypoints = region.keypoints.map(point => this.convertPoint(point, from, to));
+            }
+            return out;
+        }
+
+        // Copy of a pose, hand or face with its keypoints, box and named points or parts converted
+        convertSubject(subject, from, to) {
+            if (!subject) return subject;
+            const out = Object.assign({}, subject);
+            if (Array.isArray(subject.keypoints)) {
+                out.keypoints = subject.keypoints.map(point => this.convertPoint(point, from, to));
+            }
+            if (subject.box) out.box = this.convertBox(subject.box, from, to);
+
+            // ml5 also gives each keypoint by name (pose.nose, hand.wrist, face.lips, ...)
+            Object.keys(subject).forEach(key => {
+                const value = subject[key];
+                if (SKIPPED_PROPERTIES.includes(key) || !value || typeof value !== 'object') return;
+                if (typeof value.width === 'number' && typeof value.x === 'number') {
+                    out[key] = this.convertRegion(value, from, to);
+                } else if (Tracking.isValidPoint(value)) {
+                    out[key] = this.convertPoint(value, from, to);
+                }
+            });
+            return out;
+        }
+
+        convertSubjects(subjects, from, to) {
+            return (subjects || []).map(subject => this.convertSubject(subject, from, to));
+        }
+
+        // Whether a canvas point is on the video rather than on the letterbox bars
+        isInsideVideo(point) {
+            const rect = this.videoRect;
+            return point.x >= rect.x && point.x <= rect.x + rect.width &&
+                   point.y >= rect.y && point.y <= rect.y + rect.height;
+        }
+
+        // Draw the video where the keypoints will line up with it
+        drawVideo(video) {
+            const rect = this.videoRect;
+            if (this.mirror) {
+                push();
+                translate(rect.x + rect.width, rect.y);
+                scale(-1, 1);
+                image(video, 0, 0, rect.width, rect.height);
+                pop();
+            } else {
+                image(video, rect.x, rect.y, rect.width, rect.height);
+            }
+        }
+    }
+
+    const api = { CoordinateSpace };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(globalThis);
@@ -0,0 +1,193 @@
+/*
+Per-Frame Data Logger
+
+Records keypoints, confidences, boxes and centroids for every frame and exports them
+for analysis in pandas, R or a spreadsheet:
+
+- Tidy CSV: one row per frame / subject / keypoint
+    frame,time_ms,model,subject,keypoint,name,x,y,z,confidence,box_x,box_y,box_width,box_height,centroid_x,centroid_y
+- Nested JSON: session metadata plus the same frames
+    {
+        metadata: { model, options, canvas, flipped, confidenceThreshold, startedAt, duration, frameCount },
+        frames: [ { frame, t, subjects: [ { id, box, centroid, derived, keypoints: [ { index, name, x, y, z, confidence } ] } ] } ]
+    }
+
+Both files share a timestamped name, e.g. tracking_20240501_120000.csv / .json
+
+Key Functions (DataLogger):
+- start() / stop() / toggle(): toggle() exports both files when logging stops
+- log(subjects, time): add a frame; subjects are { id?, keypoints, box?, centroid?, derived? }
+  (derived values such as joint angles or gestures are saved in the JSON only)
+- toCSV() / toJSON(): build the exports
+- download(): save both files
+- drawLoggerStatus(logger): p5 status label under the session status
+
+Example (pandas):
+
+df = pd.read_csv("tracking_20240501_120000.csv")
+left_wrist = df[(df.subject == 0) & (df.keypoint == 9)]
+*/
+
+(function (root) {
+    const usingNode = typeof module !== 'undefined' && module.exports;
+    const { Tracking } = usingNode ? require('./tracking.js') : root;
+    const { Files } = usingNode ? require('./files.js') : root;
+
+    const CSV_COLUMNS = [
+        'frame', 'time_ms', 'model', 'subject', 'keypoint', 'name', 'x', 'y', 'z', 'confidence',
+        'box_x', 'box_y', 'box_width', 'box_height', 'centroid_x', 'centroid_y'
+    ];
+
+    function defaultNow() {
+        return performance.now();
+    }
+
+    // Quote a CSV value if it contains a comma, quote or line break
+    function csvValue(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }
+
+    function round(value, places = 3) {
+        if (typeof value !== 'number' || isNaN(value)) return null;
+        const factor = Math.pow(10, places);
+        return Math.round(value * factor) / factor;
+    }
+
+    class DataLogger {
+        // metadata: { model, options, canvas, flipped, confidenceThreshold } saved with the data
+        constructor(metadata = {}, now = defaultNow) {
+            this.metadata = metadata;
+            this.now = now;
+            this.recording = false;
+            this.startTime = 0;
+            this.startedAt = null;
+            this.frames = [];
+        }
+
+        start() {
+            this.frames = [];
+            this.startTime = this.now();
+            this.startedAt = new Date().toISOString();
+            this.recording = true;
+        }
+
+        stop() {
+            this.recording = false;
+        }
+
+        // Start or stop logging, saving the files when stopping
+        toggle() {
+            if (this.recording) {
+                this.stop();
+                if (this.frames.length > 0) this.download();
+            } else {
+                this.start();
+            }
+        }
+
+        // Add one frame of subjects if logging
+        log(subjects, time = this.now()) {
+            if (!this.recording) return;
+            const threshold = this.metadata.confidenceThreshold ?? 0;
+
+            this.frames.push({
+                frame: this.frames.length,
+                t: round(time - this.startTime, 1),
+                subjects: (subjects || []).map((subject, i) => {
+                    const keypoints = subject.keypoints || [];
+                    const box = subject.box || Tracking.boxFromKeypoints(keypoints, threshold);
+                    const centroid = subject.centroid || Tracking.boxCenter(box);
+                    const out = {
+                        id: subject.id ?? i,
+                        box: box ? { x: round(box.xMin), y: round(box.yMin), width: round(box.width), height: round(box.height) } : null,
+                        centroid: centroid ? { x: round(centroid.x), y: round(centroid.y) } : null,
+                        keypoints: keypoints.map((point, index) => ({
+                            index: index,
+                            name: point.name || null,
+                            x: round(point.x),
+                            y: round(point.y),
+                            z: round(point.z),
+                            confidence: round(point.confidence)
+                        }))
+                    };
+                    if (subject.derived) {
+                        out.derived = {};
+                        Object.keys(subject.derived).forEach(name => {
+                            const value = subject.derived[name];
+                            out.derived[name] = typeof value === 'number' ? round(value) : value ?? null;
+                        });
+                    }
+                    return out;
+                })
+            });
+        }
+
+        // Tidy CSV: one row per frame / subject / keypoint
+        toCSV() {
+            const model = this.metadata.model || '';
+            const rows = [CSV_COLUMNS.join(',')];
+            this.frames.forEach(frame => {
+                frame.subjects.forEach(subject => {
+                    const box = subject.box || {};
+                    const centroid = subject.centroid || {};
+                    subject.keypoints.forEach(point => {
+                        rows.push([
+                            frame.frame, frame.t, model, subject.id, point.index, point.name,
+                            point.x, point.y, point.z, point.confidence,
+                            box.x, box.y, box.width, box.height, centroid.x, centroid.y
+                        ].map(csvValue).join(','));
+                    });
+                });
+            });
+            return rows.join('\n') + '\n';
+        }
+
+        // Nested JSON with session metadata
+        toJSON() {
+            return {
+                metadata: Object.assign({}, this.metadata, {
+                    startedAt: this.startedAt,
+                    duration: this.frames.length ? this.frames[this.frames.length - 1].t : 0,
+                    frameCount: this.frames.length,
+                    csvColumns: CSV_COLUMNS
+                }),
+                frames: this.frames
+            };
+        }
+
+        // Save the CSV and JSON files with the same name
+        download(basename) {
+            const name = basename || 'tracking_' + Files.fileTimestamp();
+            Files.downloadText(this.toCSV(), name + '.csv', 'text/csv');
+            Files.downloadJSON(this.toJSON(), name + '.json');
+        }
+    }
+
+    // Draw the logging status in the top left corner, under the session status
+    function drawLoggerStatus(logger) {
+        if (!logger || !logger.recording) return;
+        const label = `LOG ${logger.frames.length} frames`;
+        push();
+        textSize(12);
+        noStroke();
+        fill(0, 150);
+        rect(5, 33, textWidth(label) + 30, 24, 4);
+        fill(255, 165, 0);
+        circle(17, 45, 10);
+        fill(255);
+        textAlign(LEFT, CENTER);
+        text(label, 27, 45);
+        pop();
+    }
+
+    const api = { DataLogger, drawLoggerStatus };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(globalThis);
@@ -0,0 +1,56 @@
+/*
+Event Emitter
+
+A minimal publish/subscribe helper used by the interaction and tracking modules
+(pinches, tracked people entering and leaving, zones, ...).
+
+Example:
+
+let pinches = new PinchDetector();
+let unsubscribe = pinches.on('pinchstart', (event) => console.log(event.handIndex));
+unsubscribe();   // stop listening
+*/
+
+(function (root) {
+    class Emitter {
+        constructor() {
+            this.listeners = {};
+        }
+
+        // Call listener every time an event of this type is emitted; returns a function that unsubscribes
+        on(type, listener) {
+            (this.listeners[type] || (this.listeners[type] = [])).push(listener);
+            return () => this.off(type, listener);
+        }
+
+        // Call listener only the next time an event of this type is emitted
+        once(type, listener) {
+            const unsubscribe = this.on(type, (event) => {
+                unsubscribe();
+                listener(event);
+            });
+            return unsubscribe;
+        }
+
+        off(type, listener) {
+            const listeners = this.listeners[type];
+            if (!listeners) return;
+            const i = listeners.indexOf(listener);
+            if (i >= 0) listeners.splice(i, 1);
+        }
+
+        emit(type, event) {
+            const listeners = this.listeners[type];
+            if (!listeners) return;
+            // Copy so listeners can unsubscribe while being called
+            listeners.slice().forEach(listener => listener(event));
+        }
+    }
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { Emitter };
+    } else {
+        root.Emitter = Emitter;
+    }
+})(globalThis);
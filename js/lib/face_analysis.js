@@ -0,0 +1,345 @@
+/*
+Face Expression and Head Pose Analysis
+
+Turns FaceMesh landmarks into a few easy signals per face, each from 0 to 1:
+- leftEyeOpen / rightEyeOpen: 1 = as open as the neutral face, 0 = closed (eye aspect ratio)
+- mouthOpen: 0 = closed, 1 = wide open
+- smile: 0 = neutral mouth width, 1 = a wide smile
+- browRaise: 0 = neutral, 1 = eyebrows raised high
+- yaw / pitch / roll: 0.5 = facing the camera like the neutral face, 0 and 1 = turned 45 degrees
+- gazeX / gazeY: where the irises are inside the eyes, 0.5 = looking straight ahead
+  (needs refineLandmarks: true, otherwise null)
+
+Everyone's face is different, so capture a neutral face first: look at the camera with a
+relaxed face and call startCalibration(). Until then typical values are used.
+
+Baselines and on/off states belong to a face's key: pass the face track IDs from a PersonTracker
+as keys, so a face keeps its own calibration when faces swap places in the results or one leaves
+(keys default to face.id, then the array index). A face that comes back with a new track ID uses
+the typical values again until it is calibrated.
+
+Events (all with { faceIndex, key, value, time }):
+- blink: both eyes closed
+- mouthOpen / mouthClose
+- smile / smileEnd
+- browRaise / browLower
+
+Analysis result per face:
+{
+    signals: { leftEyeOpen, rightEyeOpen, mouthOpen, smile, browRaise, yaw, pitch, roll, gazeX, gazeY },
+    key,                              // the key the face was analysed under
+    head: { yaw, pitch, roll },       // degrees from the neutral pose (yaw + = turned to the canvas's right, pitch + = up)
+    states: { blinking, mouthOpen, smiling, browsRaised },
+    raw: { ... }                      // the measurements before calibration
+}
+
+Key Functions (FaceAnalyzer):
+- update(faces, time, keys): analyse every face and fire events; returns one result per face
+- startCalibration(duration): average the next duration milliseconds as each face's neutral baseline
+- calibrated(key): whether a face has its own baseline
+- measure(keypoints): raw measurements for one face (no calibration or events)
+- drawFaceSignals(result, x, y): bar chart of a face's signals (p5)
+
+Example:
+
+let analyzer = new FaceAnalyzer();
+analyzer.on('blink', (event) => console.log(`Face ${event.faceIndex} blinked`));
+// in gotFaces()
+let analysis = analyzer.update(faces, undefined, faceTracks.map(track => track.id));
+if (analysis[0] && analysis[0].signals.mouthOpen > 0.5) { ... }
+*/
+
+(function (root) {
+    const usingNode = typeof module !== 'undefined' && module.exports;
+    const { Tracking } = usingNode ? require('./tracking.js') : root;
+    const { Emitter } = usingNode ? require('./events.js') : root;
+
+    // FaceMesh landmark indices (left and right are the person's own)
+    const LANDMARKS = {
+        rightEye: { outer: 33, inner: 133, top: [160, 158], bottom: [144, 153], lidTop: 159, lidBottom: 145, iris: 468 },
+        leftEye: { outer: 263, inner: 362, top: [385, 387], bottom: [380, 373], lidTop: 386, lidBottom: 374, iris: 473 },
+        rightBrow: 105,
+        leftBrow: 334,
+        mouth: { top: 13, bottom: 14, left: 291, right: 61 },
+        noseTip: 1,
+        forehead: 10,
+        chin: 152,
+        rightCheek: 234,
+        leftCheek: 454
+    };
+
+    // Typical neutral values, used until a face is calibrated
+    const DEFAULT_BASELINE = {
+        leftEAR: 0.3,
+        rightEAR: 0.3,
+        mouthRatio: 0.02,
+        smileRatio: 0.4,
+        browRatio: 0.35,
+        yaw: 0,
+        pitch: 0,
+        roll: 0,
+        gazeX: 0.5,
+        gazeY: 0.5
+    };
+
+    // How far from the baseline counts as "fully" on (the 1 end of a signal)
+    const RANGES = {
+        mouthRatio: 0.5,      // lip gap / mouth width when the mouth is wide open
+        smile: 0.25,          // mouth 25% wider than neutral
+        brow: 0.3,            // eyebrows 30% further from the eyes than neutral
+        angle: 45             // degrees of head turn for 0 or 1
+    };
+
+    function defaultNow() {
+        return performance.now();
+    }
+
+    function clamp01(value) {
+        return Math.min(1, Math.max(0, value));
+    }
+
+    function degrees(radians) {
+        return radians * 180 / Math.PI;
+    }
+
+    // Order two points from left to right on the canvas, so mirroring doesn't flip the angles
+    function leftToRight(a, b) {
+        return a.x <= b.x ? [a, b] : [b, a];
+    }
+
+    // Eye aspect ratio: eyelid gaps divided by the eye's width (about 0.3 open, under 0.15 closed)
+    function eyeAspectRatio(keypoints, eye) {
+        const width = Tracking.distance(keypoints[eye.outer], keypoints[eye.inner]);
+        if (!width) return null;
+        const gap1 = Tracking.distance(keypoints[eye.top[0]], keypoints[eye.bottom[0]]);
+        const gap2 = Tracking.distance(keypoints[eye.top[1]], keypoints[eye.bottom[1]]);
+        return (gap1 + gap2) / (2 * width);
+    }
+
+    // Where the iris is inside an eye: x from corner to corner, y from lid to lid (0-1)
+    function irisPosition(keypoints, eye) {
+        const iris = keypoints[eye.iris];
+        if (!Tracking.isValidPoint(iris)) return null;
+        const [left, right] = leftToRight(keypoints[eye.outer], keypoints[eye.inner]);
+        const top = keypoints[eye.lidTop];
+        const bottom = keypoints[eye.lidBottom];
+        const width = right.x - left.x;
+        const height = bottom.y - top.y;
+        if (width <= 0 || height <= 0) return null;
+        return { x: (iris.x - left.x) / width, y: (iris.y - top.y) / height };
+    }
+
+    // Raw measurements for one face from its keypoints
+    function measure(keypoints) {
+        if (!keypoints || keypoints.length < 468) return null;
+        const k = keypoints;
+        const L = LANDMARKS;
+        const eyeDistance = Tracking.distance(k[L.rightEye.outer], k[L.leftEye.outer]);
+        const faceWidth = Tracking.distance(k[L.rightCheek], k[L.leftCheek]);
+        const mouthWidth = Tracking.distance(k[L.mouth.left], k[L.mouth.right]);
+        if (!eyeDistance || !faceWidth || !mouthWidth) return null;
+
+        // Eyebrow height above each eye, relative to the distance between the eyes
+        const rightBrow = Tracking.distance(k[L.rightBrow], k[L.rightEye.lidTop]) / eyeDistance;
+        const leftBrow = Tracking.distance(k[L.leftBrow], k[L.leftEye.lidTop]) / eyeDistance;
+
+        // Head angles: roll from the eye corners, yaw and pitch from the depth (z) of the face
+        const [eyeA, eyeB] = leftToRight(k[L.rightEye.outer], k[L.leftEye.outer]);
+        const roll = degrees(Math.atan2(eyeB.y - eyeA.y, eyeB.x - eyeA.x));
+        let yaw = null;
+        let pitch = null;
+        if (typeof k[L.rightCheek].z === 'number') {
+            const [cheekA, cheekB] = leftToRight(k[L.rightCheek], k[L.leftCheek]);
+            yaw = degrees(Math.atan2(cheekB.z - cheekA.z, cheekB.x - cheekA.x));
+            pitch = degrees(Math.atan2(k[L.forehead].z - k[L.chin].z, k[L.chin].y - k[L.forehead].y));
+        }
+
+        // Gaze from the refined iris points (468-477)
+        let gazeX = null;
+        let gazeY = null;
+        if (k.length >= 478) {
+            const right = irisPosition(k, L.rightEye);
+            const left = irisPosition(k, L.leftEye);
+            if (right && left) {
+                gazeX = (right.x + left.x) / 2;
+                gazeY = (right.y + left.y) / 2;
+            }
+        }
+
+        return {
+            leftEAR: eyeAspectRatio(k, L.leftEye),
+            rightEAR: eyeAspectRatio(k, L.rightEye),
+            mouthRatio: Tracking.distance(k[L.mouth.top], k[L.mouth.bottom]) / mouthWidth,
+            smileRatio: mouthWidth / faceWidth,
+            browRatio: (leftBrow + rightBrow) / 2,
+            yaw: yaw,
+            pitch: pitch,
+            roll: roll,
+            gazeX: gazeX,
+            gazeY: gazeY
+        };
+    }
+
+    // 0-1 signals from raw measurements and a baseline
+    function toSignals(raw, base) {
+        const angle = (value, neutral) => value === null ? null : clamp01(0.5 + (value - neutral) / (2 * RANGES.angle));
+        const gaze = (value, neutral) => value === null ? null : clamp01(0.5 + (value - neutral) * 2);
+        return {
+            leftEyeOpen: clamp01(raw.leftEAR / base.leftEAR),
+            rightEyeOpen: clamp01(raw.rightEAR / base.rightEAR),
+            mouthOpen: clamp01((raw.mouthRatio - base.mouthRatio) / (RANGES.mouthRatio - base.mouthRatio)),
+            smile: clamp01((raw.smileRatio - base.smileRatio) / (base.smileRatio * RANGES.smile)),
+            browRaise: clamp01((raw.browRatio - base.browRatio) / (base.browRatio * RANGES.brow)),
+            yaw: angle(raw.yaw, base.yaw),
+            pitch: angle(raw.pitch, base.pitch),
+            roll: angle(raw.roll, base.roll),
+            gazeX: gaze(raw.gazeX, base.gazeX),
+            gazeY: gaze(raw.gazeY, base.gazeY)
+        };
+    }
+
+    // On/off states with separate on and off levels, so a value near the edge doesn't flicker
+    // name: state name; value: signal; on/off: levels; events: [eventOn, eventOff]
+    const STATES = [
+        { name: 'blinking', signal: s => Math.max(s.leftEyeOpen, s.rightEyeOpen), on: 0.4, off: 0.6, below: true, events: ['blink', null] },
+        { name: 'mouthOpen', signal: s => s.mouthOpen, on: 0.5, off: 0.3, events: ['mouthOpen', 'mouthClose'] },
+        { name: 'smiling', signal: s => s.smile, on: 0.6, off: 0.4, events: ['smile', 'smileEnd'] },
+        { name: 'browsRaised', signal: s => s.browRaise, on: 0.6, off: 0.4, events: ['browRaise', 'browLower'] }
+    ];
+
+    class FaceAnalyzer extends Emitter {
+        // options.now: clock in milliseconds (defaults to performance.now)
+        constructor(options = {}) {
+            super();
+            this.now = options.now || defaultNow;
+            this.baselines = new Map(); // face key -> baseline (faces without one use the defaults)
+            this.states = new Map();    // face key -> { blinking, mouthOpen, smiling, browsRaised }
+            this.calibration = null;    // { endTime, samples: Map(face key -> [raw, ...]) } while calibrating
+        }
+
+        // Average the next `duration` milliseconds of each face as its neutral face
+        startCalibration(duration = 1000) {
+            this.calibration = { endTime: this.now() + duration, samples: new Map() };
+        }
+
+        get calibrating() {
+            return this.calibration !== null;
+        }
+
+        calibrated(key) {
+            return this.baselines.has(key);
+        }
+
+        resetCalibration() {
+            this.baselines.clear();
+        }
+
+        // Analyse every face; returns one result per face (null where the face has too few points)
+        update(faces, time = this.now(), keys = null) {
+            const seen = new Set();
+            const results = (faces || []).map((face, faceIndex) => {
+                const key = keys ? keys[faceIndex] : (face.id ?? faceIndex);
+                seen.add(key);
+                const raw = measure(face.keypoints);
+                if (!raw) return null;
+                if (this.calibration) {
+                    if (!this.calibration.samples.has(key)) this.calibration.samples.set(key, []);
+                    this.calibration.samples.get(key).push(raw);
+                }
+
+                const base = this.baselines.get(key) || DEFAULT_BASELINE;
+                const signals = toSignals(raw, base);
+                return {
+                    key: key,
+                    raw: raw,
+                    signals: signals,
+                    head: {
+                        yaw: raw.yaw === null ? null : raw.yaw - base.yaw,
+                        pitch: raw.pitch === null ? null : raw.pitch - base.pitch,
+                        roll: raw.roll - base.roll
+                    },
+                    states: this.updateStates(key, faceIndex, signals, time)
+                };
+            });
+
+            if (this.calibration && time >= this.calibration.endTime) this.finishCalibration();
+            // A face that is gone starts with everything off if it comes back
+            for (const key of [...this.states.keys()]) {
+                if (!seen.has(key)) this.states.delete(key);
+            }
+            return results;
+        }
+
+        // Average the samples collected for each face into its baseline
+        finishCalibration() {
+            this.calibration.samples.forEach((samples, key) => {
+                if (samples.length === 0) return;
+                const base = {};
+                Object.keys(DEFAULT_BASELINE).forEach(key => {
+                    const values = samples.map(sample => sample[key]).filter(value => value !== null);
+                    base[key] = values.length ? values.reduce((a, b) => a + b, 0) / values.length : DEFAULT_BASELINE[key];
+                });
+                this.baselines.set(key, base);
+            });
+            this.calibration = null;
+            this.emit('calibrated', { baselines: this.baselines });
+        }
+
+        updateStates(key, faceIndex, signals, time) {
+            if (!this.states.has(key)) {
+                const initial = {};
+                STATES.forEach(def => { initial[def.name] = false; });
+                this.states.set(key, initial);
+            }
+            const state = this.states.get(key);
+            STATES.forEach(def => {
+                const value = def.signal(signals);
+                const turnOn = def.below ? value < def.on : value > def.on;
+                const turnOff = def.below ? value > def.off : value < def.off;
+                if (!state[def.name] && turnOn) {
+                    state[def.name] = true;
+                    if (def.events[0]) this.emit(def.events[0], { faceIndex: faceIndex, key: key, value: value, time: time });
+                } else if (state[def.name] && turnOff) {
+                    state[def.name] = false;
+                    if (def.events[1]) this.emit(def.events[1], { faceIndex: faceIndex, key: key, value: value, time: time });
+                }
+            });
+            return Object.assign({}, state);
+        }
+    }
+
+    // Draw a small bar chart of one face's signals with its top left corner at x, y
+    function drawFaceSignals(result, x, y) {
+        if (!result) return;
+        const names = ['leftEyeOpen', 'rightEyeOpen', 'mouthOpen', 'smile', 'browRaise', 'yaw', 'pitch', 'roll', 'gazeX', 'gazeY'];
+        const barWidth = 80;
+        push();
+        noStroke();
+        fill(0, 150);
+        rect(x, y, barWidth + 90, names.length * 14 + 8, 4);
+        textSize(10);
+        textAlign(LEFT, CENTER);
+        names.forEach((name, i) => {
+            const value = result.signals[name];
+            const rowY = y + 4 + i * 14;
+            fill(255);
+            text(name, x + 5, rowY + 6);
+            fill(80);
+            rect(x + 85, rowY + 2, barWidth, 8);
+            if (value !== null) {
+                fill(0, 255, 0);
+                rect(x + 85, rowY + 2, barWidth * value, 8);
+            }
+        });
+        pop();
+    }
+
+    const api = { FaceAnalyzer, drawFaceSignals, measureFace: measure, FACE_LANDMARKS: LANDMARKS };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(globalThis);
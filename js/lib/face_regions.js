@@ -0,0 +1,238 @@
+/*
+Named FaceMesh Regions
+
+FaceMesh gives 468 keypoints (478 with refineLandmarks), numbered around the face mesh.
+This map names the groups of keypoints that make up each part of the face, in order around
+their outline, so a sketch can ask for "the lips" instead of remembering mesh numbers.
+
+Regions (left and right are the person's own, so with a mirrored video "leftEye" is on the
+left of the canvas):
+- lips, lipsInner               (alias: mouth = lips)
+- leftEye, rightEye
+- leftEyebrow, rightEyebrow
+- leftIris, rightIris           (only with refineLandmarks: true)
+- faceOval
+- nose                          (the bridge down to the tip, and across the nostrils)
+
+Render modes for draw():
+- "contours": outline of each region
+- "filled": each region filled with a see-through colour
+- "mesh": the whole face as triangles (pass faceMesh.getTriangles())
+- "regions": dots on the region keypoints only
+- "points": every keypoint (drawn by the sketch with its own point style)
+
+Region object returned by getRegion():
+{
+    name,               // region name
+    keypoints,          // the region's keypoints in outline order
+    center,             // average position { x, y } (the iris centre for irises)
+    box                 // bounding box { xMin, yMin, xMax, yMax, width, height }
+}
+
+Key Functions (all on the FaceRegions object):
+- getRegion(face, name): region object, or null if the face doesn't have those keypoints
+- getRegions(face): every region of a face by name
+- draw(face, mode, options): draw a face in one of the render modes
+- nextMode(mode): the render mode after this one, for cycling with a key
+
+Example:
+
+// Put a circle on the first face's mouth
+let mouth = FaceRegions.getRegion(faces[0], "mouth");
+if (mouth) circle(mouth.center.x, mouth.center.y, mouth.box.width);
+*/
+
+(function (root) {
+    const { Tracking } = typeof module !== 'undefined' && module.exports ? require('./tracking.js') : root;
+
+    // paths: keypoint numbers in order; closed paths join the last point back to the first
+    const REGIONS = {
+        lips: {
+            paths: [[61, 146, 91, 181, 84, 17, 314, 405, 321, 375, 291, 409, 270, 269, 267, 0, 37, 39, 40, 185]],
+            closed: true,
+            color: [255, 60, 90]
+        },
+        lipsInner: {
+            paths: [[78, 95, 88, 178, 87, 14, 317, 402, 318, 324, 308, 415, 310, 311, 312, 13, 82, 81, 80, 191]],
+            closed: true,
+            color: [180, 0, 40]
+        },
+        rightEye: {
+            paths: [[33, 7, 163, 144, 145, 153, 154, 155, 133, 173, 157, 158, 159, 160, 161, 246]],
+            closed: true,
+            color: [0, 200, 255]
+        },
+        leftEye: {
+            paths: [[263, 249, 390, 373, 374, 380, 381, 382, 362, 398, 384, 385, 386, 387, 388, 466]],
+            closed: true,
+            color: [0, 200, 255]
+        },
+        rightEyebrow: {
+            paths: [[46, 53, 52, 65, 55, 107, 66, 105, 63, 70]],
+            closed: true,
+            color: [255, 160, 0]
+        },
+        leftEyebrow: {
+            paths: [[276, 283, 282, 295, 285, 336, 296, 334, 293, 300]],
+            closed: true,
+            color: [255, 160, 0]
+        },
+        rightIris: {
+            paths: [[469, 470, 471, 472]],
+            closed: true,
+            center: 468,
+            color: [0, 90, 255]
+        },
+        leftIris: {
+            paths: [[474, 475, 476, 477]],
+            closed: true,
+            center: 473,
+            color: [0, 90, 255]
+        },
+        faceOval: {
+            paths: [[10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378, 400, 377,
+                     152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109]],
+            closed: true,
+            color: [0, 255, 0]
+        },
+        nose: {
+            paths: [[168, 6, 197, 195, 5, 4, 1, 19, 94, 2], [98, 2, 327]],
+            closed: false,
+            color: [200, 0, 255]
+        }
+    };
+
+    // Other names for the same regions
+    const ALIASES = {
+        mouth: 'lips'
+    };
+
+    const RENDER_MODES = ['contours', 'filled', 'mesh', 'regions', 'points'];
+
+    // Every keypoint number in a region, each once
+    function regionIndices(name) {
+        const region = REGIONS[ALIASES[name] || name];
+        if (!region) return [];
+        const indices = [];
+        region.paths.forEach(path => path.forEach(index => {
+            if (!indices.includes(index)) indices.push(index);
+        }));
+        return indices;
+    }
+
+    // A region's keypoints, centre and box; null if the face doesn't have them (e.g. irises without refineLandmarks)
+    function getRegion(face, name) {
+        const regionName = ALIASES[name] || name;
+        const region = REGIONS[regionName];
+        if (!region) throw new Error(`Unknown face region: ${name}`);
+        if (!face || !face.keypoints) return null;
+
+        const keypoints = regionIndices(regionName).map(index => face.keypoints[index]);
+        if (!keypoints.every(point => Tracking.isValidPoint(point))) return null;
+
+        const centerPoint = region.center !== undefined ? face.keypoints[region.center] : null;
+        return {
+            name: regionName,
+            keypoints: keypoints,
+            center: Tracking.isValidPoint(centerPoint) ? { x: centerPoint.x, y: centerPoint.y } : Tracking.keypointCentroid(keypoints),
+            box: Tracking.boxFromKeypoints(keypoints)
+        };
+    }
+
+    // Every region a face has, by name
+    function getRegions(face) {
+        const regions = {};
+        Object.keys(REGIONS).forEach(name => {
+            const region = getRegion(face, name);
+            if (region) regions[name] = region;
+        });
+        return regions;
+    }
+
+    // The render mode after this one, going back to the first after the last
+    function nextMode(mode) {
+        return RENDER_MODES[(RENDER_MODES.indexOf(mode) + 1) % RENDER_MODES.length];
+    }
+
+    // Whether every keypoint of a region's paths exists in this face
+    function hasRegion(face, name) {
+        return regionIndices(name).every(index => Tracking.isValidPoint(face.keypoints[index]));
+    }
+
+    // Outline or fill each region with its own colour
+    function drawShapes(face, filled) {
+        Object.keys(REGIONS).forEach(name => {
+            const region = REGIONS[name];
+            if (!hasRegion(face, name)) return;
+            region.paths.forEach(path => {
+                if (filled && region.closed) {
+                    noStroke();
+                    fill(region.color[0], region.color[1], region.color[2], 100);
+                } else {
+                    noFill();
+                    stroke(region.color);
+                    strokeWeight(2);
+                }
+                beginShape();
+                path.forEach(index => vertex(face.keypoints[index].x, face.keypoints[index].y));
+                endShape(region.closed ? CLOSE : undefined);
+            });
+        });
+    }
+
+    // Triangles from faceMesh.getTriangles(): [[a, b, c], ...]
+    function drawMesh(face, triangles, meshColor) {
+        if (!triangles) return;
+        noFill();
+        stroke(meshColor);
+        strokeWeight(0.5);
+        triangles.forEach(([a, b, c]) => {
+            const p1 = face.keypoints[a];
+            const p2 = face.keypoints[b];
+            const p3 = face.keypoints[c];
+            if (p1 && p2 && p3) triangle(p1.x, p1.y, p2.x, p2.y, p3.x, p3.y);
+        });
+    }
+
+    // Small dots on the region keypoints only
+    function drawRegionPoints(face) {
+        noStroke();
+        Object.keys(REGIONS).forEach(name => {
+            fill(REGIONS[name].color);
+            regionIndices(name).forEach(index => {
+                const point = face.keypoints[index];
+                if (Tracking.isValidPoint(point)) circle(point.x, point.y, 4);
+            });
+        });
+    }
+
+    // Draw a face in one of the render modes ("points" is left to the sketch)
+    // options: { triangles: faceMesh.getTriangles(), meshColor [0, 255, 0] }
+    function draw(face, mode, options = {}) {
+        if (!face || !face.keypoints) return;
+        push();
+        if (mode === 'contours') drawShapes(face, false);
+        if (mode === 'filled') drawShapes(face, true);
+        if (mode === 'mesh') drawMesh(face, options.triangles, options.meshColor || [0, 255, 0]);
+        if (mode === 'regions') drawRegionPoints(face);
+        pop();
+    }
+
+    const FaceRegions = {
+        REGIONS,
+        ALIASES,
+        RENDER_MODES,
+        regionIndices,
+        getRegion,
+        getRegions,
+        nextMode,
+        draw
+    };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { FaceRegions };
+    } else {
+        root.FaceRegions = FaceRegions;
+    }
+})(globalThis);
@@ -0,0 +1,81 @@
+/*
+File Helpers
+
+Save and open the JSON (and text) files used by the other js/lib modules: sessions,
+gesture templates and so on. Saving uses p5's saveJSON / saveStrings when p5 is loaded,
+otherwise a temporary download link.
+
+Key Functions (all on the Files object):
+- fileTimestamp(date): timestamp for file names, e.g. 20240501_120000
+- downloadJSON(data, filename): save an object as a .json file
+- downloadText(text, filename, type): save a string, e.g. CSV (or binary data such as a WAV ArrayBuffer)
+- openTextFile(accept): ask the user for a file, resolves with its text
+- openJSONFile(): ask the user for a .json file, resolves with the parsed object
+
+Example:
+
+Files.openJSONFile().then(data => gestureTemplates.fromJSON(data));
+*/
+
+(function (root) {
+    // Timestamp used in saved file names, e.g. 20240501_120000
+    function fileTimestamp(date = new Date()) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return date.getFullYear() + pad(date.getMonth() + 1) + pad(date.getDate()) + '_' +
+               pad(date.getHours()) + pad(date.getMinutes()) + pad(date.getSeconds());
+    }
+
+    // Save text (or an ArrayBuffer) through a temporary download link
+    function downloadText(text, filename, type = 'text/plain') {
+        if (typeof document === 'undefined') return;
+        const blob = new Blob([text], { type: type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    // Save an object as a JSON file, using p5's saveJSON when it is available
+    function downloadJSON(data, filename) {
+        if (typeof saveJSON === 'function') {
+            saveJSON(data, filename);
+            return;
+        }
+        downloadText(JSON.stringify(data), filename, 'application/json');
+    }
+
+    // Ask the user to pick a file and resolve with its text
+    function openTextFile(accept = '') {
+        return new Promise((resolve, reject) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = accept;
+            input.onchange = () => {
+                if (!input.files[0]) return;
+                input.files[0].text().then(resolve, reject);
+            };
+            input.click();
+        });
+    }
+
+    // Ask the user to pick a JSON file and resolve with the parsed object
+    function openJSONFile() {
+        return openTextFile('.json,application/json').then(text => JSON.parse(text));
+    }
+
+    const Files = {
+        fileTimestamp,
+        downloadText,
+        downloadJSON,
+        openTextFile,
+        openJSONFile
+    };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { Files };
+    } else {
+        root.Files = Files;
+    }
+})(globalThis);
@@ -0,0 +1,476 @@
+/*
+Keypoint Smoothing Filters
+
+A filtering stage between the model callback and the drawing code, for when keypoints jitter
+even with the model's own enableSmoothing. Each keypoint's x and y are filtered separately.
+
+Filter types:
+- "oneEuro": smooths a lot when still and little when moving fast (minCutoff, beta, dCutoff)
+- "ema": exponential moving average, each frame moves alpha of the way to the new point (alpha)
+- "kalman": constant-velocity Kalman filter (processNoise, measurementNoise)
+- "median": median of the last few frames, good at removing single-frame spikes (window)
+- "none": no filtering
+
+Brief dropouts: when a keypoint drops below the confidence threshold for less than maxGap
+milliseconds, its last filtered position is kept and marked held: true, so points don't flicker.
+A whole subject missing for less than maxGap is held the same way: a copy of it, marked
+held: true, is added after this frame's subjects. After a longer gap the filter starts again
+from scratch.
+
+Prediction: with predict set to a number of milliseconds, points are moved ahead along their
+velocity by that much, to hide some of the model's latency (too much overshoots on stops).
+
+Filters only use the times they are given (no random numbers or clocks inside), so the same
+recording always filters the same way. filterSession() runs a filter over a recorded session.
+
+Key Functions (Filters):
+- new KeypointFilter(options): filters every subject's keypoints, remembering each subject by id
+- filter.update(subjects, time, keys): returns copies of the subjects with filtered keypoints,
+  followed by any held subjects; each copy has the key it was filtered under as subject.key,
+  the model's keypoints are kept as subject.raw and a model box is recalculated from the new points
+- filter.setType(type, params) / setKeypoint(index, config) / setSubject(key, config): change filters
+- filterSession(session, options): a copy of a recorded session with every frame filtered
+- drawFilterDebug(filter, subjects): side-by-side view of the raw and filtered points
+- createFilter(type, params): a single-value filter with filter(value, time) and reset()
+
+Example:
+
+let keypointFilter = new Filters.KeypointFilter({ type: "oneEuro", params: { beta: 0.02 }, threshold: 0.5 });
+// extra smoothing for the index finger tip
+keypointFilter.setKeypoint(8, { type: "kalman" });
+// in gotHands()
+hands = keypointFilter.update(coords.convertSubjects(results, 'source', 'canvas'));
+*/
+
+(function (root) {
+    const usingNode = typeof module !== 'undefined' && module.exports;
+    const { Tracking } = usingNode ? require('./tracking.js') : root;
+
+    function defaultNow() {
+        return performance.now();
+    }
+
+    const FILTER_TYPES = ['oneEuro', 'ema', 'kalman', 'median', 'none'];
+
+    // Default settings for each filter type (times in milliseconds, positions in pixels)
+    const DEFAULT_PARAMS = {
+        oneEuro: { minCutoff: 1, beta: 0.01, dCutoff: 1 },
+        ema: { alpha: 0.5 },
+        kalman: { processNoise: 5000, measurementNoise: 10 },
+        median: { window: 5 },
+        none: {}
+    };
+
+    // Smoothing factor of a low-pass filter with the given cutoff frequency (Hz) over dt seconds
+    function lowPassAlpha(dt, cutoff) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    // One Euro filter (Casiez et al. 2012): the cutoff rises with speed so fast moves don't lag
+    class OneEuroFilter {
+        constructor(params = {}) {
+            this.minCutoff = params.minCutoff ?? DEFAULT_PARAMS.oneEuro.minCutoff;
+            this.beta = params.beta ?? DEFAULT_PARAMS.oneEuro.beta;
+            this.dCutoff = params.dCutoff ?? DEFAULT_PARAMS.oneEuro.dCutoff;
+            this.reset();
+        }
+
+        reset() {
+            this.value = null;
+            this.derivative = 0;
+            this.time = null;
+        }
+
+        filter(value, time) {
+            if (this.value === null) {
+                this.value = value;
+                this.time = time;
+                return value;
+            }
+            const dt = (time - this.time) / 1000;
+            if (dt <= 0) return this.value;
+            this.time = time;
+
+            // Smoothed speed decides how much to smooth the value
+            const alphaD = lowPassAlpha(dt, this.dCutoff);
+            this.derivative = alphaD * ((value - this.value) / dt) + (1 - alphaD) * this.derivative;
+            const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+            const alpha = lowPassAlpha(dt, cutoff);
+            this.value = alpha * value + (1 - alpha) * this.value;
+            return this.value;
+        }
+    }
+
+    // Exponential moving average: moves alpha (0-1) of the way to each new value
+    class EMAFilter {
+        constructor(params = {}) {
+            this.alpha = params.alpha ?? DEFAULT_PARAMS.ema.alpha;
+            this.reset();
+        }
+
+        reset() {
+            this.value = null;
+        }
+
+        filter(value) {
+            this.value = this.value === null ? value : this.alpha * value + (1 - this.alpha) * this.value;
+            return this.value;
+        }
+    }
+
+    // Kalman filter tracking a position and velocity, with noise in pixels² (measurement)
+    // and how quickly the velocity is allowed to change (process)
+    class KalmanFilter {
+        constructor(params = {}) {
+            this.processNoise = params.processNoise ?? DEFAULT_PARAMS.kalman.processNoise;
+            this.measurementNoise = params.measurementNoise ?? DEFAULT_PARAMS.kalman.measurementNoise;
+            this.reset();
+        }
+
+        reset() {
+            this.value = null;
+            this.velocity = 0;
+            this.p = [[0, 0], [0, 0]];    // covariance of [position, velocity]
+            this.time = null;
+        }
+
+        filter(value, time) {
+            if (this.value === null) {
+                this.value = value;
+                this.velocity = 0;
+                this.p = [[this.measurementNoise, 0], [0, this.processNoise]];
+                this.time = time;
+                return value;
+            }
+            const dt = (time - this.time) / 1000;
+            if (dt <= 0) return this.value;
+            this.time = time;
+
+            // Predict: move along the velocity and grow the uncertainty
+            const q = this.processNoise;
+            const [[p00, p01], [p10, p11]] = this.p;
+            const predicted = this.value + this.velocity * dt;
+            const a00 = p00 + dt * (p10 + p01) + dt * dt * p11 + q * dt * dt * dt / 3;
+            const a01 = p01 + dt * p11 + q * dt * dt / 2;
+            const a10 = p10 + dt * p11 + q * dt * dt / 2;
+            const a11 = p11 + q * dt;
+
+            // Correct: blend in the measurement by how much each is trusted
+            const k0 = a00 / (a00 + this.measurementNoise);
+            const k1 = a10 / (a00 + this.measurementNoise);
+            const error = value - predicted;
+            this.value = predicted + k0 * error;
+            this.velocity += k1 * error;
+            this.p = [[(1 - k0) * a00, (1 - k0) * a01], [a10 - k1 * a00, a11 - k1 * a01]];
+            return this.value;
+        }
+    }
+
+    // Median of the last `window` values
+    class MedianFilter {
+        constructor(params = {}) {
+            this.window = params.window ?? DEFAULT_PARAMS.median.window;
+            this.reset();
+        }
+
+        reset() {
+            this.values = [];
+            this.value = null;
+        }
+
+        filter(value) {
+            this.values.push(value);
+            if (this.values.length > this.window) this.values.shift();
+            const sorted = [...this.values].sort((a, b) => a - b);
+            const mid = Math.floor(sorted.length / 2);
+            this.value = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+            return this.value;
+        }
+    }
+
+    // Passes values straight through
+    class NoFilter {
+        reset() {
+            this.value = null;
+        }
+
+        filter(value) {
+            this.value = value;
+            return value;
+        }
+    }
+
+    // A single-value filter of the given type; throws on an unknown type
+    function createFilter(type = 'oneEuro', params = {}) {
+        switch (type) {
+            case 'oneEuro': return new OneEuroFilter(params);
+            case 'ema': return new EMAFilter(params);
+            case 'kalman': return new KalmanFilter(params);
+            case 'median': return new MedianFilter(params);
+            case 'none': return new NoFilter();
+            default: throw new Error(`Unknown filter type: ${type}`);
+        }
+    }
+
+    class KeypointFilter {
+        // options: {
+        //     type "oneEuro", params {}   filter for every keypoint (params default to DEFAULT_PARAMS)
+        //     keypoints {}                per keypoint index, e.g. { 8: { type: "kalman" } }
+        //     subjects {}                 per subject id, e.g. { 0: { type: "ema", keypoints: { ... } } }
+        //     threshold 0                 keypoints below this confidence count as missing
+        //     maxGap 250                  milliseconds a missing keypoint or subject is held
+        //     predict 0                   milliseconds to move points ahead along their velocity
+        //     now                         clock used when update() isn't given a time
+        // }
+        constructor(options = {}) {
+            this.type = options.type ?? 'oneEuro';
+            this.params = options.params ?? {};
+            this.paramsByType = { [this.type]: this.params };  // so switching back keeps the settings
+            this.keypointConfigs = Object.assign({}, options.keypoints);
+            this.subjectConfigs = Object.assign({}, options.subjects);
+            this.threshold = options.threshold ?? 0;
+            this.maxGap = options.maxGap ?? 250;
+            this.predict = options.predict ?? 0;
+            this.now = options.now ?? defaultNow;
+
+            this.states = new Map();               // subject key -> { points, lastSeen, subject }
+            this.jitter = { raw: 0, filtered: 0 }; // average movement per keypoint per frame (pixels)
+            createFilter(this.type);               // throw now on a bad type, not on the first frame
+        }
+
+        // Use a different filter for every keypoint (params are remembered per type); the filters start again
+        setType(type, params = null) {
+            createFilter(type);
+            if (params) this.paramsByType[type] = params;
+            this.type = type;
+            this.params = this.paramsByType[type] || {};
+            this.reset();
+        }
+
+        // Use a different filter for one keypoint index (null goes back to the default)
+        setKeypoint(index, config) {
+            if (config) this.keypointConfigs[index] = config;
+            else delete this.keypointConfigs[index];
+            this.reset();
+        }
+
+        // Use a different filter for one subject (null goes back to the default)
+        setSubject(key, config) {
+            if (config) this.subjectConfigs[key] = config;
+            else delete this.subjectConfigs[key];
+            this.reset();
+        }
+
+        // The { type, params } used for one keypoint of one subject, most specific first
+        configFor(key, index) {
+            const subject = this.subjectConfigs[key];
+            const config = (subject && subject.keypoints && subject.keypoints[index])
+                || (subject && subject.type && subject)
+                || this.keypointConfigs[index]
+                || { type: this.type, params: this.params };
+            return { type: config.type, params: Object.assign({}, DEFAULT_PARAMS[config.type], config.params) };
+        }
+
+        // Forget every subject's filter state
+        reset() {
+            this.states.clear();
+            this.jitter = { raw: 0, filtered: 0 };
+        }
+
+        // Filter this frame's subjects; keys (e.g. track IDs) default to subject.id, then the array index
+        update(subjects, time = this.now(), keys = null) {
+            const seen = new Set();
+            const result = (subjects || []).map((subject, i) => {
+                const key = keys ? keys[i] : (subject.id ?? i);
+                seen.add(key);
+                let state = this.states.get(key);
+                if (!state) {
+                    state = { points: [], lastSeen: time };
+                    this.states.set(key, state);
+                }
+
+                const keypoints = (subject.keypoints || []).map((point, index) =>
+                    this.filterPoint(state, key, index, point, time));
+                this.measureJitter(state, subject.keypoints || [], keypoints);
+                state.lastSeen = time;
+
+                const filtered = Object.assign({}, subject, { keypoints: keypoints, raw: subject.keypoints, key: key });
+                if (subject.box) filtered.box = Tracking.boxFromKeypoints(keypoints, this.threshold) || subject.box;
+                state.subject = filtered;
+                return filtered;
+            });
+
+            // Subjects missing for a moment are held where they were, and forgotten once the gap is too long
+            for (const [key, state] of this.states) {
+                if (seen.has(key)) continue;
+                if (time - state.lastSeen > this.maxGap) {
+                    this.states.delete(key);
+                } else if (state.subject) {
+                    result.push(this.holdSubject(state, time));
+                }
+            }
+            return result;
+        }
+
+        // Copy of a missing subject's last filtered frame, with every point marked held
+        holdSubject(state, time) {
+            const keypoints = state.subject.keypoints.map((point, index) => {
+                const pointState = state.points[index];
+                const position = pointState && time - pointState.time <= this.maxGap ? this.position(pointState, time) : {};
+                return Object.assign({}, point, position, { held: true });
+            });
+            // The model gave no points for it this frame, so raw is empty
+            const held = Object.assign({}, state.subject, { keypoints: keypoints, raw: [], held: true });
+            if (state.subject.box) held.box = Tracking.boxFromKeypoints(keypoints, this.threshold) || state.subject.box;
+            return held;
+        }
+
+        // Filter one keypoint, or hold its last position through a short dropout
+        filterPoint(state, key, index, point, time) {
+            let pointState = state.points[index];
+            if (!Tracking.isVisible(point, this.threshold)) {
+                if (pointState && time - pointState.time <= this.maxGap) {
+                    return Object.assign({}, point, this.position(pointState, time), { confidence: pointState.confidence, held: true });
+                }
+                state.points[index] = null;
+                return point;
+            }
+
+            // New keypoint, or back after a long gap: start a fresh filter
+            if (!pointState || time - pointState.time > this.maxGap) {
+                const config = this.configFor(key, index);
+                pointState = state.points[index] = {
+                    x: createFilter(config.type, config.params),
+                    y: createFilter(config.type, config.params),
+                    fx: point.x, fy: point.y, vx: 0, vy: 0, time: null, confidence: point.confidence
+                };
+            }
+
+            const x = pointState.x.filter(point.x, time);
+            const y = pointState.y.filter(point.y, time);
+            if (pointState.time !== null && time > pointState.time) {
+                // Velocity of the filtered point, smoothed a little, for prediction
+                const dt = (time - pointState.time) / 1000;
+                pointState.vx = 0.5 * pointState.vx + 0.5 * (x - pointState.fx) / dt;
+                pointState.vy = 0.5 * pointState.vy + 0.5 * (y - pointState.fy) / dt;
+            }
+            pointState.fx = x;
+            pointState.fy = y;
+            pointState.time = time;
+            pointState.confidence = point.confidence;
+            return Object.assign({}, point, this.position(pointState, time));
+        }
+
+        // Filtered position, moved ahead along the velocity when predicting
+        position(pointState, time) {
+            if (!this.predict) return { x: pointState.fx, y: pointState.fy };
+            const ahead = (time - pointState.time + this.predict) / 1000;
+            return { x: pointState.fx + pointState.vx * ahead, y: pointState.fy + pointState.vy * ahead };
+        }
+
+        // Average movement per keypoint since the last frame, before and after filtering
+        measureJitter(state, raw, filtered) {
+            if (state.previous) {
+                const rawMove = averageMove(state.previous.raw, raw, this.threshold);
+                const filteredMove = averageMove(state.previous.filtered, filtered, this.threshold);
+                if (rawMove !== null && filteredMove !== null) {
+                    this.jitter.raw = 0.9 * this.jitter.raw + 0.1 * rawMove;
+                    this.jitter.filtered = 0.9 * this.jitter.filtered + 0.1 * filteredMove;
+                }
+            }
+            state.previous = { raw: raw, filtered: filtered };
+        }
+    }
+
+    // Average distance the visible keypoints moved between two frames, or null if none are visible in both
+    function averageMove(before, after, threshold) {
+        let total = 0;
+        let count = 0;
+        after.forEach((point, i) => {
+            const old = before[i];
+            if (!Tracking.isVisible(point, threshold) || !Tracking.isVisible(old, threshold)) return;
+            total += Tracking.distance(old, point);
+            count++;
+        });
+        return count > 0 ? total / count : null;
+    }
+
+    // A copy of a recorded session (see js/lib/session.js) with every frame's results filtered
+    function filterSession(session, options = {}) {
+        const filter = new KeypointFilter(Object.assign({}, options, { now: () => 0 }));
+        return Object.assign({}, session, {
+            frames: session.frames.map(frame => ({
+                t: frame.t,
+                // Leave out the raw keypoints and keys so the file stays the same shape
+                results: filter.update(frame.results || [], frame.t).map(({ raw, key, ...subject }) => subject)
+            }))
+        });
+    }
+
+    // Draw the raw points on the left half of the canvas and the filtered points on the right
+    function drawFilterDebug(filter, subjects) {
+        const halfWidth = width / 2;
+        push();
+        noStroke();
+        fill(255, 230);
+        rect(0, 0, width, height);
+        stroke(0);
+        strokeWeight(1);
+        line(halfWidth, 0, halfWidth, height);
+
+        [['raw', color(255, 0, 0), filter.jitter.raw], ['filtered', color(0, 180, 0), filter.jitter.filtered]].forEach(([which, pointColor, jitter], side) => {
+            push();
+            translate(side * halfWidth, height / 4);
+            scale(0.5);
+            noStroke();
+            fill(pointColor);
+            subjects.forEach(subject => {
+                const points = which === 'raw' ? (subject.raw || subject.keypoints) : subject.keypoints;
+                points.forEach(point => {
+                    if (!Tracking.isVisible(point, filter.threshold)) return;
+                    // Held points (missing from the model this frame) are drawn hollow
+                    if (point.held) {
+                        noFill();
+                        stroke(pointColor);
+                    } else {
+                        fill(pointColor);
+                        noStroke();
+                    }
+                    circle(point.x, point.y, 10);
+                });
+            });
+            pop();
+
+            noStroke();
+            fill(0);
+            textAlign(LEFT, TOP);
+            textSize(14);
+            const label = which === 'raw' ? 'raw' : `filtered (${filter.type}${filter.predict ? `, +${filter.predict} ms` : ''})`;
+            text(label, side * halfWidth + 10, 40);
+            textSize(12);
+            text(`${jitter.toFixed(1)} px/frame (hold still to compare)`, side * halfWidth + 10, 58);
+        });
+        pop();
+    }
+
+    const Filters = {
+        FILTER_TYPES,
+        DEFAULT_PARAMS,
+        OneEuroFilter,
+        EMAFilter,
+        KalmanFilter,
+        MedianFilter,
+        createFilter,
+        KeypointFilter,
+        filterSession,
+        drawFilterDebug
+    };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { Filters };
+    } else {
+        root.Filters = Filters;
+    }
+})(globalThis);
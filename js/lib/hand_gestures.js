@@ -0,0 +1,371 @@
+/*
+Static Hand Gesture Classifier
+
+Recognises what a hand is doing in a single frame from its 21 HandPose keypoints.
+
+Each hand is first normalized so gestures match wherever the hand is, however big it is
+and however it is turned: the WRIST is moved to (0, 0), the hand is scaled so the
+WRIST -> MIDDLE_FINGER_MCP distance is 1, and rotated so that segment points straight up
+(towards negative y). Finger states are then measured on the normalized hand.
+
+Built-in gestures: fist, open_palm, point, pinch, thumbs_up, peace, ok
+
+Each finger gets an extension from 0 (clearly curled) to 1 (clearly straight), with 0.5 on the
+edge between the two. A built-in gesture's confidence is the extension of its least convincing
+finger, so a clear gesture scores near 1 and one on the edge between two shapes near 0.5, and a
+custom template that is closer than that wins.
+
+Custom gestures are saved as templates of normalized keypoints and matched by nearest
+neighbour. A template library is plain JSON:
+{
+    version: 1,
+    templates: [
+        { name: "rock", points: [[0, 0], [0.31, -0.18], ...] }   // 21 normalized [x, y]
+    ]
+}
+
+Key Functions / Classes (on the HandGestures object):
+- normalizeHand(keypoints): 21 normalized {x, y} points, or null if the hand is incomplete
+- fingerExtension(normalized): { thumb, index, middle, ring, pinky } each from 0 (curled) to 1 (extended)
+- fingerStates(normalized): { thumb, index, middle, ring, pinky } each 'extended' or 'curled'
+- classifyBuiltIn(normalized): { label, confidence } for the best built-in gesture
+- GestureTemplates: add, remove, match and save/load custom templates
+- GestureClassifier: combines built-in and custom gestures with per-hand hysteresis;
+  classifyAll(hands, keys) keeps each hand's history under its key (e.g. a track ID)
+
+Example:
+
+let gestureClassifier = new HandGestures.GestureClassifier();
+// in gotHands()
+let gestures = gestureClassifier.classifyAll(hands, handTracks.map(t => t.id));   // [{ label, confidence }, ...]
+*/
+
+(function (root) {
+    const WRIST = 0;
+    const MIDDLE_FINGER_MCP = 9;
+
+    // Keypoint indices of each finger from base to tip [MCP/CMC, PIP/MCP, DIP/IP, TIP]
+    const FINGERS = {
+        thumb: [1, 2, 3, 4],
+        index: [5, 6, 7, 8],
+        middle: [9, 10, 11, 12],
+        ring: [13, 14, 15, 16],
+        pinky: [17, 18, 19, 20]
+    };
+
+    const TEMPLATE_VERSION = 1;
+
+    function dist(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    // Translate, scale and rotate a hand so WRIST is at (0, 0) and MIDDLE_FINGER_MCP is at (0, -1)
+    function normalizeHand(keypoints) {
+        if (!keypoints || keypoints.length < 21) return null;
+        for (let i = 0; i < 21; i++) {
+            const p = keypoints[i];
+            if (!p || typeof p.x !== 'number' || typeof p.y !== 'number') return null;
+        }
+
+        const wrist = keypoints[WRIST];
+        const middle = keypoints[MIDDLE_FINGER_MCP];
+        const scale = dist(wrist, middle);
+        if (scale === 0) return null;
+
+        // Rotate by the angle that takes the wrist->middle direction onto straight up
+        const rotation = -Math.PI / 2 - Math.atan2(middle.y - wrist.y, middle.x - wrist.x);
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+
+        return keypoints.slice(0, 21).map(p => {
+            const x = (p.x - wrist.x) / scale;
+            const y = (p.y - wrist.y) / scale;
+            return { x: x * cos - y * sin, y: x * sin + y * cos };
+        });
+    }
+
+    // Angle at vertex in degrees
+    function jointAngle(a, vertex, c) {
+        const v1 = Math.atan2(a.y - vertex.y, a.x - vertex.x);
+        const v2 = Math.atan2(c.y - vertex.y, c.x - vertex.x);
+        let angle = Math.abs(v1 - v2) * 180 / Math.PI;
+        return angle > 180 ? 360 - angle : angle;
+    }
+
+    // Average of the four finger knuckles (MCP joints)
+    function palmCenter(normalized) {
+        const knuckles = [5, 9, 13, 17].map(i => normalized[i]);
+        return {
+            x: knuckles.reduce((sum, p) => sum + p.x, 0) / 4,
+            y: knuckles.reduce((sum, p) => sum + p.y, 0) / 4
+        };
+    }
+
+    // Where value sits between low (0) and high (1), clamped
+    function ramp(value, low, high) {
+        return Math.min(1, Math.max(0, (value - low) / (high - low)));
+    }
+
+    // How straight each finger is, from 0 (clearly curled) to 1 (clearly extended); 0.5 is the edge
+    function fingerExtension(normalized) {
+        if (!normalized) return null;
+        const wrist = normalized[WRIST];
+        const extension = {};
+
+        Object.keys(FINGERS).forEach(finger => {
+            const [base, , , tip] = FINGERS[finger];
+            if (finger === 'thumb') {
+                // The thumb is extended when it is fairly straight (over 140 degrees at the middle joint)
+                // and its tip is away from the palm (over 0.6)
+                extension.thumb = Math.min(ramp(jointAngle(normalized[2], normalized[3], normalized[tip]), 110, 170),
+                                           ramp(dist(normalized[tip], palmCenter(normalized)), 0.3, 0.9));
+            } else {
+                // Other fingers are extended when the tip is over 1.15 times as far from the wrist as
+                // the middle joint, and over 0.45 from the knuckle
+                const pip = normalized[FINGERS[finger][1]];
+                extension[finger] = Math.min(ramp(dist(normalized[tip], wrist) / dist(pip, wrist), 0.9, 1.4),
+                                             ramp(dist(normalized[tip], normalized[base]), 0.25, 0.65));
+            }
+        });
+        return extension;
+    }
+
+    // Whether each finger is extended or curled, from a normalized hand
+    function fingerStates(normalized) {
+        const extension = fingerExtension(normalized);
+        if (!extension) return null;
+        const states = {};
+        Object.keys(extension).forEach(finger => {
+            states[finger] = extension[finger] > 0.5 ? 'extended' : 'curled';
+        });
+        return states;
+    }
+
+    // Fingers each gesture needs straight (1) or curled (0); fingers left out can be either
+    const FINGER_SHAPES = {
+        fist: { thumb: 0, index: 0, middle: 0, ring: 0, pinky: 0 },
+        open_palm: { thumb: 1, index: 1, middle: 1, ring: 1, pinky: 1 },
+        point: { index: 1, middle: 0, ring: 0, pinky: 0 },
+        peace: { index: 1, middle: 1, ring: 0, pinky: 0 },
+        thumbs_up: { thumb: 1, index: 0, middle: 0, ring: 0, pinky: 0 },
+        pinch: { middle: 0 },
+        ok: { middle: 1, ring: 1, pinky: 1 }
+    };
+
+    // How well the fingers fit a shape: the score of the least convincing finger (0-1)
+    function shapeScore(extension, shape) {
+        return Math.min(...Object.keys(shape).map(finger =>
+            shape[finger] ? extension[finger] : 1 - extension[finger]));
+    }
+
+    // Thumb and index tips touching: 1 when they meet, 0.5 at 0.35 apart, 0 beyond
+    function touchScore(normalized) {
+        const d = dist(normalized[4], normalized[8]);
+        return d < 0.35 ? 1 - d / 0.35 * 0.5 : 0;
+    }
+
+    // Rules for the built-in gestures; each returns a score from 0 to 1 (0.5 = on the edge)
+    const BUILT_IN_GESTURES = {
+        fist: (e) => shapeScore(e, FINGER_SHAPES.fist),
+        open_palm: (e) => shapeScore(e, FINGER_SHAPES.open_palm),
+        point: (e) => shapeScore(e, FINGER_SHAPES.point),
+        peace: (e) => shapeScore(e, FINGER_SHAPES.peace),
+        thumbs_up: (e) => shapeScore(e, FINGER_SHAPES.thumbs_up),
+        pinch: (e, n) => Math.min(touchScore(n), shapeScore(e, FINGER_SHAPES.pinch)),
+        ok: (e, n) => Math.min(touchScore(n), shapeScore(e, FINGER_SHAPES.ok))
+    };
+
+    // Best matching built-in gesture for a normalized hand; below 0.5 nothing fits and the label is null
+    function classifyBuiltIn(normalized) {
+        if (!normalized) return { label: null, confidence: 0 };
+        const extension = fingerExtension(normalized);
+        let best = { label: null, confidence: 0 };
+        Object.keys(BUILT_IN_GESTURES).forEach(label => {
+            const score = BUILT_IN_GESTURES[label](extension, normalized);
+            if (score > best.confidence) best = { label: label, confidence: score };
+        });
+        return best.confidence > 0.5 ? best : { label: null, confidence: best.confidence };
+    }
+
+    // Mean distance between two normalized hands
+    function handDistance(a, b) {
+        let total = 0;
+        for (let i = 0; i < 21; i++) {
+            total += Math.hypot(a[i].x - b[i].x, a[i].y - b[i].y);
+        }
+        return total / 21;
+    }
+
+    class GestureTemplates {
+        // maxDistance: mean normalized distance at which a match's confidence falls to 0
+        constructor(maxDistance = 0.35) {
+            this.maxDistance = maxDistance;
+            this.templates = [];
+        }
+
+        // Store the current shape of a hand as a named template
+        add(name, keypoints) {
+            const normalized = normalizeHand(keypoints);
+            if (!normalized) return false;
+            this.templates.push({ name: name, points: normalized });
+            return true;
+        }
+
+        // Remove every template with the given name
+        remove(name) {
+            this.templates = this.templates.filter(template => template.name !== name);
+        }
+
+        // Nearest template to a normalized hand, as { label, confidence, distance }
+        match(normalized) {
+            let best = { label: null, confidence: 0, distance: Infinity };
+            if (!normalized) return best;
+            this.templates.forEach(template => {
+                const d = handDistance(normalized, template.points);
+                if (d < best.distance) {
+                    best = {
+                        label: template.name,
+                        confidence: Math.max(0, 1 - d / this.maxDistance),
+                        distance: d
+                    };
+                }
+            });
+            return best;
+        }
+
+        toJSON() {
+            return {
+                version: TEMPLATE_VERSION,
+                templates: this.templates.map(template => ({
+                    name: template.name,
+                    points: template.points.map(p => [round(p.x), round(p.y)])
+                }))
+            };
+        }
+
+        // Replace the templates with those from a saved library
+        fromJSON(data) {
+            if (!data || !Array.isArray(data.templates)) {
+                throw new Error('Not a gesture template library: missing templates array');
+            }
+            this.templates = data.templates.map((template, i) => {
+                if (!template.name || !Array.isArray(template.points) || template.points.length !== 21) {
+                    throw new Error(`Gesture template ${i} needs a name and 21 points`);
+                }
+                return { name: template.name, points: template.points.map(([x, y]) => ({ x: x, y: y })) };
+            });
+            return this;
+        }
+    }
+
+    function round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+
+    class GestureClassifier {
+        // options.templates: a GestureTemplates library (custom gestures win over built-ins when more confident)
+        // options.enterConfidence: confidence a new label needs before it replaces the current one
+        // options.exitConfidence: the current label is kept while its confidence stays above this
+        // options.holdFrames: frames a new label must win in a row before it is shown
+        constructor(options = {}) {
+            this.templates = options.templates || new GestureTemplates();
+            this.enterConfidence = options.enterConfidence ?? 0.6;
+            this.exitConfidence = options.exitConfidence ?? 0.4;
+            this.holdFrames = options.holdFrames ?? 3;
+            this.states = new Map();   // hand key -> hysteresis state
+        }
+
+        // Raw best guess for one hand, without hysteresis
+        rawClassify(keypoints) {
+            const normalized = normalizeHand(keypoints);
+            if (!normalized) return { label: null, confidence: 0, fingers: null };
+            const builtIn = classifyBuiltIn(normalized);
+            const custom = this.templates.match(normalized);
+            const best = custom.label && custom.confidence >= builtIn.confidence ? custom : builtIn;
+            return { label: best.label, confidence: best.confidence, fingers: fingerStates(normalized) };
+        }
+
+        // Stable label for one hand; key identifies the hand between frames (e.g. a track ID)
+        classify(keypoints, key = 0) {
+            const raw = this.rawClassify(keypoints);
+            let state = this.states.get(key);
+            if (!state) {
+                state = { label: null, confidence: 0, candidate: null, count: 0, misses: 0 };
+                this.states.set(key, state);
+            }
+
+            // Keep the current label while it keeps winning above exitConfidence,
+            // and only drop it after holdFrames frames without it
+            if (state.label && raw.label === state.label && raw.confidence >= this.exitConfidence) {
+                state.confidence = raw.confidence;
+                state.misses = 0;
+            } else if (state.label && ++state.misses >= this.holdFrames) {
+                state.label = null;
+                state.confidence = 0;
+            }
+
+            // A new label has to win above enterConfidence for holdFrames frames in a row
+            if (raw.label && raw.label !== state.label && raw.confidence >= this.enterConfidence) {
+                if (raw.label === state.candidate) {
+                    state.count++;
+                } else {
+                    state.candidate = raw.label;
+                    state.count = 1;
+                }
+                if (state.count >= this.holdFrames) {
+                    state.label = raw.label;
+                    state.confidence = raw.confidence;
+                    state.misses = 0;
+                    state.candidate = null;
+                    state.count = 0;
+                }
+            } else {
+                state.candidate = null;
+                state.count = 0;
+            }
+
+            return { label: state.label, confidence: state.confidence, fingers: raw.fingers };
+        }
+
+        // Stable labels for every hand in a HandPose results array;
+        // keys (e.g. track IDs) default to hand.id, then the array index
+        classifyAll(hands, keys = null) {
+            if (!hands) return [];
+            const seen = new Set();
+            const results = hands.map((hand, i) => {
+                const key = keys ? keys[i] : (hand.id ?? i);
+                seen.add(key);
+                return this.classify(hand.keypoints, key);
+            });
+            // Forget hands that have gone
+            for (const key of [...this.states.keys()]) {
+                if (!seen.has(key)) this.states.delete(key);
+            }
+            return results;
+        }
+
+        // Forget the per-hand history
+        reset() {
+            this.states.clear();
+        }
+    }
+
+    const HandGestures = {
+        FINGERS,
+        FINGER_SHAPES,
+        normalizeHand,
+        fingerExtension,
+        fingerStates,
+        classifyBuiltIn,
+        handDistance,
+        GestureTemplates,
+        GestureClassifier
+    };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { HandGestures };
+    } else {
+        root.HandGestures = HandGestures;
+    }
+})(globalThis);
@@ -0,0 +1,477 @@
+/*
+Touchless Widgets: Buttons, Toggles, Sliders, Dials and Menus Worked by Fingertips
+
+On-screen controls drawn on the canvas and worked with the index finger tip (keypoint 8) instead
+of a mouse, for kiosks and installations where nobody should touch anything. Every hand gets its
+own cursor, so two people (or two hands) can work different controls at once. Cursors are kept
+by a key that stays the same between frames: pass keys (e.g. the track IDs from
+js/lib/person_tracker.js) to update(), otherwise hand.id or the array index is used.
+
+A control is activated by:
+- dwell: holding the fingertip over it for dwellTime milliseconds (a ring fills up round the cursor)
+- pinch: pinching (thumb tip to index tip, see js/lib/pinch.js) while the fingertip is over it
+Sliders and dials then follow the fingertip until the pinch opens, or (after a dwell) until the
+fingertip moves off them. Controls are drawn differently when idle, hovered and pressed.
+
+Widgets (each an event emitter):
+- Button({ x, y, width, height, label }): 'press'
+- Toggle({ ..., value: false }): 'change' - flips on and off
+- Slider({ ..., min: 0, max: 1, value, step }): 'change' - value from where the fingertip is along it
+- Dial({ x, y, radius, min, max, value, step, label }): 'change' - value from the fingertip's angle
+  around the centre, over a 270 degree sweep (x, y is the centre)
+- Menu({ x, y, width, height, items: ["a", "b"], value, label }): 'change' - opens a list below
+  it; activate an item to choose it
+Every event is { widget, value, key, handIndex } (key and handIndex of the hand that did it).
+
+Key Functions (HandWidgets.WidgetPanel, which also emits 'press' and 'change' for all its widgets):
+- add(widget): add a widget (returns it) / remove(widget)
+- update(hands, time, keys): move each hand's cursor and work the widgets
+- draw(): draw the widgets and a cursor, with its dwell ring, on each fingertip
+
+Panel options (all optional):
+{
+    activation: "both",    // "dwell", "pinch" or "both"
+    dwellTime: 1000,       // milliseconds to hover before a dwell activates
+    pointer: 8,            // keypoint used as the cursor (index finger tip)
+    pinch: null,           // a PinchDetector the sketch already updates; without one the panel makes and updates its own
+    threshold: 0           // keypoint confidence threshold
+}
+
+Example:
+
+let panel = new HandWidgets.WidgetPanel({ activation: "dwell" });
+panel.add(new HandWidgets.Button({ x: 20, y: 20, width: 120, height: 50, label: "Snapshot" }))
+    .on('press', () => saveCanvas('snapshot', 'png'));
+let volume = panel.add(new HandWidgets.Slider({ x: 20, y: 90, width: 200, height: 40, label: "Volume", value: 0.5 }));
+volume.on('change', (event) => console.log(event.value));
+// in gotHands()
+panel.update(hands, undefined, handTracks.map(track => track.id));
+// in draw()
+panel.draw();
+*/
+
+(function (root) {
+    const usingNode = typeof module !== 'undefined' && module.exports;
+    const { Tracking } = usingNode ? require('./tracking.js') : root;
+    const { Emitter } = usingNode ? require('./events.js') : root;
+    const { PinchDetector } = usingNode ? require('./pinch.js') : root;
+
+    function defaultNow() {
+        return performance.now();
+    }
+
+    // Colours for the idle, hovered and pressed states, and for each hand's cursor
+    const STYLE = {
+        idle: [40, 40, 40, 190],
+        hover: [70, 70, 130, 220],
+        pressed: [0, 150, 255, 230],
+        on: [0, 180, 90, 230],
+        text: [255, 255, 255],
+        cursors: [[255, 200, 0], [0, 220, 255], [255, 0, 200], [120, 255, 0]]
+    };
+
+    // Limit a value to a range and round it to the nearest step
+    function stepValue(value, min, max, step) {
+        value = Math.max(min, Math.min(max, value));
+        if (step) value = min + Math.round((value - min) / step) * step;
+        return Math.max(min, Math.min(max, value));
+    }
+
+    // Common parts of every widget; subclasses change partAt(), press(), drag() and drawWidget()
+    class Widget extends Emitter {
+        constructor(options = {}) {
+            super();
+            this.x = options.x ?? 0;
+            this.y = options.y ?? 0;
+            this.width = options.width ?? 120;
+            this.height = options.height ?? 50;
+            this.label = options.label ?? '';
+            this.value = options.value ?? null;
+            this.enabled = options.enabled ?? true;
+            this.captures = false;  // true for widgets that follow the fingertip after being pressed
+            this.hovered = false;   // set by the panel every update
+            this.pressed = false;
+            this.hoveredParts = []; // parts under the hovering cursors
+            this.dwell = 0;         // 0-1, how far a hovering cursor is through its dwell
+        }
+
+        // Which part of the widget is under a point (0 for most widgets), or null when it's outside
+        partAt(x, y) {
+            const inside = x >= this.x && x <= this.x + this.width && y >= this.y && y <= this.y + this.height;
+            return inside ? 0 : null;
+        }
+
+        press(cursor, part) {}
+
+        drag(cursor) {}
+
+        release(cursor) {}
+
+        // Set the value and tell the listeners, if it changed; cursor is the hand that changed it, if any
+        setValue(value, cursor = null) {
+            if (value === this.value) return;
+            this.value = value;
+            this.emit('change', {
+                widget: this,
+                value: value,
+                key: cursor ? cursor.key : null,
+                handIndex: cursor ? cursor.handIndex : null
+            });
+        }
+
+        // Background colour for the current state
+        stateColor() {
+            if (this.pressed) return STYLE.pressed;
+            return this.hovered ? STYLE.hover : STYLE.idle;
+        }
+
+        draw() {
+            push();
+            if (!this.enabled) drawingContext.globalAlpha = 0.4;
+            this.drawWidget();
+            pop();
+        }
+
+        drawWidget() {
+            noStroke();
+            fill(this.stateColor());
+            rect(this.x, this.y, this.width, this.height, 8);
+            fill(STYLE.text);
+            textAlign(CENTER, CENTER);
+            textSize(14);
+            text(this.label, this.x + this.width / 2, this.y + this.height / 2);
+        }
+    }
+
+    class Button extends Widget {
+        press(cursor) {
+            this.emit('press', { widget: this, value: null, key: cursor.key, handIndex: cursor.handIndex });
+        }
+    }
+
+    class Toggle extends Widget {
+        constructor(options = {}) {
+            super(options);
+            this.value = !!options.value;
+        }
+
+        press(cursor) {
+            this.setValue(!this.value, cursor);
+        }
+
+        stateColor() {
+            if (this.pressed || this.hovered) return super.stateColor();
+            return this.value ? STYLE.on : STYLE.idle;
+        }
+
+        drawWidget() {
+            super.drawWidget();
+            // Switch light in the corner
+            fill(this.value ? [0, 255, 120] : [120, 120, 120]);
+            circle(this.x + this.width - 12, this.y + 12, 10);
+        }
+    }
+
+    class Slider extends Widget {
+        constructor(options = {}) {
+            super(Object.assign({ width: 200, height: 40 }, options));
+            this.min = options.min ?? 0;
+            this.max = options.max ?? 1;
+            this.step = options.step ?? 0;
+            this.value = stepValue(options.value ?? this.min, this.min, this.max, this.step);
+            this.captures = true;
+        }
+
+        // Value from the fingertip's position along the slider
+        drag(cursor) {
+            const t = (cursor.x - this.x) / this.width;
+            this.setValue(stepValue(this.min + t * (this.max - this.min), this.min, this.max, this.step), cursor);
+        }
+
+        drawWidget() {
+            const t = (this.value - this.min) / (this.max - this.min || 1);
+            noStroke();
+            fill(STYLE.idle);
+            rect(this.x, this.y, this.width, this.height, 8);
+            fill(this.stateColor() === STYLE.idle ? [0, 120, 200, 200] : this.stateColor());
+            rect(this.x, this.y, this.width * t, this.height, 8);
+            fill(STYLE.text);
+            textAlign(CENTER, CENTER);
+            textSize(14);
+            text(`${this.label} ${Number(this.value.toFixed(2))}`, this.x + this.width / 2, this.y + this.height / 2);
+        }
+    }
+
+    class Dial extends Widget {
+        constructor(options = {}) {
+            const radius = options.radius ?? 40;
+            super(Object.assign({}, options, { width: radius * 2, height: radius * 2 }));
+            this.radius = radius;
+            this.min = options.min ?? 0;
+            this.max = options.max ?? 1;
+            this.step = options.step ?? 0;
+            this.value = stepValue(options.value ?? this.min, this.min, this.max, this.step);
+            this.captures = true;
+        }
+
+        // Inside the circle (x, y is the centre)
+        partAt(x, y) {
+            return Math.hypot(x - this.x, y - this.y) <= this.radius ? 0 : null;
+        }
+
+        // Value from the fingertip's angle: straight down is the gap, -135 to 135 degrees from the top
+        drag(cursor) {
+            const angle = Math.atan2(cursor.x - this.x, this.y - cursor.y) * 180 / Math.PI;
+            const t = (Math.max(-135, Math.min(135, angle)) + 135) / 270;
+            this.setValue(stepValue(this.min + t * (this.max - this.min), this.min, this.max, this.step), cursor);
+        }
+
+        drawWidget() {
+            const t = (this.value - this.min) / (this.max - this.min || 1);
+            const start = -Math.PI / 2 - Math.PI * 3 / 4;
+            const end = start + t * Math.PI * 3 / 2;
+            noStroke();
+            fill(this.stateColor());
+            circle(this.x, this.y, this.radius * 2);
+            noFill();
+            stroke(0, 200, 255);
+            strokeWeight(5);
+            arc(this.x, this.y, this.radius * 1.6, this.radius * 1.6, start, end);
+            // Pointer line at the current value
+            strokeWeight(3);
+            stroke(STYLE.text);
+            line(this.x, this.y, this.x + Math.cos(end) * this.radius * 0.8, this.y + Math.sin(end) * this.radius * 0.8);
+            noStroke();
+            fill(STYLE.text);
+            textAlign(CENTER, TOP);
+            textSize(12);
+            text(`${this.label} ${Number(this.value.toFixed(2))}`, this.x, this.y + this.radius + 4);
+        }
+    }
+
+    class Menu extends Widget {
+        constructor(options = {}) {
+            super(options);
+            this.items = options.items || [];
+            this.value = options.value ?? this.items[0] ?? null;
+            this.open = false;
+        }
+
+        // 'header' for the top box, or the number of the item under the point while open
+        partAt(x, y) {
+            if (x < this.x || x > this.x + this.width || y < this.y) return null;
+            if (y <= this.y + this.height) return 'header';
+            const index = Math.floor((y - this.y - this.height) / this.height);
+            return this.open && index < this.items.length ? index : null;
+        }
+
+        // The header opens and closes the list; an item is chosen and the list closes
+        press(cursor, part) {
+            if (part === 'header') {
+                this.open = !this.open;
+                return;
+            }
+            this.open = false;
+            this.setValue(this.items[part], cursor);
+        }
+
+        drawWidget() {
+            noStroke();
+            fill(this.open ? STYLE.hover : this.stateColor());
+            rect(this.x, this.y, this.width, this.height, 8);
+            fill(STYLE.text);
+            textAlign(CENTER, CENTER);
+            textSize(14);
+            text(`${this.label ? this.label + ': ' : ''}${this.value ?? ''} ${this.open ? '▲' : '▼'}`,
+                 this.x + this.width / 2, this.y + this.height / 2);
+            if (!this.open) return;
+
+            this.items.forEach((item, i) => {
+                const y = this.y + this.height * (i + 1);
+                const hovered = this.hoveredParts && this.hoveredParts.includes(i);
+                fill(hovered ? STYLE.hover : item === this.value ? STYLE.on : STYLE.idle);
+                rect(this.x, y, this.width, this.height);
+                fill(STYLE.text);
+                text(String(item), this.x + this.width / 2, y + this.height / 2);
+            });
+        }
+    }
+
+    class WidgetPanel extends Emitter {
+        constructor(options = {}) {
+            super();
+            this.activation = options.activation ?? 'both';
+            this.dwellTime = options.dwellTime ?? 1000;
+            this.pointer = options.pointer ?? 8;
+            this.threshold = options.threshold ?? 0;
+            this.now = options.now ?? defaultNow;
+            this.ownPinch = !options.pinch;
+            this.pinch = options.pinch ?? new PinchDetector();
+            this.widgets = [];
+            this.cursors = new Map();  // hand key -> { key, handIndex, x, y, visible, pinching, hover, part, hoverStart, held, heldBy, dwellBlocked }
+        }
+
+        // Add a widget and pass on its events; returns the widget so listeners can be added to it
+        add(widget) {
+            this.widgets.push(widget);
+            widget.on('press', (event) => this.emit('press', event));
+            widget.on('change', (event) => this.emit('change', event));
+            return widget;
+        }
+
+        remove(widget) {
+            this.widgets = this.widgets.filter(w => w !== widget);
+            this.cursors.forEach(cursor => {
+                if (cursor.held === widget) cursor.held = null;
+                if (cursor.hover === widget) cursor.hover = null;
+            });
+        }
+
+        // The topmost widget and part under a point; an open menu covers what is under it
+        widgetAt(x, y) {
+            const ordered = this.widgets.filter(w => w.enabled).sort((a, b) => (b.open ? 1 : 0) - (a.open ? 1 : 0));
+            for (const widget of ordered) {
+                const part = widget.partAt(x, y);
+                if (part !== null) return { widget, part };
+            }
+            return { widget: null, part: null };
+        }
+
+        // Move each hand's cursor to its fingertip and work the widgets;
+        // keys (e.g. track IDs) default to hand.id, then the array index
+        update(hands, time = this.now(), keys = null) {
+            hands = hands || [];
+            if (this.ownPinch) this.pinch.update(hands, time, keys);
+            const seen = new Set();
+
+            hands.forEach((hand, i) => {
+                const key = keys ? keys[i] : (hand.id ?? i);
+                seen.add(key);
+                let cursor = this.cursors.get(key);
+                if (!cursor) {
+                    cursor = { key: key, hover: null, part: null, hoverStart: time, held: null };
+                    this.cursors.set(key, cursor);
+                }
+                cursor.handIndex = i;
+                const tip = hand && hand.keypoints ? hand.keypoints[this.pointer] : null;
+                const wasPinching = cursor.pinching;
+                cursor.visible = Tracking.isVisible(tip, this.threshold);
+                cursor.pinching = cursor.visible && this.pinch.isPinching(key);
+                if (cursor.visible) {
+                    cursor.x = tip.x;
+                    cursor.y = tip.y;
+                }
+                this.updateCursor(cursor, !wasPinching && cursor.pinching, time);
+            });
+
+            // Hands that were lost let go of their widget, then their cursors are forgotten
+            for (const [key, cursor] of [...this.cursors]) {
+                if (seen.has(key)) continue;
+                cursor.visible = false;
+                cursor.pinching = false;
+                this.updateCursor(cursor, false, time);
+                this.cursors.delete(key);
+            }
+            this.updateStates(time);
+        }
+
+        // Press, drag and release one cursor's widget
+        updateCursor(cursor, pinchStarted, time) {
+            const { widget, part } = cursor.visible ? this.widgetAt(cursor.x, cursor.y) : { widget: null, part: null };
+
+            if (cursor.held) {
+                const held = cursor.held;
+                // A pinch holds until it opens; a dwell holds until the fingertip moves to another part
+                const letGo = !cursor.visible ||
+                    (cursor.heldBy === 'pinch' ? !cursor.pinching
+                                               : widget !== held || (!held.captures && part !== cursor.part));
+                if (!letGo) {
+                    if (held.captures) held.drag(cursor);
+                    return;
+                }
+                held.release(cursor);
+                cursor.held = null;
+                // Don't let a dwell press it again until the fingertip has moved off
+                cursor.dwellBlocked = true;
+            }
+
+            if (widget !== cursor.hover || part !== cursor.part) {
+                cursor.hover = widget;
+                cursor.part = part;
+                cursor.hoverStart = time;
+                cursor.dwellBlocked = false;
+            }
+            if (!widget) return;
+
+            const usePinch = this.activation !== 'dwell';
+            const useDwell = this.activation !== 'pinch';
+            if (usePinch && pinchStarted) {
+                this.activate(cursor, widget, part, 'pinch');
+            } else if (useDwell && !cursor.pinching && !cursor.dwellBlocked && time - cursor.hoverStart >= this.dwellTime) {
+                this.activate(cursor, widget, part, 'dwell');
+            }
+        }
+
+        activate(cursor, widget, part, method) {
+            cursor.held = widget;
+            cursor.heldBy = method;
+            widget.press(cursor, part);
+            if (widget.captures) widget.drag(cursor);
+        }
+
+        // Hovered, pressed and dwell progress of every widget, for drawing
+        updateStates(time) {
+            this.widgets.forEach(widget => {
+                const cursors = [...this.cursors.values()];
+                const hovering = cursors.filter(c => c.hover === widget && c.visible);
+                widget.hovered = hovering.length > 0;
+                widget.hoveredParts = hovering.map(c => c.part);
+                widget.pressed = cursors.some(c => c.held === widget);
+                widget.dwell = 0;
+                if (this.activation === 'pinch') return;
+                hovering.filter(c => !c.held && !c.pinching && !c.dwellBlocked).forEach(c => {
+                    widget.dwell = Math.max(widget.dwell, Math.min(1, (time - c.hoverStart) / this.dwellTime));
+                });
+            });
+        }
+
+        // Draw the widgets, then each hand's cursor with its dwell ring
+        draw() {
+            this.widgets.forEach(widget => widget.draw());
+
+            push();
+            [...this.cursors.values()].forEach((cursor, i) => {
+                if (!cursor.visible) return;
+                const c = STYLE.cursors[i % STYLE.cursors.length];
+                noFill();
+                stroke(c);
+                strokeWeight(2);
+                circle(cursor.x, cursor.y, cursor.pinching ? 16 : 24);
+                if (cursor.hover && !cursor.held && !cursor.pinching && !cursor.dwellBlocked && this.activation !== 'pinch') {
+                    const progress = Math.min(1, (this.now() - cursor.hoverStart) / this.dwellTime);
+                    strokeWeight(4);
+                    arc(cursor.x, cursor.y, 36, 36, -Math.PI / 2, -Math.PI / 2 + progress * Math.PI * 2);
+                }
+            });
+            pop();
+        }
+    }
+
+    const HandWidgets = {
+        STYLE,
+        Widget,
+        Button,
+        Toggle,
+        Slider,
+        Dial,
+        Menu,
+        WidgetPanel
+    };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { HandWidgets };
+    } else {
+        root.HandWidgets = HandWidgets;
+    }
+})(globalThis);
@@ -0,0 +1,171 @@
+/*
+Joint Angles for Body Poses
+
+Measures the interior angle at a joint from three keypoints (e.g. shoulder, elbow, wrist)
+and names the main joints of the MoveNet skeleton. Points below the confidence threshold
+are ignored, so a joint's angle is null while any of its three points are hidden.
+
+Key Functions (all on the JointAngles object):
+- interiorAngle(pointA, vertex, pointC, threshold): angle at vertex in degrees (0-180), or null
+- angleFromVertical(fromPoint, toPoint, threshold): signed lean of a segment in degrees, or null
+  (0 = pointing straight up the screen, positive = top of the segment leans to the right)
+- computeJointAngles(pose, threshold): named angles for one person
+- computeAllJointAngles(poses, threshold): named angles for every person
+- drawJointAngles(pose, angles, threshold): p5 overlay with an arc and label at each joint
+
+Named angles returned by computeJointAngles (degrees, null when not visible):
+- left_elbow, right_elbow: shoulder - elbow - wrist (180 = straight arm)
+- left_shoulder, right_shoulder: elbow - shoulder - hip (0 = arm down by the side)
+- left_hip, right_hip: shoulder - hip - knee (180 = standing straight)
+- left_knee, right_knee: hip - knee - ankle (180 = straight leg)
+- neck_tilt: lean of mid-shoulders to nose from vertical
+- torso_lean: lean of mid-hips to mid-shoulders from vertical
+
+Example:
+
+let angles = JointAngles.computeJointAngles(poses[0], confidenceThreshold);
+if (angles.left_knee !== null && angles.left_knee < 90) {
+    // deep squat
+}
+*/
+
+(function (root) {
+    const { Tracking } = typeof module !== 'undefined' && module.exports ? require('./tracking.js') : root;
+
+    // MoveNet joints measured as [pointA, vertex, pointC] keypoint indices
+    const MOVENET_JOINTS = {
+        left_elbow: [5, 7, 9],
+        right_elbow: [6, 8, 10],
+        left_shoulder: [7, 5, 11],
+        right_shoulder: [8, 6, 12],
+        left_hip: [5, 11, 13],
+        right_hip: [6, 12, 14],
+        left_knee: [11, 13, 15],
+        right_knee: [12, 14, 16]
+    };
+
+    // Interior angle at vertex between the segments to pointA and pointC, in degrees
+    function interiorAngle(pointA, vertex, pointC, threshold = 0) {
+        if (!Tracking.isVisible(pointA, threshold) ||
+            !Tracking.isVisible(vertex, threshold) ||
+            !Tracking.isVisible(pointC, threshold)) return null;
+
+        const ax = pointA.x - vertex.x;
+        const ay = pointA.y - vertex.y;
+        const cx = pointC.x - vertex.x;
+        const cy = pointC.y - vertex.y;
+        const lengths = Math.sqrt(ax * ax + ay * ay) * Math.sqrt(cx * cx + cy * cy);
+        if (lengths === 0) return null;
+
+        // Clamp to avoid NaN from rounding errors just outside [-1, 1]
+        const cosine = Math.max(-1, Math.min(1, (ax * cx + ay * cy) / lengths));
+        return Math.acos(cosine) * 180 / Math.PI;
+    }
+
+    // Signed angle of the segment fromPoint -> toPoint away from straight up, in degrees
+    function angleFromVertical(fromPoint, toPoint, threshold = 0) {
+        if (!Tracking.isVisible(fromPoint, threshold) || !Tracking.isVisible(toPoint, threshold)) return null;
+        const dx = toPoint.x - fromPoint.x;
+        const dy = toPoint.y - fromPoint.y;
+        if (dx === 0 && dy === 0) return null;
+        // Screen y grows downwards, so "up" is -y
+        return Math.atan2(dx, -dy) * 180 / Math.PI;
+    }
+
+    // Midpoint of two visible points, or null
+    function midpoint(point1, point2, threshold = 0) {
+        if (!Tracking.isVisible(point1, threshold) || !Tracking.isVisible(point2, threshold)) return null;
+        return { x: (point1.x + point2.x) / 2, y: (point1.y + point2.y) / 2 };
+    }
+
+    // Named joint angles for one MoveNet pose
+    function computeJointAngles(pose, threshold = 0) {
+        const angles = {};
+        const keypoints = (pose && pose.keypoints) || [];
+
+        Object.keys(MOVENET_JOINTS).forEach(name => {
+            const [a, vertex, c] = MOVENET_JOINTS[name];
+            angles[name] = interiorAngle(keypoints[a], keypoints[vertex], keypoints[c], threshold);
+        });
+
+        const midShoulders = midpoint(keypoints[5], keypoints[6], threshold);
+        const midHips = midpoint(keypoints[11], keypoints[12], threshold);
+        angles.neck_tilt = angleFromVertical(midShoulders, keypoints[0], threshold);
+        angles.torso_lean = angleFromVertical(midHips, midShoulders, threshold);
+        return angles;
+    }
+
+    // Named joint angles for every pose, in the same order as poses
+    function computeAllJointAngles(poses, threshold = 0) {
+        if (!poses) return [];
+        return poses.map(pose => computeJointAngles(pose, threshold));
+    }
+
+    // Draw an arc and label for each measured joint of a pose
+    function drawJointAngles(pose, angles, threshold = 0) {
+        if (!pose || !pose.keypoints || !angles) return;
+        const keypoints = pose.keypoints;
+        const arcRadius = 25;
+
+        push();
+        Object.keys(MOVENET_JOINTS).forEach(name => {
+            const angle = angles[name];
+            if (angle === null || angle === undefined) return;
+            const [a, v, c] = MOVENET_JOINTS[name];
+            const vertex = keypoints[v];
+
+            // Sweep clockwise from one segment to the other through the interior side
+            let start = Math.atan2(keypoints[a].y - vertex.y, keypoints[a].x - vertex.x);
+            let stop = Math.atan2(keypoints[c].y - vertex.y, keypoints[c].x - vertex.x);
+            if ((stop - start + TWO_PI) % TWO_PI > PI) {
+                [start, stop] = [stop, start];
+            }
+
+            noFill();
+            stroke(255, 165, 0);
+            strokeWeight(2);
+            arc(vertex.x, vertex.y, arcRadius * 2, arcRadius * 2, start, stop);
+
+            // Label just outside the middle of the arc
+            const middle = start + ((stop - start + TWO_PI) % TWO_PI) / 2;
+            noStroke();
+            fill(255, 165, 0);
+            textAlign(CENTER, CENTER);
+            textSize(12);
+            text(`${Math.round(angle)}°`,
+                 vertex.x + Math.cos(middle) * (arcRadius + 14),
+                 vertex.y + Math.sin(middle) * (arcRadius + 14));
+        });
+
+        // Lean angles are written next to the nose and the mid-shoulder point
+        const midShoulders = midpoint(keypoints[5], keypoints[6], threshold);
+        fill(255, 165, 0);
+        noStroke();
+        textAlign(LEFT, CENTER);
+        textSize(12);
+        if (angles.neck_tilt !== null && angles.neck_tilt !== undefined && Tracking.isVisible(keypoints[0], threshold)) {
+            text(`neck ${Math.round(angles.neck_tilt)}°`, keypoints[0].x + 20, keypoints[0].y);
+        }
+        if (angles.torso_lean !== null && angles.torso_lean !== undefined && midShoulders) {
+            text(`torso ${Math.round(angles.torso_lean)}°`, midShoulders.x + 20, midShoulders.y + 20);
+        }
+        pop();
+    }
+
+    const JointAngles = {
+        MOVENET_JOINTS,
+        interiorAngle,
+        angleFromVertical,
+        midpoint,
+        computeJointAngles,
+        computeAllJointAngles,
+        drawJointAngles
+    };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { JointAngles };
+    } else {
+        root.JointAngles = JointAngles;
+    }
+})(globalThis);
@@ -0,0 +1,192 @@
+/*
+Keypoint and Centroid Motion
+
+Keeps a rolling buffer of every keypoint and the centroid of each tracked subject, and
+works out velocity, speed and acceleration in pixels per second from the callback times.
+Subjects are told apart by an id, so pair it with PersonTracker (js/lib/person_tracker.js)
+for IDs that stay with the same person.
+
+Velocity is measured over the last `velocityWindow` milliseconds rather than between the
+last two frames, which keeps it steady when frames arrive unevenly.
+
+Motion object returned by getMotion():
+{
+    x, y,                   // latest position
+    vx, vy, speed,          // pixels per second
+    ax, ay, acceleration    // pixels per second per second
+}
+
+Key Functions (Kinematics):
+- update(subjects, time): add a frame; subjects are tracks from PersonTracker, or any
+  objects with { id, keypoints, centroid }
+- getMotion(id, point): motion of a keypoint index, or of 'centroid'
+- getTrail(id, point): recent [{ t, x, y }] positions, oldest first
+- drawTrail(trail, trailColor, time): p5 fading trail
+- drawVelocityArrow(motion, arrowColor, seconds): p5 arrow showing where the point is heading
+
+Example:
+
+let kinematics = new Kinematics();
+// in gotPoses()
+kinematics.update(personTracker.update(poses));
+// in draw()
+let motion = kinematics.getMotion(tracks[0].id, 9);   // left wrist
+if (motion && motion.speed > 800) background(255, 0, 0);
+*/
+
+(function (root) {
+    const { Tracking } = typeof module !== 'undefined' && module.exports ? require('./tracking.js') : root;
+
+    function defaultNow() {
+        return performance.now();
+    }
+
+    class Kinematics {
+        // options.bufferTime: milliseconds of history kept per point
+        // options.velocityWindow: milliseconds to measure velocity over
+        // options.threshold: confidence threshold for keypoints
+        constructor(options = {}) {
+            this.bufferTime = options.bufferTime ?? 1000;
+            this.velocityWindow = options.velocityWindow ?? 100;
+            this.threshold = options.threshold ?? 0;
+            this.now = options.now || defaultNow;
+            this.subjects = new Map();   // id -> { lastSeen, points: Map(point -> samples) }
+        }
+
+        // Add one frame of subjects
+        update(subjects, time = this.now()) {
+            (subjects || []).forEach((item, i) => {
+                const id = item.id ?? i;
+                const keypoints = item.keypoints || (item.subject && item.subject.keypoints) || [];
+                const entry = this.subjects.get(id) || { lastSeen: time, points: new Map() };
+                this.subjects.set(id, entry);
+                entry.lastSeen = time;
+
+                keypoints.forEach((point, index) => {
+                    if (Tracking.isVisible(point, this.threshold)) this.addSample(entry, index, point, time);
+                });
+                const centroid = item.centroid || Tracking.keypointCentroid(keypoints, this.threshold);
+                if (Tracking.isValidPoint(centroid)) this.addSample(entry, 'centroid', centroid, time);
+            });
+
+            // Drop subjects and samples older than the buffer
+            this.subjects.forEach((entry, id) => {
+                if (time - entry.lastSeen > this.bufferTime) {
+                    this.subjects.delete(id);
+                    return;
+                }
+                entry.points.forEach((samples, point) => {
+                    while (samples.length && time - samples[0].t > this.bufferTime) samples.shift();
+                    if (samples.length === 0) entry.points.delete(point);
+                });
+            });
+        }
+
+        // Store a position and its velocity and acceleration at this time
+        addSample(entry, point, position, time) {
+            const samples = entry.points.get(point) || [];
+            entry.points.set(point, samples);
+            const last = samples[samples.length - 1];
+            if (last && last.t === time) return;
+
+            const sample = { t: time, x: position.x, y: position.y, vx: 0, vy: 0, ax: 0, ay: 0 };
+
+            // Velocity from the oldest sample inside the window (or the previous one)
+            let from = null;
+            for (let i = samples.length - 1; i >= 0; i--) {
+                if (time - samples[i].t > this.velocityWindow) {
+                    if (!from) from = samples[i];
+                    break;
+                }
+                from = samples[i];
+            }
+            if (from && time > from.t) {
+                const dt = (time - from.t) / 1000;
+                sample.vx = (sample.x - from.x) / dt;
+                sample.vy = (sample.y - from.y) / dt;
+            }
+
+            // Acceleration from the previous sample's velocity
+            if (last && time > last.t) {
+                const dt = (time - last.t) / 1000;
+                sample.ax = (sample.vx - last.vx) / dt;
+                sample.ay = (sample.vy - last.vy) / dt;
+            }
+            samples.push(sample);
+        }
+
+        // Latest motion of a keypoint index or 'centroid', or null if not seen recently
+        getMotion(id, point = 'centroid') {
+            const entry = this.subjects.get(id);
+            const samples = entry && entry.points.get(point);
+            if (!samples || samples.length === 0) return null;
+            const s = samples[samples.length - 1];
+            return {
+                x: s.x,
+                y: s.y,
+                vx: s.vx,
+                vy: s.vy,
+                speed: Math.hypot(s.vx, s.vy),
+                ax: s.ax,
+                ay: s.ay,
+                acceleration: Math.hypot(s.ax, s.ay)
+            };
+        }
+
+        // Recent positions of a keypoint index or 'centroid', oldest first
+        getTrail(id, point = 'centroid') {
+            const entry = this.subjects.get(id);
+            const samples = entry && entry.points.get(point);
+            return samples ? samples.map(s => ({ t: s.t, x: s.x, y: s.y })) : [];
+        }
+
+        // IDs with motion data
+        ids() {
+            return [...this.subjects.keys()];
+        }
+
+        reset() {
+            this.subjects.clear();
+        }
+    }
+
+    // Draw a trail that fades out with age; trailColor is an [r, g, b] array
+    function drawTrail(trail, trailColor = [255, 255, 0], time, maxAge = 1000) {
+        if (trail.length < 2) return;
+        const latest = time ?? trail[trail.length - 1].t;
+        strokeWeight(4);
+        for (let i = 1; i < trail.length; i++) {
+            const age = latest - trail[i].t;
+            const alpha = Math.max(0, 255 * (1 - age / maxAge));
+            stroke(trailColor[0], trailColor[1], trailColor[2], alpha);
+            line(trail[i - 1].x, trail[i - 1].y, trail[i].x, trail[i].y);
+        }
+    }
+
+    // Draw an arrow from the point to where it will be in `seconds` at its current velocity
+    function drawVelocityArrow(motion, arrowColor = [255, 0, 255], seconds = 0.2) {
+        if (!motion || motion.speed < 1) return;
+        const endX = motion.x + motion.vx * seconds;
+        const endY = motion.y + motion.vy * seconds;
+        const angle = Math.atan2(motion.vy, motion.vx);
+        const head = 8;
+
+        stroke(arrowColor);
+        strokeWeight(3);
+        line(motion.x, motion.y, endX, endY);
+        fill(arrowColor);
+        noStroke();
+        triangle(endX, endY,
+                 endX - head * Math.cos(angle - 0.4), endY - head * Math.sin(angle - 0.4),
+                 endX - head * Math.cos(angle + 0.4), endY - head * Math.sin(angle + 0.4));
+    }
+
+    const api = { Kinematics, drawTrail, drawVelocityArrow };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(globalThis);
@@ -0,0 +1,534 @@
+/*
+Dynamic (Moving) Gesture Recognizer
+
+Recognises movements over time - a wave, a swipe, a circle, a clap - by comparing the last
+moments of live keypoints with recorded examples (templates).
+
+A movement is a sequence of frames, each holding a few chosen keypoints (e.g. the wrist and
+index finger tip of a hand, or both wrists of a body). Sequences are normalized before they
+are compared, so a movement matches wherever it happens on the screen and however big it is:
+- resampled to the same number of frames spread evenly over the movement's duration
+- moved so the middle of all the points is at (0, 0)
+- scaled so the larger side of the area the points covered is 1
+
+Two ways of comparing:
+- "dtw" (default): dynamic time warping lines up the two sequences frame by frame, allowing
+  one to be a little faster or slower in places, and uses every chosen keypoint
+- "unistroke": a $1-style path match of the middle of the chosen keypoints, resampled by
+  distance along the path, so only the shape of the path matters and not its speed
+
+Template library (plain JSON):
+{
+    version: 1,
+    keypoints: [0, 8],                         // keypoint indices in each frame
+    method: "dtw",
+    templates: [
+        { name: "wave", threshold: 0.2, duration: 1200, frames: [[[x, y], [x, y]], ...] }
+    ]
+}
+
+Each template has its own threshold: the largest distance that still counts as a match.
+calibrate(name) sets the thresholds of one movement's templates from the spread between its
+examples, and recording an example does this for that movement only, so thresholds loaded with
+fromJSON() or set with setThreshold() for other movements are kept. calibrateThresholds() does
+every movement.
+
+Key Functions (MotionRecognizer):
+- push(subject, time): add the live subject's keypoints (a hand or pose) and look for a match
+- startRecording(name) / stopRecording(): record an example; it is added as a template
+- startTestClip(label) / stopTestClip(): record a labelled clip for the confusion report
+- classify(frames): best template for a whole recorded sequence, { label, distance, confidence }
+- confusionReport(clips): how each test clip was classified, as a matrix of actual x predicted labels
+- calibrate(name, margin) / calibrateThresholds(margin): set templates' thresholds from their examples
+- setThreshold(name, threshold): set the threshold of every template with a name
+- toJSON() / fromJSON(data)
+
+Events: gesture ({ label, distance, confidence, time }), recorded (template), clip (test clip)
+
+Helpers (on the MotionGestures object): normalizeSequence, dtwDistance, unistrokeDistance,
+formatConfusion(report), handleMotionKey(key, recognizer), drawMotionStatus(recognizer)
+
+Example:
+
+let motion = new MotionGestures.MotionRecognizer({ keypoints: [0, 8] });
+motion.on('gesture', (event) => console.log(`${event.label} (${Math.round(event.confidence * 100)}%)`));
+// in gotHands()
+if (hands[0]) motion.push(hands[0]);
+*/
+
+(function (root) {
+    const usingNode = typeof module !== 'undefined' && module.exports;
+    const { Tracking } = usingNode ? require('./tracking.js') : root;
+    const { Emitter } = usingNode ? require('./events.js') : root;
+    const { Files } = usingNode ? require('./files.js') : root;
+
+    const LIBRARY_VERSION = 1;
+
+    function defaultNow() {
+        return performance.now();
+    }
+
+    function round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+
+    // Resample { t, points } frames to `count` frames evenly spaced in time (linear interpolation)
+    function resampleInTime(frames, count) {
+        const start = frames[0].t;
+        const span = frames[frames.length - 1].t - start;
+        const out = [];
+        let j = 0;
+        for (let i = 0; i < count; i++) {
+            const t = start + (count === 1 ? 0 : span * i / (count - 1));
+            while (j < frames.length - 2 && frames[j + 1].t < t) j++;
+            const a = frames[j];
+            const b = frames[Math.min(j + 1, frames.length - 1)];
+            const f = b.t > a.t ? Math.min(1, Math.max(0, (t - a.t) / (b.t - a.t))) : 0;
+            out.push(a.points.map((p, k) => ({ x: p.x + (b.points[k].x - p.x) * f, y: p.y + (b.points[k].y - p.y) * f })));
+        }
+        return out;
+    }
+
+    // Area covered by every point of a sequence
+    function sequenceBounds(sequence) {
+        const all = [].concat(...sequence);
+        return Tracking.boxFromKeypoints(all);
+    }
+
+    // Resample, centre and scale a sequence of { t, points } frames; returns count frames of points
+    function normalizeSequence(frames, count = 32) {
+        if (!frames || frames.length < 2) return null;
+        const sequence = resampleInTime(frames, count);
+        const box = sequenceBounds(sequence);
+        const size = Math.max(box.width, box.height) || 1;
+        const cx = box.xMin + box.width / 2;
+        const cy = box.yMin + box.height / 2;
+        return sequence.map(points => points.map(p => ({ x: (p.x - cx) / size, y: (p.y - cy) / size })));
+    }
+
+    // Mean distance between matching points of two frames
+    function frameDistance(a, b) {
+        let total = 0;
+        for (let k = 0; k < a.length; k++) total += Math.hypot(a[k].x - b[k].x, a[k].y - b[k].y);
+        return total / a.length;
+    }
+
+    // Dynamic time warping distance between two normalized sequences, per frame
+    // window: how far (as a fraction of the length) one sequence may run ahead of the other
+    function dtwDistance(a, b, window = 0.25) {
+        const n = a.length;
+        const m = b.length;
+        const w = Math.max(Math.ceil(Math.max(n, m) * window), Math.abs(n - m));
+        let previous = new Array(m + 1).fill(Infinity);
+        previous[0] = 0;
+        for (let i = 1; i <= n; i++) {
+            const current = new Array(m + 1).fill(Infinity);
+            for (let j = Math.max(1, i - w); j <= Math.min(m, i + w); j++) {
+                const cost = frameDistance(a[i - 1], b[j - 1]);
+                current[j] = cost + Math.min(previous[j], current[j - 1], previous[j - 1]);
+            }
+            previous = current;
+        }
+        return previous[m] / Math.max(n, m);
+    }
+
+    // The middle of each frame's points, resampled to `count` points evenly spaced along the path
+    function strokePath(sequence, count) {
+        const path = sequence.map(points => Tracking.keypointCentroid(points));
+        let length = 0;
+        for (let i = 1; i < path.length; i++) length += Tracking.distance(path[i - 1], path[i]);
+        if (length === 0) return new Array(count).fill(path[0]);
+
+        const step = length / (count - 1);
+        const out = [path[0]];
+        let travelled = 0;
+        for (let i = 1; i < path.length && out.length < count; i++) {
+            let a = path[i - 1];
+            const b = path[i];
+            let d = Tracking.distance(a, b);
+            while (travelled + d >= step && out.length < count) {
+                const f = (step - travelled) / d;
+                a = { x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f };
+                out.push(a);
+                d = Tracking.distance(a, b);
+                travelled = 0;
+            }
+            travelled += d;
+        }
+        while (out.length < count) out.push(path[path.length - 1]);
+        return out;
+    }
+
+    // $1-style distance: mean distance between the two paths' resampled points
+    function unistrokeDistance(a, b, count = 32) {
+        const pathA = strokePath(a, count);
+        const pathB = strokePath(b, count);
+        let total = 0;
+        for (let i = 0; i < count; i++) total += Tracking.distance(pathA[i], pathB[i]);
+        return total / count;
+    }
+
+    class MotionRecognizer extends Emitter {
+        // options: {
+        //     keypoints [0, 8]     keypoint indices to follow
+        //     method "dtw"         or "unistroke"
+        //     threshold 0.2        default match distance for new templates
+        //     samples 32           frames each sequence is resampled to
+        //     minMotion 30         pixels the keypoints must move before a match is looked for
+        //     cooldown 1000        milliseconds after a match before the next one
+        //     confidence 0         keypoint confidence threshold
+        //     now
+        // }
+        constructor(options = {}) {
+            super();
+            this.keypoints = options.keypoints ?? [0, 8];
+            this.method = options.method ?? 'dtw';
+            this.threshold = options.threshold ?? 0.2;
+            this.samples = options.samples ?? 32;
+            this.minMotion = options.minMotion ?? 30;
+            this.cooldown = options.cooldown ?? 1000;
+            this.confidence = options.confidence ?? 0;
+            this.now = options.now || defaultNow;
+
+            this.templates = [];
+            this.testClips = [];
+            this.buffer = [];           // recent { t, points } frames
+            this.recording = null;      // { name, test, frames } while recording
+            this.lastMatch = -Infinity;
+            this.lastResult = null;
+            this.lastGesture = null;    // last gesture event, for drawMotionStatus
+            this.report = null;         // confusion report shown by drawMotionStatus (Q in handleMotionKey)
+        }
+
+        // This frame's chosen keypoints, filling hidden ones from the previous frame
+        framePoints(subject) {
+            const keypoints = (subject && subject.keypoints) || [];
+            const previous = this.buffer.length ? this.buffer[this.buffer.length - 1].points : null;
+            const points = this.keypoints.map((index, k) => {
+                const point = keypoints[index];
+                if (Tracking.isVisible(point, this.confidence)) return { x: point.x, y: point.y };
+                return previous ? previous[k] : null;
+            });
+            return points.every(point => point) ? points : null;
+        }
+
+        // Add the live subject's keypoints; returns a match or null
+        push(subject, time = this.now()) {
+            const points = this.framePoints(subject);
+            if (!points) return null;
+            const frame = { t: time, points: points };
+            this.buffer.push(frame);
+            if (this.recording) {
+                this.recording.frames.push(frame);
+                return null;
+            }
+
+            // Keep enough frames for the longest template
+            const longest = Math.max(1000, ...this.templates.map(template => template.duration));
+            while (this.buffer.length > 2 && time - this.buffer[0].t > longest * 1.5) this.buffer.shift();
+
+            if (time - this.lastMatch < this.cooldown) return null;
+            const result = this.matchRecent(time);
+            this.lastResult = result;
+            if (!result.label) return null;
+
+            this.lastMatch = time;
+            this.buffer = [];
+            const event = Object.assign({ time: time }, result);
+            this.lastGesture = event;
+            this.emit('gesture', event);
+            return event;
+        }
+
+        // Compare the end of the buffer with every template, each over its own duration
+        matchRecent(time) {
+            let best = { label: null, distance: Infinity, confidence: 0 };
+            this.templates.forEach(template => {
+                const frames = this.buffer.filter(frame => time - frame.t <= template.duration);
+                if (frames.length < 2 || frames[frames.length - 1].t - frames[0].t < template.duration * 0.8) return;
+                if (!this.moved(frames)) return;
+                const d = this.distance(normalizeSequence(frames, this.samples), template.frames);
+                if (d <= template.threshold && d < best.distance) {
+                    best = { label: template.name, distance: d, confidence: Math.max(0, 1 - d / template.threshold) };
+                }
+            });
+            return best;
+        }
+
+        // Whether the keypoints covered at least minMotion pixels (stillness doesn't match anything)
+        moved(frames) {
+            const box = sequenceBounds(frames.map(frame => frame.points));
+            return Math.max(box.width, box.height) >= this.minMotion;
+        }
+
+        distance(a, b) {
+            return this.method === 'unistroke' ? unistrokeDistance(a, b, this.samples) : dtwDistance(a, b);
+        }
+
+        // Best template for a whole sequence of { t, points } frames
+        classify(frames) {
+            const sequence = normalizeSequence(frames, this.samples);
+            let best = { label: null, distance: Infinity, confidence: 0 };
+            if (!sequence) return best;
+            this.templates.forEach(template => {
+                const d = this.distance(sequence, template.frames);
+                if (d <= template.threshold && d < best.distance) {
+                    best = { label: template.name, distance: d, confidence: Math.max(0, 1 - d / template.threshold) };
+                }
+            });
+            return best;
+        }
+
+        // Start recording an example of a movement (or a test clip with test: true)
+        startRecording(name, test = false) {
+            this.recording = { name: name, test: test, frames: [] };
+        }
+
+        // Stop recording; the example becomes a template, the test clip is kept for the report
+        stopRecording() {
+            const recording = this.recording;
+            this.recording = null;
+            this.buffer = [];
+            if (!recording || recording.frames.length < 2) return null;
+
+            if (recording.test) {
+                const clip = { label: recording.name, frames: recording.frames };
+                this.testClips.push(clip);
+                this.emit('clip', clip);
+                return clip;
+            }
+            const template = this.addTemplate(recording.name, recording.frames);
+            this.calibrate(recording.name);
+            this.emit('recorded', template);
+            return template;
+        }
+
+        startTestClip(label) {
+            this.startRecording(label, true);
+        }
+
+        stopTestClip() {
+            return this.stopRecording();
+        }
+
+        // Add a template from { t, points } frames
+        addTemplate(name, frames, threshold = this.threshold) {
+            const template = {
+                name: name,
+                threshold: threshold,
+                duration: frames[frames.length - 1].t - frames[0].t,
+                frames: normalizeSequence(frames, this.samples)
+            };
+            this.templates.push(template);
+            return template;
+        }
+
+        // Remove every template with the given name
+        remove(name) {
+            this.templates = this.templates.filter(template => template.name !== name);
+        }
+
+        setThreshold(name, threshold) {
+            this.templates.forEach(template => {
+                if (template.name === name) template.threshold = threshold;
+            });
+        }
+
+        // Each template with this name gets a threshold of margin x its largest distance to the
+        // other examples with the name (a single example keeps its threshold)
+        calibrate(name, margin = 1.5) {
+            const examples = this.templates.filter(template => template.name === name);
+            examples.forEach(template => {
+                const others = examples.filter(other => other !== template);
+                if (others.length === 0) return;
+                const spread = Math.max(...others.map(other => this.distance(template.frames, other.frames)));
+                template.threshold = round(Math.max(0.1, spread * margin));
+            });
+        }
+
+        // Calibrate every movement
+        calibrateThresholds(margin = 1.5) {
+            new Set(this.templates.map(template => template.name)).forEach(name => this.calibrate(name, margin));
+        }
+
+        // Classify every test clip and count actual x predicted labels ("none" when nothing matched)
+        confusionReport(clips = this.testClips) {
+            const labels = [...new Set(this.templates.map(t => t.name).concat(clips.map(c => c.label)))].sort();
+            labels.push('none');
+            const matrix = {};
+            labels.forEach(actual => {
+                matrix[actual] = {};
+                labels.forEach(predicted => { matrix[actual][predicted] = 0; });
+            });
+
+            const results = clips.map(clip => {
+                const result = this.classify(clip.frames);
+                const predicted = result.label || 'none';
+                matrix[clip.label][predicted]++;
+                return { label: clip.label, predicted: predicted, distance: result.distance };
+            });
+            const correct = results.filter(result => result.label === result.predicted).length;
+            return {
+                labels: labels,
+                matrix: matrix,
+                accuracy: results.length ? correct / results.length : null,
+                results: results
+            };
+        }
+
+        toJSON() {
+            return {
+                version: LIBRARY_VERSION,
+                keypoints: this.keypoints,
+                method: this.method,
+                templates: this.templates.map(template => ({
+                    name: template.name,
+                    threshold: template.threshold,
+                    duration: Math.round(template.duration),
+                    frames: template.frames.map(points => points.map(p => [round(p.x), round(p.y)]))
+                }))
+            };
+        }
+
+        // Replace the templates with those from a saved library
+        fromJSON(data) {
+            if (!data || !Array.isArray(data.templates)) {
+                throw new Error('Not a motion template library: missing templates array');
+            }
+            if (data.keypoints && data.keypoints.join() !== this.keypoints.join()) {
+                throw new Error(`Motion templates were recorded with keypoints ${data.keypoints.join(', ')}, not ${this.keypoints.join(', ')}`);
+            }
+            this.templates = data.templates.map((template, i) => {
+                if (!template.name || !Array.isArray(template.frames) || template.frames.length < 2) {
+                    throw new Error(`Motion template ${i} needs a name and frames`);
+                }
+                return {
+                    name: template.name,
+                    threshold: template.threshold ?? this.threshold,
+                    duration: template.duration ?? 1000,
+                    frames: template.frames.map(points => points.map(([x, y]) => ({ x: x, y: y })))
+                };
+            });
+            if (data.method) this.method = data.method;
+            return this;
+        }
+    }
+
+    // Confusion matrix as a text table, one row per actual label
+    function formatConfusion(report) {
+        const width = Math.max(6, ...report.labels.map(label => label.length)) + 2;
+        const pad = text => String(text).padStart(width);
+        const lines = [pad('actual') + report.labels.map(pad).join('')];
+        report.labels.forEach(actual => {
+            lines.push(pad(actual) + report.labels.map(predicted => pad(report.matrix[actual][predicted])).join(''));
+        });
+        const accuracy = report.accuracy === null ? '-' : Math.round(report.accuracy * 100) + '%';
+        lines.push(`accuracy: ${accuracy} of ${report.results.length} clips`);
+        return lines.join('\n');
+    }
+
+    // Default keyboard controls for training, returns true if the key was used
+    // M: record an example (press again to stop), C: record a test clip, J: save templates,
+    // U: open templates, Q: confusion report of the test clips (shown and saved; Q again hides it)
+    function handleMotionKey(key, recognizer) {
+        const lower = String(key).toLowerCase();
+        if (lower === 'm' || lower === 'c') {
+            if (recognizer.recording) {
+                recognizer.stopRecording();
+            } else {
+                const name = prompt(lower === 'm' ? 'Name of the movement to record:' : 'Which movement is this test clip?');
+                if (name && name.trim()) recognizer.startRecording(name.trim(), lower === 'c');
+            }
+            return true;
+        }
+        if (lower === 'j') {
+            Files.downloadJSON(recognizer.toJSON(), 'motion_gestures.json');
+            return true;
+        }
+        if (lower === 'u') {
+            Files.openJSONFile()
+                .then(data => recognizer.fromJSON(data))
+                .catch(err => console.error(err));
+            return true;
+        }
+        if (lower === 'q') {
+            if (recognizer.report) {
+                recognizer.report = null;
+            } else {
+                recognizer.report = recognizer.confusionReport();
+                Files.downloadJSON(recognizer.report, `motion_report_${Files.fileTimestamp()}.json`);
+            }
+            return true;
+        }
+        return false;
+    }
+
+    // Recording indicator and template counts (bottom right), the last recognised movement for
+    // a second and a half (top middle) and the confusion report while it is shown (middle)
+    function drawMotionStatus(recognizer) {
+        const names = [...new Set(recognizer.templates.map(template => template.name))];
+        const lines = names.map(name => {
+            const templates = recognizer.templates.filter(template => template.name === name);
+            return `${name} x${templates.length}  (${templates[0].threshold.toFixed(2)})`;
+        });
+        if (recognizer.testClips.length) lines.push(`${recognizer.testClips.length} test clips`);
+
+        push();
+        noStroke();
+        const gesture = recognizer.lastGesture;
+        if (gesture && recognizer.now() - gesture.time < 1500) {
+            fill(255, 0, 255);
+            textSize(32);
+            textAlign(CENTER, TOP);
+            text(gesture.label, width / 2, 60);
+        }
+
+        textSize(12);
+        textAlign(RIGHT, BOTTOM);
+        let y = height - 10;
+        if (recognizer.recording) {
+            fill(255, 0, 0);
+            text(`● ${recognizer.recording.test ? 'test clip' : 'recording'} "${recognizer.recording.name}" (M/C to stop)`, width - 10, y);
+            y -= 18;
+        }
+        fill(0);
+        lines.reverse().forEach(line => {
+            text(line, width - 10, y);
+            y -= 16;
+        });
+
+        if (recognizer.report) {
+            const table = formatConfusion(recognizer.report).split('\n');
+            textFont('monospace');
+            textAlign(LEFT, TOP);
+            const boxWidth = Math.max(...table.map(line => textWidth(line))) + 20;
+            const boxHeight = table.length * 16 + 36;
+            const x = (width - boxWidth) / 2;
+            const top = (height - boxHeight) / 2;
+            fill(0, 200);
+            rect(x, top, boxWidth, boxHeight, 4);
+            fill(255);
+            table.forEach((line, i) => text(line, x + 10, top + 10 + i * 16));
+            fill(180);
+            text('Q to close', x + 10, top + boxHeight - 22);
+        }
+        pop();
+    }
+
+    const MotionGestures = {
+        normalizeSequence,
+        dtwDistance,
+        unistrokeDistance,
+        MotionRecognizer,
+        formatConfusion,
+        handleMotionKey,
+        drawMotionStatus
+    };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { MotionGestures };
+    } else {
+        root.MotionGestures = MotionGestures;
+    }
+})(globalThis);
@@ -0,0 +1,304 @@
+/*
+Running Several Models Together
+
+Helpers for running ml5 bodyPose, handPose and faceMesh on the same video and
+combining their results into one object per person.
+
+1. ModelScheduler takes turns calling each model's detect(), one model at a time, so the
+   models share the frame rate instead of all running at once. Each model gets:
+   - weight: share of the detections (a model with weight 2 runs about twice as often)
+   - maxFps: most detections per second for this model (0 = no limit)
+   - enabled: models can be switched off and on while running
+
+2. associatePeople() gives each hand and face to the nearest body:
+   - a hand's wrist (HandPose keypoint 0) is matched to a body wrist (MoveNet 9 left, 10 right)
+   - a face's nose tip (FaceMesh keypoint 1) is matched to the body's nose (MoveNet 0)
+   The closest pairs are taken first, and each wrist, nose, hand and face is used once.
+
+Merged person object:
+{
+    body,                       // MoveNet pose
+    bodyIndex,                  // index of the pose in the bodyPose results
+    leftHand, rightHand,        // HandPose hand at the body's left / right wrist, or null
+    face                        // FaceMesh face at the body's nose, or null
+}
+
+Key Functions:
+- ModelScheduler: add(name, model, callback, options), start(media), stop(), setEnabled(name, on), toggle(name)
+- associatePeople(bodies, hands, faces, options): { people, unmatchedHands, unmatchedFaces }
+
+Example:
+
+let scheduler = new ModelScheduler();
+scheduler.add("body", bodyPose, gotPoses, { weight: 2 });
+scheduler.add("hands", handPose, gotHands);
+scheduler.add("face", faceMesh, gotFaces, { maxFps: 10 });
+scheduler.start(video);
+// after each result
+let merged = associatePeople(poses, hands, faces, { threshold: 0.2 });
+*/
+
+(function (root) {
+    const { Tracking } = typeof module !== 'undefined' && module.exports ? require('./tracking.js') : root;
+
+    // Keypoints used to match the models
+    const BODY_NOSE = 0;
+    const BODY_LEFT_WRIST = 9;
+    const BODY_RIGHT_WRIST = 10;
+    const HAND_WRIST = 0;
+    const FACE_NOSE = 1;
+
+    function defaultNow() {
+        return performance.now();
+    }
+
+    class ModelScheduler {
+        constructor(options = {}) {
+            this.now = options.now || defaultNow;
+            this.entries = new Map();
+            this.media = null;
+            this.running = false;
+            this.busy = false;
+            this.timer = null;
+        }
+
+        // Add a model; callback gets its results after every detection
+        add(name, model, callback, options = {}) {
+            this.entries.set(name, {
+                name: name,
+                model: model,
+                callback: callback,
+                weight: options.weight ?? 1,
+                maxFps: options.maxFps ?? 0,
+                enabled: options.enabled ?? true,
+                lastRun: -Infinity,
+                lastDone: null,
+                pass: this.maxPass(),   // grows by 1 / weight each turn; the lowest goes next
+                duration: 0,     // milliseconds the last detection took
+                fps: 0,          // detections per second, smoothed
+                count: 0,
+                errors: 0        // detections that threw or rejected
+            });
+            return this;
+        }
+
+        get(name) {
+            return this.entries.get(name) || null;
+        }
+
+        isEnabled(name) {
+            const entry = this.entries.get(name);
+            return !!entry && entry.enabled;
+        }
+
+        setEnabled(name, enabled) {
+            const entry = this.entries.get(name);
+            if (!entry) return;
+            if (enabled && !entry.enabled) {
+                // Start level with the running models, so it doesn't get a long run of turns
+                entry.pass = this.maxPass();
+                entry.lastDone = null;
+                entry.fps = 0;
+            }
+            entry.enabled = enabled;
+            if (enabled) this.runNext();
+        }
+
+        toggle(name) {
+            this.setEnabled(name, !this.isEnabled(name));
+        }
+
+        // Start taking turns detecting on the video (or image)
+        start(media) {
+            this.media = media;
+            this.running = true;
+            this.runNext();
+        }
+
+        stop() {
+            this.running = false;
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        // Highest pass of the enabled models
+        maxPass() {
+            let pass = 0;
+            this.entries.forEach(entry => {
+                if (entry.enabled) pass = Math.max(pass, entry.pass);
+            });
+            return pass;
+        }
+
+        // The enabled model whose turn it is, or null if every model is at its maxFps
+        nextEntry(time = this.now()) {
+            let best = null;
+            this.entries.forEach(entry => {
+                if (!entry.enabled) return;
+                if (entry.maxFps > 0 && time - entry.lastRun < 1000 / entry.maxFps) return;
+                if (!best || entry.pass < best.pass) best = entry;
+            });
+            return best;
+        }
+
+        // Milliseconds until a rate-limited model may run again
+        waitTime(time = this.now()) {
+            let wait = Infinity;
+            this.entries.forEach(entry => {
+                if (!entry.enabled || entry.maxFps <= 0) return;
+                wait = Math.min(wait, entry.lastRun + 1000 / entry.maxFps - time);
+            });
+            return Math.max(0, wait);
+        }
+
+        // Run the next model's detect(), then schedule the one after it
+        runNext() {
+            if (!this.running || this.busy || this.timer) return;
+            const time = this.now();
+            const entry = this.nextEntry(time);
+            if (!entry) {
+                const wait = this.waitTime(time);
+                if (wait < Infinity) {
+                    this.timer = setTimeout(() => {
+                        this.timer = null;
+                        this.runNext();
+                    }, wait);
+                }
+                return;
+            }
+
+            this.busy = true;
+            entry.lastRun = time;
+            entry.pass += 1 / entry.weight;
+
+            // Let the browser draw before the next detection
+            const scheduleNext = () => {
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    this.runNext();
+                }, 0);
+            };
+            // Only the first of results or an error counts (detect may give both a callback and a promise)
+            let finished = false;
+            const gotResults = results => {
+                if (finished) return;
+                finished = true;
+                const done = this.now();
+                if (entry.lastDone !== null) {
+                    const fps = 1000 / Math.max(1, done - entry.lastDone);
+                    entry.fps = entry.fps ? entry.fps * 0.9 + fps * 0.1 : fps;
+                }
+                entry.duration = done - time;
+                entry.lastDone = done;
+                entry.count++;
+                this.busy = false;
+                // Results from a model switched off while it was detecting are dropped.
+                // A callback that throws still lets the other models carry on.
+                try {
+                    if (entry.enabled) entry.callback(results);
+                } finally {
+                    scheduleNext();
+                }
+            };
+            const failed = err => {
+                if (finished) return;
+                finished = true;
+                entry.errors++;
+                this.busy = false;
+                console.error(`${entry.name} detection failed`, err);
+                scheduleNext();
+            };
+
+            let returned;
+            try {
+                returned = entry.model.detect(this.media, gotResults);
+            } catch (err) {
+                failed(err);
+                return;
+            }
+            if (returned && typeof returned.then === 'function') returned.catch(failed);
+        }
+    }
+
+    // Pair up items from two lists by distance, closest first; returns [{ a, b, distance }]
+    function greedyPairs(aPoints, bPoints, maxDistance) {
+        const candidates = [];
+        aPoints.forEach((a, ai) => {
+            if (!a) return;
+            bPoints.forEach((b, bi) => {
+                if (!b) return;
+                const d = Tracking.distance(a, b);
+                if (d <= maxDistance) candidates.push({ a: ai, b: bi, distance: d });
+            });
+        });
+        candidates.sort((p, q) => p.distance - q.distance);
+
+        const usedA = new Set();
+        const usedB = new Set();
+        return candidates.filter(pair => {
+            if (usedA.has(pair.a) || usedB.has(pair.b)) return false;
+            usedA.add(pair.a);
+            usedB.add(pair.b);
+            return true;
+        });
+    }
+
+    // A keypoint if it is visible enough, otherwise null
+    function visiblePoint(subject, index, threshold) {
+        const point = subject && subject.keypoints ? subject.keypoints[index] : null;
+        return Tracking.isVisible(point, threshold) ? point : null;
+    }
+
+    // Give each hand and face to the nearest body
+    // options: { threshold 0, handDistance 100, faceDistance 80 } (distances in pixels)
+    function associatePeople(bodies = [], hands = [], faces = [], options = {}) {
+        const threshold = options.threshold ?? 0;
+        const handDistance = options.handDistance ?? 100;
+        const faceDistance = options.faceDistance ?? 80;
+
+        const people = bodies.map((body, i) => ({
+            body: body,
+            bodyIndex: i,
+            leftHand: null,
+            rightHand: null,
+            face: null
+        }));
+
+        // Every body has two wrist slots: 2 * i is the left wrist, 2 * i + 1 the right
+        const wrists = [];
+        bodies.forEach(body => {
+            wrists.push(visiblePoint(body, BODY_LEFT_WRIST, threshold));
+            wrists.push(visiblePoint(body, BODY_RIGHT_WRIST, threshold));
+        });
+        const handWrists = hands.map(hand => visiblePoint(hand, HAND_WRIST, threshold));
+        const matchedHands = new Set();
+        greedyPairs(wrists, handWrists, handDistance).forEach(pair => {
+            const person = people[Math.floor(pair.a / 2)];
+            person[pair.a % 2 === 0 ? 'leftHand' : 'rightHand'] = hands[pair.b];
+            matchedHands.add(pair.b);
+        });
+
+        const noses = bodies.map(body => visiblePoint(body, BODY_NOSE, threshold));
+        const faceNoses = faces.map(face => visiblePoint(face, FACE_NOSE, 0));
+        const matchedFaces = new Set();
+        greedyPairs(noses, faceNoses, faceDistance).forEach(pair => {
+            people[pair.a].face = faces[pair.b];
+            matchedFaces.add(pair.b);
+        });
+
+        return {
+            people: people,
+            unmatchedHands: hands.filter((hand, i) => !matchedHands.has(i)),
+            unmatchedFaces: faces.filter((face, i) => !matchedFaces.has(i))
+        };
+    }
+
+    const api = { ModelScheduler, associatePeople };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(globalThis);
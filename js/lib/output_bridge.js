@@ -0,0 +1,265 @@
+/*
+Output Bridge for Streaming Tracking Data
+
+Sends each frame's keypoints, boxes, centroids and derived values (joint angles, gestures, ...)
+out of the browser over a WebSocket, so tools like TouchDesigner, Max or Unity can use them.
+relay/osc_relay.js receives the frames and re-sends them as OSC over UDP.
+
+Frame schema (JSON text message):
+{
+    type: "frame",
+    model: "body",                 // address prefix: body, hand, face, ...
+    t: 1234.5,                     // milliseconds
+    canvas: { width: 640, height: 480 },
+    subjects: [
+        {
+            id: 0,                 // stable ID if known, otherwise the array index
+            keypoints: [ { index: 9, x: 320.5, y: 200.1, confidence: 0.9 }, ... ],
+            box: { x: 100, y: 50, width: 200, height: 400 },
+            centroid: { x: 200, y: 250 },
+            derived: { left_elbow: 92.5, gesture: "peace" }
+        }
+    ]
+}
+
+OSC addresses made from a frame (frameToOscMessages):
+    /body/count                       number of subjects
+    /body/0/keypoint/9/x              (and /y, /z, /confidence)
+    /body/0/box/x                     (and /y, /width, /height)
+    /body/0/centroid/x                (and /y)
+    /body/0/left_elbow                one address per derived value
+
+Bridge options (all optional):
+{
+    url: "ws://localhost:8080",
+    model: "body",
+    maxRate: 30,                                  // frames per second at most
+    fields: ["keypoints", "confidence", "box", "centroid", "derived"],
+    keypoints: null,                              // array of keypoint indices to send, or null for all
+    threshold: 0,                                 // skip keypoints below this confidence
+    precision: 2                                  // decimal places
+}
+
+Key Functions:
+- serializeFrame(subjects, options, time): build a frame object
+- frameToOscMessages(frame): list of { address, value, type? } (used by the relay)
+- OutputBridge: connects, reconnects and sends rate-limited frames
+- drawBridgeStatus(bridge): draws the connection state on the canvas
+
+A sketch connects when the page is opened with ?bridge=ws://host:port, or when bridge.connect() is called.
+
+Example:
+
+let bridge = new OutputBridge({ model: "body", keypoints: [0, 9, 10] });
+bridge.connect();
+// in gotPoses()
+bridge.send(poses.map((pose, i) => ({ id: tracks[i].id, keypoints: pose.keypoints, derived: jointAngles[i] })));
+*/
+
+(function (root) {
+    const { Tracking } = typeof module !== 'undefined' && module.exports ? require('./tracking.js') : root;
+
+    const ALL_FIELDS = ['keypoints', 'confidence', 'box', 'centroid', 'derived'];
+
+    const DEFAULT_OPTIONS = {
+        url: 'ws://localhost:8080',
+        model: 'body',
+        maxRate: 30,
+        fields: ALL_FIELDS,
+        keypoints: null,
+        threshold: 0,
+        precision: 2
+    };
+
+    function defaultNow() {
+        return performance.now();
+    }
+
+    function roundTo(value, precision) {
+        const factor = Math.pow(10, precision);
+        return Math.round(value * factor) / factor;
+    }
+
+    // Build a frame from subjects: { id?, keypoints, box?, centroid?, derived? }
+    function serializeFrame(subjects, options = {}, time = 0) {
+        const o = Object.assign({}, DEFAULT_OPTIONS, options);
+        const fields = new Set(o.fields);
+        const r = (value) => roundTo(value, o.precision);
+
+        const frame = {
+            type: 'frame',
+            model: o.model,
+            t: r(time),
+            subjects: []
+        };
+        if (o.canvas) frame.canvas = o.canvas;
+
+        (subjects || []).forEach((subject, i) => {
+            const out = { id: subject.id ?? i };
+            const keypoints = subject.keypoints || [];
+
+            if (fields.has('keypoints')) {
+                out.keypoints = [];
+                keypoints.forEach((point, index) => {
+                    if (o.keypoints && !o.keypoints.includes(index)) return;
+                    if (!Tracking.isVisible(point, o.threshold)) return;
+                    const p = { index: index, x: r(point.x), y: r(point.y) };
+                    if (typeof point.z === 'number') p.z = r(point.z);
+                    if (fields.has('confidence') && typeof point.confidence === 'number') {
+                        p.confidence = r(point.confidence);
+                    }
+                    out.keypoints.push(p);
+                });
+            }
+
+            const box = subject.box || Tracking.boxFromKeypoints(keypoints, o.threshold);
+            if (fields.has('box') && box) {
+                out.box = { x: r(box.xMin), y: r(box.yMin), width: r(box.width), height: r(box.height) };
+            }
+
+            const centroid = subject.centroid || Tracking.boxCenter(box);
+            if (fields.has('centroid') && centroid) {
+                out.centroid = { x: r(centroid.x), y: r(centroid.y) };
+            }
+
+            if (fields.has('derived') && subject.derived) {
+                out.derived = {};
+                Object.keys(subject.derived).forEach(name => {
+                    const value = subject.derived[name];
+                    if (value === null || value === undefined) return;
+                    out.derived[name] = typeof value === 'number' ? r(value) : value;
+                });
+            }
+            frame.subjects.push(out);
+        });
+        return frame;
+    }
+
+    // Turn a frame into flat OSC-style { address, value, type? } pairs (type 'i' marks integers)
+    function frameToOscMessages(frame) {
+        const prefix = '/' + (frame.model || 'data');
+        const messages = [{ address: `${prefix}/count`, value: frame.subjects.length, type: 'i' }];
+
+        frame.subjects.forEach(subject => {
+            const base = `${prefix}/${subject.id}`;
+            (subject.keypoints || []).forEach(p => {
+                ['x', 'y', 'z', 'confidence'].forEach(axis => {
+                    if (typeof p[axis] === 'number') {
+                        messages.push({ address: `${base}/keypoint/${p.index}/${axis}`, value: p[axis] });
+                    }
+                });
+            });
+            if (subject.box) {
+                ['x', 'y', 'width', 'height'].forEach(field => {
+                    messages.push({ address: `${base}/box/${field}`, value: subject.box[field] });
+                });
+            }
+            if (subject.centroid) {
+                messages.push({ address: `${base}/centroid/x`, value: subject.centroid.x });
+                messages.push({ address: `${base}/centroid/y`, value: subject.centroid.y });
+            }
+            Object.keys(subject.derived || {}).forEach(name => {
+                let value = subject.derived[name];
+                if (typeof value === 'boolean') value = value ? 1 : 0;
+                if (typeof value === 'number' || typeof value === 'string') {
+                    messages.push({ address: `${base}/${name}`, value: value });
+                }
+            });
+        });
+        return messages;
+    }
+
+    class OutputBridge {
+        constructor(options = {}) {
+            this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+            this.now = options.now || defaultNow;
+            this.socket = null;
+            this.enabled = false;
+            this.lastSent = -Infinity;
+            this.retryDelay = 1000;
+            this.retryTimer = null;
+            this.sentCount = 0;
+        }
+
+        get connected() {
+            return !!this.socket && this.socket.readyState === 1;   // WebSocket.OPEN
+        }
+
+        // Open the WebSocket and keep reconnecting until disconnect() is called
+        connect(url = this.options.url) {
+            this.options.url = url;
+            this.enabled = true;
+            this.openSocket();
+        }
+
+        openSocket() {
+            if (!this.enabled || typeof WebSocket === 'undefined') return;
+            const socket = new WebSocket(this.options.url);
+            this.socket = socket;
+            socket.onopen = () => {
+                this.retryDelay = 1000;
+            };
+            socket.onclose = () => {
+                if (this.socket !== socket || !this.enabled) return;
+                // Try again later, waiting longer each time up to 10 seconds
+                this.retryTimer = setTimeout(() => this.openSocket(), this.retryDelay);
+                this.retryDelay = Math.min(this.retryDelay * 2, 10000);
+            };
+            socket.onerror = () => {
+                console.warn(`Output bridge could not reach ${this.options.url}`);
+            };
+        }
+
+        // Connect to the URL in the ?bridge= query parameter, if any
+        connectFromQuery() {
+            if (typeof location === 'undefined') return;
+            const url = new URLSearchParams(location.search).get('bridge');
+            if (url) this.connect(url);
+        }
+
+        disconnect() {
+            this.enabled = false;
+            clearTimeout(this.retryTimer);
+            if (this.socket) this.socket.close();
+            this.socket = null;
+        }
+
+        toggle() {
+            this.enabled ? this.disconnect() : this.connect();
+        }
+
+        // Send a frame if connected and the rate limit allows; returns true if sent
+        send(subjects, time = this.now()) {
+            if (!this.connected) return false;
+            if (time - this.lastSent < 1000 / this.options.maxRate) return false;
+            this.lastSent = time;
+            this.socket.send(JSON.stringify(serializeFrame(subjects, this.options, time)));
+            this.sentCount++;
+            return true;
+        }
+    }
+
+    // Draw the bridge connection state in the top right corner of the canvas
+    function drawBridgeStatus(bridge) {
+        if (!bridge || !bridge.enabled) return;
+        const label = bridge.connected ? `OSC bridge: ${bridge.sentCount} frames` : `OSC bridge: connecting to ${bridge.options.url}`;
+        push();
+        textSize(12);
+        noStroke();
+        fill(0, 150);
+        rect(width - textWidth(label) - 20, 5, textWidth(label) + 15, 24, 4);
+        fill(bridge.connected ? color(0, 255, 0) : color(255, 165, 0));
+        textAlign(RIGHT, CENTER);
+        text(label, width - 12, 17);
+        pop();
+    }
+
+    const api = { OutputBridge, serializeFrame, frameToOscMessages, drawBridgeStatus };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(globalThis);
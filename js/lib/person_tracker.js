@@ -0,0 +1,243 @@
+/*
+Persistent Person Identity
+
+Gives every tracked subject (person, hand or face) a stable ID that survives people
+crossing, leaving and coming back, so labels and colours no longer follow array order.
+
+- When the model gives each subject an id (MoveNet with enableTracking: true), that id is used.
+- Otherwise (BlazePose, HandPose, FaceMesh) subjects are matched to the previous frame's
+  tracks by box overlap (IoU), then by the distance between centroids.
+
+A subject with no box (none of its keypoints are above the threshold) can only keep a track
+through the model's id. Otherwise it is not matched and does not start a new track; it gets a
+placeholder track that is not stored, so the result still lines up with the subjects. A placeholder's
+id is "placeholder:<index>" (and placeholder is true), which never matches a real track's number, so
+modules keyed by track id (kinematics, units, filters, visuals) keep its data apart.
+
+Each track keeps a history of its boxes and centroids. A track that is not seen for
+`timeout` milliseconds is retired and fires an 'exit' event; new tracks fire 'enter'.
+
+Track object:
+{
+    id: 3,                      // stable ID, counting up from 0
+    color: [r, g, b],           // stable colour for this ID
+    box, centroid,              // latest box and centroid
+    subject,                    // latest subject from the model results
+    history: [ { t, box, centroid }, ... ],
+    firstSeen, lastSeen         // milliseconds
+}
+
+Key Functions (PersonTracker):
+- update(subjects, time): match this frame's subjects and return their tracks, in the same order
+- getTrack(id): a track by ID, or null
+- activeTracks(): every track that has not been retired
+- on('enter' | 'exit', listener): listen for tracks appearing and being retired
+
+Example:
+
+let personTracker = new PersonTracker({ timeout: 1500 });
+personTracker.on('enter', (track) => console.log(`Person ${track.id} arrived`));
+// in gotPoses()
+let tracks = personTracker.update(poses);
+*/
+
+(function (root) {
+    const usingNode = typeof module !== 'undefined' && module.exports;
+    const { Tracking } = usingNode ? require('./tracking.js') : root;
+    const { Emitter } = usingNode ? require('./events.js') : root;
+
+    function defaultNow() {
+        return performance.now();
+    }
+
+    // Overlap of two boxes as intersection over union (0-1)
+    function boxIoU(a, b) {
+        if (!a || !b) return 0;
+        const w = Math.min(a.xMax, b.xMax) - Math.max(a.xMin, b.xMin);
+        const h = Math.min(a.yMax, b.yMax) - Math.max(a.yMin, b.yMin);
+        if (w <= 0 || h <= 0) return 0;
+        const intersection = w * h;
+        const union = a.width * a.height + b.width * b.height - intersection;
+        return union > 0 ? intersection / union : 0;
+    }
+
+    // Well spread colour for an ID, stepping the hue by the golden angle
+    function colorForId(id) {
+        const hue = (id * 137.508) % 360;
+        return hsvToRgb(hue, 0.8, 1);
+    }
+
+    function hsvToRgb(h, s, v) {
+        const c = v * s;
+        const x = c * (1 - Math.abs((h / 60) % 2 - 1));
+        const m = v - c;
+        const [r, g, b] = h < 60 ? [c, x, 0] : h < 120 ? [x, c, 0] : h < 180 ? [0, c, x] :
+                          h < 240 ? [0, x, c] : h < 300 ? [x, 0, c] : [c, 0, x];
+        return [Math.round((r + m) * 255), Math.round((g + m) * 255), Math.round((b + m) * 255)];
+    }
+
+    class PersonTracker extends Emitter {
+        // options.timeout: milliseconds a track can go unseen before it is retired
+        // options.historyLength: number of { t, box, centroid } entries kept per track
+        // options.minIoU: smallest box overlap that counts as the same subject
+        // options.maxDistance: largest centroid jump in pixels that counts as the same subject
+        // options.useModelIds: use the model's own id when there is one
+        // options.threshold: confidence threshold for boxes computed from keypoints
+        constructor(options = {}) {
+            super();
+            this.timeout = options.timeout ?? 1000;
+            this.historyLength = options.historyLength ?? 60;
+            this.minIoU = options.minIoU ?? 0.2;
+            this.maxDistance = options.maxDistance ?? 150;
+            this.useModelIds = options.useModelIds ?? true;
+            this.threshold = options.threshold ?? 0;
+            this.now = options.now || defaultNow;
+
+            this.tracks = new Map();     // id -> track
+            this.modelIds = new Map();   // model's id -> our id
+            this.nextId = 0;
+        }
+
+        // Match subjects to tracks and return one track per subject, in the same order
+        update(subjects, time = this.now()) {
+            subjects = subjects || [];
+            const detections = subjects.map(subject => {
+                const box = Tracking.getBox(subject, this.threshold);
+                return { subject: subject, box: box, centroid: Tracking.boxCenter(box) };
+            });
+            const assigned = new Array(detections.length).fill(null);
+            const claimed = new Set();
+
+            // 1. Use the model's own ids
+            if (this.useModelIds) {
+                detections.forEach((d, i) => {
+                    const modelId = d.subject && d.subject.id;
+                    if (modelId === undefined || modelId === null) return;
+                    let id = this.modelIds.get(modelId);
+                    if (id === undefined || !this.tracks.has(id)) {
+                        id = this.createTrack(time).id;
+                        this.modelIds.set(modelId, id);
+                    }
+                    if (claimed.has(id)) return;
+                    assigned[i] = id;
+                    claimed.add(id);
+                });
+            }
+
+            // 2. Match the rest by box overlap, best pairs first
+            const candidates = [];
+            const open = [...this.tracks.values()].filter(track =>
+                !claimed.has(track.id) && track.modelId === undefined && track.box);
+            detections.forEach((d, i) => {
+                if (assigned[i] !== null || !d.box) return;
+                open.forEach(track => {
+                    const iou = boxIoU(d.box, track.box);
+                    const distance = Tracking.distance(d.centroid, track.centroid);
+                    if (iou >= this.minIoU || (distance !== null && distance <= this.maxDistance)) {
+                        candidates.push({ i: i, track: track, iou: iou, distance: distance });
+                    }
+                });
+            });
+            // 3. ... falling back to the nearest centroid when boxes don't overlap
+            candidates.sort((a, b) => (b.iou - a.iou) || (a.distance - b.distance));
+            candidates.forEach(c => {
+                if (assigned[c.i] !== null || claimed.has(c.track.id)) return;
+                assigned[c.i] = c.track.id;
+                claimed.add(c.track.id);
+            });
+
+            // 4. Anything left over with a box is somebody new
+            detections.forEach((d, i) => {
+                if (assigned[i] === null && d.box) assigned[i] = this.createTrack(time).id;
+            });
+
+            // Store this frame on each matched track
+            const result = detections.map((d, i) => {
+                if (assigned[i] === null) return this.placeholderTrack(d, i, time);
+                const track = this.tracks.get(assigned[i]);
+                const modelId = d.subject && d.subject.id;
+                if (this.useModelIds && modelId !== undefined && modelId !== null) track.modelId = modelId;
+                track.subject = d.subject;
+                track.box = d.box;
+                track.centroid = d.centroid;
+                track.lastSeen = time;
+                track.history.push({ t: time, box: d.box, centroid: d.centroid });
+                if (track.history.length > this.historyLength) track.history.shift();
+                if (!track.entered) {
+                    track.entered = true;
+                    this.emit('enter', track);
+                }
+                return track;
+            });
+
+            this.retireStaleTracks(time);
+            return result;
+        }
+
+        createTrack(time) {
+            const id = this.nextId++;
+            const track = {
+                id: id,
+                color: colorForId(id),
+                box: null,
+                centroid: null,
+                subject: null,
+                history: [],
+                firstSeen: time,
+                lastSeen: time,
+                entered: false
+            };
+            this.tracks.set(id, track);
+            return track;
+        }
+
+        // Stand-in for a subject with nothing to track it by; it is not stored and fires no events
+        placeholderTrack(detection, index, time) {
+            return {
+                id: `placeholder:${index}`,
+                placeholder: true,
+                color: [128, 128, 128],
+                box: null,
+                centroid: null,
+                subject: detection.subject,
+                history: [],
+                firstSeen: time,
+                lastSeen: time,
+                entered: false
+            };
+        }
+
+        // Remove tracks that have not been seen for longer than the timeout
+        retireStaleTracks(time) {
+            this.tracks.forEach((track, id) => {
+                if (time - track.lastSeen <= this.timeout) return;
+                this.tracks.delete(id);
+                if (track.modelId !== undefined) this.modelIds.delete(track.modelId);
+                if (track.entered) this.emit('exit', track);
+            });
+        }
+
+        getTrack(id) {
+            return this.tracks.get(id) || null;
+        }
+
+        activeTracks() {
+            return [...this.tracks.values()];
+        }
+
+        // Forget every track without firing events
+        reset() {
+            this.tracks.clear();
+            this.modelIds.clear();
+        }
+    }
+
+    const api = { PersonTracker, boxIoU, colorForId };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(globalThis);
@@ -0,0 +1,295 @@
+/*
+Pinch and Drag Interaction
+
+Turns the distance between two keypoints of a hand (by default THUMB_TIP 4 and
+INDEX_FINGER_TIP 8) into pinch events. The distance is divided by the diagonal of the
+hand's bounding box, so the same pinch works near and far from the camera. Two
+thresholds (hysteresis) stop the state flickering: a pinch starts below startRatio and
+only ends once the ratio rises above endRatio.
+
+Key Classes:
+- PinchDetector: emits 'pinchstart', 'pinchmove' and 'pinchend' per hand
+- PinchInteraction: uses a PinchDetector to grab, drag, scale and rotate objects,
+  emitting 'grab', 'drag', 'transform' and 'release'
+
+Hands are told apart by a key that stays the same between frames: pass keys (e.g. the track
+IDs from js/lib/person_tracker.js) to update(), otherwise hand.id or the array index is used.
+
+Pinch event:
+{
+    key: 3,             // the hand's key
+    handIndex: 0,       // the hand's position in this frame's array (its last position on pinchend after it was lost)
+    x, y,               // midpoint between the two fingertips
+    startX, startY,     // where this pinch started
+    ratio: 0.05,        // fingertip distance / hand box diagonal
+    time: 1234.5        // milliseconds
+}
+
+Draggable objects are plain objects; PinchInteraction only reads and writes these fields:
+{ x, y, width, height, scale: 1, rotation: 0 }   // x, y is the centre, rotation in radians
+
+Example:
+
+let pinches = new PinchDetector();
+let interaction = new PinchInteraction(pinches, [
+    { x: 200, y: 200, width: 100, height: 100, scale: 1, rotation: 0 }
+]);
+pinches.on('pinchstart', (event) => console.log('pinch', event.key));
+// in gotHands()
+pinches.update(hands, undefined, handTracks.map(track => track.id));
+*/
+
+(function (root) {
+    const usingNode = typeof module !== 'undefined' && module.exports;
+    const { Tracking } = usingNode ? require('./tracking.js') : root;
+    const { Emitter } = usingNode ? require('./events.js') : root;
+
+    function defaultNow() {
+        return performance.now();
+    }
+
+    class PinchDetector extends Emitter {
+        // options.pointA / options.pointB: keypoint indices to pinch together (default thumb tip and index tip)
+        // options.startRatio: pinch starts when distance / box diagonal drops below this
+        // options.endRatio: pinch ends when distance / box diagonal rises above this
+        constructor(options = {}) {
+            super();
+            this.pointA = options.pointA ?? 4;
+            this.pointB = options.pointB ?? 8;
+            this.startRatio = options.startRatio ?? 0.1;
+            this.endRatio = options.endRatio ?? 0.16;
+            this.now = options.now || defaultNow;
+            this.states = new Map();   // hand key -> { pinching, handIndex, startX, startY, last }
+        }
+
+        // Pinch ratio and midpoint for one hand, or null if the points are missing
+        measure(hand) {
+            if (!hand || !hand.keypoints) return null;
+            const a = hand.keypoints[this.pointA];
+            const b = hand.keypoints[this.pointB];
+            const box = Tracking.boxFromKeypoints(hand.keypoints);
+            if (!Tracking.isValidPoint(a) || !Tracking.isValidPoint(b) || !box) return null;
+
+            const diagonal = Math.hypot(box.width, box.height);
+            if (diagonal === 0) return null;
+            return {
+                ratio: Tracking.distance(a, b) / diagonal,
+                x: (a.x + b.x) / 2,
+                y: (a.y + b.y) / 2
+            };
+        }
+
+        // Update every hand's pinch state from a HandPose results array;
+        // keys (e.g. track IDs) default to hand.id, then the array index
+        update(hands, time = this.now(), keys = null) {
+            hands = hands || [];
+            const seen = new Set();
+
+            hands.forEach((hand, i) => {
+                const key = keys ? keys[i] : (hand.id ?? i);
+                seen.add(key);
+                let state = this.states.get(key);
+                if (!state) {
+                    state = { pinching: false };
+                    this.states.set(key, state);
+                }
+                state.handIndex = i;
+                this.step(key, state, this.measure(hand), time);
+            });
+
+            // Hands that were lost end their pinch, then are forgotten
+            for (const [key, state] of [...this.states]) {
+                if (seen.has(key)) continue;
+                this.step(key, state, null, time);
+                this.states.delete(key);
+            }
+        }
+
+        // Move one hand's state on by a measurement (null when the hand is missing)
+        step(key, state, m, time) {
+            if (state.pinching) {
+                if (!m || m.ratio > this.endRatio) {
+                    // Fingers opened, or the hand was lost
+                    state.pinching = false;
+                    this.emit('pinchend', this.makeEvent(key, m || state.last, state, time));
+                } else {
+                    state.last = m;
+                    this.emit('pinchmove', this.makeEvent(key, m, state, time));
+                }
+            } else if (m && m.ratio < this.startRatio) {
+                state.pinching = true;
+                state.startX = m.x;
+                state.startY = m.y;
+                state.last = m;
+                this.emit('pinchstart', this.makeEvent(key, m, state, time));
+            }
+        }
+
+        makeEvent(key, m, state, time) {
+            return {
+                key: key,
+                handIndex: state.handIndex,
+                x: m.x,
+                y: m.y,
+                startX: state.startX,
+                startY: state.startY,
+                ratio: m.ratio,
+                time: time
+            };
+        }
+
+        // True if the hand with this key is currently pinching
+        isPinching(key) {
+            const state = this.states.get(key);
+            return !!(state && state.pinching);
+        }
+    }
+
+    // True if point (x, y) is inside an object, allowing for its scale and rotation
+    function containsPoint(object, x, y) {
+        const scale = object.scale ?? 1;
+        const rotation = object.rotation ?? 0;
+        const dx = x - object.x;
+        const dy = y - object.y;
+        // Rotate the point into the object's own frame
+        const localX = dx * Math.cos(-rotation) - dy * Math.sin(-rotation);
+        const localY = dx * Math.sin(-rotation) + dy * Math.cos(-rotation);
+        return Math.abs(localX) <= object.width * scale / 2 &&
+               Math.abs(localY) <= object.height * scale / 2;
+    }
+
+    class PinchInteraction extends Emitter {
+        // detector: a PinchDetector; objects: array of draggable objects (last one is on top)
+        constructor(detector, objects = []) {
+            super();
+            this.detector = detector;
+            this.objects = objects;
+            this.grabs = new Map();   // hand key -> { object, offsetX, offsetY, x, y }
+            this.twoHand = null;      // { object, hands (keys), distance, angle, scale, rotation }
+
+            detector.on('pinchstart', (event) => this.onPinchStart(event));
+            detector.on('pinchmove', (event) => this.onPinchMove(event));
+            detector.on('pinchend', (event) => this.onPinchEnd(event));
+        }
+
+        // Topmost object under a point
+        objectAt(x, y) {
+            for (let i = this.objects.length - 1; i >= 0; i--) {
+                if (containsPoint(this.objects[i], x, y)) return this.objects[i];
+            }
+            return null;
+        }
+
+        // Keys of the hands currently holding an object
+        handsOn(object) {
+            return [...this.grabs.keys()].filter(key => this.grabs.get(key).object === object);
+        }
+
+        onPinchStart(event) {
+            const object = this.objectAt(event.x, event.y);
+            if (!object) return;
+
+            // Bring the grabbed object to the front
+            this.objects.splice(this.objects.indexOf(object), 1);
+            this.objects.push(object);
+
+            this.grabs.set(event.key, {
+                object: object,
+                offsetX: object.x - event.x,
+                offsetY: object.y - event.y,
+                x: event.x,
+                y: event.y
+            });
+            this.emit('grab', { object: object, key: event.key, handIndex: event.handIndex });
+
+            const holders = this.handsOn(object);
+            if (holders.length === 2) this.startTwoHand(object, holders);
+        }
+
+        // Remember the starting spread and angle of two hands holding the same object
+        startTwoHand(object, holders) {
+            const [a, b] = holders.map(key => this.grabs.get(key));
+            this.twoHand = {
+                object: object,
+                hands: holders,
+                distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+                angle: Math.atan2(b.y - a.y, b.x - a.x),
+                scale: object.scale ?? 1,
+                rotation: object.rotation ?? 0,
+                midX: (a.x + b.x) / 2,
+                midY: (a.y + b.y) / 2,
+                objectX: object.x,
+                objectY: object.y
+            };
+        }
+
+        onPinchMove(event) {
+            const grab = this.grabs.get(event.key);
+            if (!grab) return;
+            grab.x = event.x;
+            grab.y = event.y;
+            const object = grab.object;
+
+            if (this.twoHand && this.twoHand.object === object) {
+                // Two hands: spread scales, turning rotates, the midpoint moves the object
+                const t = this.twoHand;
+                const [a, b] = t.hands.map(key => this.grabs.get(key));
+                const distance = Math.hypot(b.x - a.x, b.y - a.y);
+                const angle = Math.atan2(b.y - a.y, b.x - a.x);
+                object.scale = Math.max(0.1, t.scale * distance / t.distance);
+                object.rotation = t.rotation + (angle - t.angle);
+                object.x = t.objectX + (a.x + b.x) / 2 - t.midX;
+                object.y = t.objectY + (a.y + b.y) / 2 - t.midY;
+                this.emit('transform', { object: object, scale: object.scale, rotation: object.rotation });
+            } else {
+                object.x = event.x + grab.offsetX;
+                object.y = event.y + grab.offsetY;
+                this.emit('drag', { object: object, key: event.key, handIndex: event.handIndex, x: object.x, y: object.y });
+            }
+        }
+
+        onPinchEnd(event) {
+            const grab = this.grabs.get(event.key);
+            if (!grab) return;
+            this.grabs.delete(event.key);
+            const object = grab.object;
+
+            if (this.twoHand && this.twoHand.object === object) {
+                // Carry on dragging with the hand that is still pinching
+                this.twoHand = null;
+                this.handsOn(object).forEach(key => {
+                    const other = this.grabs.get(key);
+                    other.offsetX = object.x - other.x;
+                    other.offsetY = object.y - other.y;
+                });
+            }
+            this.emit('release', { object: object, key: event.key, handIndex: event.handIndex });
+        }
+    }
+
+    // Draw draggable objects as rectangles, using object.color if set
+    function drawPinchObjects(objects, interaction) {
+        objects.forEach(object => {
+            const held = interaction && interaction.handsOn(object).length > 0;
+            push();
+            translate(object.x, object.y);
+            rotate(object.rotation ?? 0);
+            scale(object.scale ?? 1);
+            rectMode(CENTER);
+            fill(object.color || color(0, 150, 255, 180));
+            stroke(held ? color(255, 255, 0) : color(255));
+            strokeWeight(held ? 4 : 2);
+            rect(0, 0, object.width, object.height, 8);
+            pop();
+        });
+    }
+
+    const api = { PinchDetector, PinchInteraction, drawPinchObjects };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(globalThis);
@@ -0,0 +1,292 @@
+/*
+3D Poses from BlazePose World Landmarks
+
+BlazePose ("full" or "heavy") gives every pose a keypoints3D array as well as the 2D keypoints:
+33 points in metres, centred between the hips, with x to the right, y down and z away from the
+camera. This module measures joint angles in 3D (so they don't change as someone turns), draws
+the skeleton in a p5 WEBGL view you can orbit around, and records the 3D points per frame.
+The bones come from js/lib/skeletons.js.
+
+Key Functions (all on the Pose3D object):
+- angle3D(pointA, vertex, pointC, threshold): interior angle at vertex in degrees, or null
+- jointAngles3D(keypoints3D, threshold): named elbow, shoulder, hip and knee angles
+  (same names as js/lib/joint_angles.js)
+- OrbitView(options): a WEBGL view drawn onto the 2D canvas, with a floor grid and depth-coloured bones
+    view.render(people, threshold): draw [{ keypoints3D, color }, ...] into the view
+    view.draw(): put the view on the canvas at its x, y
+    view.mouseDragged() / view.mouseWheel(delta) / view.reset(): orbit, zoom and reset the camera
+- WorldRecorder: records { t, people: [{ id, keypoints3D, angles }] } each frame, saved as JSON and CSV
+
+Orbit view options (all optional):
+{
+    x: 640, y: 0, width: 640, height: 480,   // where the view goes on the canvas
+    pixelsPerMetre: 200,
+    yaw: 0.6, pitch: 0.3, distance: 900      // starting camera angle (radians) and distance (pixels)
+}
+
+Example:
+
+let view = new Pose3D.OrbitView({ x: 640, y: 0 });
+// in draw()
+view.render(poses.map(pose => ({ keypoints3D: pose.keypoints3D, color: [0, 255, 0] })), 0.2);
+view.draw();
+let angles = Pose3D.jointAngles3D(poses[0].keypoints3D, 0.2);
+*/
+
+(function (root) {
+    const usingNode = typeof module !== 'undefined' && module.exports;
+    const { Tracking } = usingNode ? require('./tracking.js') : root;
+    const { Files } = usingNode ? require('./files.js') : root;
+    const { Skeletons } = usingNode ? require('./skeletons.js') : root;
+
+    // BlazePose joints measured as [pointA, vertex, pointC] keypoint indices
+    const BLAZEPOSE_JOINTS = {
+        left_elbow: [11, 13, 15],
+        right_elbow: [12, 14, 16],
+        left_shoulder: [13, 11, 23],
+        right_shoulder: [14, 12, 24],
+        left_hip: [11, 23, 25],
+        right_hip: [12, 24, 26],
+        left_knee: [23, 25, 27],
+        right_knee: [24, 26, 28]
+    };
+
+    // Points used to find the floor: ankles, heels and toes
+    const FOOT_POINTS = [27, 28, 29, 30, 31, 32];
+
+    // Check a 3D point has numbers for x, y and z and is confident enough
+    function isVisible3D(point, threshold = 0) {
+        return Tracking.isVisible(point, threshold) && typeof point.z === 'number' && !isNaN(point.z);
+    }
+
+    // Interior angle at vertex between the segments to pointA and pointC, in degrees
+    function angle3D(pointA, vertex, pointC, threshold = 0) {
+        if (!isVisible3D(pointA, threshold) || !isVisible3D(vertex, threshold) || !isVisible3D(pointC, threshold)) return null;
+        const a = [pointA.x - vertex.x, pointA.y - vertex.y, pointA.z - vertex.z];
+        const c = [pointC.x - vertex.x, pointC.y - vertex.y, pointC.z - vertex.z];
+        const lengths = Math.hypot(...a) * Math.hypot(...c);
+        if (lengths === 0) return null;
+
+        // Clamp to avoid NaN from rounding errors just outside [-1, 1]
+        const cosine = Math.max(-1, Math.min(1, (a[0] * c[0] + a[1] * c[1] + a[2] * c[2]) / lengths));
+        return Math.acos(cosine) * 180 / Math.PI;
+    }
+
+    // Named 3D joint angles for one pose's keypoints3D (null where a point is hidden)
+    function jointAngles3D(keypoints3D, threshold = 0) {
+        const angles = {};
+        Object.entries(BLAZEPOSE_JOINTS).forEach(([name, [a, b, c]]) => {
+            angles[name] = keypoints3D ? angle3D(keypoints3D[a], keypoints3D[b], keypoints3D[c], threshold) : null;
+        });
+        return angles;
+    }
+
+    // Height of the floor in metres: the lowest visible foot point, or 0.9 m below the hips
+    function floorHeight(people, threshold = 0) {
+        let floor = null;
+        people.forEach(person => {
+            FOOT_POINTS.forEach(i => {
+                const point = person.keypoints3D && person.keypoints3D[i];
+                if (isVisible3D(point, threshold) && (floor === null || point.y > floor)) floor = point.y;
+            });
+        });
+        return floor ?? 0.9;
+    }
+
+    class OrbitView {
+        constructor(options = {}) {
+            this.x = options.x ?? 640;
+            this.y = options.y ?? 0;
+            this.width = options.width ?? 640;
+            this.height = options.height ?? 480;
+            this.pixelsPerMetre = options.pixelsPerMetre ?? 200;
+            this.initialCamera = {
+                yaw: options.yaw ?? 0.6,
+                pitch: options.pitch ?? 0.3,
+                distance: options.distance ?? 900
+            };
+            this.graphics = createGraphics(this.width, this.height, WEBGL);
+            this.reset();
+        }
+
+        // Put the camera back where it started
+        reset() {
+            Object.assign(this, this.initialCamera);
+        }
+
+        // Check whether a canvas point is inside the view
+        contains(px, py) {
+            return px >= this.x && px <= this.x + this.width && py >= this.y && py <= this.y + this.height;
+        }
+
+        // Drag inside the view to orbit (call from the sketch's mouseDragged)
+        mouseDragged() {
+            if (!this.contains(pmouseX, pmouseY)) return false;
+            this.yaw -= (mouseX - pmouseX) * 0.01;
+            this.pitch = Math.max(-1.4, Math.min(1.4, this.pitch + (mouseY - pmouseY) * 0.01));
+            return true;
+        }
+
+        // Scroll inside the view to zoom (call from the sketch's mouseWheel)
+        mouseWheel(delta) {
+            if (!this.contains(mouseX, mouseY)) return false;
+            this.distance = Math.max(200, Math.min(3000, this.distance * (1 + delta * 0.001)));
+            return true;
+        }
+
+        // Draw the floor grid and each person's skeleton; people are spaced 1 m apart so they don't overlap
+        render(people, threshold = 0) {
+            const g = this.graphics;
+            const s = this.pixelsPerMetre;
+            g.background(30);
+            g.camera(
+                this.distance * Math.sin(this.yaw) * Math.cos(this.pitch),
+                -this.distance * Math.sin(this.pitch),
+                this.distance * Math.cos(this.yaw) * Math.cos(this.pitch),
+                0, 0, 0, 0, 1, 0
+            );
+
+            // Floor grid every 25 cm, 4 m across
+            const floor = floorHeight(people, threshold) * s;
+            g.stroke(90);
+            g.strokeWeight(1);
+            for (let i = -8; i <= 8; i++) {
+                g.line(i * s / 4, floor, -2 * s, i * s / 4, floor, 2 * s);
+                g.line(-2 * s, floor, i * s / 4, 2 * s, floor, i * s / 4);
+            }
+
+            // World z points away from the camera; p5's z points towards the viewer, so flip it
+            const toView = (point, offset) => [(point.x + offset) * s, point.y * s, -point.z * s];
+            const near = color(255, 80, 0);
+            const far = color(0, 140, 255);
+
+            people.forEach((person, i) => {
+                const points = person.keypoints3D;
+                if (!points) return;
+                const offset = i - (people.length - 1) / 2;
+
+                // Bones coloured by depth: orange is nearer the camera, blue is further away
+                g.strokeWeight(4);
+                Skeletons.getSkeleton('BlazePose').connections.forEach(([a, b]) => {
+                    if (!isVisible3D(points[a], threshold) || !isVisible3D(points[b], threshold)) return;
+                    const depth = (points[a].z + points[b].z) / 2;
+                    g.stroke(lerpColor(near, far, constrain(map(depth, -0.5, 0.5, 0, 1), 0, 1)));
+                    g.line(...toView(points[a], offset), ...toView(points[b], offset));
+                });
+
+                // Joints in the person's colour
+                g.noStroke();
+                g.fill(person.color || [255, 255, 255]);
+                points.forEach(point => {
+                    if (!isVisible3D(point, threshold)) return;
+                    g.push();
+                    g.translate(...toView(point, offset));
+                    g.sphere(4);
+                    g.pop();
+                });
+            });
+            return g;
+        }
+
+        // Put the view on the canvas, with a border and a hint
+        draw() {
+            image(this.graphics, this.x, this.y);
+            push();
+            noFill();
+            stroke(0);
+            rect(this.x, this.y, this.width, this.height);
+            noStroke();
+            fill(200);
+            textAlign(RIGHT, BOTTOM);
+            textSize(11);
+            text('drag to orbit, scroll to zoom, double-click to reset', this.x + this.width - 8, this.y + this.height - 6);
+            pop();
+        }
+    }
+
+    // Records the 3D points and angles of every person each frame
+    class WorldRecorder {
+        constructor(options = {}) {
+            this.threshold = options.threshold ?? 0;
+            this.now = options.now ?? (() => performance.now());
+            this.recording = false;
+            this.frames = [];
+            this.startTime = 0;
+        }
+
+        start() {
+            this.frames = [];
+            this.startTime = this.now();
+            this.recording = true;
+        }
+
+        // Stop recording and return the frames
+        stop() {
+            this.recording = false;
+            return this.frames;
+        }
+
+        // Start, or stop and save, the recording
+        toggle() {
+            if (!this.recording) {
+                this.start();
+                return;
+            }
+            this.stop();
+            if (this.frames.length > 0) this.save();
+        }
+
+        // Add this frame's people: [{ id, keypoints3D }, ...]
+        add(people, time = this.now()) {
+            if (!this.recording) return;
+            this.frames.push({
+                t: Math.round(time - this.startTime),
+                people: people.filter(person => person.keypoints3D).map(person => ({
+                    id: person.id,
+                    keypoints3D: person.keypoints3D.map(p => ({ x: p.x, y: p.y, z: p.z, confidence: p.confidence, name: p.name })),
+                    angles: jointAngles3D(person.keypoints3D, this.threshold)
+                }))
+            });
+        }
+
+        toJSON() {
+            return { model: 'BlazePose', units: 'metres', createdAt: new Date().toISOString(), frames: this.frames };
+        }
+
+        // One row per keypoint per person per frame
+        toCSV() {
+            const rows = ['t,person,index,name,x,y,z,confidence'];
+            this.frames.forEach(frame => {
+                frame.people.forEach(person => {
+                    person.keypoints3D.forEach((p, i) => {
+                        rows.push([frame.t, person.id, i, p.name || '', p.x, p.y, p.z, p.confidence].join(','));
+                    });
+                });
+            });
+            return rows.join('\n');
+        }
+
+        // Download the recording as JSON and CSV
+        save() {
+            const name = `world_landmarks_${Files.fileTimestamp()}`;
+            Files.downloadJSON(this.toJSON(), `${name}.json`);
+            Files.downloadText(this.toCSV(), `${name}.csv`, 'text/csv');
+        }
+    }
+
+    const Pose3D = {
+        BLAZEPOSE_JOINTS,
+        angle3D,
+        jointAngles3D,
+        floorHeight,
+        OrbitView,
+        WorldRecorder
+    };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { Pose3D };
+    } else {
+        root.Pose3D = Pose3D;
+    }
+})(globalThis);
@@ -0,0 +1,278 @@
+/*
+Custom Pose Training with ml5.neuralNetwork
+
+Collects labelled examples from live poses (or hands), trains a small ml5.neuralNetwork on them
+in the browser, and then predicts the label (classification) or a number (regression) for new
+poses. No server is needed: the network is small enough to train in a few seconds.
+
+Keypoints are normalized before they go into the network, so it learns the shape of the pose
+rather than where the person is standing or how close they are to the camera:
+- x and y are measured from the centre of the subject's box
+- and divided by the larger side of the box
+- keypoints below the confidence threshold are given as (0, 0)
+
+Tasks:
+- "classification": each example has a label, e.g. "arms up"; predictions are { label, confidence }
+- "regression": each example has a number, e.g. 0-9; predictions are { value }
+
+Files (all saved as downloads):
+- model.json, model_meta.json, model.weights.bin: the trained network (save() / load())
+- <name>.json: the collected examples, to train again later (saveData() / loadData())
+
+Key Functions (PoseTrainer):
+- addSample(subject, label): add one example; returns false if the subject has no keypoints
+- train(): normalize the data and train; 'epoch' events carry the loss for the curve
+- predict(subject): start a prediction (one at a time); the result arrives in trainer.prediction
+  (a failed prediction is logged and the next call tries again)
+- save(name) / saveData(name) / load(files) / loadData(files)
+- drawTrainerStatus(trainer, x, y): p5 panel with the example counts, state and loss curve
+
+Events: epoch ({ epoch, loss }), trained, prediction (the prediction), loaded
+
+Example:
+
+let trainer = new PoseTrainer({ task: "classification", threshold: 0.2 });
+// while a key is held
+trainer.addSample(poses[0], "arms up");
+// when there are enough examples
+trainer.train();
+// in gotPoses() once trained
+trainer.predict(poses[0]);
+if (trainer.prediction) text(trainer.prediction.label, 20, 20);
+*/
+
+(function (root) {
+    const usingNode = typeof module !== 'undefined' && module.exports;
+    const { Tracking } = usingNode ? require('./tracking.js') : root;
+    const { Emitter } = usingNode ? require('./events.js') : root;
+    const { Files } = usingNode ? require('./files.js') : root;
+
+    // Keypoints as a flat [x0, y0, x1, y1, ...] array centred on the box and scaled by its larger side
+    function normalizeKeypoints(subject, threshold = 0) {
+        if (!subject || !subject.keypoints || subject.keypoints.length === 0) return null;
+        const box = Tracking.getBox(subject, threshold);
+        if (!box) return null;
+        const size = Math.max(box.width, box.height) || 1;
+        const cx = box.xMin + box.width / 2;
+        const cy = box.yMin + box.height / 2;
+
+        const inputs = [];
+        subject.keypoints.forEach(point => {
+            if (Tracking.isVisible(point, threshold)) {
+                inputs.push((point.x - cx) / size, (point.y - cy) / size);
+            } else {
+                inputs.push(0, 0);
+            }
+        });
+        return inputs;
+    }
+
+    class PoseTrainer extends Emitter {
+        // options: {
+        //     task "classification"    or "regression"
+        //     threshold 0              keypoint confidence threshold
+        //     epochs 50, batchSize 16, learningRate 0.2, hiddenUnits 16
+        //     backend                  e.g. "cpu" to call ml5.setBackend() first (note: the detectors use it too)
+        // }
+        constructor(options = {}) {
+            super();
+            this.task = options.task ?? 'classification';
+            this.threshold = options.threshold ?? 0;
+            this.epochs = options.epochs ?? 50;
+            this.batchSize = options.batchSize ?? 16;
+            this.learningRate = options.learningRate ?? 0.2;
+            this.hiddenUnits = options.hiddenUnits ?? 16;
+            if (options.backend) ml5.setBackend(options.backend);
+
+            this.state = 'collecting';      // collecting, training, ready
+            this.counts = {};               // number of examples per label (or value)
+            this.losses = [];               // loss after each epoch of the last training
+            this.prediction = null;
+            this.predicting = false;
+            this.network = this.createNetwork();
+        }
+
+        createNetwork() {
+            return ml5.neuralNetwork({
+                task: this.task,
+                learningRate: this.learningRate,
+                hiddenUnits: this.hiddenUnits,
+                debug: false
+            });
+        }
+
+        get sampleCount() {
+            return Object.values(this.counts).reduce((a, b) => a + b, 0);
+        }
+
+        // Add one example; regression labels are turned into numbers
+        addSample(subject, label) {
+            const inputs = normalizeKeypoints(subject, this.threshold);
+            if (!inputs) return false;
+            const output = this.task === 'regression' ? { value: Number(label) } : { label: String(label) };
+            this.network.addData(inputs, output);
+            this.counts[label] = (this.counts[label] || 0) + 1;
+            return true;
+        }
+
+        // Normalize the collected data and train; returns false if there is nothing to train on
+        train() {
+            if (this.state === 'training' || this.sampleCount === 0) return false;
+            this.state = 'training';
+            this.losses = [];
+            this.prediction = null;
+            this.network.normalizeData();
+            this.network.train(
+                { epochs: this.epochs, batchSize: this.batchSize },
+                (epoch, logs) => {
+                    // ml5 passes the Keras-style logs object ({ loss }) for each epoch
+                    const loss = typeof logs === 'number' ? logs : logs.loss;
+                    this.losses.push(loss);
+                    this.emit('epoch', { epoch: epoch, loss: loss });
+                },
+                () => {
+                    this.state = 'ready';
+                    this.emit('trained', { losses: this.losses });
+                }
+            );
+            return true;
+        }
+
+        // Start a prediction for a subject; skipped while the last one is still running
+        predict(subject) {
+            if (this.state !== 'ready' || this.predicting) return;
+            const inputs = normalizeKeypoints(subject, this.threshold);
+            if (!inputs) return;
+            this.predicting = true;
+
+            // ml5 may answer through the callback, the returned promise or both; only the first counts
+            let finished = false;
+            const failed = err => {
+                if (finished) return;
+                finished = true;
+                this.predicting = false;
+                console.error('Pose prediction failed', err);
+            };
+            const done = (results, err) => {
+                if (err || results instanceof Error) {
+                    failed(err || results);
+                    return;
+                }
+                if (finished) return;
+                finished = true;
+                this.predicting = false;
+                if (!results || !results[0]) return;
+                this.prediction = this.task === 'regression'
+                    ? { value: results[0].value }
+                    : { label: results[0].label, confidence: results[0].confidence };
+                this.emit('prediction', this.prediction);
+            };
+
+            let returned;
+            try {
+                returned = this.task === 'regression'
+                    ? this.network.predict(inputs, done)
+                    : this.network.classify(inputs, done);
+            } catch (err) {
+                failed(err);
+                return;
+            }
+            if (returned && typeof returned.then === 'function') returned.catch(failed);
+        }
+
+        // Download the trained network as model.json, model_meta.json and model.weights.bin
+        save(name = 'model') {
+            this.network.save(name);
+        }
+
+        // Download the collected examples as a JSON file
+        saveData(name = `pose_data_${Files.fileTimestamp()}`) {
+            this.network.saveData(name);
+        }
+
+        // Load a trained network: a path to model.json, or the three files picked together
+        load(files) {
+            this.network.load(files, () => {
+                this.state = 'ready';
+                this.emit('loaded', { type: 'model' });
+            });
+        }
+
+        // Load examples saved by saveData() (they replace nothing; call train() afterwards)
+        loadData(files) {
+            this.network.loadData(files, () => {
+                this.counts = {};
+                (this.network.neuralNetworkData.data.raw || []).forEach(item => {
+                    const label = this.task === 'regression' ? item.ys.value : item.ys.label;
+                    this.counts[label] = (this.counts[label] || 0) + 1;
+                });
+                this.emit('loaded', { type: 'data' });
+            });
+        }
+
+        // Ask the user to pick files and pass them to load() or loadData()
+        openFiles(type = 'model') {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.multiple = type === 'model';
+            input.accept = '.json,.bin';
+            input.onchange = () => {
+                if (!input.files.length) return;
+                if (type === 'model') this.load(input.files);
+                else this.loadData(input.files);
+            };
+            input.click();
+        }
+
+        // Forget the examples and the trained network
+        reset() {
+            this.network = this.createNetwork();
+            this.state = 'collecting';
+            this.counts = {};
+            this.losses = [];
+            this.prediction = null;
+        }
+    }
+
+    // Example counts, training state and loss curve with the top left corner at x, y
+    function drawTrainerStatus(trainer, x, y, collectingLabel = null) {
+        const labels = Object.keys(trainer.counts);
+        const panelHeight = 60 + labels.length * 14 + (trainer.losses.length ? 70 : 0);
+        push();
+        noStroke();
+        fill(0, 150);
+        rect(x, y, 200, panelHeight, 4);
+
+        fill(255);
+        textAlign(LEFT, TOP);
+        textSize(12);
+        text(`${trainer.task}: ${trainer.state}`, x + 8, y + 6);
+        text(collectingLabel !== null ? `adding "${collectingLabel}"...` : `${trainer.sampleCount} examples`, x + 8, y + 22);
+        labels.forEach((label, i) => text(`${label}: ${trainer.counts[label]}`, x + 16, y + 40 + i * 14));
+
+        // Loss after each epoch, scaled to the highest loss
+        if (trainer.losses.length) {
+            const top = y + 44 + labels.length * 14;
+            const maxLoss = Math.max(...trainer.losses) || 1;
+            text(`loss ${trainer.losses[trainer.losses.length - 1].toFixed(3)}`, x + 8, top);
+            noFill();
+            stroke(255, 165, 0);
+            strokeWeight(1.5);
+            beginShape();
+            trainer.losses.forEach((loss, i) => {
+                vertex(x + 8 + (184 * i) / Math.max(1, trainer.epochs - 1), top + 66 - (loss / maxLoss) * 48);
+            });
+            endShape();
+        }
+        pop();
+    }
+
+    const api = { PoseTrainer, normalizeKeypoints, drawTrainerStatus };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(globalThis);
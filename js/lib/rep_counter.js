@@ -0,0 +1,386 @@
+/*
+Exercise Repetition Counter
+
+Counts reps of an exercise from MoveNet poses. Each exercise is described by data rather than
+code: a measurement taken every frame (a joint angle, how high some keypoints are, or how far
+apart two keypoints are), the range that counts as the start position, the range that counts
+as the far end of the movement, and form checks with a message to show.
+
+A rep is: start position -> far end -> back to the start position.
+Going past halfway and coming back without reaching the far end counts as a partial rep.
+
+Phases:
+- "ready": waiting for the person to get into the start position
+- "start": in the start position
+- "moving": on the way to the far end
+- "end": reached the far end, on the way back
+
+Exercise definition:
+{
+    label: "Squats",
+    metric: { type: "angle", joints: ["left_knee", "right_knee"], combine: "average" },
+    start: { above: 160 },          // standing up
+    end: { below: 100 },            // bottom of the squat
+    form: [                         // checked while a rep is in progress
+        { metric: { type: "angle", joints: ["torso_lean"], abs: true }, above: 45, message: "Keep your chest up" }
+    ]
+}
+
+Metric types (combine: "average" (default), "min" or "max" over the visible joints or points):
+- angle: named angles from JointAngles (left_knee, right_elbow, torso_lean, ...); abs: true ignores the sign
+- height: how far points are above the middle of reference points, in torso lengths (negative = below)
+- spread: distance between two points divided by the distance between two reference points
+
+Key Functions (RepCounter):
+- update(pose, time): measure one frame; returns the current state (reps, phase, progress, feedback)
+- setExercise(nameOrDefinition): switch exercise and start counting again
+- reset(): start counting again
+- summary(): reps, partial reps, timing and form issues, ready to save as JSON
+- countSession(session, exercise, options): run a recorded session file through a counter (works in Node)
+- drawRepCounter(counter, x, y): p5 panel with the count, progress and form feedback
+
+Events: rep (the rep's details), partial, phase ({ from, to })
+
+Example:
+
+let counter = new RepCounter("squat", { threshold: 0.2 });
+counter.on('rep', (rep) => console.log(`Rep ${rep.number} took ${rep.duration} ms`));
+// in gotPoses()
+counter.update(poses[0]);
+*/
+
+(function (root) {
+    const usingNode = typeof module !== 'undefined' && module.exports;
+    const { Tracking } = usingNode ? require('./tracking.js') : root;
+    const { JointAngles } = usingNode ? require('./joint_angles.js') : root;
+    const { Emitter } = usingNode ? require('./events.js') : root;
+
+    const EXERCISES = {
+        squat: {
+            label: 'Squats',
+            metric: { type: 'angle', joints: ['left_knee', 'right_knee'] },
+            start: { above: 160 },
+            end: { below: 100 },
+            form: [
+                { metric: { type: 'angle', joints: ['torso_lean'], abs: true }, above: 45, message: 'Keep your chest up' }
+            ]
+        },
+        pushup: {
+            label: 'Push-ups',
+            metric: { type: 'angle', joints: ['left_elbow', 'right_elbow'] },
+            start: { above: 150 },
+            end: { below: 90 },
+            form: [
+                { metric: { type: 'angle', joints: ['left_hip', 'right_hip'] }, below: 150, message: 'Keep your body in a straight line' }
+            ]
+        },
+        jumpingJack: {
+            label: 'Jumping jacks',
+            metric: { type: 'height', points: [9, 10], reference: [5, 6] },
+            start: { below: -0.4 },
+            end: { above: 0.3 },
+            form: [
+                { metric: { type: 'spread', points: [15, 16], reference: [5, 6] }, below: 1.2, during: 'end', message: 'Jump your feet wider' }
+            ]
+        },
+        bicepCurl: {
+            label: 'Bicep curls',
+            metric: { type: 'angle', joints: ['left_elbow', 'right_elbow'], combine: 'min' },
+            start: { above: 150 },
+            end: { below: 50 },
+            form: [
+                { metric: { type: 'angle', joints: ['left_shoulder', 'right_shoulder'], combine: 'max' }, above: 35, message: 'Keep your elbows by your sides' }
+            ]
+        },
+        lunge: {
+            label: 'Lunges',
+            metric: { type: 'angle', joints: ['left_knee', 'right_knee'], combine: 'min' },
+            start: { above: 160 },
+            end: { below: 100 },
+            form: [
+                { metric: { type: 'angle', joints: ['torso_lean'], abs: true }, above: 30, message: 'Keep your back upright' }
+            ]
+        }
+    };
+
+    function defaultNow() {
+        return performance.now();
+    }
+
+    function combineValues(values, combine = 'average') {
+        const visible = values.filter(value => value !== null && value !== undefined);
+        if (visible.length === 0) return null;
+        if (combine === 'min') return Math.min(...visible);
+        if (combine === 'max') return Math.max(...visible);
+        return visible.reduce((a, b) => a + b, 0) / visible.length;
+    }
+
+    // Middle of the visible points, or null
+    function middle(keypoints, indices, threshold) {
+        const points = indices.map(index => keypoints[index]).filter(point => Tracking.isVisible(point, threshold));
+        return Tracking.keypointCentroid(points);
+    }
+
+    // One frame's value of a metric, or null when its keypoints are hidden
+    function measureMetric(metric, pose, angles, threshold = 0) {
+        const keypoints = (pose && pose.keypoints) || [];
+
+        if (metric.type === 'angle') {
+            return combineValues(metric.joints.map(name => {
+                const angle = angles[name];
+                return metric.abs && angle !== null && angle !== undefined ? Math.abs(angle) : angle;
+            }), metric.combine);
+        }
+
+        if (metric.type === 'height') {
+            // Torso length (mid-shoulders to mid-hips) makes the height the same at any distance from the camera
+            const reference = middle(keypoints, metric.reference, threshold);
+            const torso = Tracking.distance(middle(keypoints, [5, 6], threshold), middle(keypoints, [11, 12], threshold));
+            if (!reference || !torso) return null;
+            return combineValues(metric.points.map(index => {
+                const point = keypoints[index];
+                return Tracking.isVisible(point, threshold) ? (reference.y - point.y) / torso : null;
+            }), metric.combine);
+        }
+
+        if (metric.type === 'spread') {
+            const visible = index => Tracking.isVisible(keypoints[index], threshold) ? keypoints[index] : null;
+            const distance = Tracking.distance(visible(metric.points[0]), visible(metric.points[1]));
+            const reference = Tracking.distance(visible(metric.reference[0]), visible(metric.reference[1]));
+            return distance !== null && reference ? distance / reference : null;
+        }
+
+        throw new Error(`Unknown metric type: ${metric.type}`);
+    }
+
+    // Whether a value is in a range { above } or { below }
+    function inRange(value, range) {
+        if (value === null) return false;
+        if (range.above !== undefined && value <= range.above) return false;
+        if (range.below !== undefined && value >= range.below) return false;
+        return true;
+    }
+
+    // The edge value of a range
+    function rangeEdge(range) {
+        return range.above !== undefined ? range.above : range.below;
+    }
+
+    class RepCounter extends Emitter {
+        // exercise: a name from EXERCISES or a definition object
+        // options: { threshold 0 (keypoint confidence), now }
+        constructor(exercise = 'squat', options = {}) {
+            super();
+            this.threshold = options.threshold ?? 0;
+            this.now = options.now || defaultNow;
+            this.setExercise(exercise);
+        }
+
+        setExercise(exercise) {
+            const definition = typeof exercise === 'string' ? EXERCISES[exercise] : exercise;
+            if (!definition) throw new Error(`Unknown exercise: ${exercise}`);
+            this.name = typeof exercise === 'string' ? exercise : (definition.name || definition.label);
+            this.exercise = definition;
+            this.reset();
+        }
+
+        // Start counting again
+        reset() {
+            this.reps = [];
+            this.partialReps = 0;
+            this.phase = 'ready';
+            this.value = null;
+            this.progress = 0;
+            this.feedback = [];
+            this.current = null;        // rep in progress: { start, bottom, furthest, form }
+            this.startedAt = null;
+            this.lastTime = null;
+            this.formCounts = {};
+        }
+
+        // Measure one frame and move through the phases; returns the current state
+        update(pose, time = this.now()) {
+            const angles = JointAngles.computeJointAngles(pose, this.threshold);
+            const value = measureMetric(this.exercise.metric, pose, angles, this.threshold);
+            if (this.startedAt === null) this.startedAt = time;
+            this.lastTime = time;
+            this.value = value;
+
+            // Hidden keypoints keep the current phase until they are visible again
+            if (value === null) return this.state();
+
+            const start = rangeEdge(this.exercise.start);
+            const end = rangeEdge(this.exercise.end);
+            this.progress = Math.min(1, Math.max(0, (value - start) / (end - start)));
+
+            const atStart = inRange(value, this.exercise.start);
+            const atEnd = inRange(value, this.exercise.end);
+
+            if (this.phase === 'ready' || this.phase === 'start') {
+                if (atStart) {
+                    this.setPhase('start');
+                } else if (this.phase === 'start') {
+                    this.current = { start: time, bottom: null, furthest: this.progress, form: [] };
+                    this.setPhase('moving');
+                }
+            }
+            if (this.phase === 'moving') {
+                this.current.furthest = Math.max(this.current.furthest, this.progress);
+                if (atEnd) {
+                    this.current.bottom = time;
+                    this.setPhase('end');
+                } else if (atStart) {
+                    this.finishPartial(time);
+                }
+            } else if (this.phase === 'end' && atStart) {
+                this.finishRep(time);
+            }
+
+            this.checkForm(pose, angles);
+            return this.state();
+        }
+
+        setPhase(phase) {
+            if (phase === this.phase) return;
+            const from = this.phase;
+            this.phase = phase;
+            this.emit('phase', { from: from, to: phase });
+        }
+
+        // Form messages for this frame; each message is counted once per rep
+        checkForm(pose, angles) {
+            this.feedback = [];
+            if (!this.current) return;
+            (this.exercise.form || []).forEach(check => {
+                const during = check.during || 'rep';
+                if (during === 'end' && this.phase !== 'end') return;
+                if (during === 'rep' && this.phase !== 'moving' && this.phase !== 'end') return;
+                const value = measureMetric(check.metric, pose, angles, this.threshold);
+                if (!inRange(value, check)) return;
+                this.feedback.push(check.message);
+                if (!this.current.form.includes(check.message)) this.current.form.push(check.message);
+            });
+        }
+
+        finishRep(time) {
+            const rep = {
+                number: this.reps.length + 1,
+                start: this.current.start,
+                bottom: this.current.bottom,
+                end: time,
+                duration: time - this.current.start,
+                down: this.current.bottom - this.current.start,
+                up: time - this.current.bottom,
+                form: this.current.form
+            };
+            rep.form.forEach(message => { this.formCounts[message] = (this.formCounts[message] || 0) + 1; });
+            this.reps.push(rep);
+            this.current = null;
+            this.setPhase('start');
+            this.emit('rep', rep);
+        }
+
+        // Back at the start without reaching the far end: a partial rep if it went past halfway
+        finishPartial(time) {
+            const furthest = this.current.furthest;
+            this.current = null;
+            this.setPhase('start');
+            if (furthest >= 0.5) {
+                this.partialReps++;
+                this.emit('partial', { time: time, progress: furthest });
+            }
+        }
+
+        // Reps per minute over the last few reps
+        get tempo() {
+            const recent = this.reps.slice(-5);
+            if (recent.length === 0) return 0;
+            const average = recent.reduce((sum, rep) => sum + rep.duration, 0) / recent.length;
+            return average > 0 ? 60000 / average : 0;
+        }
+
+        state() {
+            return {
+                exercise: this.name,
+                label: this.exercise.label,
+                reps: this.reps.length,
+                partialReps: this.partialReps,
+                phase: this.phase,
+                value: this.value,
+                progress: this.progress,
+                tempo: this.tempo,
+                feedback: this.feedback
+            };
+        }
+
+        // Everything about the set so far, ready to save as JSON
+        summary() {
+            const durations = this.reps.map(rep => rep.duration);
+            const elapsed = this.startedAt === null ? 0 : this.lastTime - this.startedAt;
+            return {
+                exercise: this.name,
+                label: this.exercise.label,
+                reps: this.reps.length,
+                partialReps: this.partialReps,
+                duration: elapsed,
+                averageRepTime: durations.length ? durations.reduce((a, b) => a + b, 0) / durations.length : null,
+                fastestRep: durations.length ? Math.min(...durations) : null,
+                slowestRep: durations.length ? Math.max(...durations) : null,
+                repsPerMinute: elapsed > 0 ? this.reps.length * 60000 / elapsed : 0,
+                formIssues: Object.assign({}, this.formCounts),
+                repDetails: this.reps.map(rep => Object.assign({}, rep, {
+                    start: rep.start - this.startedAt,
+                    bottom: rep.bottom - this.startedAt,
+                    end: rep.end - this.startedAt
+                }))
+            };
+        }
+    }
+
+    // Run a recorded session (see js/lib/session.js) through a counter using the first pose of each frame
+    // options: { threshold, personIndex 0 }; returns the counter's summary
+    function countSession(session, exercise, options = {}) {
+        const counter = new RepCounter(exercise, { threshold: options.threshold, now: () => 0 });
+        const personIndex = options.personIndex ?? 0;
+        session.frames.forEach(frame => {
+            const pose = frame.results && frame.results[personIndex];
+            if (pose) counter.update(pose, frame.t);
+        });
+        return counter.summary();
+    }
+
+    // Draw the exercise, count, progress bar and form messages with the top left corner at x, y
+    function drawRepCounter(counter, x, y) {
+        const state = counter.state();
+        push();
+        noStroke();
+        fill(0, 150);
+        rect(x, y, 220, 72 + state.feedback.length * 18, 4);
+
+        fill(255);
+        textAlign(LEFT, TOP);
+        textSize(14);
+        text(`${state.label}: ${state.reps}`, x + 10, y + 8);
+        textSize(11);
+        text(`partial ${state.partialReps}   ${state.tempo.toFixed(1)} reps/min   ${state.phase}`, x + 10, y + 30);
+
+        // How far through the movement this frame is
+        fill(80);
+        rect(x + 10, y + 50, 200, 12);
+        fill(state.phase === 'end' ? color(0, 255, 0) : color(255, 165, 0));
+        rect(x + 10, y + 50, 200 * state.progress, 12);
+
+        fill(255, 80, 80);
+        state.feedback.forEach((message, i) => text(message, x + 10, y + 72 + i * 18));
+        pop();
+    }
+
+    const api = { RepCounter, EXERCISES, measureMetric, countSession, drawRepCounter };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(globalThis);
@@ -0,0 +1,385 @@
+/*
+Tracking Session Recording and Playback
+
+Records the results an ml5 model passes to its callback (gotPoses, gotHands, gotFaces)
+together with a timestamp, and saves them as a JSON session file. A recorded session can
+be loaded again and played back through the same callback, so a sketch's drawing code
+runs unchanged without a webcam.
+
+Session file format:
+{
+    version: 1,
+    model: "MoveNet",                      // model name, for reference only
+    options: { ... },                      // options the model was created with
+    canvas: { width: 640, height: 480 },
+    createdAt: "2024-05-01T12:00:00.000Z",
+    duration: 5230,                        // milliseconds
+    frames: [
+        { t: 0, results: [ ... ] },        // t: milliseconds since recording started
+        { t: 33, results: [ ... ] }
+    ]
+}
+
+Key Classes:
+- SessionRecorder: wraps a model callback and records every result it receives
+- SessionPlayer: loads a session and feeds its frames to a callback, with pause, seek, loop and speed
+
+Key Functions:
+- handleSessionKey(key, keyCode, recorder, player): default keyboard controls, returns true if the key was used
+- drawSessionStatus(recorder, player): draws the recording / playback status on the canvas
+
+Keyboard controls (handleSessionKey):
+- R: start/stop recording (the session file is saved when recording stops)
+- O: open a session file and play it back
+- K: play/pause
+- LEFT/RIGHT: seek back/forward one second (one frame while paused)
+- UP/DOWN: faster/slower playback
+- L: loop on/off
+- X: stop playback and go back to the webcam
+
+Example:
+
+let sessionRecorder = new SessionRecorder({ model: "MoveNet", options: bodyPoseOptions });
+let sessionPlayer = new SessionPlayer(gotPoses, {
+    onStart: () => bodyPose.detectStop(),
+    onStop: () => bodyPose.detectStart(video, sessionRecorder.wrap(gotPoses))
+});
+bodyPose.detectStart(video, sessionRecorder.wrap(gotPoses));
+
+// in draw()
+sessionPlayer.update();
+
+A session can also be opened from the page address, e.g. index_hand.html?session=data/wave.json
+*/
+
+(function (root) {
+    const { Files } = typeof module !== 'undefined' && module.exports ? require('./files.js') : root;
+
+    const SESSION_VERSION = 1;
+    const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+    // Default clock in milliseconds
+    function defaultNow() {
+        return performance.now();
+    }
+
+    // Deep copy results so sketches can modify them without changing the recording
+    function cloneResults(results) {
+        return JSON.parse(JSON.stringify(results || []));
+    }
+
+    // Format milliseconds as mm:ss.s
+    function formatTime(ms) {
+        const seconds = Math.max(0, ms) / 1000;
+        const minutes = Math.floor(seconds / 60);
+        return String(minutes).padStart(2, '0') + ':' + (seconds % 60).toFixed(1).padStart(4, '0');
+    }
+
+    // Check that an object looks like a session file
+    function validateSession(session) {
+        if (!session || !Array.isArray(session.frames)) {
+            throw new Error('Not a tracking session: missing frames array');
+        }
+        session.frames.forEach((frame, i) => {
+            if (typeof frame.t !== 'number' || !Array.isArray(frame.results)) {
+                throw new Error(`Not a tracking session: frame ${i} needs a numeric t and a results array`);
+            }
+        });
+        return session;
+    }
+
+    class SessionRecorder {
+        // info: { model, options, canvas } stored in the session file
+        // now: clock in milliseconds (defaults to performance.now)
+        constructor(info = {}, now = defaultNow) {
+            this.info = info;
+            this.now = now;
+            this.recording = false;
+            this.startTime = 0;
+            this.frames = [];
+        }
+
+        // Return a callback that records results before passing them on
+        wrap(callback) {
+            return (results) => {
+                this.record(results);
+                callback(results);
+            };
+        }
+
+        // Begin a new recording, discarding any previous frames
+        start() {
+            this.frames = [];
+            this.startTime = this.now();
+            this.recording = true;
+        }
+
+        // Stop recording and return the session
+        stop() {
+            this.recording = false;
+            return this.toJSON();
+        }
+
+        // Store one callback's results if recording
+        record(results) {
+            if (!this.recording) return;
+            this.frames.push({
+                t: Math.round(this.now() - this.startTime),
+                results: cloneResults(results)
+            });
+        }
+
+        // Length of the current recording in milliseconds
+        elapsed() {
+            if (this.recording) return this.now() - this.startTime;
+            return this.frames.length ? this.frames[this.frames.length - 1].t : 0;
+        }
+
+        // Build the session object
+        toJSON() {
+            let canvasSize = this.info.canvas;
+            if (!canvasSize && typeof width === 'number' && typeof height === 'number') {
+                canvasSize = { width: width, height: height };
+            }
+            return {
+                version: SESSION_VERSION,
+                model: this.info.model || null,
+                options: this.info.options || {},
+                canvas: canvasSize || null,
+                createdAt: new Date().toISOString(),
+                duration: this.frames.length ? this.frames[this.frames.length - 1].t : 0,
+                frames: this.frames
+            };
+        }
+
+        // Save the session as a JSON file
+        download(filename) {
+            Files.downloadJSON(this.toJSON(), filename || 'session_' + Files.fileTimestamp() + '.json');
+        }
+
+        // Start or stop recording, saving the file when stopping
+        toggle() {
+            if (this.recording) {
+                this.stop();
+                if (this.frames.length > 0) this.download();
+            } else {
+                this.start();
+            }
+        }
+    }
+
+    class SessionPlayer {
+        // callback: the sketch's results callback (e.g. gotPoses)
+        // options.onStart / options.onStop: called when playback takes over from / hands back to the webcam
+        // options.now: clock in milliseconds (defaults to performance.now)
+        constructor(callback, options = {}) {
+            this.callback = callback;
+            this.onStart = options.onStart || null;
+            this.onStop = options.onStop || null;
+            this.now = options.now || defaultNow;
+
+            this.session = null;
+            this.active = false;
+            this.playing = false;
+            this.loop = true;
+            this.speed = 1;
+            this.time = 0;
+            this.frameIndex = -1;
+            this.lastUpdate = null;
+        }
+
+        // Length of the loaded session in milliseconds
+        get duration() {
+            if (!this.session || this.session.frames.length === 0) return 0;
+            return this.session.frames[this.session.frames.length - 1].t;
+        }
+
+        // Load a session object and start playing it from the beginning
+        load(session) {
+            this.session = validateSession(session);
+            const wasActive = this.active;
+            this.active = true;
+            this.playing = true;
+            this.time = 0;
+            this.frameIndex = -1;
+            this.lastUpdate = null;
+            if (!wasActive && this.onStart) this.onStart();
+            this.update();
+        }
+
+        // Load a session from a URL
+        loadUrl(url) {
+            return fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Could not load session ${url}: ${response.status}`);
+                    return response.json();
+                })
+                .then(session => this.load(session));
+        }
+
+        // Load the session named by the ?session= query parameter, if any
+        loadFromQuery() {
+            if (typeof location === 'undefined') return null;
+            const url = new URLSearchParams(location.search).get('session');
+            return url ? this.loadUrl(url) : null;
+        }
+
+        // Ask the user for a session file and load it
+        open() {
+            Files.openJSONFile()
+                .then(session => this.load(session))
+                .catch(err => console.error(err));
+        }
+
+        // Stop playback and hand control back to the webcam
+        stop() {
+            if (!this.active) return;
+            this.active = false;
+            this.playing = false;
+            if (this.onStop) this.onStop();
+        }
+
+        togglePlay() {
+            if (!this.active) return;
+            // Restart from the beginning if a non-looping session has finished
+            if (!this.playing && this.time >= this.duration) this.seek(0);
+            this.playing = !this.playing;
+        }
+
+        toggleLoop() {
+            this.loop = !this.loop;
+        }
+
+        // Move to the next faster (1) or slower (-1) playback speed
+        changeSpeed(direction) {
+            let i = PLAYBACK_SPEEDS.indexOf(this.speed);
+            if (i < 0) i = PLAYBACK_SPEEDS.indexOf(1);
+            i = Math.max(0, Math.min(PLAYBACK_SPEEDS.length - 1, i + direction));
+            this.speed = PLAYBACK_SPEEDS[i];
+        }
+
+        // Jump to a time in milliseconds and show the frame at that time
+        seek(time) {
+            if (!this.session) return;
+            this.time = Math.max(0, Math.min(this.duration, time));
+            const frames = this.session.frames;
+            let i = -1;
+            while (i + 1 < frames.length && frames[i + 1].t <= this.time) i++;
+            this.frameIndex = i;
+            if (i >= 0) this.emit(frames[i]);
+        }
+
+        // Move a number of frames forward (positive) or back (negative)
+        step(count) {
+            if (!this.session || this.session.frames.length === 0) return;
+            const frames = this.session.frames;
+            const i = Math.max(0, Math.min(frames.length - 1, this.frameIndex + count));
+            this.seek(frames[i].t);
+        }
+
+        // Advance the playhead and send any frames that are due; call once per draw()
+        update(now = this.now()) {
+            if (!this.active || !this.session) return;
+
+            const dt = this.lastUpdate == null ? 0 : now - this.lastUpdate;
+            this.lastUpdate = now;
+            if (this.playing) this.time += dt * this.speed;
+
+            const duration = this.duration;
+            while (this.time > duration && this.playing) {
+                this.emitUntil(duration);
+                if (this.loop && duration > 0) {
+                    this.time -= duration;
+                    this.frameIndex = -1;
+                } else {
+                    this.time = duration;
+                    this.playing = false;
+                }
+            }
+            this.emitUntil(this.time);
+        }
+
+        // Send every frame up to and including the given time
+        emitUntil(time) {
+            const frames = this.session.frames;
+            while (this.frameIndex + 1 < frames.length && frames[this.frameIndex + 1].t <= time) {
+                this.frameIndex++;
+                this.emit(frames[this.frameIndex]);
+            }
+        }
+
+        emit(frame) {
+            this.callback(cloneResults(frame.results));
+        }
+    }
+
+    // Default keyboard controls shared by the sketches
+    function handleSessionKey(key, keyCode, recorder, player) {
+        if (key === 'r' || key === 'R') {
+            if (player && player.active) return true;  // nothing new to record during playback
+            if (recorder) recorder.toggle();
+            return true;
+        }
+        if (key === 'o' || key === 'O') {
+            if (player) player.open();
+            return true;
+        }
+        if (!player || !player.active) return false;
+
+        if (key === 'k' || key === 'K') {
+            player.togglePlay();
+        } else if (key === 'l' || key === 'L') {
+            player.toggleLoop();
+        } else if (key === 'x' || key === 'X') {
+            player.stop();
+        } else if (keyCode === 37) {         // LEFT_ARROW
+            player.playing ? player.seek(player.time - 1000) : player.step(-1);
+        } else if (keyCode === 39) {         // RIGHT_ARROW
+            player.playing ? player.seek(player.time + 1000) : player.step(1);
+        } else if (keyCode === 38) {         // UP_ARROW
+            player.changeSpeed(1);
+        } else if (keyCode === 40) {         // DOWN_ARROW
+            player.changeSpeed(-1);
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    // Draw recording / playback status in the top left corner of the canvas
+    function drawSessionStatus(recorder, player) {
+        let label = null;
+        let labelColor = null;
+        if (player && player.active) {
+            const state = player.playing ? 'PLAY' : 'PAUSE';
+            label = `${state} ${formatTime(player.time)} / ${formatTime(player.duration)}` +
+                    `  ${player.speed}x${player.loop ? '  loop' : ''}`;
+            labelColor = color(0, 150, 255);
+        } else if (recorder && recorder.recording) {
+            label = `REC ${formatTime(recorder.elapsed())}  ${recorder.frames.length} frames`;
+            labelColor = color(255, 0, 0);
+        }
+        if (!label) return;
+
+        push();
+        textSize(12);
+        noStroke();
+        fill(0, 150);
+        rect(5, 5, textWidth(label) + 30, 24, 4);
+        fill(labelColor);
+        circle(17, 17, 10);
+        fill(255);
+        textAlign(LEFT, CENTER);
+        text(label, 27, 17);
+        pop();
+    }
+
+    const api = { SessionRecorder, SessionPlayer, handleSessionKey, drawSessionStatus };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(globalThis);
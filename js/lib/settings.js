@@ -0,0 +1,372 @@
+/*
+Runtime Settings
+
+Model options and display toggles that can be changed on the page while a sketch runs.
+Settings are saved in localStorage, so they survive a reload, and can be shared as a link:
+    index_hand.html?maxHands=2&showCoordinates=false
+
+Where a setting's value comes from (later ones win):
+1. the sketch's own defaults
+2. values saved in localStorage by an earlier visit
+3. URL query parameters
+
+Model settings (MODEL_SETTINGS, from trackmethods.txt and the ml5 docs) have reload: true,
+which means the sketch has to re-create its model for the change to take effect.
+trackerConfig (an object) is left at the tf.js defaults.
+
+Setting definition:
+{
+    key: "minPoseScore",            // name of the option / query parameter
+    label: "Min pose score",        // shown in the panel
+    type: "number",                 // "number", "boolean", "select" or "text"
+    min: 0, max: 1, step: 0.05,     // numbers only
+    choices: ["a", "b"],            // selects only
+    reload: true                    // the model has to be re-created when it changes
+}
+
+Key Functions:
+- Settings: get(key), set(key, value), values, copyTo(target, keys), load(), save(), reset(), shareUrl()
+  on('change', ({ key, value, reload }) => ...) after every change
+- SettingsPanel: builds the on-page panel for a Settings object
+- displaySettings(keys): the display settings a sketch uses, in that order
+
+Example:
+
+let settings = new Settings(MODEL_SETTINGS.HandPose.concat(displaySettings(['showVideo'])),
+                            { maxHands: 4, showVideo: true }, { storageKey: "ml5experiments.hand" });
+settings.load();
+settings.on('change', (change) => { if (change.reload) reloadModel(); });
+new SettingsPanel(settings);
+*/
+
+(function (root) {
+    const { Emitter } = typeof module !== 'undefined' && module.exports ? require('./events.js') : root;
+
+    // Options each ml5 model accepts; "flipped" comes from the flipVideo display setting
+    const MODEL_SETTINGS = {
+        MoveNet: [
+            { key: 'modelType', label: 'Model type', type: 'select', reload: true,
+              choices: ['MULTIPOSE_LIGHTNING', 'SINGLEPOSE_LIGHTNING', 'SINGLEPOSE_THUNDER'] },
+            { key: 'enableSmoothing', label: 'Smoothing', type: 'boolean', reload: true },
+            { key: 'minPoseScore', label: 'Min pose score', type: 'number', min: 0, max: 1, step: 0.05, reload: true },
+            { key: 'multiPoseMaxDimension', label: 'Max input size', type: 'select', reload: true,
+              choices: [128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448, 480, 512] },
+            { key: 'enableTracking', label: 'Tracking', type: 'boolean', reload: true },
+            { key: 'trackerType', label: 'Tracker type', type: 'select', choices: ['boundingBox', 'keypoint'], reload: true },
+            { key: 'modelUrl', label: 'Model URL', type: 'text', reload: true }
+        ],
+        BlazePose: [
+            { key: 'modelType', label: 'Model type', type: 'select', choices: ['lite', 'full', 'heavy'], reload: true },
+            { key: 'enableSmoothing', label: 'Smoothing', type: 'boolean', reload: true },
+            { key: 'modelUrl', label: 'Model URL', type: 'text', reload: true }
+        ],
+        HandPose: [
+            { key: 'maxHands', label: 'Max hands', type: 'number', min: 1, max: 10, step: 1, reload: true },
+            { key: 'modelType', label: 'Model type', type: 'select', choices: ['full', 'lite'], reload: true }
+        ],
+        FaceMesh: [
+            { key: 'maxFaces', label: 'Max faces', type: 'number', min: 1, max: 10, step: 1, reload: true },
+            { key: 'refineLandmarks', label: 'Refine landmarks (irises)', type: 'boolean', reload: true }
+        ]
+    };
+
+    const DISPLAY_SETTINGS = [
+        { key: 'confidenceThreshold', label: 'Confidence threshold', type: 'number', min: 0, max: 1, step: 0.05 },
+        { key: 'showVideo', label: 'Show video', type: 'boolean' },
+        { key: 'flipVideo', label: 'Mirror video', type: 'boolean', reload: true },
+        { key: 'showIndex', label: 'Keypoint numbers', type: 'boolean' },
+        { key: 'showName', label: 'Keypoint names', type: 'boolean' },
+        { key: 'showCoordinates', label: 'Coordinates', type: 'boolean' },
+        { key: 'showLabels', label: 'Labels', type: 'boolean' }
+    ];
+
+    // The display settings with these keys, in the order given
+    function displaySettings(keys) {
+        return keys.map(key => {
+            const definition = DISPLAY_SETTINGS.find(d => d.key === key);
+            if (!definition) throw new Error(`Unknown display setting: ${key}`);
+            return definition;
+        });
+    }
+
+    // Turn a value (possibly a query string) into the setting's type, or undefined if it doesn't fit
+    function coerce(definition, value) {
+        if (definition.type === 'boolean') {
+            if (typeof value === 'boolean') return value;
+            if (value === 'true' || value === '1') return true;
+            if (value === 'false' || value === '0') return false;
+            return undefined;
+        }
+        if (definition.type === 'number') {
+            const number = Number(value);
+            if (value === '' || value === null || isNaN(number)) return undefined;
+            return Math.min(definition.max ?? Infinity, Math.max(definition.min ?? -Infinity, number));
+        }
+        if (definition.type === 'select') {
+            // Choices may be numbers while query values are always strings
+            return definition.choices.find(choice => String(choice) === String(value));
+        }
+        if (value === null || value === undefined) return undefined;
+        return String(value);
+    }
+
+    function defaultStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (err) {
+            return null;   // localStorage can be blocked (e.g. file:// pages in some browsers)
+        }
+    }
+
+    class Settings extends Emitter {
+        // schema: list of setting definitions
+        // defaults: { key: value } from the sketch
+        // options.storageKey: localStorage key (one per sketch); options.storage / options.search for testing
+        constructor(schema, defaults = {}, options = {}) {
+            super();
+            this.schema = schema;
+            this.defaults = {};
+            schema.forEach(definition => {
+                this.defaults[definition.key] = defaults[definition.key];
+            });
+            this.values = Object.assign({}, this.defaults);
+            this.storageKey = options.storageKey || 'ml5experiments.settings';
+            this.storage = options.storage !== undefined ? options.storage : defaultStorage();
+            this.search = options.search ?? (typeof location !== 'undefined' ? location.search : '');
+        }
+
+        definition(key) {
+            return this.schema.find(d => d.key === key) || null;
+        }
+
+        get(key) {
+            return this.values[key];
+        }
+
+        // Change a setting, save it and tell listeners; returns false if the value didn't change
+        set(key, value) {
+            const definition = this.definition(key);
+            if (!definition) return false;
+            const coerced = coerce(definition, value);
+            // Empty text clears an optional setting such as modelUrl
+            const next = coerced === '' ? undefined : coerced;
+            if (next === undefined && definition.type !== 'text') return false;
+            if (next === this.values[key]) return false;
+
+            this.values[key] = next;
+            this.save();
+            this.emit('change', { key: key, value: next, reload: !!definition.reload });
+            return true;
+        }
+
+        // Copy the values for these keys onto an object (e.g. the model options), removing unset ones
+        copyTo(target, keys) {
+            keys.forEach(key => {
+                if (this.values[key] === undefined) delete target[key];
+                else target[key] = this.values[key];
+            });
+            return target;
+        }
+
+        // Read saved values, then the URL query (no change events; call before using the values)
+        load() {
+            let saved = {};
+            if (this.storage) {
+                try {
+                    saved = JSON.parse(this.storage.getItem(this.storageKey)) || {};
+                } catch (err) {
+                    console.warn('Ignoring saved settings that are not valid JSON');
+                }
+            }
+            const query = new URLSearchParams(this.search);
+
+            this.schema.forEach(definition => {
+                [saved[definition.key], query.has(definition.key) ? query.get(definition.key) : undefined].forEach(value => {
+                    if (value === undefined) return;
+                    const coerced = coerce(definition, value);
+                    if (coerced !== undefined) this.values[definition.key] = coerced === '' ? undefined : coerced;
+                });
+            });
+            return this;
+        }
+
+        // Save the values that differ from the sketch's defaults
+        save() {
+            if (!this.storage) return;
+            try {
+                this.storage.setItem(this.storageKey, JSON.stringify(this.changedValues()));
+            } catch (err) {
+                console.warn('Could not save settings');
+            }
+        }
+
+        changedValues() {
+            const changed = {};
+            Object.keys(this.values).forEach(key => {
+                if (this.values[key] !== this.defaults[key]) changed[key] = this.values[key] ?? '';
+            });
+            return changed;
+        }
+
+        // Go back to the sketch's defaults, firing a change event for each setting that changes
+        reset() {
+            const before = Object.assign({}, this.values);
+            this.values = Object.assign({}, this.defaults);
+            if (this.storage) this.storage.removeItem(this.storageKey);
+            this.schema.forEach(definition => {
+                if (before[definition.key] !== this.values[definition.key]) {
+                    this.emit('change', { key: definition.key, value: this.values[definition.key], reload: !!definition.reload });
+                }
+            });
+        }
+
+        // Query string with every changed setting, keeping other parameters such as ?session=
+        toQuery() {
+            const query = new URLSearchParams(this.search);
+            this.schema.forEach(definition => query.delete(definition.key));
+            const changed = this.changedValues();
+            Object.keys(changed).forEach(key => query.set(key, changed[key]));
+            return query.toString();
+        }
+
+        // Link to this page with the current settings
+        shareUrl() {
+            const base = typeof location !== 'undefined' ? location.origin + location.pathname : '';
+            const query = this.toQuery();
+            return query ? `${base}?${query}` : base;
+        }
+    }
+
+    class SettingsPanel {
+        // options.parent: element to add the panel to (defaults to the page body)
+        // options.title: text of the panel's heading
+        constructor(settings, options = {}) {
+            this.settings = settings;
+            this.controls = {};
+            this.element = this.build(options.title || 'Settings');
+            (options.parent || document.body).appendChild(this.element);
+            settings.on('change', change => this.refresh(change.key));
+        }
+
+        build(title) {
+            const panel = document.createElement('details');
+            panel.className = 'settings-panel';
+            const summary = document.createElement('summary');
+            summary.textContent = title;
+            panel.appendChild(summary);
+
+            const groups = [
+                ['Model (reloads the model)', this.settings.schema.filter(d => d.reload)],
+                ['Display', this.settings.schema.filter(d => !d.reload)]
+            ];
+            groups.forEach(([name, definitions]) => {
+                if (definitions.length === 0) return;
+                const fieldset = document.createElement('fieldset');
+                const legend = document.createElement('legend');
+                legend.textContent = name;
+                fieldset.appendChild(legend);
+                definitions.forEach(definition => fieldset.appendChild(this.buildRow(definition)));
+                panel.appendChild(fieldset);
+            });
+
+            const buttons = document.createElement('div');
+            buttons.className = 'settings-buttons';
+            buttons.appendChild(this.button('Copy link', () => this.copyLink()));
+            buttons.appendChild(this.button('Reset', () => this.settings.reset()));
+            panel.appendChild(buttons);
+            return panel;
+        }
+
+        // One labelled control for a setting
+        buildRow(definition) {
+            const row = document.createElement('label');
+            row.className = 'settings-row';
+            const name = document.createElement('span');
+            name.textContent = definition.label;
+            row.appendChild(name);
+
+            let input;
+            if (definition.type === 'select') {
+                input = document.createElement('select');
+                definition.choices.forEach(choice => {
+                    const option = document.createElement('option');
+                    option.value = choice;
+                    option.textContent = choice;
+                    input.appendChild(option);
+                });
+            } else {
+                input = document.createElement('input');
+                if (definition.type === 'boolean') {
+                    input.type = 'checkbox';
+                } else if (definition.type === 'number') {
+                    input.type = 'range';
+                    input.min = definition.min;
+                    input.max = definition.max;
+                    input.step = definition.step;
+                } else {
+                    input.type = 'text';
+                    input.placeholder = 'default';
+                }
+            }
+
+            // Text boxes and checkboxes would otherwise also reach the sketch's keyPressed()
+            input.addEventListener('keydown', event => event.stopPropagation());
+            input.addEventListener('change', () => {
+                this.settings.set(definition.key, definition.type === 'boolean' ? input.checked : input.value);
+                this.refresh(definition.key);
+            });
+            row.appendChild(input);
+
+            const value = document.createElement('span');
+            value.className = 'settings-value';
+            row.appendChild(value);
+            if (definition.type === 'number') {
+                input.addEventListener('input', () => { value.textContent = input.value; });
+            }
+
+            this.controls[definition.key] = { definition: definition, input: input, value: value };
+            this.refresh(definition.key);
+            return row;
+        }
+
+        button(text, onClick) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = text;
+            button.addEventListener('click', onClick);
+            return button;
+        }
+
+        // Show a setting's current value in its control
+        refresh(key) {
+            const control = this.controls[key];
+            if (!control) return;
+            const value = this.settings.get(key);
+            if (control.definition.type === 'boolean') {
+                control.input.checked = !!value;
+            } else {
+                control.input.value = value ?? '';
+            }
+            control.value.textContent = control.definition.type === 'number' ? value : '';
+        }
+
+        // Copy a link with the current settings, or show it if the clipboard isn't available
+        copyLink() {
+            const url = this.settings.shareUrl();
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(url).catch(() => prompt('Copy this link:', url));
+            } else {
+                prompt('Copy this link:', url);
+            }
+        }
+    }
+
+    const api = { Settings, SettingsPanel, MODEL_SETTINGS, DISPLAY_SETTINGS, displaySettings };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(globalThis);
@@ -0,0 +1,222 @@
+/*
+Skeleton Definitions for Every Model
+
+One place for each model's keypoint names, the bones between them and which keypoints are the
+left/right versions of each other, so sketches don't have to hard-code index lists:
+- MoveNet: 17 body keypoints
+- BlazePose: 33 body keypoints, including hands, feet and more of the face
+- HandPose: 21 hand keypoints
+- FaceMesh: 468 keypoints (478 with refineLandmarks); only the main landmarks have names, and the
+  connections are the region outlines from js/lib/face_regions.js (when it is loaded)
+
+"left" and "right" are the person's own left and right, as the models name them.
+
+Key Functions (all on the Skeletons object):
+- getSkeleton(model): { keypointCount, names, connections, pairs } for "MoveNet", "BlazePose", "HandPose" or "FaceMesh"
+- detectModel(subject): guess the model from how many keypoints a subject has (null if unknown)
+- keypointIndex(name, model) / keypointName(index, model): convert between names and indices
+- getKeypointByName(name, subject, model): a subject's keypoint by name, on any model (null if missing)
+- mirrorIndex(index, model): the keypoint on the other side (the same index for middle points)
+- draw(subject, options): p5 lines for the bones of whichever model the subject came from
+
+Draw options (all optional):
+{
+    model: null,            // null to detect it from the keypoint count
+    color: [0, 255, 0],
+    weight: 3,              // line thickness
+    threshold: 0,           // hide bones with a point below this confidence
+    showPoints: false,      // also draw a dot at every visible keypoint
+    pointSize: 6
+}
+
+Example:
+
+let heel = Skeletons.getKeypointByName('left_heel', poses[0]);
+if (heel) circle(heel.x, heel.y, 20);
+Skeletons.draw(poses[0], { threshold: 0.2 });
+*/
+
+(function (root) {
+    const usingNode = typeof module !== 'undefined' && module.exports;
+    const { Tracking } = usingNode ? require('./tracking.js') : root;
+
+    // Left/right pairs for models whose left points are odd and right points even from `first`
+    function oddEvenPairs(first, last) {
+        const pairs = [];
+        for (let i = first; i < last; i += 2) pairs.push([i, i + 1]);
+        return pairs;
+    }
+
+    const SKELETONS = {
+        MoveNet: {
+            keypointCount: 17,
+            names: [
+                'nose', 'left_eye', 'right_eye', 'left_ear', 'right_ear',
+                'left_shoulder', 'right_shoulder', 'left_elbow', 'right_elbow', 'left_wrist', 'right_wrist',
+                'left_hip', 'right_hip', 'left_knee', 'right_knee', 'left_ankle', 'right_ankle'
+            ],
+            connections: [
+                [0, 1], [0, 2], [1, 3], [2, 4],             // head
+                [5, 6], [5, 11], [6, 12], [11, 12],         // torso
+                [5, 7], [7, 9], [6, 8], [8, 10],            // arms
+                [11, 13], [13, 15], [12, 14], [14, 16]      // legs
+            ],
+            pairs: oddEvenPairs(1, 16)
+        },
+        BlazePose: {
+            keypointCount: 33,
+            names: [
+                'nose', 'left_eye_inner', 'left_eye', 'left_eye_outer', 'right_eye_inner', 'right_eye', 'right_eye_outer',
+                'left_ear', 'right_ear', 'mouth_left', 'mouth_right',
+                'left_shoulder', 'right_shoulder', 'left_elbow', 'right_elbow', 'left_wrist', 'right_wrist',
+                'left_pinky', 'right_pinky', 'left_index', 'right_index', 'left_thumb', 'right_thumb',
+                'left_hip', 'right_hip', 'left_knee', 'right_knee', 'left_ankle', 'right_ankle',
+                'left_heel', 'right_heel', 'left_foot_index', 'right_foot_index'
+            ],
+            connections: [
+                [0, 1], [1, 2], [2, 3], [3, 7], [0, 4], [4, 5], [5, 6], [6, 8], [9, 10],   // face
+                [11, 12], [11, 23], [12, 24], [23, 24],                                     // torso
+                [11, 13], [13, 15], [15, 17], [15, 19], [15, 21], [17, 19],                 // left arm and hand
+                [12, 14], [14, 16], [16, 18], [16, 20], [16, 22], [18, 20],                 // right arm and hand
+                [23, 25], [25, 27], [27, 29], [27, 31], [29, 31],                           // left leg and foot
+                [24, 26], [26, 28], [28, 30], [28, 32], [30, 32]                            // right leg and foot
+            ],
+            pairs: [[1, 4], [2, 5], [3, 6], [7, 8], [9, 10]].concat(oddEvenPairs(11, 32))
+        },
+        HandPose: {
+            keypointCount: 21,
+            names: [
+                'wrist',
+                'thumb_cmc', 'thumb_mcp', 'thumb_ip', 'thumb_tip',
+                'index_finger_mcp', 'index_finger_pip', 'index_finger_dip', 'index_finger_tip',
+                'middle_finger_mcp', 'middle_finger_pip', 'middle_finger_dip', 'middle_finger_tip',
+                'ring_finger_mcp', 'ring_finger_pip', 'ring_finger_dip', 'ring_finger_tip',
+                'pinky_finger_mcp', 'pinky_finger_pip', 'pinky_finger_dip', 'pinky_finger_tip'
+            ],
+            connections: [
+                [0, 1], [1, 2], [2, 3], [3, 4],             // thumb
+                [0, 5], [5, 6], [6, 7], [7, 8],             // index finger
+                [5, 9], [9, 10], [10, 11], [11, 12],        // middle finger
+                [9, 13], [13, 14], [14, 15], [15, 16],      // ring finger
+                [13, 17], [0, 17], [17, 18], [18, 19], [19, 20]  // pinky and palm
+            ],
+            pairs: []   // one hand at a time; use hand.handedness for left and right
+        },
+        FaceMesh: {
+            keypointCount: 468,
+            names: {
+                1: 'nose_tip', 4: 'nose_bottom', 168: 'nose_bridge', 10: 'forehead', 152: 'chin',
+                13: 'upper_lip', 14: 'lower_lip', 291: 'mouth_left', 61: 'mouth_right',
+                263: 'left_eye_outer', 362: 'left_eye_inner', 33: 'right_eye_outer', 133: 'right_eye_inner',
+                159: 'right_eye_top', 145: 'right_eye_bottom', 386: 'left_eye_top', 374: 'left_eye_bottom',
+                300: 'left_eyebrow_outer', 336: 'left_eyebrow_inner', 70: 'right_eyebrow_outer', 107: 'right_eyebrow_inner',
+                454: 'left_cheek', 234: 'right_cheek',
+                473: 'left_iris', 468: 'right_iris'     // only with refineLandmarks
+            },
+            connections: null,  // filled in from js/lib/face_regions.js by getSkeleton()
+            pairs: [[263, 33], [362, 133], [386, 159], [374, 145], [291, 61], [300, 70], [336, 107], [454, 234], [473, 468]]
+        }
+    };
+
+    // Look up a model's definition, ignoring case; throws on an unknown model
+    function getSkeleton(model) {
+        const key = Object.keys(SKELETONS).find(name => name.toLowerCase() === String(model).toLowerCase());
+        if (!key) throw new Error(`Unknown model: ${model}`);
+        const skeleton = SKELETONS[key];
+
+        // FaceMesh bones are the outlines of its regions
+        if (skeleton.connections === null) {
+            const FaceRegions = usingNode ? require('./face_regions.js').FaceRegions : root.FaceRegions;
+            if (!FaceRegions) return Object.assign({}, skeleton, { connections: [] });
+            skeleton.connections = [];
+            Object.values(FaceRegions.REGIONS).forEach(region => region.paths.forEach(path => {
+                for (let i = 1; i < path.length; i++) skeleton.connections.push([path[i - 1], path[i]]);
+                if (region.closed) skeleton.connections.push([path[path.length - 1], path[0]]);
+            }));
+        }
+        return skeleton;
+    }
+
+    // Guess which model a subject came from by its number of keypoints
+    function detectModel(subject) {
+        const count = subject && subject.keypoints ? subject.keypoints.length : 0;
+        if (count >= 468) return 'FaceMesh';
+        const key = Object.keys(SKELETONS).find(name => SKELETONS[name].keypointCount === count);
+        return key || null;
+    }
+
+    // Index of a named keypoint, or -1
+    function keypointIndex(name, model) {
+        const entry = Object.entries(getSkeleton(model).names).find(([, keypointName]) => keypointName === name);
+        return entry ? Number(entry[0]) : -1;
+    }
+
+    // Name of a keypoint index, or null if it has no name
+    function keypointName(index, model) {
+        return getSkeleton(model).names[index] || null;
+    }
+
+    // A subject's keypoint by name; uses the point's own name when the model isn't known
+    function getKeypointByName(name, subject, model = detectModel(subject)) {
+        if (!subject || !subject.keypoints) return null;
+        if (model) {
+            const index = keypointIndex(name, model);
+            if (index !== -1) return subject.keypoints[index] || null;
+        }
+        return subject.keypoints.find(point => point && point.name === name) || null;
+    }
+
+    // The matching keypoint on the other side of the body or face
+    function mirrorIndex(index, model) {
+        for (const [left, right] of getSkeleton(model).pairs) {
+            if (index === left) return right;
+            if (index === right) return left;
+        }
+        return index;
+    }
+
+    // Draw the bones (and optionally the points) of a subject from any model
+    function draw(subject, options = {}) {
+        const model = options.model || detectModel(subject);
+        if (!model || !subject.keypoints) return;
+        const threshold = options.threshold ?? 0;
+        const points = subject.keypoints;
+
+        push();
+        stroke(options.color || [0, 255, 0]);
+        strokeWeight(options.weight ?? 3);
+        noFill();
+        getSkeleton(model).connections.forEach(([a, b]) => {
+            if (Tracking.isVisible(points[a], threshold) && Tracking.isVisible(points[b], threshold)) {
+                line(points[a].x, points[a].y, points[b].x, points[b].y);
+            }
+        });
+
+        if (options.showPoints) {
+            noStroke();
+            fill(options.color || [0, 255, 0]);
+            points.forEach(point => {
+                if (Tracking.isVisible(point, threshold)) circle(point.x, point.y, options.pointSize ?? 6);
+            });
+        }
+        pop();
+    }
+
+    const Skeletons = {
+        SKELETONS,
+        getSkeleton,
+        detectModel,
+        keypointIndex,
+        keypointName,
+        getKeypointByName,
+        mirrorIndex,
+        draw
+    };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { Skeletons };
+    } else {
+        root.Skeletons = Skeletons;
+    }
+})(globalThis);
@@ -0,0 +1,576 @@
+/*
+Sonification: Turning Tracking Data into Sound (Web Audio)
+
+A sound map (a JSON file) says which tracking values play which sounds, so a sketch only has to
+hand over its values each frame, e.g. { wristHeight: 0.7, handDistance: 84, gesture: "fist" }.
+
+- voices: oscillators that play all the time, through a filter, a volume and a stereo pan
+- mappings: a value moves a voice setting, with an input range, a curve, smoothing and (for
+  pitch) snapping to the notes of a musical scale
+- triggers: one-off sounds (a recorded sample or a short note) when a value becomes something,
+  rises past a level or goes up, or when the sketch calls trigger("blink")
+
+Sound map format:
+{
+    "voices": [
+        { "name": "lead", "wave": "triangle", "pitch": 60, "gain": 0, "cutoff": 2000, "q": 1, "pan": 0 }
+    ],
+    "mappings": [
+        // wrist height (0-1) to a note between C3 and C6 on the pentatonic scale
+        { "source": "wristHeight", "voice": "lead", "param": "pitch", "in": [0, 1], "out": [48, 84], "scale": "pentatonic", "root": 60 },
+        // finger distance in pixels to the filter cutoff; "exp" sweeps evenly through the octaves
+        { "source": "handDistance", "voice": "lead", "param": "cutoff", "in": [20, 250], "out": [200, 6000], "curve": "exp", "smoothing": 0.3 },
+        // a point's speed in pixels per second to the volume, silent when the point is lost
+        { "source": "indexTip", "measure": "speed", "voice": "lead", "param": "gain", "in": [0, 800], "out": [0.05, 0.4], "missing": 0 }
+    ],
+    "triggers": [
+        { "source": "gesture", "equals": "thumbs_up", "note": 84, "duration": 0.3 },
+        { "source": "mouthOpen", "above": 0.6, "sample": "sounds/ah.wav" },
+        { "source": "people", "increase": true, "note": 72, "wave": "sine" },
+        { "event": "enter", "sample": "sounds/bell.wav", "gain": 0.8 }
+    ]
+}
+
+Mapping options (all but source, voice and param are optional):
+- param: "pitch" (MIDI note), "frequency" (Hz), "detune" (cents), "cutoff" (Hz), "q", "gain" (0-1) or "pan" (-1 to 1)
+- measure: "value" for numbers; "x", "y" or "speed" for points ({ x, y }); "speed" of a number is
+  how fast it changes per second
+- in [0, 1] / out [0, 1]: input range (values outside it are clamped) and output range; reverse
+  either one to turn the mapping upside down
+- curve: "linear", "exp" (equal steps in pitch, for frequencies), "smooth", "square" or "sqrt"
+- scale: "chromatic", "major", "minor", "pentatonic", "minorPentatonic" or "blues", with root
+  (MIDI note, default 60) - snaps the output to the nearest note of the scale; step snaps to multiples instead
+- smoothing: how far each update moves towards the new value (0-1, 1 = no smoothing)
+- missing: output to go to when the value is null or missing (default: keep the last value)
+
+Trigger options: sample (a file, relative to the sound map) or note (MIDI, default 72) with wave,
+duration (seconds, default 0.25); gain (default 0.5), pan (default 0), cooldown (ms, default 200).
+
+Key Functions (Sonify.Sonifier, an event emitter: 'trigger' with { trigger, time }):
+- fromJSON(data, basePath) / loadUrl(url) / loadFromQuery(): load a sound map (?sound=sounds/my_map.json)
+- start() / stop() / toggle(): browsers only play sound after a click or key press, so start from keyPressed()
+- update(values, time): move the voices and fire triggers from this frame's values
+- trigger(event, time): fire the triggers for a named event
+- startCapture() / stopCapture(): record the values and events that arrive (e.g. while a session plays back)
+- toggleCapture(): start, or stop and save the capture as a WAV file rendered offline and a JSON log
+
+Offline (no speakers needed, e.g. to check a sound map against a recorded session):
+- Sonify.mapTimeline(map, timeline): the voice settings and triggers for each frame of a
+  [{ t, values, events }] timeline, without any audio (works in Node too)
+- Sonify.sessionTimeline(session, valuesFor): a recorded session file as a timeline, with
+  valuesFor(results, session) giving each frame's values
+- Sonify.renderOffline(map, timeline, options): resolves with { buffer, log } rendered by an OfflineAudioContext
+- Sonify.encodeWAV(buffer): an AudioBuffer as a 16-bit WAV file (ArrayBuffer)
+
+Example:
+
+let sonifier = new Sonify.Sonifier();
+sonifier.loadUrl("sounds/hand.json");
+// in keyPressed()
+if (key === 'n') sonifier.toggle();
+// in gotHands()
+sonifier.update({ wristHeight: 1 - wrist.y / height, handDistance: distance, gesture: gestures[0].label });
+
+// In Node: the notes and triggers a sound map plays for a recorded session
+const { Sonify } = require('./js/lib/sonify.js');
+const log = Sonify.mapTimeline(soundMap, Sonify.sessionTimeline(session, results => ({
+    wristHeight: results[0] ? 1 - results[0].keypoints[9].y / session.canvas.height : null
+})));
+*/
+
+(function (root) {
+    const usingNode = typeof module !== 'undefined' && module.exports;
+    const { Emitter } = usingNode ? require('./events.js') : root;
+    const { Files } = usingNode ? require('./files.js') : root;
+
+    function defaultNow() {
+        return performance.now();
+    }
+
+    // Semitones above the root of each scale
+    const SCALES = {
+        chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+        major: [0, 2, 4, 5, 7, 9, 11],
+        minor: [0, 2, 3, 5, 7, 8, 10],
+        pentatonic: [0, 2, 4, 7, 9],
+        minorPentatonic: [0, 3, 5, 7, 10],
+        blues: [0, 3, 5, 6, 7, 10]
+    };
+
+    // Shapes for a 0-1 position along the output range ("exp" is handled in mapValue)
+    const CURVES = {
+        linear: t => t,
+        smooth: t => t * t * (3 - 2 * t),
+        square: t => t * t,
+        sqrt: t => Math.sqrt(t),
+        exp: t => t
+    };
+
+    // Voice settings a mapping can change, with their starting values
+    const PARAMS = {
+        pitch: 60,
+        frequency: null,
+        detune: 0,
+        cutoff: 2000,
+        q: 1,
+        gain: 0.2,
+        pan: 0
+    };
+
+    // Frequency in Hz of a MIDI note (69 = A4 = 440 Hz)
+    function midiToFrequency(note) {
+        return 440 * Math.pow(2, (note - 69) / 12);
+    }
+
+    // The nearest note of a scale to a (fractional) MIDI note
+    function quantize(note, scale = 'chromatic', rootNote = 60) {
+        const steps = SCALES[scale];
+        if (!steps) throw new Error(`Unknown scale: ${scale}`);
+        const octave = Math.floor((note - rootNote) / 12);
+        const within = note - rootNote - octave * 12;
+        let nearest = 0;
+        steps.concat(12).forEach(step => {
+            if (Math.abs(step - within) < Math.abs(nearest - within)) nearest = step;
+        });
+        return rootNote + octave * 12 + nearest;
+    }
+
+    // An input value through a mapping's range, curve and scale (no smoothing)
+    function mapValue(value, mapping) {
+        const [inMin, inMax] = mapping.in || [0, 1];
+        const [outMin, outMax] = mapping.out || [0, 1];
+        let t = inMax === inMin ? 0 : (value - inMin) / (inMax - inMin);
+        t = Math.max(0, Math.min(1, t));
+        t = CURVES[mapping.curve || 'linear'](t);
+
+        let out;
+        if (mapping.curve === 'exp' && outMin > 0 && outMax > 0) {
+            out = outMin * Math.pow(outMax / outMin, t);
+        } else {
+            out = outMin + (outMax - outMin) * t;
+        }
+        if (mapping.scale) out = quantize(out, mapping.scale, mapping.root ?? 60);
+        else if (mapping.step) out = Math.round(out / mapping.step) * mapping.step;
+        return out;
+    }
+
+    // Check a sound map and fill in the defaults; throws on anything that can't be played
+    function validateSoundMap(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Not a sound map: expected an object');
+        }
+        const voices = (data.voices || []).map(voice => Object.assign({ wave: 'sine', filter: 'lowpass' }, voice));
+        const names = voices.map(voice => voice.name);
+        const mappings = (data.mappings || []).map(mapping => {
+            if (!mapping.source) throw new Error('Not a sound map: a mapping has no source');
+            if (!names.includes(mapping.voice)) throw new Error(`Not a sound map: unknown voice "${mapping.voice}"`);
+            if (!(mapping.param in PARAMS)) throw new Error(`Not a sound map: unknown param "${mapping.param}"`);
+            if (mapping.curve && !CURVES[mapping.curve]) throw new Error(`Not a sound map: unknown curve "${mapping.curve}"`);
+            if (mapping.scale && !SCALES[mapping.scale]) throw new Error(`Not a sound map: unknown scale "${mapping.scale}"`);
+            return Object.assign({ measure: 'value', smoothing: 1 }, mapping);
+        });
+        const triggers = (data.triggers || []).map(trigger => {
+            if (!trigger.source && !trigger.event) throw new Error('Not a sound map: a trigger needs a source or an event');
+            return Object.assign({ gain: 0.5, pan: 0, duration: 0.25, wave: 'sine', cooldown: 200 }, trigger);
+        });
+        return { voices, mappings, triggers };
+    }
+
+    // Works out voice settings and fired triggers from values, without any audio
+    class SoundMapper {
+        constructor(data) {
+            Object.assign(this, validateSoundMap(data));
+            this.state = this.mappings.map(() => ({ last: null, lastTime: null, output: null }));
+            this.previous = {};         // source -> last value, for the triggers
+            this.lastFired = new Map(); // trigger -> time it last fired
+        }
+
+        // The number a mapping reads from a value: the value itself, a point's x or y, or a speed
+        measure(mapping, state, value, time) {
+            const point = value !== null && typeof value === 'object';
+            let measured;
+            if (mapping.measure === 'speed') {
+                const dt = state.lastTime === null ? 0 : (time - state.lastTime) / 1000;
+                if (state.last !== null && dt > 0) {
+                    measured = point ? Math.hypot(value.x - state.last.x, value.y - state.last.y) / dt
+                                     : Math.abs(value - state.last) / dt;
+                } else {
+                    measured = 0;
+                }
+            } else if (point) {
+                measured = mapping.measure === 'x' ? value.x : value.y;
+            } else {
+                measured = value;
+            }
+            state.last = value;
+            state.lastTime = time;
+            return measured;
+        }
+
+        // Voice settings for this frame as { voiceName: { param: value } }, plus the triggers that fire
+        update(values, time) {
+            const params = {};
+            this.mappings.forEach((mapping, i) => {
+                const state = this.state[i];
+                const value = values[mapping.source];
+                let target;
+                if (value === null || value === undefined || (typeof value === 'number' && isNaN(value))) {
+                    state.last = null;
+                    if (typeof mapping.missing !== 'number') return;
+                    target = mapping.missing;
+                } else {
+                    target = mapValue(this.measure(mapping, state, value, time), mapping);
+                }
+                state.output = state.output === null ? target : state.output + mapping.smoothing * (target - state.output);
+                // Smoothing would slide between notes, so snap again after it
+                const output = mapping.scale ? quantize(state.output, mapping.scale, mapping.root ?? 60) : state.output;
+                if (!params[mapping.voice]) params[mapping.voice] = {};
+                params[mapping.voice][mapping.param] = output;
+            });
+
+            const fired = this.triggers.filter(trigger => {
+                if (!trigger.source || !(trigger.source in values)) return false;
+                const value = values[trigger.source];
+                const before = this.previous[trigger.source];
+                if (trigger.equals !== undefined) return value === trigger.equals && before !== trigger.equals;
+                if (trigger.above !== undefined) return value > trigger.above && !(before > trigger.above);
+                if (trigger.increase) return typeof before === 'number' && value > before;
+                return false;
+            }).filter(trigger => this.ready(trigger, time));
+            Object.keys(values).forEach(source => { this.previous[source] = values[source]; });
+            return { params, fired };
+        }
+
+        // Triggers for a named event; "enter:Stage" also fires the triggers for plain "enter"
+        event(name, time) {
+            return this.triggers.filter(trigger => trigger.event === name || trigger.event === name.split(':')[0])
+                .filter(trigger => this.ready(trigger, time));
+        }
+
+        // Whether a trigger is past its cooldown (and mark it as fired if so)
+        ready(trigger, time) {
+            const last = this.lastFired.get(trigger);
+            if (last !== undefined && time - last < trigger.cooldown) return false;
+            this.lastFired.set(trigger, time);
+            return true;
+        }
+    }
+
+    class Sonifier extends Emitter {
+        // options: { context (an AudioContext or OfflineAudioContext), volume 0.5, glide 0.03 seconds, now }
+        constructor(data = null, options = {}) {
+            super();
+            this.context = options.context ?? null;
+            this.volume = options.volume ?? 0.5;
+            this.glide = options.glide ?? 0.03;
+            this.now = options.now ?? defaultNow;
+            this.data = null;
+            this.mapper = null;
+            this.basePath = '';
+            this.graph = null;
+            this.samples = new Map();   // sample path -> AudioBuffer
+            this.playing = false;
+            this.capturing = false;
+            this.timeline = [];
+            this.captureStart = 0;
+            if (data) this.fromJSON(data);
+        }
+
+        // Use a sound map; sample paths are relative to basePath
+        fromJSON(data, basePath = '') {
+            this.mapper = new SoundMapper(data);
+            this.data = data;
+            this.basePath = basePath;
+            if (this.graph) {
+                this.teardown();
+                this.build();
+                this.loadSamples();
+            }
+            return this;
+        }
+
+        // Fetch a sound map file; samples load from the same folder
+        loadUrl(url) {
+            return fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Could not load sound map ${url}: ${response.status}`);
+                    return response.json();
+                })
+                .then(data => this.fromJSON(data, url.slice(0, url.lastIndexOf('/') + 1)));
+        }
+
+        // Load the sound map named by the ?sound= query parameter, if any
+        loadFromQuery() {
+            if (typeof location === 'undefined') return null;
+            const url = new URLSearchParams(location.search).get('sound');
+            return url ? this.loadUrl(url) : null;
+        }
+
+        // Make the audio nodes: each voice is oscillator -> filter -> volume -> pan -> master volume
+        build() {
+            const ctx = this.context;
+            const master = ctx.createGain();
+            master.gain.value = this.volume;
+            master.connect(ctx.destination);
+
+            const voices = new Map();
+            (this.mapper ? this.mapper.voices : []).forEach(config => {
+                const oscillator = ctx.createOscillator();
+                const filter = ctx.createBiquadFilter();
+                const gain = ctx.createGain();
+                const panner = ctx.createStereoPanner();
+                oscillator.type = config.wave;
+                oscillator.frequency.value = config.frequency ?? midiToFrequency(config.pitch ?? PARAMS.pitch);
+                filter.type = config.filter;
+                filter.frequency.value = config.cutoff ?? PARAMS.cutoff;
+                filter.Q.value = config.q ?? PARAMS.q;
+                gain.gain.value = config.gain ?? PARAMS.gain;
+                panner.pan.value = config.pan ?? PARAMS.pan;
+                oscillator.connect(filter).connect(gain).connect(panner).connect(master);
+                oscillator.start();
+                voices.set(config.name, { oscillator, filter, gain, panner });
+            });
+            this.graph = { master, voices };
+        }
+
+        // Stop and disconnect the voices (before loading a different sound map)
+        teardown() {
+            this.graph.voices.forEach(voice => voice.oscillator.stop());
+            this.graph.master.disconnect();
+            this.graph = null;
+        }
+
+        // Fetch and decode every sample the triggers use
+        loadSamples() {
+            const paths = [...new Set(this.mapper.triggers.filter(t => t.sample).map(t => t.sample))];
+            return Promise.all(paths.map(path => fetch(this.basePath + path)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Could not load sample ${path}: ${response.status}`);
+                    return response.arrayBuffer();
+                })
+                .then(bytes => this.context.decodeAudioData(bytes))
+                .then(buffer => this.samples.set(path, buffer))
+                .catch(err => console.error(err))));
+        }
+
+        // Start the sound (call from a key press or click, or the browser keeps it silent)
+        start() {
+            if (!this.context) this.context = new AudioContext();
+            if (!this.graph) {
+                this.build();
+                this.loadSamples();
+            }
+            this.playing = true;
+            return this.context.resume();
+        }
+
+        stop() {
+            this.playing = false;
+            if (this.context) this.context.suspend();
+        }
+
+        toggle() {
+            if (this.playing) this.stop();
+            else this.start();
+        }
+
+        // Move the voices and fire triggers from this frame's values; at is the audio time (seconds) to do it
+        update(values, time = this.now(), at = null) {
+            if (!this.mapper) return null;
+            const result = this.mapper.update(values, time);
+            if (this.capturing) this.timeline.push({ t: time - this.captureStart, values: Object.assign({}, values), events: [] });
+            if (this.graph) {
+                const when = at ?? this.context.currentTime;
+                Object.entries(result.params).forEach(([voice, params]) => {
+                    Object.entries(params).forEach(([param, value]) => this.setParam(voice, param, value, when));
+                });
+                result.fired.forEach(trigger => this.play(trigger, when));
+            }
+            result.fired.forEach(trigger => this.emit('trigger', { trigger: trigger, time: time }));
+            return result;
+        }
+
+        // Fire the triggers for a named event, e.g. trigger("blink") or trigger("enter:Stage")
+        trigger(name, time = this.now(), at = null) {
+            if (!this.mapper) return [];
+            if (this.capturing) this.timeline.push({ t: time - this.captureStart, values: {}, events: [name] });
+            const fired = this.mapper.event(name, time);
+            if (this.graph) fired.forEach(trigger => this.play(trigger, at ?? this.context.currentTime));
+            fired.forEach(trigger => this.emit('trigger', { trigger: trigger, time: time }));
+            return fired;
+        }
+
+        // Glide a voice setting to a new value
+        setParam(voiceName, param, value, when) {
+            const voice = this.graph.voices.get(voiceName);
+            if (!voice) return;
+            const targets = {
+                pitch: [voice.oscillator.frequency, midiToFrequency(value)],
+                frequency: [voice.oscillator.frequency, value],
+                detune: [voice.oscillator.detune, value],
+                cutoff: [voice.filter.frequency, value],
+                q: [voice.filter.Q, value],
+                gain: [voice.gain.gain, value],
+                pan: [voice.panner.pan, value]
+            };
+            const [audioParam, target] = targets[param];
+            audioParam.setTargetAtTime(target, when, this.glide);
+        }
+
+        // Play a trigger's sample, or a short note with a quick fade in and a fade out
+        play(trigger, when) {
+            const ctx = this.context;
+            const gain = ctx.createGain();
+            const panner = ctx.createStereoPanner();
+            panner.pan.value = trigger.pan;
+            gain.connect(panner).connect(this.graph.master);
+
+            let source;
+            if (trigger.sample) {
+                const buffer = this.samples.get(trigger.sample);
+                if (!buffer) return;
+                source = ctx.createBufferSource();
+                source.buffer = buffer;
+                gain.gain.value = trigger.gain;
+            } else {
+                source = ctx.createOscillator();
+                source.type = trigger.wave;
+                source.frequency.value = midiToFrequency(trigger.note ?? 72);
+                gain.gain.setValueAtTime(0, when);
+                gain.gain.linearRampToValueAtTime(trigger.gain, when + 0.005);
+                gain.gain.exponentialRampToValueAtTime(0.001, when + trigger.duration);
+                source.stop(when + trigger.duration + 0.05);
+            }
+            source.connect(gain);
+            source.start(when);
+            source.onended = () => panner.disconnect();
+        }
+
+        // Record the values and events that arrive from now on
+        startCapture() {
+            this.timeline = [];
+            this.captureStart = this.now();
+            this.capturing = true;
+        }
+
+        // Stop recording and return the timeline: [{ t, values, events }, ...]
+        stopCapture() {
+            this.capturing = false;
+            return this.timeline;
+        }
+
+        // Start capturing, or stop and save the capture as a WAV file and a JSON log of the mapped values
+        toggleCapture() {
+            if (!this.capturing) {
+                this.startCapture();
+                return null;
+            }
+            const timeline = this.stopCapture();
+            if (timeline.length === 0) return null;
+            const name = `sound_${Files.fileTimestamp()}`;
+            return renderOffline(this.data, timeline, { basePath: this.basePath, volume: this.volume })
+                .then(({ buffer, log }) => {
+                    Files.downloadText(encodeWAV(buffer), `${name}.wav`, 'audio/wav');
+                    Files.downloadJSON({ soundMap: this.data, timeline: timeline, log: log }, `${name}.json`);
+                })
+                .catch(err => console.error(err));
+        }
+    }
+
+    // Voice settings and fired triggers for each frame of a timeline, without audio: [{ t, params, fired }]
+    function mapTimeline(data, timeline) {
+        const mapper = new SoundMapper(data);
+        return timeline.map(frame => {
+            const result = mapper.update(frame.values || {}, frame.t);
+            (frame.events || []).forEach(name => result.fired.push(...mapper.event(name, frame.t)));
+            return { t: frame.t, params: result.params, fired: result.fired };
+        });
+    }
+
+    // A recorded session (see session.js) as a timeline for mapTimeline or renderOffline.
+    // valuesFor(results, session) turns a frame's model results into the values a sketch would pass to update()
+    function sessionTimeline(session, valuesFor) {
+        if (!session || !Array.isArray(session.frames)) {
+            throw new Error('Not a tracking session: missing frames array');
+        }
+        return session.frames.map(frame => ({ t: frame.t, values: valuesFor(frame.results, session) || {}, events: [] }));
+    }
+
+    // Render a timeline to audio without playing it; resolves with { buffer, log }
+    // options: { sampleRate 44100, tail 1 (seconds after the last frame), basePath '', volume 0.5 }
+    function renderOffline(data, timeline, options = {}) {
+        const sampleRate = options.sampleRate ?? 44100;
+        const duration = (timeline.length ? timeline[timeline.length - 1].t / 1000 : 0) + (options.tail ?? 1);
+        const context = new OfflineAudioContext(2, Math.ceil(duration * sampleRate), sampleRate);
+        const sonifier = new Sonifier(null, { context: context, volume: options.volume });
+        sonifier.fromJSON(data, options.basePath || '');
+        sonifier.build();
+
+        return sonifier.loadSamples().then(() => {
+            timeline.forEach(frame => {
+                const at = frame.t / 1000;
+                sonifier.update(frame.values || {}, frame.t, at);
+                (frame.events || []).forEach(name => sonifier.trigger(name, frame.t, at));
+            });
+            return context.startRendering();
+        }).then(buffer => ({ buffer: buffer, log: mapTimeline(data, timeline) }));
+    }
+
+    // An AudioBuffer as a 16-bit PCM WAV file
+    function encodeWAV(buffer) {
+        const channels = buffer.numberOfChannels;
+        const length = buffer.length;
+        const bytes = new ArrayBuffer(44 + length * channels * 2);
+        const view = new DataView(bytes);
+        const writeString = (offset, text) => [...text].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + length * channels * 2, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);                               // format chunk size
+        view.setUint16(20, 1, true);                                // PCM
+        view.setUint16(22, channels, true);
+        view.setUint32(24, buffer.sampleRate, true);
+        view.setUint32(28, buffer.sampleRate * channels * 2, true); // bytes per second
+        view.setUint16(32, channels * 2, true);                     // bytes per frame
+        view.setUint16(34, 16, true);                               // bits per sample
+        writeString(36, 'data');
+        view.setUint32(40, length * channels * 2, true);
+
+        // Channels are interleaved, one sample of each per frame
+        const data = [];
+        for (let c = 0; c < channels; c++) data.push(buffer.getChannelData(c));
+        let offset = 44;
+        for (let i = 0; i < length; i++) {
+            for (let c = 0; c < channels; c++) {
+                const sample = Math.max(-1, Math.min(1, data[c][i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+                offset += 2;
+            }
+        }
+        return bytes;
+    }
+
+    const Sonify = {
+        SCALES,
+        CURVES,
+        PARAMS,
+        midiToFrequency,
+        quantize,
+        mapValue,
+        SoundMapper,
+        Sonifier,
+        mapTimeline,
+        sessionTimeline,
+        renderOffline,
+        encodeWAV
+    };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { Sonify };
+    } else {
+        root.Sonify = Sonify;
+    }
+})(globalThis);
@@ -0,0 +1,188 @@
+/*
+Shared Tracking Helpers
+
+Model-agnostic helpers for the results returned by ml5 bodyPose (MoveNet / BlazePose),
+handPose and faceMesh. Every model returns an array of "subjects" (a person, a hand or
+a face), and every subject has a keypoints array of {x, y, confidence?, name?} objects.
+Some models also give each subject a box, the rest get one computed from their keypoints.
+
+This file does no drawing and needs neither p5 nor a camera, so it also runs under Node:
+    const { Tracking } = require('./js/lib/tracking.js');
+Drawing helpers that use these results live in js/lib/tracking_draw.js.
+
+Key Functions (all on the Tracking object):
+- getSubject(results, subjectIndex): a person/hand/face, or null
+- getKeypoint(results, pointIndex, subjectIndex): a keypoint, or null
+- isValidPoint(point): true if the point has numeric x and y
+- isVisible(point, threshold): valid and above the confidence threshold
+  (points without a confidence value, such as hand and face points, count as visible)
+- visibleKeypoints(subject, threshold): keypoints above the threshold, each tagged with its index
+- boxFromKeypoints(keypoints, threshold): bounding box around the visible points
+- getBox(subject, threshold): the model's box if it gave one, otherwise boxFromKeypoints
+- getBoxes(results, threshold): one box (or null) per subject, in the same order as results
+- boxCenter(box): centre of a box
+- keypointCentroid(keypoints, threshold): average position of the visible points
+- distance(point1, point2): distance in pixels
+- angleFromHorizontal(basePoint, endPoint): angle of a segment in degrees (0-360, clockwise on screen)
+
+Boxes use the same shape as the ml5 models:
+    { xMin, yMin, xMax, yMax, width, height }
+
+Example:
+
+let nose = Tracking.getKeypoint(poses, 0, 0);  // (results, pointIndex, personIndex)
+if (Tracking.isVisible(nose, confidenceThreshold)) {
+    circle(nose.x, nose.y, 20);
+}
+*/
+
+(function (root) {
+    // Get a subject (person, hand or face) from a results array
+    function getSubject(results, subjectIndex = 0) {
+        if (!results || results.length === 0) return null;
+        return results[subjectIndex] || null;
+    }
+
+    // Safely get a keypoint from a results array
+    function getKeypoint(results, pointIndex, subjectIndex = 0) {
+        const subject = getSubject(results, subjectIndex);
+        if (!subject || !subject.keypoints) return null;
+        return subject.keypoints[pointIndex] || null;
+    }
+
+    // Check if a point has valid coordinates
+    function isValidPoint(point) {
+        return !!point &&
+               typeof point.x === 'number' &&
+               typeof point.y === 'number' &&
+               !isNaN(point.x) && !isNaN(point.y);
+    }
+
+    // Check if a point is valid and confident enough to use
+    function isVisible(point, threshold = 0) {
+        if (!isValidPoint(point)) return false;
+        if (typeof point.confidence !== 'number') return true;
+        return point.confidence > threshold;
+    }
+
+    // List the visible keypoints of a subject, adding each point's index
+    function visibleKeypoints(subject, threshold = 0) {
+        if (!subject || !subject.keypoints) return [];
+        const visible = [];
+        subject.keypoints.forEach((point, index) => {
+            if (isVisible(point, threshold)) {
+                point.index = index;
+                visible.push(point);
+            }
+        });
+        return visible;
+    }
+
+    // Make a box object from its edges
+    function makeBox(xMin, yMin, xMax, yMax) {
+        return {
+            xMin: xMin,
+            yMin: yMin,
+            xMax: xMax,
+            yMax: yMax,
+            width: xMax - xMin,
+            height: yMax - yMin
+        };
+    }
+
+    // Calculate a bounding box around the visible keypoints
+    function boxFromKeypoints(keypoints, threshold = 0) {
+        if (!keypoints) return null;
+        const points = keypoints.filter(point => isVisible(point, threshold));
+        if (points.length === 0) return null;
+
+        const xCoords = points.map(p => p.x);
+        const yCoords = points.map(p => p.y);
+        return makeBox(Math.min(...xCoords), Math.min(...yCoords),
+                       Math.max(...xCoords), Math.max(...yCoords));
+    }
+
+    // Get a subject's bounding box, using the model's box when there is one
+    function getBox(subject, threshold = 0) {
+        if (!subject) return null;
+        const box = subject.box;
+        if (box && typeof box.xMin === 'number' && typeof box.yMin === 'number') {
+            // Some models only give xMin/yMin/width/height, so fill in the rest
+            const xMax = typeof box.xMax === 'number' ? box.xMax : box.xMin + box.width;
+            const yMax = typeof box.yMax === 'number' ? box.yMax : box.yMin + box.height;
+            return makeBox(box.xMin, box.yMin, xMax, yMax);
+        }
+        return boxFromKeypoints(subject.keypoints, threshold);
+    }
+
+    // Get one box per subject; entries are null where a subject has no box
+    function getBoxes(results, threshold = 0) {
+        if (!results) return [];
+        return results.map(subject => getBox(subject, threshold));
+    }
+
+    // Centre of a box
+    function boxCenter(box) {
+        if (!box) return null;
+        return {
+            x: (box.xMin + box.xMax) / 2,
+            y: (box.yMin + box.yMax) / 2
+        };
+    }
+
+    // Average position of the visible keypoints
+    function keypointCentroid(keypoints, threshold = 0) {
+        if (!keypoints) return null;
+        const points = keypoints.filter(point => isVisible(point, threshold));
+        if (points.length === 0) return null;
+
+        let x = 0;
+        let y = 0;
+        points.forEach(point => {
+            x += point.x;
+            y += point.y;
+        });
+        return { x: x / points.length, y: y / points.length };
+    }
+
+    // Distance between two points in pixels
+    function distance(point1, point2) {
+        if (!isValidPoint(point1) || !isValidPoint(point2)) return null;
+        const dx = point2.x - point1.x;
+        const dy = point2.y - point1.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    // Angle of the segment from basePoint to endPoint, in degrees from the horizontal (0-360)
+    function angleFromHorizontal(basePoint, endPoint) {
+        if (!isValidPoint(basePoint) || !isValidPoint(endPoint)) return null;
+        const dx = endPoint.x - basePoint.x;
+        const dy = endPoint.y - basePoint.y;
+        let angle = Math.atan2(dy, dx) * 180 / Math.PI;
+        if (angle < 0) angle += 360;
+        return angle;
+    }
+
+    const Tracking = {
+        getSubject,
+        getKeypoint,
+        isValidPoint,
+        isVisible,
+        visibleKeypoints,
+        makeBox,
+        boxFromKeypoints,
+        getBox,
+        getBoxes,
+        boxCenter,
+        keypointCentroid,
+        distance,
+        angleFromHorizontal
+    };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { Tracking };
+    } else {
+        root.Tracking = Tracking;
+    }
+})(globalThis);
@@ -0,0 +1,167 @@
+/*
+Shared Tracking Drawing Helpers
+
+p5.js drawing functions for keypoints, centroids and bounding boxes, shared by the sketches.
+Load after p5.js and js/lib/tracking.js.
+
+Key Functions (all on the TrackingDraw object):
+- showPoint(point, pointColor, style): circle at a keypoint with its index, name and coordinates
+- showCentroid(point, label): red centroid marker with its coordinates
+- drawBoxWithDimensions(box, label, boxColor, formatLength): box outline with width/height labels and a name inside the top edge
+  (formatLength turns a length in pixels into its label, e.g. centimetres from js/lib/units.js)
+- drawBoxWithCenter(box, boxColor, label, showCoordinates): thick box outline with the centre coordinates written in the middle
+
+Box colours default to green; pass a p5 color or an [r, g, b] array to change them.
+
+Point style (all optional):
+{
+    size: 20,               // circle diameter in pixels
+    showIndex: true,        // write point.index inside the circle
+    showName: false,        // write point.name above the coordinates
+    showCoordinates: true   // write (x, y) under the circle
+}
+*/
+
+(function (root) {
+    const { Tracking } = typeof module !== 'undefined' && module.exports ? require('./tracking.js') : root;
+
+    const DEFAULT_POINT_STYLE = {
+        size: 20,
+        showIndex: true,
+        showName: false,
+        showCoordinates: true
+    };
+
+    // Highlight a point with a given color, plus its index, name and coordinates
+    function showPoint(point, pointColor, style = {}) {
+        if (!Tracking.isValidPoint(point)) return;
+        const s = Object.assign({}, DEFAULT_POINT_STYLE, style);
+
+        // Draw point circle
+        fill(pointColor);
+        noStroke();
+        circle(point.x, point.y, s.size);
+
+        // Draw point index number
+        if (s.showIndex && point.index != null) {
+            fill(255);
+            textAlign(CENTER, CENTER);
+            textSize(10);
+            text(point.index, point.x, point.y);
+        }
+
+        // Draw point name and coordinates
+        let displayText = s.showCoordinates ? `(${Math.round(point.x)}, ${Math.round(point.y)})` : '';
+        if (s.showName && point.name) {
+            displayText = displayText ? `${point.name}\n${displayText}` : point.name;
+        }
+        if (displayText) {
+            fill(255, 255, 0);
+            textAlign(CENTER, TOP);
+            textSize(8);
+            text(displayText, point.x, point.y + s.size / 2 + 5);
+        }
+    }
+
+    // Highlight the centroid point
+    function showCentroid(point, label = 'C') {
+        if (!Tracking.isValidPoint(point)) return;
+
+        // Draw centroid circle
+        fill(255, 0, 0);
+        noStroke();
+        circle(point.x, point.y, 15);
+
+        // Draw label
+        fill(255);
+        textAlign(CENTER, CENTER);
+        textSize(10);
+        text(label, point.x, point.y);
+
+        // Draw centroid coordinates
+        fill(255, 255, 0);
+        textAlign(CENTER, TOP);
+        textSize(8);
+        text(`Centroid: (${Math.round(point.x)}, ${Math.round(point.y)})`,
+             point.x, point.y + 15);
+    }
+
+    // Write a length in pixels
+    function formatPixels(pixels) {
+        return `${Math.round(pixels)}px`;
+    }
+
+    // Draw a box with its width and height written along the edges
+    function drawBoxWithDimensions(box, label, boxColor = [0, 255, 0], formatLength = formatPixels) {
+        if (!box) return;
+
+        // Draw box outline
+        noFill();
+        stroke(boxColor);
+        strokeWeight(2);
+        rect(box.xMin, box.yMin, box.width, box.height);
+
+        // Draw box dimensions
+        fill(boxColor);
+        noStroke();
+        textAlign(CENTER, CENTER);
+        textSize(12);
+
+        // Width label
+        text(`Width: ${formatLength(box.width)}`,
+             box.xMin + box.width / 2, box.yMin - 10);
+
+        // Height label
+        push();
+        translate(box.xMin - 10, box.yMin + box.height / 2);
+        rotate(-PI / 2);
+        text(`Height: ${formatLength(box.height)}`, 0, 0);
+        pop();
+
+        // Subject label
+        if (label != null) {
+            text(label, box.xMin + box.width / 2, box.yMin + 20);
+        }
+    }
+
+    // Draw a thick box with the coordinates of its centre in the middle
+    function drawBoxWithCenter(box, boxColor = [0, 255, 0], label, showCoordinates = true) {
+        if (!box) return;
+        const center = Tracking.boxCenter(box);
+
+        // Draw box outline
+        noFill();
+        stroke(boxColor);
+        strokeWeight(5);
+        rect(box.xMin, box.yMin, box.width, box.height);
+
+        // Draw coordinates in the middle of the box
+        fill(boxColor);
+        noStroke();
+        textAlign(CENTER, CENTER);
+        textSize(20);
+        if (showCoordinates) {
+            text(`(${Math.round(center.x)}, ${Math.round(center.y)})`, center.x, center.y);
+        }
+
+        // Draw label above the box
+        if (label != null) {
+            textAlign(CENTER, BOTTOM);
+            text(label, center.x, box.yMin - 5);
+        }
+    }
+
+    const TrackingDraw = {
+        showPoint,
+        showCentroid,
+        drawBoxWithDimensions,
+        drawBoxWithCenter
+    };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { TrackingDraw };
+    } else {
+        root.TrackingDraw = TrackingDraw;
+    }
+})(globalThis);
@@ -0,0 +1,227 @@
+/*
+Real-World Units (centimetres)
+
+Pixel distances change whenever someone moves closer to or further from the camera. UnitScale
+works out how many pixels make a centimetre for each subject, from a body part of known size,
+so distances, box sizes and speeds can be given in centimetres.
+
+Scale sources:
+- A reference body part, measured every frame for each subject so the scale follows them in depth:
+    "shoulderWidth": MoveNet shoulders (5, 6), about 36 cm apart for an adult facing the camera
+    "palm": HandPose wrist to middle knuckle (0, 9), about 9.5 cm, and across the knuckles (5, 17)
+- Two clicked points a known distance apart (CalibrationTool). This gives one scale for things at
+  that depth, and if a subject is in view it also measures their reference part, so later frames
+  use their real shoulder width or palm size instead of the average one.
+
+A subject's scale is smoothed over frames, and kept while the reference part is hidden.
+Subjects without a scale fall back to the clicked calibration; without either, the results are
+null and format() writes pixels.
+
+Key Functions (UnitScale):
+- update(subjects, keys): measure each subject's scale (keys default to subject.id, then the index)
+- scaleFor(key): pixels per centimetre for a subject, or null
+- toCm(pixels, key) / distanceCm(point1, point2, key) / boxCm(box, key) / velocityCm(motion, key)
+- format(pixels, key): "12.3cm", or "45px" when there is no scale
+- calibrateFromPoints(point1, point2, cm, subject): set the scale from two points (emits 'calibrated')
+- toJSON() / fromJSON(data): keep the calibration between visits
+
+CalibrationTool(scale): click two points, then type the distance between them in cm
+
+Example:
+
+let unitScale = new UnitScale({ reference: "shoulderWidth", threshold: 0.2 });
+// in gotPoses()
+unitScale.update(poses);
+// in draw()
+let cm = unitScale.distanceCm(getKeypoint(9, 0), getKeypoint(10, 0), 0);
+if (cm !== null) text(`Wrists ${cm.toFixed(1)} cm apart`, 20, 20);
+*/
+
+(function (root) {
+    const usingNode = typeof module !== 'undefined' && module.exports;
+    const { Tracking } = usingNode ? require('./tracking.js') : root;
+    const { Emitter } = usingNode ? require('./events.js') : root;
+
+    // Body parts of known size: each segment is [pointA, pointB, length as a share of the size]
+    const REFERENCES = {
+        shoulderWidth: { label: 'shoulder width', size: 36, segments: [[5, 6, 1]] },
+        palm: { label: 'palm size', size: 9.5, segments: [[0, 9, 1], [5, 17, 0.79]] }
+    };
+
+    class UnitScale extends Emitter {
+        // options: {
+        //     reference "shoulderWidth"   a key of REFERENCES, or null to only use clicked calibration
+        //     referenceCm                 size of the reference part (defaults to the average adult)
+        //     threshold 0                 keypoint confidence threshold
+        //     smoothing 0.2               how far each frame moves the scale to the new measurement (0-1)
+        // }
+        constructor(options = {}) {
+            super();
+            this.reference = options.reference === undefined ? 'shoulderWidth' : options.reference;
+            if (this.reference && !REFERENCES[this.reference]) {
+                throw new Error(`Unknown reference: ${this.reference}`);
+            }
+            this.referenceCm = options.referenceCm ?? (this.reference ? REFERENCES[this.reference].size : null);
+            this.threshold = options.threshold ?? 0;
+            this.smoothing = options.smoothing ?? 0.2;
+
+            this.manualScale = null;    // pixels per cm from the clicked points
+            this.scales = new Map();    // subject key -> pixels per cm
+        }
+
+        // Pixels per cm from a subject's reference part this frame, or null if it can't be seen
+        measureReference(subject) {
+            if (!this.reference || !subject || !subject.keypoints) return null;
+            const measures = [];
+            REFERENCES[this.reference].segments.forEach(([a, b, share]) => {
+                const pointA = subject.keypoints[a];
+                const pointB = subject.keypoints[b];
+                if (!Tracking.isVisible(pointA, this.threshold) || !Tracking.isVisible(pointB, this.threshold)) return;
+                const pixels = Tracking.distance(pointA, pointB);
+                if (pixels > 0) measures.push(pixels / (share * this.referenceCm));
+            });
+            if (measures.length === 0) return null;
+            return measures.reduce((a, b) => a + b, 0) / measures.length;
+        }
+
+        // Measure each subject's scale; subjects that have left are forgotten
+        update(subjects, keys = null) {
+            const seen = new Set();
+            (subjects || []).forEach((subject, i) => {
+                const key = keys ? keys[i] : (subject.id ?? i);
+                seen.add(key);
+                const measured = this.measureReference(subject);
+                if (measured === null) return;
+                const old = this.scales.get(key);
+                this.scales.set(key, old === undefined ? measured : old + this.smoothing * (measured - old));
+            });
+            for (const key of [...this.scales.keys()]) {
+                if (!seen.has(key)) this.scales.delete(key);
+            }
+        }
+
+        // Pixels per centimetre for a subject, falling back to the clicked calibration
+        scaleFor(key) {
+            const scale = this.scales.get(key);
+            return scale !== undefined ? scale : this.manualScale;
+        }
+
+        // Pixels to centimetres, or null without a scale
+        toCm(pixels, key) {
+            const scale = this.scaleFor(key);
+            if (!scale || typeof pixels !== 'number') return null;
+            return pixels / scale;
+        }
+
+        // Distance between two points in centimetres, or null
+        distanceCm(point1, point2, key) {
+            return this.toCm(Tracking.distance(point1, point2), key);
+        }
+
+        // Box width and height in centimetres, or null
+        boxCm(box, key) {
+            if (!box || !this.scaleFor(key)) return null;
+            return { width: this.toCm(box.width, key), height: this.toCm(box.height, key) };
+        }
+
+        // Velocity from js/lib/kinematics.js in centimetres per second, or null
+        velocityCm(motion, key) {
+            if (!motion || !this.scaleFor(key)) return null;
+            return { vx: this.toCm(motion.vx, key), vy: this.toCm(motion.vy, key), speed: this.toCm(motion.speed, key) };
+        }
+
+        // A length for labels: centimetres when there is a scale, pixels otherwise
+        format(pixels, key) {
+            const cm = this.toCm(pixels, key);
+            return cm !== null ? `${cm.toFixed(1)}cm` : `${Math.round(pixels)}px`;
+        }
+
+        // Set the scale from two points a known distance apart (at the same depth as the subject);
+        // a subject in view has their reference part measured so it follows them from now on
+        calibrateFromPoints(point1, point2, cm, subject = null) {
+            const pixels = Tracking.distance(point1, point2);
+            if (!pixels || !(cm > 0)) return null;
+            this.manualScale = pixels / cm;
+
+            const measured = this.measureReference(subject);
+            if (measured !== null) {
+                this.referenceCm *= measured / this.manualScale;
+            }
+            this.scales.clear();
+            this.emit('calibrated', { pixelsPerCm: this.manualScale, referenceCm: this.referenceCm });
+            return this.manualScale;
+        }
+
+        toJSON() {
+            return { reference: this.reference, referenceCm: this.referenceCm, manualScale: this.manualScale };
+        }
+
+        fromJSON(data) {
+            if (!data || typeof data !== 'object') {
+                throw new Error('Not a unit calibration: expected an object');
+            }
+            // Only keep the reference size if it's for the same body part
+            if (data.reference === this.reference && data.referenceCm > 0) this.referenceCm = data.referenceCm;
+            this.manualScale = data.manualScale > 0 ? data.manualScale : null;
+            this.scales.clear();
+            return this;
+        }
+    }
+
+    // Click two points, then type the distance between them in centimetres
+    class CalibrationTool {
+        constructor(scale) {
+            this.scale = scale;
+            this.active = false;
+            this.points = [];
+        }
+
+        start() {
+            this.active = true;
+            this.points = [];
+        }
+
+        cancel() {
+            this.active = false;
+            this.points = [];
+        }
+
+        // Add a point; the second one asks for the distance; the subject (optional) has their reference part measured
+        mousePressed(x, y, subject = null) {
+            if (!this.active) return false;
+            this.points.push({ x: x, y: y });
+            if (this.points.length === 2) {
+                const answer = prompt('Distance between the two points in cm:');
+                const cm = parseFloat(answer);
+                if (cm > 0) this.scale.calibrateFromPoints(this.points[0], this.points[1], cm, subject);
+                this.cancel();
+            }
+            return true;
+        }
+
+        // Draw the line so far and the instructions
+        draw(mouseX, mouseY) {
+            if (!this.active) return;
+            push();
+            stroke(0, 200, 255);
+            strokeWeight(2);
+            this.points.forEach(p => line(p.x, p.y, mouseX, mouseY));
+            fill(0, 200, 255);
+            noStroke();
+            this.points.forEach(p => circle(p.x, p.y, 8));
+            textAlign(LEFT, BOTTOM);
+            textSize(12);
+            text('Click both ends of something you know the length of, ESC to cancel', 10, height - 10);
+            pop();
+        }
+    }
+
+    const api = { UnitScale, CalibrationTool, REFERENCES };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(globalThis);
@@ -0,0 +1,432 @@
+/*
+Pose-Driven Visuals from a JSON Scene
+
+Turns tracked keypoints into artwork instead of debug dots. A scene file lists layers, drawn in
+order, each following keypoints by name (see js/lib/skeletons.js), so a performance can be
+designed by editing JSON without touching the tracking code.
+
+Layer types:
+- "puppet": PNG or SVG sprites stretched and rotated along bones, and sprites pinned to points
+- "particles": emitters that spray particles from keypoints, thrown along with their movement
+- "ribbon": fading, tapering trails behind keypoints
+- "silhouette": a smooth shape through the body's outline points, with fading echoes behind it
+
+Scene file:
+{
+    "name": "Puppet",
+    "model": "MoveNet",                      // which model's keypoint names the layers use
+    "background": [20, 20, 40],              // optional: leave out to draw over the video
+    "layers": [
+        { "type": "silhouette", "keypoints": ["nose", "left_shoulder", ...], "color": [120, 0, 200, 90], "echoes": 5, "echoGap": 4 },
+        { "type": "puppet", "color": [255, 200, 0], "parts": [
+            // a sprite along a bone: width is a share of the bone length, overhang extends both ends
+            { "bone": ["left_shoulder", "left_elbow"], "image": "sprites/arm.png", "width": 0.35, "overhang": 0.1 },
+            // a sprite at a point: size is a share of sizeBone's length (or pixels without one)
+            { "point": "nose", "image": "sprites/head.svg", "size": 1.2, "sizeBone": ["left_shoulder", "right_shoulder"], "rotateBone": ["right_eye", "left_eye"] }
+        ] },
+        { "type": "particles", "keypoints": ["left_wrist"], "rate": 3, "life": 1200, "size": [4, 14], "color": [255, 160, 0], "speed": 80, "inherit": 0.3, "gravity": 200, "blend": "add" },
+        { "type": "ribbon", "keypoints": ["left_wrist", "right_wrist"], "length": 25, "weight": 14, "color": [0, 200, 255] }
+    ]
+}
+Sprite paths are relative to the scene file. Parts without an image are drawn as rounded bars and
+circles in the part's (or layer's) colour. Sprites are drawn pointing down the bone, so draw limb
+images upright with the joint nearest the body at the top.
+
+Key Functions (Visuals.VisualScene):
+- fromJSON(data, basePath) / loadUrl(url) / loadFromQuery(): load a scene (?scene=scenes/my_scene.json)
+- update(subjects, keys, time): follow this frame's people (keys default to subject.id, then the index)
+- draw(): draw every layer
+New layer types can be added to Visuals.LAYER_TYPES: a class with constructor(config, scene), update(people, dt) and draw().
+
+Example:
+
+let scene = new Visuals.VisualScene();
+scene.loadUrl("scenes/puppet.json");
+// in gotPoses()
+scene.update(poses);
+// in draw()
+scene.draw();
+*/
+
+(function (root) {
+    const usingNode = typeof module !== 'undefined' && module.exports;
+    const { Tracking } = usingNode ? require('./tracking.js') : root;
+    const { Skeletons } = usingNode ? require('./skeletons.js') : root;
+
+    function defaultNow() {
+        return performance.now();
+    }
+
+    // A p5 colour from an [r, g, b, a] array, with the alpha multiplied by fade (0-1)
+    function fadedColor(rgba, fade = 1) {
+        const alpha = (rgba[3] ?? 255) * fade;
+        return color(rgba[0], rgba[1], rgba[2], alpha);
+    }
+
+    // Sprites stretched along bones, and sprites pinned to single points
+    class PuppetLayer {
+        constructor(config, scene) {
+            this.color = config.color || [255, 200, 0];
+            this.parts = (config.parts || []).map(part => {
+                const resolved = Object.assign({}, part, {
+                    bone: part.bone ? part.bone.map(name => scene.index(name)) : null,
+                    point: part.point !== undefined ? scene.index(part.point) : null,
+                    sizeBone: part.sizeBone ? part.sizeBone.map(name => scene.index(name)) : null,
+                    rotateBone: part.rotateBone ? part.rotateBone.map(name => scene.index(name)) : null,
+                    sprite: null
+                });
+                if (part.image && typeof loadImage === 'function') {
+                    loadImage(scene.basePath + part.image, img => { resolved.sprite = img; },
+                              () => console.error(`Could not load sprite ${part.image}`));
+                }
+                return resolved;
+            });
+            this.people = [];
+        }
+
+        update(people) {
+            this.people = people;
+        }
+
+        draw(scene) {
+            this.people.forEach(person => {
+                this.parts.forEach(part => {
+                    if (part.bone) this.drawBonePart(part, person.subject.keypoints, scene.threshold);
+                    else if (part.point !== null) this.drawPointPart(part, person.subject.keypoints, scene.threshold);
+                });
+            });
+        }
+
+        // Stretch the sprite from the first point of the bone to the second
+        drawBonePart(part, keypoints, threshold) {
+            const start = keypoints[part.bone[0]];
+            const end = keypoints[part.bone[1]];
+            if (!Tracking.isVisible(start, threshold) || !Tracking.isVisible(end, threshold)) return;
+            const length = Tracking.distance(start, end);
+            const overhang = (part.overhang ?? 0.1) * length;
+            const w = (part.width ?? 0.3) * length;
+
+            push();
+            translate(start.x, start.y);
+            // Sprites point down (+y), so turn them a quarter less than the bone's angle
+            rotate(Math.atan2(end.y - start.y, end.x - start.x) - Math.PI / 2);
+            if (part.sprite) {
+                image(part.sprite, -w / 2, -overhang, w, length + overhang * 2);
+            } else {
+                noStroke();
+                fill(fadedColor(part.color || this.color));
+                rect(-w / 2, -overhang, w, length + overhang * 2, w / 2);
+            }
+            pop();
+        }
+
+        // Centre the sprite on the point, sized and turned by the optional bones
+        drawPointPart(part, keypoints, threshold) {
+            const center = keypoints[part.point];
+            if (!Tracking.isVisible(center, threshold)) return;
+            let size = part.size ?? 60;
+            if (part.sizeBone) {
+                const a = keypoints[part.sizeBone[0]];
+                const b = keypoints[part.sizeBone[1]];
+                if (!Tracking.isVisible(a, threshold) || !Tracking.isVisible(b, threshold)) return;
+                size *= Tracking.distance(a, b);
+            }
+            let angle = 0;
+            if (part.rotateBone) {
+                const a = keypoints[part.rotateBone[0]];
+                const b = keypoints[part.rotateBone[1]];
+                if (Tracking.isVisible(a, threshold) && Tracking.isVisible(b, threshold)) angle = Math.atan2(b.y - a.y, b.x - a.x);
+            }
+
+            push();
+            translate(center.x, center.y);
+            rotate(angle);
+            if (part.sprite) {
+                const h = size * part.sprite.height / part.sprite.width;
+                image(part.sprite, -size / 2, -h / 2, size, h);
+            } else {
+                noStroke();
+                fill(fadedColor(part.color || this.color));
+                circle(0, 0, size);
+            }
+            pop();
+        }
+    }
+
+    // Particles sprayed from keypoints, carrying some of the keypoint's own speed
+    class ParticleLayer {
+        constructor(config, scene) {
+            this.keypoints = (config.keypoints || []).map(name => scene.index(name));
+            this.rate = config.rate ?? 3;               // particles per keypoint per update
+            this.life = config.life ?? 1000;            // milliseconds
+            this.size = config.size || [4, 12];         // [smallest, largest] diameter
+            this.color = config.color || [255, 160, 0];
+            this.speed = config.speed ?? 60;            // random speed in pixels per second
+            this.inherit = config.inherit ?? 0.3;       // share of the keypoint's speed passed on
+            this.gravity = config.gravity ?? 0;         // pixels per second per second, down
+            this.maxParticles = config.maxParticles ?? 1500;
+            this.random = scene.random;
+            this.particles = [];
+            this.last = new Map();                      // "key:index" -> last position, for speed
+            this.owed = 0;                              // fractions of a particle carried over
+        }
+
+        update(people, dt) {
+            // Move and age the particles already flying
+            this.particles.forEach(p => {
+                p.vy += this.gravity * dt;
+                p.x += p.vx * dt;
+                p.y += p.vy * dt;
+                p.age += dt * 1000;
+            });
+            this.particles = this.particles.filter(p => p.age < this.life);
+
+            // Emit new ones from each visible keypoint
+            const seen = new Map();
+            people.forEach(person => {
+                this.keypoints.forEach(index => {
+                    const point = person.subject.keypoints[index];
+                    if (!Tracking.isVisible(point, person.threshold)) return;
+                    const id = `${person.key}:${index}`;
+                    const last = this.last.get(id);
+                    const vx = last && dt > 0 ? (point.x - last.x) / dt : 0;
+                    const vy = last && dt > 0 ? (point.y - last.y) / dt : 0;
+                    seen.set(id, { x: point.x, y: point.y });
+
+                    this.owed += this.rate;
+                    for (; this.owed >= 1; this.owed--) this.emit(point, vx, vy);
+                });
+            });
+            this.last = seen;
+            if (this.particles.length > this.maxParticles) {
+                this.particles.splice(0, this.particles.length - this.maxParticles);
+            }
+        }
+
+        emit(point, vx, vy) {
+            const angle = this.random() * Math.PI * 2;
+            const speed = this.random() * this.speed;
+            this.particles.push({
+                x: point.x,
+                y: point.y,
+                vx: vx * this.inherit + Math.cos(angle) * speed,
+                vy: vy * this.inherit + Math.sin(angle) * speed,
+                size: this.size[0] + this.random() * (this.size[1] - this.size[0]),
+                age: 0
+            });
+        }
+
+        // Particles fade and shrink as they age
+        draw() {
+            noStroke();
+            this.particles.forEach(p => {
+                const fade = 1 - p.age / this.life;
+                fill(fadedColor(this.color, fade));
+                circle(p.x, p.y, p.size * (0.3 + 0.7 * fade));
+            });
+        }
+    }
+
+    // Trails behind keypoints that taper and fade towards the oldest point
+    class RibbonLayer {
+        constructor(config, scene) {
+            this.keypoints = (config.keypoints || []).map(name => scene.index(name));
+            this.length = config.length ?? 25;          // updates kept in each trail
+            this.weight = config.weight ?? 12;
+            this.color = config.color || [0, 200, 255];
+            this.trails = new Map();                    // "key:index" -> [{ x, y }, ...], newest last
+        }
+
+        update(people) {
+            const seen = new Set();
+            people.forEach(person => {
+                this.keypoints.forEach(index => {
+                    const point = person.subject.keypoints[index];
+                    if (!Tracking.isVisible(point, person.threshold)) return;
+                    const id = `${person.key}:${index}`;
+                    seen.add(id);
+                    if (!this.trails.has(id)) this.trails.set(id, []);
+                    const trail = this.trails.get(id);
+                    trail.push({ x: point.x, y: point.y });
+                    if (trail.length > this.length) trail.shift();
+                });
+            });
+
+            // Trails that lost their keypoint shrink away instead of vanishing
+            for (const [id, trail] of this.trails) {
+                if (seen.has(id)) continue;
+                trail.shift();
+                if (trail.length === 0) this.trails.delete(id);
+            }
+        }
+
+        draw() {
+            this.trails.forEach(trail => {
+                for (let i = 1; i < trail.length; i++) {
+                    const t = i / (trail.length - 1);
+                    stroke(fadedColor(this.color, t));
+                    strokeWeight(Math.max(1, this.weight * t));
+                    line(trail[i - 1].x, trail[i - 1].y, trail[i].x, trail[i].y);
+                }
+            });
+        }
+    }
+
+    // A smooth shape through outline keypoints, with fading copies of where it was
+    class SilhouetteLayer {
+        constructor(config, scene) {
+            this.keypoints = (config.keypoints || []).map(name => scene.index(name));
+            this.color = config.color || [120, 0, 200, 90];
+            this.echoes = config.echoes ?? 5;           // fading copies behind the current shape
+            this.echoGap = config.echoGap ?? 4;         // updates between copies
+            this.history = new Map();                   // person key -> [outline, ...], newest last
+        }
+
+        update(people) {
+            const seen = new Set();
+            people.forEach(person => {
+                const outline = this.keypoints
+                    .map(index => person.subject.keypoints[index])
+                    .filter(point => Tracking.isVisible(point, person.threshold))
+                    .map(point => ({ x: point.x, y: point.y }));
+                if (outline.length < 3) return;
+                seen.add(person.key);
+                if (!this.history.has(person.key)) this.history.set(person.key, []);
+                const shapes = this.history.get(person.key);
+                shapes.push(outline);
+                if (shapes.length > this.echoes * this.echoGap + 1) shapes.shift();
+            });
+            for (const key of [...this.history.keys()]) {
+                if (!seen.has(key)) this.history.delete(key);
+            }
+        }
+
+        draw() {
+            noStroke();
+            this.history.forEach(shapes => {
+                // Oldest echo first so the current shape is on top
+                for (let e = this.echoes; e >= 0; e--) {
+                    const shape = shapes[shapes.length - 1 - e * this.echoGap];
+                    if (!shape) continue;
+                    fill(fadedColor(this.color, 1 - e / (this.echoes + 1)));
+                    beginShape();
+                    // curveVertex needs the ends repeated to close the loop smoothly
+                    [shape[shape.length - 1], ...shape, shape[0], shape[1]].forEach(p => curveVertex(p.x, p.y));
+                    endShape(CLOSE);
+                }
+            });
+        }
+    }
+
+    const LAYER_TYPES = {
+        puppet: PuppetLayer,
+        particles: ParticleLayer,
+        ribbon: RibbonLayer,
+        silhouette: SilhouetteLayer
+    };
+
+    class VisualScene {
+        // options: { threshold 0, now, random (0-1 numbers, Math.random by default) }
+        constructor(options = {}) {
+            this.threshold = options.threshold ?? 0;
+            this.now = options.now ?? defaultNow;
+            this.random = options.random ?? Math.random;
+            this.name = '';
+            this.model = 'MoveNet';
+            this.background = null;
+            this.layers = [];
+            this.basePath = '';
+            this.lastTime = null;
+        }
+
+        // A keypoint name (or number) as an index for the scene's model
+        index(name) {
+            if (typeof name === 'number') return name;
+            const index = Skeletons.keypointIndex(name, this.model);
+            if (index === -1) throw new Error(`Not a visual scene: unknown ${this.model} keypoint "${name}"`);
+            return index;
+        }
+
+        // Build the layers from a scene object; sprite paths are relative to basePath
+        fromJSON(data, basePath = '') {
+            if (!data || !Array.isArray(data.layers)) {
+                throw new Error('Not a visual scene: expected an object with a layers array');
+            }
+            this.model = data.model || 'MoveNet';
+            Skeletons.getSkeleton(this.model);
+            this.basePath = basePath;
+            this.layers = data.layers.map(config => {
+                const Layer = LAYER_TYPES[config.type];
+                if (!Layer) throw new Error(`Not a visual scene: unknown layer type "${config.type}"`);
+                const layer = new Layer(config, this);
+                layer.blend = config.blend || null;
+                return layer;
+            });
+            this.name = data.name || '';
+            this.background = data.background || null;
+            this.lastTime = null;
+            return this;
+        }
+
+        // Fetch a scene file; sprites load from the same folder
+        loadUrl(url) {
+            return fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Could not load scene ${url}: ${response.status}`);
+                    return response.json();
+                })
+                .then(data => this.fromJSON(data, url.slice(0, url.lastIndexOf('/') + 1)));
+        }
+
+        // Load the scene file named by the ?scene= query parameter, if any
+        loadFromQuery() {
+            if (typeof location === 'undefined') return null;
+            const url = new URLSearchParams(location.search).get('scene');
+            return url ? this.loadUrl(url) : null;
+        }
+
+        // Follow this frame's people
+        update(subjects, keys = null, time = this.now()) {
+            const dt = this.lastTime === null ? 0 : Math.max(0, time - this.lastTime) / 1000;
+            this.lastTime = time;
+            const people = (subjects || []).map((subject, i) => ({
+                key: keys ? keys[i] : (subject.id ?? i),
+                subject: subject,
+                threshold: this.threshold
+            }));
+            this.layers.forEach(layer => layer.update(people, dt));
+        }
+
+        // Draw the background (if the scene has one) and every layer in order
+        draw() {
+            push();
+            if (this.background) {
+                noStroke();
+                fill(this.background);
+                rect(0, 0, width, height);
+            }
+            this.layers.forEach(layer => {
+                blendMode(layer.blend === 'add' ? ADD : BLEND);
+                layer.draw(this);
+            });
+            blendMode(BLEND);
+            pop();
+        }
+    }
+
+    const Visuals = {
+        VisualScene,
+        LAYER_TYPES,
+        PuppetLayer,
+        ParticleLayer,
+        RibbonLayer,
+        SilhouetteLayer
+    };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { Visuals };
+    } else {
+        root.Visuals = Visuals;
+    }
+})(globalThis);
@@ -0,0 +1,357 @@
+/*
+Zones and Tripwires
+
+Spatial triggers for installations: polygon zones that know who is standing in them and for
+how long, and tripwire lines that know when someone walks across them and in which direction.
+Zones and tripwires are drawn on the canvas with the mouse (ZoneEditor) and saved to a JSON file.
+
+Each person is one point: the centre of their box ("centroid", the default) or the middle of
+the bottom edge of their box ("bottom", roughly where their feet are).
+
+Events (ZoneMap):
+- enter: { zone, id, time }                 person id walked into a zone
+- leave: { zone, id, time, dwell }          ...and out again after dwell milliseconds
+- cross: { tripwire, id, time, direction }  direction is "forward" or "backward"
+
+Tripwire direction: standing at the line's first point looking towards its second point,
+"forward" is crossing from the left side to the right side (the arrow drawn on the line).
+
+Zones file format:
+{
+    canvas: { width: 640, height: 480 },    // zones are scaled if the canvas is a different size
+    zones: [ { id, name, points: [ { x, y }, ... ] } ],
+    tripwires: [ { id, name, a: { x, y }, b: { x, y } } ]
+}
+
+Key Functions (ZoneMap):
+- addZone(points, name) / addTripwire(a, b, name) / remove(id) / clear()
+- update(tracks, time): move everyone (PersonTracker tracks with id and box) and fire events
+- occupancy(zone): number of people in a zone
+- dwellTime(zone, id, time): milliseconds a person has been in a zone, or 0
+- zonesFor(id): zones a person is in
+- shapeAt(point): the zone or tripwire under a point (for deleting with the mouse)
+- toJSON() / fromJSON(data, canvasWidth, canvasHeight) / loadUrl(url) / loadFromQuery()
+
+Key Functions (ZoneEditor): start(mode), mousePressed(x, y), finish(), cancel(), draw(x, y)
+- drawZones(map): zones shaded by how many people are in them, tripwires with their counts
+
+Example:
+
+let zoneMap = new ZoneMap({ anchor: "bottom" });
+zoneMap.on('enter', (event) => console.log(`Person ${event.id} entered ${event.zone.name}`));
+zoneMap.on('cross', (event) => console.log(`Person ${event.id} crossed ${event.tripwire.name} ${event.direction}`));
+// in gotPoses()
+zoneMap.update(personTracker.activeTracks());
+*/
+
+(function (root) {
+    const usingNode = typeof module !== 'undefined' && module.exports;
+    const { Tracking } = usingNode ? require('./tracking.js') : root;
+    const { Emitter } = usingNode ? require('./events.js') : root;
+
+    function defaultNow() {
+        return performance.now();
+    }
+
+    // Whether a point is inside a polygon (even-odd rule)
+    function pointInPolygon(point, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    // Which side of the line a -> b a point is on: > 0 right (on screen), < 0 left, 0 on the line
+    function sideOfLine(a, b, point) {
+        return (b.x - a.x) * (point.y - a.y) - (b.y - a.y) * (point.x - a.x);
+    }
+
+    // Whether the segments p1-p2 and q1-q2 cross. A point exactly on a line counts as being on
+    // its right (>= 0) side, so landing on a tripwire crosses it once, and leaving it again
+    // on the right does not cross it a second time.
+    function segmentsIntersect(p1, p2, q1, q2) {
+        const d1 = sideOfLine(q1, q2, p1) >= 0;
+        const d2 = sideOfLine(q1, q2, p2) >= 0;
+        const d3 = sideOfLine(p1, p2, q1) >= 0;
+        const d4 = sideOfLine(p1, p2, q2) >= 0;
+        return d1 !== d2 && d3 !== d4;
+    }
+
+    // Distance from a point to the segment a-b
+    function distanceToSegment(point, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared)) : 0;
+        return Tracking.distance(point, { x: a.x + t * dx, y: a.y + t * dy });
+    }
+
+    class ZoneMap extends Emitter {
+        // options: { anchor "centroid" | "bottom", now }
+        constructor(options = {}) {
+            super();
+            this.anchor = options.anchor ?? 'centroid';
+            this.now = options.now || defaultNow;
+            this.zones = [];
+            this.tripwires = [];
+            this.positions = new Map();     // person id -> last anchor point
+            this.nextId = 1;
+        }
+
+        addZone(points, name = `Zone ${this.zones.length + 1}`) {
+            const zone = { id: this.nextId++, name: name, points: points.map(p => ({ x: p.x, y: p.y })), occupants: new Map() };
+            this.zones.push(zone);
+            return zone;
+        }
+
+        addTripwire(a, b, name = `Line ${this.tripwires.length + 1}`) {
+            const tripwire = { id: this.nextId++, name: name, a: { x: a.x, y: a.y }, b: { x: b.x, y: b.y }, forward: 0, backward: 0 };
+            this.tripwires.push(tripwire);
+            return tripwire;
+        }
+
+        // Remove a zone or tripwire; people inside a removed zone don't get leave events
+        remove(id) {
+            this.zones = this.zones.filter(zone => zone.id !== id);
+            this.tripwires = this.tripwires.filter(tripwire => tripwire.id !== id);
+        }
+
+        clear() {
+            this.zones = [];
+            this.tripwires = [];
+        }
+
+        // The point that stands for a person
+        anchorPoint(track) {
+            if (this.anchor === 'bottom' && track.box) {
+                return { x: track.box.xMin + track.box.width / 2, y: track.box.yMax };
+            }
+            return track.centroid || Tracking.boxCenter(track.box);
+        }
+
+        // Move everyone to this frame's positions and fire enter, leave and cross events
+        update(tracks, time = this.now()) {
+            const seen = new Set();
+            (tracks || []).forEach(track => {
+                const point = this.anchorPoint(track);
+                if (!Tracking.isValidPoint(point)) return;
+                seen.add(track.id);
+
+                this.zones.forEach(zone => {
+                    const inside = pointInPolygon(point, zone.points);
+                    if (inside && !zone.occupants.has(track.id)) {
+                        zone.occupants.set(track.id, time);
+                        this.emit('enter', { zone: zone, id: track.id, time: time });
+                    } else if (!inside && zone.occupants.has(track.id)) {
+                        this.leave(zone, track.id, time);
+                    }
+                });
+
+                const previous = this.positions.get(track.id);
+                if (previous) {
+                    this.tripwires.forEach(tripwire => {
+                        if (!segmentsIntersect(previous, point, tripwire.a, tripwire.b)) return;
+                        const direction = sideOfLine(tripwire.a, tripwire.b, point) >= 0 ? 'forward' : 'backward';
+                        tripwire[direction]++;
+                        this.emit('cross', { tripwire: tripwire, id: track.id, time: time, direction: direction });
+                    });
+                }
+                this.positions.set(track.id, point);
+            });
+
+            // People who are gone leave every zone
+            this.positions.forEach((point, id) => {
+                if (seen.has(id)) return;
+                this.positions.delete(id);
+                this.zones.forEach(zone => {
+                    if (zone.occupants.has(id)) this.leave(zone, id, time);
+                });
+            });
+        }
+
+        leave(zone, id, time) {
+            const dwell = time - zone.occupants.get(id);
+            zone.occupants.delete(id);
+            this.emit('leave', { zone: zone, id: id, time: time, dwell: dwell });
+        }
+
+        occupancy(zone) {
+            return zone.occupants.size;
+        }
+
+        dwellTime(zone, id, time = this.now()) {
+            return zone.occupants.has(id) ? time - zone.occupants.get(id) : 0;
+        }
+
+        zonesFor(id) {
+            return this.zones.filter(zone => zone.occupants.has(id));
+        }
+
+        // The tripwire within `margin` pixels of a point, otherwise the zone it is inside, or null
+        shapeAt(point, margin = 8) {
+            const tripwire = this.tripwires.find(t => distanceToSegment(point, t.a, t.b) <= margin);
+            if (tripwire) return tripwire;
+            // Zones drawn last are on top
+            return [...this.zones].reverse().find(zone => pointInPolygon(point, zone.points)) || null;
+        }
+
+        toJSON(canvasWidth, canvasHeight) {
+            return {
+                canvas: { width: canvasWidth, height: canvasHeight },
+                zones: this.zones.map(zone => ({ id: zone.id, name: zone.name, points: zone.points })),
+                tripwires: this.tripwires.map(t => ({ id: t.id, name: t.name, a: t.a, b: t.b }))
+            };
+        }
+
+        // Replace the zones and tripwires with a saved file's, scaled to this canvas size
+        fromJSON(data, canvasWidth, canvasHeight) {
+            if (!data || !Array.isArray(data.zones) || !Array.isArray(data.tripwires)) {
+                throw new Error('Not a zones file: expected zones and tripwires arrays');
+            }
+            const sx = data.canvas && canvasWidth ? canvasWidth / data.canvas.width : 1;
+            const sy = data.canvas && canvasHeight ? canvasHeight / data.canvas.height : 1;
+            const scale = p => ({ x: p.x * sx, y: p.y * sy });
+
+            this.clear();
+            this.nextId = 1;
+            data.zones.forEach(zone => this.addZone(zone.points.map(scale), zone.name));
+            data.tripwires.forEach(t => this.addTripwire(scale(t.a), scale(t.b), t.name));
+            return this;
+        }
+
+        // Load a zones file from a URL (canvas size from p5's width and height)
+        loadUrl(url) {
+            return fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Could not load zones ${url}: ${response.status}`);
+                    return response.json();
+                })
+                .then(data => this.fromJSON(data, width, height));
+        }
+
+        // Load the zones file named by the ?zones= query parameter, if any
+        loadFromQuery() {
+            if (typeof location === 'undefined') return null;
+            const url = new URLSearchParams(location.search).get('zones');
+            return url ? this.loadUrl(url) : null;
+        }
+    }
+
+    // Draws new zones (click each corner, then finish) and tripwires (click both ends) with the mouse
+    class ZoneEditor {
+        constructor(map) {
+            this.map = map;
+            this.mode = null;       // null, "zone" or "tripwire"
+            this.points = [];
+        }
+
+        get active() {
+            return this.mode !== null;
+        }
+
+        start(mode) {
+            this.mode = mode;
+            this.points = [];
+        }
+
+        cancel() {
+            this.mode = null;
+            this.points = [];
+        }
+
+        // Add a corner or end point; a tripwire is finished by its second point
+        mousePressed(x, y) {
+            if (!this.mode) return false;
+            this.points.push({ x: x, y: y });
+            if (this.mode === 'tripwire' && this.points.length === 2) this.finish();
+            return true;
+        }
+
+        // Add the shape being drawn to the map; zones need at least three corners
+        finish() {
+            let shape = null;
+            if (this.mode === 'zone' && this.points.length >= 3) shape = this.map.addZone(this.points);
+            if (this.mode === 'tripwire' && this.points.length === 2) shape = this.map.addTripwire(this.points[0], this.points[1]);
+            this.cancel();
+            return shape;
+        }
+
+        // Draw the shape so far, with a line to the mouse
+        draw(mouseX, mouseY) {
+            if (!this.mode) return;
+            push();
+            stroke(255, 0, 255);
+            strokeWeight(2);
+            noFill();
+            beginShape();
+            this.points.forEach(p => vertex(p.x, p.y));
+            vertex(mouseX, mouseY);
+            endShape();
+            fill(255, 0, 255);
+            noStroke();
+            this.points.forEach(p => circle(p.x, p.y, 8));
+            textAlign(LEFT, BOTTOM);
+            textSize(12);
+            text(this.mode === 'zone' ? 'Click the corners, ENTER to finish, ESC to cancel' : 'Click both ends of the line, ESC to cancel',
+                 10, height - 10);
+            pop();
+        }
+    }
+
+    // Draw every zone (darker the more people are in it) and tripwire (with its forward arrow and counts)
+    function drawZones(map) {
+        push();
+        textSize(12);
+        map.zones.forEach(zone => {
+            const count = map.occupancy(zone);
+            stroke(0, 150, 255);
+            strokeWeight(2);
+            fill(0, 150, 255, count > 0 ? 60 + Math.min(count, 4) * 30 : 30);
+            beginShape();
+            zone.points.forEach(p => vertex(p.x, p.y));
+            endShape(CLOSE);
+
+            const center = Tracking.keypointCentroid(zone.points);
+            noStroke();
+            fill(255);
+            textAlign(CENTER, CENTER);
+            text(`${zone.name}: ${count}`, center.x, center.y);
+        });
+
+        map.tripwires.forEach(tripwire => {
+            const { a, b } = tripwire;
+            stroke(255, 80, 0);
+            strokeWeight(3);
+            line(a.x, a.y, b.x, b.y);
+
+            // Arrow from the middle of the line towards its forward (right-hand) side
+            const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+            const nx = -(b.y - a.y) / length;
+            const ny = (b.x - a.x) / length;
+            const mx = (a.x + b.x) / 2;
+            const my = (a.y + b.y) / 2;
+            line(mx, my, mx + nx * 20, my + ny * 20);
+            noStroke();
+            fill(255, 80, 0);
+            circle(mx + nx * 20, my + ny * 20, 6);
+            textAlign(LEFT, CENTER);
+            text(`${tripwire.name}  ->${tripwire.forward}  <-${tripwire.backward}`, b.x + 8, b.y);
+        });
+        pop();
+    }
+
+    const api = { ZoneMap, ZoneEditor, drawZones, pointInPolygon, segmentsIntersect };
+
+    // Export for Node, or add to the page's globals in the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(globalThis);
@@ -3,94 +3,348 @@ ML5 Multi-Person Body Pose Detection using BlazePose
 
 This script uses the ML5 library to perform real-time body pose detection for multiple people using a webcam with BlazePose.
 It focuses on tracking as many people as possible, showing only bounding boxes with x,y coordinates.
+Next to the camera, a 3D view draws the skeleton from BlazePose's world landmarks (keypoints3D, in metres).
 Note: BlazePose is optimized for single-person detection, but can handle multiple with detection.
 
 Key Variables:
 - video: Stores the webcam video feed
+- coords: Fits the video onto the canvas and converts keypoints to canvas pixels (see js/lib/coords.js)
 - bodyPose: ML5 pose detection model
 - poses: Array to store detected poses
 - confidenceThreshold: Minimum confidence score for a pose to be considered
+- personTracker: Gives each person a stable ID, colour and history, matched by box overlap, as BlazePose gives no track id (see js/lib/person_tracker.js)
+- tracks: Tracked person for each pose, in the same order as poses
+- outputBridge: Streams each frame over a WebSocket for relay/osc_relay.js to re-send as OSC (see js/lib/output_bridge.js)
+- dataLogger: Logs every frame's keypoints, boxes and centroids to CSV and JSON (toggle with E, see js/lib/data_logger.js)
+- sessionRecorder / sessionPlayer: Record tracking sessions to JSON and play them back (see js/lib/session.js)
+- settings: Model options and display toggles from the panel under the canvas, saved between visits (see js/lib/settings.js)
+- showLabels / showCoordinates: Whether to write the person IDs and centre coordinates
+- showSkeleton: Whether to draw each person's 33 keypoints and bones over the camera (toggle with P)
+- show3D: Whether to show the 3D view to the right of the camera (toggle with 3)
+- orbitView: The 3D view, with a floor grid, depth-coloured bones and mouse orbit controls (see js/lib/pose3d.js)
+- angles3D: Elbow, shoulder, hip and knee angles measured in 3D for each pose, in the same order as poses
+- worldRecorder: Records the 3D landmarks and angles every frame (toggle with W, saves JSON and CSV)
 
 Key Functions:
 - preload(): Loads the ML5 body pose model with BlazePose
 - gotPoses(): Callback function when poses are detected
-- drawBoxes(): Draws bounding boxes and coordinates for each detected person
+- drawBoxes(): Draws bounding boxes, IDs, coordinates and the recent path of each tracked person
+- drawSkeleton(): Draws a person's keypoints and bones (see js/lib/skeletons.js)
+- getKeypoint() / getKeypointByName(): Helper functions to get a keypoint by index or name, e.g. getKeypointByName('left_heel', 0)
+- draw3D(): Draws the 3D view and the first person's 3D joint angles
+- mouseDragged() / mouseWheel() / doubleClicked(): Orbit, zoom and reset the 3D view
+- loadSettings() / applySettings(): Read the saved settings and copy them into the variables below
+- reloadModel() / restartVideo(): Re-create the model and webcam after a settings change
+
+Boxes and drawing helpers come from js/lib/tracking.js (Tracking) and js/lib/tracking_draw.js (TrackingDraw).
+
+Keys: P shows/hides the skeleton, 3 shows/hides the 3D view, W starts/stops recording the 3D landmarks (saved as JSON and CSV).
+
+Example of following a foot point by name (BlazePose also names the hands, heels, toes and face points):
+
+let heel = getKeypointByName('left_heel', 0);
+if (heel && heel.confidence > confidenceThreshold) {
+    circle(heel.x, heel.y, 20);
+}
+
+Example of using a 3D joint angle (it stays the same when the person turns away from the camera):
+
+let leftKnee = angles3D[0] ? angles3D[0].left_knee : null;
+if (leftKnee !== null && leftKnee < 100) {
+    background(255, 0, 0);
+}
 */
 
 // Declare variables for video, pose detection, and data storage
 let video;
+let coords;
 let bodyPose;
 let poses = [];
 let confidenceThreshold = 0.2;
 let flipVideo = true;
 let showVideo = true;
+let showLabels = true;
+let showCoordinates = true;
+let showSkeleton = true;
+let personTracker;
+let tracks = [];
+let outputBridge;
+let dataLogger;
+let sessionRecorder;
+let sessionPlayer;
+let settings;
+let show3D = true;
+let orbitView;
+let angles3D = [];
+let worldRecorder;
+
+let bodyPoseOptions = {
+    modelType: "full",
+    enableSmoothing: true,
+    minPoseScore: 0.25,
+    flipped: flipVideo
+};
 
 // Preload function to load the ML5 body pose model
 function preload() {
-    bodyPose = ml5.bodyPose("BlazePose", {
-        modelType: "full",
-        enableSmoothing: true,
-        minPoseScore: 0.25,
-        flipped: flipVideo
-    });
+    loadSettings();
+    bodyPose = ml5.bodyPose("BlazePose", bodyPoseOptions);
 }
 
 // Setup function to initialize the canvas, video, and start pose detection
 function setup() {
-    createCanvas(640, 480);
-    video = createCapture(VIDEO);
+    // The 3D view goes to the right of the 640 x 480 camera view
+    createCanvas(show3D ? 1280 : 640, 480);
+    video = createCapture(VIDEO, {flipped: flipVideo});
     video.size(640, 480);
     video.hide();
-    if (flipVideo) {
-        video.style('transform', 'scaleX(-1)');
-    }
-    bodyPose.detectStart(video, gotPoses);
+
+    // The models give video pixels; coords fits the video onto the canvas and moves results to match
+    coords = new CoordinateSpace({ sourceWidth: 640, sourceHeight: 480, canvasWidth: 640, canvasHeight: height });
+
+    // 3D view of the world landmarks, and recording them (toggle with W)
+    orbitView = new Pose3D.OrbitView({ x: 640, y: 0, width: 640, height: 480 });
+    worldRecorder = new Pose3D.WorldRecorder({ threshold: confidenceThreshold });
+
+    // Keep IDs for a second after someone is lost so they get the same ID when they come back
+    personTracker = new PersonTracker({ timeout: 1000, threshold: confidenceThreshold });
+
+    // Stream frames to relay/osc_relay.js (toggle with B, or open the page with ?bridge=ws://host:port)
+    outputBridge = new OutputBridge({ model: "body", threshold: confidenceThreshold });
+    outputBridge.connectFromQuery();
+
+    // Log per-frame data for analysis (toggle with E, the CSV and JSON files save when logging stops)
+    dataLogger = new DataLogger({
+        model: "BlazePose",
+        options: bodyPoseOptions,
+        canvas: { width: width, height: height },
+        flipped: flipVideo,
+        confidenceThreshold: confidenceThreshold
+    });
+
+    // Record live results, or replay a recorded session instead of the webcam
+    sessionRecorder = new SessionRecorder({ model: "BlazePose", options: bodyPoseOptions });
+    sessionPlayer = new SessionPlayer(gotPoses, {
+        onStart: () => bodyPose.detectStop(),
+        onStop: () => bodyPose.detectStart(video, sessionRecorder.wrap(gotPoses))
+    });
+    bodyPose.detectStart(video, sessionRecorder.wrap(gotPoses));
+    sessionPlayer.loadFromQuery();
+
+    // Settings panel under the canvas; model options re-create the model
+    settings.on('change', (change) => {
+        applySettings();
+        if (change.key === 'flipVideo') restartVideo();
+        if (change.reload) reloadModel();
+    });
+    new SettingsPanel(settings);
 }
 
 // Main draw loop
 function draw() {
     background(255);
-    // Display the video feed based on variable
-    if (showVideo) {
-        image(video, 0, 0, width, height);
+    sessionPlayer.update();
+
+    // Display the video feed based on variable (there is no matching video during playback)
+    if (showVideo && !sessionPlayer.active) {
+        coords.drawVideo(video);
     }
 
-    // Draw bounding boxes and coordinates
+    // Draw each person's skeleton, then the bounding boxes and coordinates
+    if (showSkeleton) {
+        poses.forEach((pose, personIndex) => drawSkeleton(personIndex));
+    }
     drawBoxes();
+    if (show3D) {
+        draw3D();
+    }
+    drawSessionStatus(sessionRecorder, sessionPlayer);
+    drawLoggerStatus(dataLogger);
+    drawBridgeStatus(outputBridge);
 }
 
 // Callback function when poses are detected
 function gotPoses(results) {
-    poses = results || [];
+    poses = coords.convertSubjects(results, 'source', 'canvas');
+    tracks = personTracker.update(poses);
+
+    // Joint angles in 3D, and record the 3D landmarks when W is on
+    angles3D = poses.map(pose => Pose3D.jointAngles3D(pose.keypoints3D, confidenceThreshold));
+    worldRecorder.add(poses.map((pose, i) => ({ id: tracks[i].id, keypoints3D: pose.keypoints3D })));
+
+    // Stream and log this frame
+    let subjects = frameSubjects();
+    outputBridge.send(subjects);
+    dataLogger.log(subjects);
 }
 
 // Function to draw bounding boxes and coordinates for each person
 function drawBoxes() {
-    poses.forEach((pose, index) => {
-        if (!pose.box) return;
+    tracks.forEach(track => {
+        // Draw the path of the centre over the last few seconds
+        noFill();
+        stroke(track.color);
+        strokeWeight(2);
+        beginShape();
+        track.history.forEach(entry => {
+            if (entry.centroid) vertex(entry.centroid.x, entry.centroid.y);
+        });
+        endShape();
 
-        const box = pose.box;
-        const centerX = (box.xMin + box.xMax) / 2;
-        const centerY = (box.yMin + box.yMax) / 2;
+        TrackingDraw.drawBoxWithCenter(track.box, track.color, showLabels ? `Person ${track.id}` : null, showCoordinates);
+    });
+}
 
-        // Draw box outline
-        noFill();
-        stroke(0, 255, 0);
-        strokeWeight(5);
-        rect(box.xMin, box.yMin, box.width, box.height);
-
-        // Draw coordinates in the middle of the box
-        fill(0, 255, 0);
-        noStroke();
-        textAlign(CENTER, CENTER);
-        textSize(20);
-        text(`(${Math.round(centerX)}, ${Math.round(centerY)})`,
-             box.xMin + box.width / 2, box.yMin + box.height / 2);
+// Function to draw a person's 33 keypoints and the bones between them in their track colour
+function drawSkeleton(personIndex) {
+    Skeletons.draw(poses[personIndex], {
+        model: "BlazePose",
+        color: tracks[personIndex] ? tracks[personIndex].color : [0, 255, 0],
+        weight: 2,
+        threshold: confidenceThreshold,
+        showPoints: true
+    });
+}
+
+// Helper function to safely get keypoint data
+function getKeypoint(pointIndex, personIndex = 0) {
+    return Tracking.getKeypoint(poses, pointIndex, personIndex);
+}
+
+// Helper function to get a keypoint by name ('left_heel', 'right_index', ...) from a person or person index
+function getKeypointByName(name, person = 0) {
+    return Skeletons.getKeypointByName(name, typeof person === 'number' ? poses[person] : person);
+}
+
+// Function to draw the 3D view and write the first person's 3D joint angles in its corner
+function draw3D() {
+    orbitView.render(poses.map((pose, i) => ({ keypoints3D: pose.keypoints3D, color: tracks[i].color })), confidenceThreshold);
+    orbitView.draw();
+
+    noStroke();
+    fill(255);
+    textAlign(LEFT, TOP);
+    textSize(12);
+    if (angles3D[0]) {
+        Object.entries(angles3D[0]).forEach(([name, angle], i) => {
+            text(`${name}: ${angle === null ? '-' : Math.round(angle) + '°'}`, orbitView.x + 10, orbitView.y + 10 + i * 16);
+        });
+    }
+    if (worldRecorder.recording) {
+        fill(255, 0, 0);
+        text(`● 3D recording, ${worldRecorder.frames.length} frames (W to stop)`, orbitView.x + 10, orbitView.y + 150);
+    }
+}
+
+// Function to collect keypoints, boxes and centres for each tracked person for the output bridge and data logger
+function frameSubjects() {
+    return tracks.map((track, i) => ({
+        id: track.id,
+        keypoints: track.subject.keypoints,
+        box: track.box,
+        centroid: track.centroid,
+        derived: angles3D[i]
+    }));
+}
+
+// Read saved and URL settings over the defaults above (see js/lib/settings.js)
+function loadSettings() {
+    settings = new Settings(
+        MODEL_SETTINGS.BlazePose.concat(displaySettings(['confidenceThreshold', 'showVideo', 'flipVideo', 'showLabels', 'showCoordinates'])),
+        Object.assign({}, bodyPoseOptions, {
+            confidenceThreshold: confidenceThreshold,
+            showVideo: showVideo,
+            flipVideo: flipVideo,
+            showLabels: showLabels,
+            showCoordinates: showCoordinates
+        }),
+        { storageKey: "ml5experiments.blaze" }
+    ).load();
+    applySettings();
+}
+
+// Copy the settings into the sketch's variables and the helpers that use them
+function applySettings() {
+    settings.copyTo(bodyPoseOptions, MODEL_SETTINGS.BlazePose.map(setting => setting.key));
+    confidenceThreshold = settings.get('confidenceThreshold');
+    showVideo = settings.get('showVideo');
+    flipVideo = settings.get('flipVideo');
+    showLabels = settings.get('showLabels');
+    showCoordinates = settings.get('showCoordinates');
+    bodyPoseOptions.flipped = flipVideo;
+
+    // Helpers made in setup() keep their own copy of the threshold
+    if (personTracker) personTracker.threshold = confidenceThreshold;
+    if (worldRecorder) worldRecorder.threshold = confidenceThreshold;
+    if (outputBridge) outputBridge.options.threshold = confidenceThreshold;
+    if (dataLogger) Object.assign(dataLogger.metadata, { flipped: flipVideo, confidenceThreshold: confidenceThreshold });
+}
+
+// Re-create the model with the new options, then start detecting again
+function reloadModel() {
+    bodyPose.detectStop();
+    const model = ml5.bodyPose("BlazePose", bodyPoseOptions, () => {
+        // Another change may have replaced this model while it was loading
+        if (model !== bodyPose) return;
+        if (!sessionPlayer.active) bodyPose.detectStart(video, sessionRecorder.wrap(gotPoses));
     });
+    bodyPose = model;
+}
+
+// Re-create the webcam capture so it is mirrored (or not) to match flipVideo
+function restartVideo() {
+    if (video.elt.srcObject) video.elt.srcObject.getTracks().forEach(track => track.stop());
+    video.remove();
+    video = createCapture(VIDEO, {flipped: flipVideo});
+    video.size(640, 480);
+    video.hide();
 }
 
 function keyPressed() {
+    if (handleSessionKey(key, keyCode, sessionRecorder, sessionPlayer)) return;
+
     if (key === 's' || key === 'S') {
-        showVideo = !showVideo;
+        settings.set('showVideo', !showVideo);
+    }
+
+    // Connect/disconnect the OSC output bridge with 'b' key
+    if (key === 'b' || key === 'B') {
+        outputBridge.toggle();
+    }
+
+    // Start/stop logging with 'e' key (saves CSV and JSON when stopped)
+    if (key === 'e' || key === 'E') {
+        dataLogger.toggle();
+    }
+
+    // Show/hide the skeleton with 'p' key
+    if (key === 'p' || key === 'P') {
+        showSkeleton = !showSkeleton;
+    }
+
+    // Show/hide the 3D view with '3' key (the canvas grows to fit it)
+    if (key === '3') {
+        show3D = !show3D;
+        resizeCanvas(show3D ? 1280 : 640, 480);
     }
+
+    // Start/stop recording the 3D landmarks with 'w' key (saves JSON and CSV when stopped)
+    if (key === 'w' || key === 'W') {
+        worldRecorder.toggle();
+    }
+}
+
+// Drag inside the 3D view to orbit the camera
+function mouseDragged() {
+    if (show3D) orbitView.mouseDragged();
+}
+
+// Scroll inside the 3D view to zoom (without scrolling the page)
+function mouseWheel(event) {
+    if (show3D && orbitView.mouseWheel(event.delta)) return false;
+}
+
+// Double-click the 3D view to reset the camera
+function doubleClicked() {
+    if (show3D && orbitView.contains(mouseX, mouseY)) orbitView.reset();
 }
@@ -0,0 +1,389 @@
+/*
+ML5 Body, Hands and Face Together
+
+This script runs MoveNet body pose, HandPose and FaceMesh on the same webcam video and
+combines them into one object per person: each hand is given to the body whose wrist is
+nearest, and each face to the body whose nose is nearest.
+
+The models take turns detecting (see ModelScheduler in js/lib/multi_model.js), so turning
+a model off gives its share of the frame rate to the others.
+
+Key Variables:
+- video: Stores the webcam video feed
+- coords: Fits the video onto the canvas and converts keypoints to canvas pixels (see js/lib/coords.js)
+- bodyPose / handPose / faceMesh: ML5 models
+- poses / hands / faces: Latest results from each model
+- people: One merged object per person (see below)
+- unmatchedHands / unmatchedFaces: Hands and faces that are not near any body
+- scheduler: Takes turns running the models; weight and maxFps set each model's share
+- personTracker: Gives each person a stable ID and colour (see js/lib/person_tracker.js)
+- tracks: Tracked person for each pose, in the same order as poses
+- outputBridge: Streams each person over a WebSocket for relay/osc_relay.js to re-send as OSC (see js/lib/output_bridge.js)
+- dataLogger: Logs every person's body keypoints, box and centroid to CSV and JSON (toggle with E, see js/lib/data_logger.js)
+- settings: Model options and display toggles from the panel under the canvas, saved between visits (see js/lib/settings.js)
+
+The bridge and logger get one subject per person: the body keypoints, plus left_hand, right_hand
+and face set to whether that part was matched. Hand and face keypoints are not sent; use
+index_hand.html or index_face.html for those.
+
+Merged person object:
+{
+    id, color,                  // from the person tracker
+    body,                       // MoveNet pose
+    box, centroid,              // body bounding box and its centre
+    leftHand, rightHand,        // HandPose hands at the body's wrists, or null
+    face                        // FaceMesh face at the body's nose, or null
+}
+
+Key Functions:
+- preload(): Loads the three ML5 models
+- gotPoses() / gotHands() / gotFaces(): Store each model's results and rebuild people
+- updatePeople(): Matches hands and faces to bodies
+- drawPerson(): Draws a person's body, hands and face in their colour
+- drawModelStatus(): Shows which models are on and how often they run
+- frameSubjects(): One subject per person for the output bridge and data logger
+- loadSettings() / applySettings(): Read the saved settings and copy them into the variables below
+- reloadModel() / restartVideo(): Re-create a model or the webcam after a settings change
+
+Keys: S toggles the video, 1 / 2 / 3 turn the body, hand and face models on and off,
+B connects the output bridge, E starts/stops logging.
+
+Example of using people:
+
+// Index finger tip of the first person's right hand
+let person = people[0];
+if (person && person.rightHand) {
+    let tip = person.rightHand.keypoints[8];
+    circle(tip.x, tip.y, 20);
+}
+*/
+
+// Declare variables for video, the models, and data storage
+let video;
+let coords;
+let bodyPose;
+let handPose;
+let faceMesh;
+let poses = [];
+let hands = [];
+let faces = [];
+let people = [];
+let unmatchedHands = [];
+let unmatchedFaces = [];
+let confidenceThreshold = 0.2;
+let flipVideo = true;
+let showVideo = true;
+let scheduler;
+let personTracker;
+let tracks = [];
+let bodyConnections = [];
+let handConnections = [];
+let outputBridge;
+let dataLogger;
+let settings;
+
+let bodyPoseOptions = {
+    modelType: "MULTIPOSE_LIGHTNING",
+    enableSmoothing: true,
+    minPoseScore: 0.25,
+    multiPoseMaxDimension: 256,
+    enableTracking: true,
+    trackerType: "boundingBox",
+    flipped: flipVideo
+};
+let handPoseOptions = { maxHands: 4, flipped: flipVideo };
+let faceMeshOptions = { maxFaces: 2, refineLandmarks: false, flipped: flipVideo };
+
+// Which key turns each model on and off
+let modelKeys = { '1': 'body', '2': 'hands', '3': 'face' };
+
+// Settings for each model. HandPose's modelType would share a key with MoveNet's,
+// so the hand model keeps its default type here.
+let modelSettings = {
+    body: MODEL_SETTINGS.MoveNet,
+    hands: MODEL_SETTINGS.HandPose.filter(setting => setting.key !== 'modelType'),
+    face: MODEL_SETTINGS.FaceMesh
+};
+
+// Preload function to load the three ML5 models
+function preload() {
+    loadSettings();
+    bodyPose = ml5.bodyPose("MoveNet", bodyPoseOptions);
+    handPose = ml5.handPose(handPoseOptions);
+    faceMesh = ml5.faceMesh(faceMeshOptions);
+}
+
+// Setup function to initialize the canvas, video, and start the models taking turns
+function setup() {
+    createCanvas(640, 480);
+    video = createCapture(VIDEO, {flipped: flipVideo});
+    video.size(640, 480);
+    video.hide();
+
+    // The models give video pixels; coords fits the video onto the canvas and moves results to match
+    coords = new CoordinateSpace({ sourceWidth: 640, sourceHeight: 480, canvasWidth: width, canvasHeight: height });
+
+    bodyConnections = bodyPose.getSkeleton();
+    handConnections = handPose.getConnections();
+
+    personTracker = new PersonTracker({ timeout: 1000, threshold: confidenceThreshold });
+
+    // Stream each person to relay/osc_relay.js when the page is opened with ?bridge=ws://localhost:8080 (or press B)
+    outputBridge = new OutputBridge({ model: "person", threshold: confidenceThreshold });
+    outputBridge.connectFromQuery();
+
+    // Log each person's body keypoints to CSV and JSON (press E to start and stop)
+    dataLogger = new DataLogger({
+        model: "person",
+        options: { body: bodyPoseOptions, hands: handPoseOptions, face: faceMeshOptions },
+        canvas: { width: width, height: height },
+        flipped: flipVideo,
+        confidenceThreshold: confidenceThreshold
+    });
+
+    // The body runs twice as often as the hands; the face is limited to 10 times a second
+    scheduler = new ModelScheduler();
+    scheduler.add("body", bodyPose, gotPoses, { weight: 2 });
+    scheduler.add("hands", handPose, gotHands, { weight: 1 });
+    scheduler.add("face", faceMesh, gotFaces, { weight: 1, maxFps: 10 });
+    scheduler.start(video);
+
+    // Settings panel under the canvas; model options re-create the model they belong to
+    settings.on('change', (change) => {
+        applySettings();
+        if (change.key === 'flipVideo') {
+            restartVideo();
+            Object.keys(modelSettings).forEach(name => reloadModel(name));
+        } else if (change.reload) {
+            reloadModel(Object.keys(modelSettings).find(name => modelSettings[name].some(setting => setting.key === change.key)));
+        }
+    });
+    new SettingsPanel(settings);
+}
+
+// Main draw loop
+function draw() {
+    background(255);
+
+    // Display the video feed based on variable
+    if (showVideo) {
+        coords.drawVideo(video);
+    }
+
+    people.forEach(person => drawPerson(person));
+
+    // Hands and faces that aren't near a body are drawn in grey
+    unmatchedHands.forEach(hand => drawHand(hand, [150, 150, 150]));
+    unmatchedFaces.forEach(face => drawFace(face, [150, 150, 150]));
+
+    drawModelStatus();
+    drawLoggerStatus(dataLogger);
+    drawBridgeStatus(outputBridge);
+}
+
+// Callback functions when each model has results
+function gotPoses(results) {
+    poses = coords.convertSubjects(results, 'source', 'canvas');
+    tracks = personTracker.update(poses);
+    updatePeople();
+}
+
+function gotHands(results) {
+    hands = coords.convertSubjects(results, 'source', 'canvas');
+    updatePeople();
+}
+
+function gotFaces(results) {
+    faces = coords.convertSubjects(results, 'source', 'canvas');
+    updatePeople();
+}
+
+// Match hands and faces to bodies and build the merged person objects
+function updatePeople() {
+    const merged = associatePeople(poses, hands, faces, { threshold: confidenceThreshold });
+
+    people = merged.people.map((person, i) => Object.assign(person, {
+        id: tracks[i].id,
+        color: tracks[i].color,
+        box: tracks[i].box,
+        centroid: tracks[i].centroid
+    }));
+    unmatchedHands = merged.unmatchedHands;
+    unmatchedFaces = merged.unmatchedFaces;
+
+    let subjects = frameSubjects();
+    outputBridge.send(subjects);
+    dataLogger.log(subjects);
+}
+
+// One subject per person for the output bridge and data logger
+function frameSubjects() {
+    return people.map(person => ({
+        id: person.id,
+        keypoints: person.body.keypoints,
+        box: person.box,
+        centroid: person.centroid,
+        derived: { left_hand: !!person.leftHand, right_hand: !!person.rightHand, face: !!person.face }
+    }));
+}
+
+// Function to draw one person's body, hands, face and label
+function drawPerson(person) {
+    // Skeleton
+    stroke(person.color);
+    strokeWeight(3);
+    bodyConnections.forEach(([a, b]) => {
+        const start = person.body.keypoints[a];
+        const end = person.body.keypoints[b];
+        if (Tracking.isVisible(start, confidenceThreshold) && Tracking.isVisible(end, confidenceThreshold)) {
+            line(start.x, start.y, end.x, end.y);
+        }
+    });
+
+    if (person.leftHand) drawHand(person.leftHand, person.color);
+    if (person.rightHand) drawHand(person.rightHand, person.color);
+    if (person.face) drawFace(person.face, person.color);
+
+    // Label with the parts that were matched
+    if (person.box) {
+        const parts = [];
+        if (person.leftHand) parts.push('L hand');
+        if (person.rightHand) parts.push('R hand');
+        if (person.face) parts.push('face');
+        noStroke();
+        fill(person.color);
+        textSize(14);
+        textAlign(LEFT, BOTTOM);
+        text(`Person ${person.id}${parts.length ? ': ' + parts.join(', ') : ''}`, person.box.xMin, person.box.yMin - 5);
+    }
+}
+
+// Function to draw a hand's connections and keypoints
+function drawHand(hand, handColor) {
+    stroke(handColor);
+    strokeWeight(2);
+    handConnections.forEach(([a, b]) => {
+        const start = hand.keypoints[a];
+        const end = hand.keypoints[b];
+        line(start.x, start.y, end.x, end.y);
+    });
+    noStroke();
+    fill(handColor);
+    hand.keypoints.forEach(point => circle(point.x, point.y, 6));
+}
+
+// Function to draw a face's keypoints as small dots
+function drawFace(face, faceColor) {
+    stroke(faceColor);
+    strokeWeight(2);
+    face.keypoints.forEach(keypoint => point(keypoint.x, keypoint.y));
+}
+
+// Function to show each model's key, whether it's on, and how often it runs
+function drawModelStatus() {
+    push();
+    textSize(12);
+    textAlign(LEFT, CENTER);
+    noStroke();
+    fill(0, 150);
+    rect(5, height - 75, 210, 70, 4);
+
+    Object.keys(modelKeys).forEach((modelKey, i) => {
+        const entry = scheduler.get(modelKeys[modelKey]);
+        const state = entry.enabled ? `${entry.fps.toFixed(1)} fps, ${Math.round(entry.duration)} ms` : 'off';
+        fill(entry.enabled ? color(0, 255, 0) : color(200));
+        text(`${modelKey}  ${entry.name}: ${state}`, 15, height - 60 + i * 20);
+    });
+    pop();
+}
+
+// Read saved and URL settings over the defaults above (see js/lib/settings.js)
+function loadSettings() {
+    settings = new Settings(
+        modelSettings.body.concat(modelSettings.hands, modelSettings.face,
+            displaySettings(['confidenceThreshold', 'showVideo', 'flipVideo'])),
+        Object.assign({}, bodyPoseOptions, handPoseOptions, faceMeshOptions, {
+            confidenceThreshold: confidenceThreshold,
+            showVideo: showVideo,
+            flipVideo: flipVideo
+        }),
+        { storageKey: "ml5experiments.combined" }
+    ).load();
+    applySettings();
+}
+
+// Copy the settings into the sketch's variables and the helpers that use them
+function applySettings() {
+    settings.copyTo(bodyPoseOptions, modelSettings.body.map(setting => setting.key));
+    settings.copyTo(handPoseOptions, modelSettings.hands.map(setting => setting.key));
+    settings.copyTo(faceMeshOptions, modelSettings.face.map(setting => setting.key));
+    confidenceThreshold = settings.get('confidenceThreshold');
+    showVideo = settings.get('showVideo');
+    flipVideo = settings.get('flipVideo');
+    bodyPoseOptions.flipped = flipVideo;
+    handPoseOptions.flipped = flipVideo;
+    faceMeshOptions.flipped = flipVideo;
+
+    // Helpers made in setup() keep their own copy of the threshold
+    if (personTracker) personTracker.threshold = confidenceThreshold;
+    if (outputBridge) outputBridge.options.threshold = confidenceThreshold;
+    if (dataLogger) Object.assign(dataLogger.metadata, { flipped: flipVideo, confidenceThreshold: confidenceThreshold });
+}
+
+// Re-create one model with the new options; the old one keeps its turns until the new one has loaded
+function reloadModel(name) {
+    let model;
+    const loaded = () => {
+        // Another change may have replaced this model while it was loading
+        const current = { body: bodyPose, hands: handPose, face: faceMesh }[name];
+        if (model === current) scheduler.get(name).model = model;
+    };
+    if (name === 'body') model = bodyPose = ml5.bodyPose("MoveNet", bodyPoseOptions, loaded);
+    if (name === 'hands') model = handPose = ml5.handPose(handPoseOptions, loaded);
+    if (name === 'face') model = faceMesh = ml5.faceMesh(faceMeshOptions, loaded);
+}
+
+// Re-create the webcam capture so it is mirrored (or not) to match flipVideo
+function restartVideo() {
+    if (video.elt.srcObject) video.elt.srcObject.getTracks().forEach(track => track.stop());
+    video.remove();
+    video = createCapture(VIDEO, {flipped: flipVideo});
+    video.size(640, 480);
+    video.hide();
+    scheduler.start(video);
+}
+
+// Turn a model on or off, clearing its results when it is turned off
+function toggleModel(name) {
+    scheduler.toggle(name);
+    if (!scheduler.isEnabled(name)) {
+        if (name === 'body') {
+            poses = [];
+            tracks = [];
+        }
+        if (name === 'hands') hands = [];
+        if (name === 'face') faces = [];
+        updatePeople();
+    }
+}
+
+function keyPressed() {
+    if (key === 's' || key === 'S') {
+        settings.set('showVideo', !showVideo);
+    }
+
+    // Connect/disconnect the OSC output bridge with 'b' key
+    if (key === 'b' || key === 'B') {
+        outputBridge.toggle();
+    }
+
+    // Start/stop logging with 'e' key (saves CSV and JSON when stopped)
+    if (key === 'e' || key === 'E') {
+        dataLogger.toggle();
+    }
+
+    // Turn models on and off with '1', '2' and '3'
+    if (modelKeys[key]) {
+        toggleModel(modelKeys[key]);
+    }
+}
@@ -2,30 +2,93 @@
 ML5 Face Mesh Detection and Tracking
 
 This script uses the ML5 library to perform real-time face detection and landmark tracking using a webcam.
-It visualizes all detected keypoints with coordinates, and draws bounding boxes around faces.
+It draws each face's named regions (lips, eyes, eyebrows, irises, face oval, nose) in one of several
+render modes, and draws bounding boxes around faces.
 Optimized for tracking multiple faces.
 
 Key Variables:
 - video: Stores the webcam video feed
+- coords: Fits the video onto the canvas and converts keypoints to canvas pixels (see js/lib/coords.js)
 - faceMesh: ML5 face mesh detection model
 - faces: Array to store detected faces
 - options: Configuration for max faces, refinement, and flipping
+- outputBridge: Streams each frame over a WebSocket for relay/osc_relay.js to re-send as OSC (see js/lib/output_bridge.js)
+- dataLogger: Logs every frame's keypoints, boxes and centroids to CSV and JSON (toggle with E, see js/lib/data_logger.js)
+- sessionRecorder / sessionPlayer: Record tracking sessions to JSON and play them back (see js/lib/session.js)
+- faceTracker / faceTracks: Stable ID for each face, matched by box overlap (see js/lib/person_tracker.js)
+- faceKeys: The track ID of each face in faces, including faces the filter is holding for a moment
+- faceAnalyzer: Blink, mouth, smile, eyebrow, head angle and gaze signals for each face, calibrated per track ID (see js/lib/face_analysis.js)
+- analysis: Latest faceAnalyzer result for each face, in the same order as faces
+- showAnalysis: Whether to draw each face's signals next to it (toggle with A)
+- settings: Model options and display toggles from the panel under the canvas, saved between visits (see js/lib/settings.js)
+- showLabels: Whether to write the face numbers above the boxes
+- renderMode: How faces are drawn: contours, filled, mesh, regions or points (cycle with M, see js/lib/face_regions.js)
+- triangles: The face mesh triangles from faceMesh.getTriangles(), for the mesh mode
+- keypointFilter: Smooths the face keypoints so the regions and labels don't shake (see js/lib/filters.js)
+- showFilterDebug: Whether to show the raw and filtered points side by side (toggle with H)
+- sonifier: Plays the first face as sound, following the sound map in sounds/face.json (see js/lib/sonify.js)
 
 Key Functions:
 - preload(): Loads the ML5 face mesh model
 - gotFaces(): Callback function when faces are detected
-- drawFaces(): Draws bounding boxes and keypoints with coordinates
-- showPoint(): Highlights a specific keypoint with coordinates
+- drawFaces(): Draws bounding boxes and each face in the current render mode
+- drawAnalysis(): Draws each face's signals and the calibration message
+- getKeypoint(): Helper function to safely get keypoint data
+- getKeypointByName(): Helper function to get a named landmark, e.g. getKeypointByName('nose_tip', 0) (see js/lib/skeletons.js)
+- getFaceRegion(): Helper function to get a named region of a face, e.g. getFaceRegion(0, 'lips')
+- loadSettings() / applySettings(): Read the saved settings and copy them into the variables below
+- reloadModel() / restartVideo(): Re-create the model and webcam after a settings change
+
+Keypoint access, boxes and drawing helpers come from js/lib/tracking.js (Tracking)
+and js/lib/tracking_draw.js (TrackingDraw).
+
+Keys: A shows the face signals, C captures your neutral face (look at the camera with a relaxed face),
+M cycles the render modes, F changes the smoothing filter (oneEuro, ema, kalman, median, none)
+and H shows the raw and filtered points side by side. The render mode and filter are shown in the
+bottom left corner.
+
+Sound (see js/lib/sonify.js and sounds/face.json): N turns it on and off. Opening the mouth makes
+the voice louder and brighter, raised eyebrows raise the pitch, turning the head pans it, and
+blinks and smiles play notes. W captures the sound values (e.g. while a session plays back) and,
+when pressed again, saves them rendered offline as a WAV file with a JSON log. Open the page with
+?sound=sounds/my_map.json to use a different sound map.
+
+Example of attaching a visual to the mouth:
+
+let mouth = getFaceRegion(0, 'mouth');
+if (mouth) circle(mouth.center.x, mouth.center.y, mouth.box.width);
 */
 
 let faceMesh;
 let video;
+let coords;
 let faces = [];
-let options = { maxFaces: 4, refineLandmarks: true, flipHorizontal: true };
+let faceTracker;
+let faceTracks = [];
+let faceKeys = [];
 let flipVideo = true;
+let options = { maxFaces: 4, refineLandmarks: true, flipped: flipVideo };
 let showVideo = true;
+let showLabels = true;
+let outputBridge;
+let dataLogger;
+let sessionRecorder;
+let sessionPlayer;
+let settings;
+let faceAnalyzer;
+let analysis = [];
+let showAnalysis = true;
+let renderMode = 'contours';
+let triangles = [];
+let keypointFilter;
+let showFilterDebug = false;
+let sonifier;
+
+// How keypoints are drawn (see js/lib/tracking_draw.js)
+let pointStyle = { size: 5, showIndex: false, showName: false, showCoordinates: true };
 
 function preload() {
+  loadSettings();
   // Load the faceMesh model
   faceMesh = ml5.faceMesh(options);
 }
@@ -37,33 +100,104 @@ function setup() {
   video.size(640, 480);
   video.hide();
 
-  // Start detecting faces from the webcam video
-  faceMesh.detectStart(video, gotFaces);
+  // Triangles for the mesh render mode
+  triangles = faceMesh.getTriangles();
+
+  // The models give video pixels; coords fits the video onto the canvas and moves results to match
+  coords = new CoordinateSpace({ sourceWidth: 640, sourceHeight: 480, canvasWidth: width, canvasHeight: height });
+
+  // Stream frames to relay/osc_relay.js (toggle with B, or open the page with ?bridge=ws://host:port)
+  outputBridge = new OutputBridge({ model: "face" });
+  outputBridge.connectFromQuery();
+
+  // Stable face IDs, so each face keeps its own calibration and smoothing when faces swap places
+  faceTracker = new PersonTracker({ timeout: 500 });
+
+  // Face signals and events; press C with a relaxed face to calibrate
+  faceAnalyzer = new FaceAnalyzer();
+
+  // Sound from the first face's signals (turn on with N, or open the page with ?sound=path/to/map.json)
+  sonifier = new Sonify.Sonifier();
+  (sonifier.loadFromQuery() || sonifier.loadUrl("sounds/face.json")).catch(err => console.error(err));
+  faceAnalyzer.on('blink', (event) => { if (event.faceIndex === 0) sonifier.trigger('blink'); });
+
+  // Smooth the keypoints; faces missing for under 250 ms are held where they were (change filter with F)
+  keypointFilter = new Filters.KeypointFilter({ type: "oneEuro", params: { minCutoff: 0.5, beta: 0.01 } });
+
+  // Log per-frame data for analysis (toggle with E, the CSV and JSON files save when logging stops)
+  dataLogger = new DataLogger({
+    model: "FaceMesh",
+    options: options,
+    canvas: { width: width, height: height },
+    flipped: flipVideo
+  });
+
+  // Start detecting faces from the webcam video, recording results when asked,
+  // or replay a recorded session instead of the webcam
+  sessionRecorder = new SessionRecorder({ model: "FaceMesh", options: options });
+  sessionPlayer = new SessionPlayer(gotFaces, {
+    onStart: () => faceMesh.detectStop(),
+    onStop: () => faceMesh.detectStart(video, sessionRecorder.wrap(gotFaces))
+  });
+  faceMesh.detectStart(video, sessionRecorder.wrap(gotFaces));
+  sessionPlayer.loadFromQuery();
+
+  // Settings panel under the canvas; model options re-create the model
+  settings.on('change', (change) => {
+    applySettings();
+    if (change.key === 'flipVideo') restartVideo();
+    if (change.reload) reloadModel();
+  });
+  new SettingsPanel(settings);
 }
 
 function draw() {
   background(255);
-  // Draw the webcam video
-  if (showVideo) {
-    image(video, 0, 0, width, height);
+  sessionPlayer.update();
+
+  // Draw the webcam video (there is no matching video during playback)
+  if (showVideo && !sessionPlayer.active) {
+    coords.drawVideo(video);
   }
 
   // Draw all faces with keypoints and coordinates
   drawFaces();
+  drawAnalysis();
+  if (showFilterDebug) {
+    Filters.drawFilterDebug(keypointFilter, faces);
+  }
+  drawSessionStatus(sessionRecorder, sessionPlayer);
+  drawLoggerStatus(dataLogger);
+  drawBridgeStatus(outputBridge);
 }
 
 // Callback function for when faceMesh outputs data
 function gotFaces(results) {
-  // Save the output to the faces variable
-  faces = results;
+  // Save the output to the faces variable, smoothed (the model's points stay in face.raw)
+  const rawFaces = coords.convertSubjects(results, 'source', 'canvas');
+  faceTracks = faceTracker.update(rawFaces);
+  // Held faces (missing for under 250 ms) are added at the end, so each face's track ID is in faceKeys
+  faces = keypointFilter.update(rawFaces, undefined, faceTracks.map(track => track.id));
+  faceKeys = faces.map(face => face.key);
+
+  // Face signals use the model's points, so quick blinks aren't smoothed away
+  analysis = faceAnalyzer.update(rawFaces, undefined, faceTracks.map(track => track.id));
+
+  // Play the first face's signals as sound (all null when there is no face)
+  sonifier.update(analysis[0] ? analysis[0].signals : {});
+
+  // Stream and log this frame
+  let subjects = frameSubjects();
+  outputBridge.send(subjects);
+  dataLogger.log(subjects);
 }
 
 // Function to draw bounding boxes and keypoints for each face
 function drawFaces() {
   faces.forEach((face, index) => {
     // Draw bounding box if available
-    if (face.box) {
-      const box = face.box;
+    const box = Tracking.getBox(face);
+    if (box) {
       noFill();
       stroke(0, 255, 0);
       strokeWeight(2);
@@ -74,37 +208,169 @@ function drawFaces() {
       noStroke();
       textAlign(CENTER, CENTER);
       textSize(12);
-      text(`Face ${index}`, box.xMin + box.width / 2, box.yMin - 10);
+      if (showLabels) text(`Face ${faceKeys[index]}`, box.xMin + box.width / 2, box.yMin - 10);
     }
 
-    // Draw all keypoints
-    if (face.keypoints) {
-      face.keypoints.forEach((keypoint, i) => {
-        keypoint.index = i;
-        showPoint(keypoint, color(0, 255, 0));
+    // Draw every keypoint with its coordinates, or the named regions (see js/lib/face_regions.js)
+    if (renderMode === 'points') {
+      Tracking.visibleKeypoints(face).forEach(keypoint => {
+        TrackingDraw.showPoint(keypoint, color(0, 255, 0), pointStyle);
       });
+    } else {
+      FaceRegions.draw(face, renderMode, { triangles: triangles });
     }
   });
+
+  // Current render mode and smoothing filter in the bottom left corner
+  noStroke();
+  fill(0);
+  textAlign(LEFT, BOTTOM);
+  textSize(12);
+  text(`M: ${renderMode}   F: ${keypointFilter.type}`, 5, height - 5);
 }
 
-// Function to highlight a specific point with coordinates
-function showPoint(point, pointColor) {
-  if (!point || typeof point.x !== 'number' || typeof point.y !== 'number') return;
+// Function to draw each face's signals beside its box, and a message while calibrating
+function drawAnalysis() {
+  if (showAnalysis) {
+    faces.forEach((face, index) => {
+      const box = Tracking.getBox(face);
+      if (box) drawFaceSignals(analysis[index], box.xMax + 10, box.yMin);
+    });
+  }
 
-  // Draw point circle
-  fill(pointColor);
-  noStroke();
-  circle(point.x, point.y, 5);
+  if (faceAnalyzer.calibrating) {
+    noStroke();
+    fill(255, 0, 0);
+    textAlign(CENTER, CENTER);
+    textSize(20);
+    text('Hold a relaxed face...', width / 2, height - 30);
+  }
+}
+
+// Helper function to safely get keypoint data
+function getKeypoint(pointIndex, faceIndex = 0) {
+  return Tracking.getKeypoint(faces, pointIndex, faceIndex);
+}
+
+// Helper function to get a named landmark ('nose_tip', 'chin', 'left_eye_outer', ...) from a face or face index
+function getKeypointByName(name, face = 0) {
+  return Skeletons.getKeypointByName(name, typeof face === 'number' ? faces[face] : face);
+}
 
-  // Draw point coordinates
-  fill(255, 255, 0);
-  textAlign(CENTER, TOP);
-  textSize(8);
-  text(`(${Math.round(point.x)}, ${Math.round(point.y)})`, point.x, point.y + 5);
+// Helper function to get a named region of a face ('lips', 'leftEye', 'faceOval', ...)
+function getFaceRegion(faceIndex, regionName) {
+  return FaceRegions.getRegion(faces[faceIndex], regionName);
+}
+
+// Function to collect keypoints and boxes for each face for the output bridge and data logger
+function frameSubjects() {
+  return faces.map((face, i) => ({
+    id: faceKeys[i],
+    keypoints: face.keypoints,
+    box: Tracking.getBox(face),
+    derived: analysis[i] ? analysis[i].signals : undefined
+  }));
+}
+
+// Read saved and URL settings over the defaults above (see js/lib/settings.js)
+function loadSettings() {
+  settings = new Settings(
+    MODEL_SETTINGS.FaceMesh.concat(displaySettings(['showVideo', 'flipVideo', 'showIndex', 'showName', 'showCoordinates', 'showLabels'])),
+    Object.assign({}, options, {
+      showVideo: showVideo,
+      flipVideo: flipVideo,
+      showIndex: pointStyle.showIndex,
+      showName: pointStyle.showName,
+      showCoordinates: pointStyle.showCoordinates,
+      showLabels: showLabels
+    }),
+    { storageKey: "ml5experiments.face" }
+  ).load();
+  applySettings();
+}
+
+// Copy the settings into the sketch's variables and the helpers that use them
+function applySettings() {
+  settings.copyTo(options, MODEL_SETTINGS.FaceMesh.map(setting => setting.key));
+  showVideo = settings.get('showVideo');
+  flipVideo = settings.get('flipVideo');
+  showLabels = settings.get('showLabels');
+  settings.copyTo(pointStyle, ['showIndex', 'showName', 'showCoordinates']);
+  options.flipped = flipVideo;
+
+  if (dataLogger) dataLogger.metadata.flipped = flipVideo;
+}
+
+// Re-create the model with the new options, then start detecting again
+function reloadModel() {
+  faceMesh.detectStop();
+  const model = ml5.faceMesh(options, () => {
+    // Another change may have replaced this model while it was loading
+    if (model !== faceMesh) return;
+    if (!sessionPlayer.active) faceMesh.detectStart(video, sessionRecorder.wrap(gotFaces));
+  });
+  faceMesh = model;
+}
+
+// Re-create the webcam capture so it is mirrored (or not) to match flipVideo
+function restartVideo() {
+  if (video.elt.srcObject) video.elt.srcObject.getTracks().forEach(track => track.stop());
+  video.remove();
+  video = createCapture(VIDEO, {flipped: flipVideo});
+  video.size(640, 480);
+  video.hide();
 }
 
 function keyPressed() {
+    if (handleSessionKey(key, keyCode, sessionRecorder, sessionPlayer)) return;
+
     if (key === 's' || key === 'S') {
-        showVideo = !showVideo;
+        settings.set('showVideo', !showVideo);
+    }
+
+    // Connect/disconnect the OSC output bridge with 'b' key
+    if (key === 'b' || key === 'B') {
+        outputBridge.toggle();
+    }
+
+    // Start/stop logging with 'e' key (saves CSV and JSON when stopped)
+    if (key === 'e' || key === 'E') {
+        dataLogger.toggle();
+    }
+
+    // Show/hide the face signals with 'a' key
+    if (key === 'a' || key === 'A') {
+        showAnalysis = !showAnalysis;
+    }
+
+    // Cycle the render modes with 'm' key
+    if (key === 'm' || key === 'M') {
+        renderMode = FaceRegions.nextMode(renderMode);
+    }
+
+    // Capture the neutral face with 'c' key (one second of a relaxed face)
+    if (key === 'c' || key === 'C') {
+        faceAnalyzer.startCalibration(1000);
+    }
+
+    // Change the smoothing filter with 'f' key
+    if (key === 'f' || key === 'F') {
+        const types = Filters.FILTER_TYPES;
+        keypointFilter.setType(types[(types.indexOf(keypointFilter.type) + 1) % types.length]);
+    }
+
+    // Show the raw and filtered points side by side with 'h' key
+    if (key === 'h' || key === 'H') {
+        showFilterDebug = !showFilterDebug;
+    }
+
+    // Turn the sound on/off with 'n' key
+    if (key === 'n' || key === 'N') {
+        sonifier.toggle();
+    }
+
+    // Capture the sound values with 'w' key (renders and saves a WAV file and a JSON log when stopped)
+    if (key === 'w' || key === 'W') {
+        sonifier.toggleCapture();
     }
 }
\ No newline at end of file
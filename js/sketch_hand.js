@@ -8,27 +8,115 @@ Can measure between points on the same or different hands.
 
 Key Variables:
 - video: Stores the webcam video feed
+- coords: Fits the video onto the canvas and converts keypoints to canvas pixels (see js/lib/coords.js)
 - handPose: ML5 hand detection model
 - hands: Array to store detected hands
 - boundingBoxes: Array to store bounding box coordinates for each detected hand
 - centroid: Object to store the x and y coordinates of the centroid
 - confidenceThreshold: Minimum confidence score for a point to be considered visible
+- handPoseOptions: Options for the ML5 hand pose model (max hands, model type, flipping)
 - handNumberIndex1: Index of first hand to measure from (0 or 1)
 - handPointIndex1: Keypoint index on first hand
 - handNumberIndex2: Index of second hand to measure to (0 or 1)
 - handPointIndex2: Keypoint index on second hand
+- gestureClassifier: Recognises built-in and custom hand gestures (see js/lib/hand_gestures.js)
+- gestures: Array of { label, confidence, fingers } for each detected hand
+- pinchDetector: Pinch start/move/end events per hand between handPointIndex1 and handPointIndex2 (see js/lib/pinch.js)
+- pinchInteraction: Grabs, drags, scales and rotates pinchObjects
+- pinchObjects: Shapes that can be picked up by pinching
+- handTracker / handTracks: Stable ID and colour for each hand (see js/lib/person_tracker.js)
+- handKeys: The track ID of each hand in hands, including hands the filter is holding for a moment
+- kinematics: Velocity, speed and acceleration of every keypoint and centroid per hand (see js/lib/kinematics.js)
+- showMotion: Whether to draw motion trails and velocity arrows (toggle with V)
+- outputBridge: Streams each frame over a WebSocket for relay/osc_relay.js to re-send as OSC (see js/lib/output_bridge.js)
+- dataLogger: Logs every frame's keypoints, boxes and centroids to CSV and JSON (toggle with E, see js/lib/data_logger.js)
+- sessionRecorder / sessionPlayer: Record tracking sessions to JSON and play them back (see js/lib/session.js)
+- settings: Model options and display toggles from the panel under the canvas, saved between visits (see js/lib/settings.js)
+- showLabels: Whether to write the hand numbers on the boxes
+- motionRecognizer: Recognises recorded movements of the first hand's wrist and index finger tip (see js/lib/motion_gestures.js)
+- keypointFilter: Smooths the jittery hand keypoints before anything else uses them (see js/lib/filters.js)
+- showFilterDebug: Whether to show the raw and filtered points side by side (toggle with H)
+- unitScale: Pixels per centimetre for each hand from its palm size, so sizes are in cm (see js/lib/units.js)
+- calibrationTool: Click two points a known distance apart to calibrate the scale (start with Z)
+- sonifier: Plays the hand as sound, following the sound map in sounds/hand.json (see js/lib/sonify.js)
+- widgetPanel: On-screen buttons, a toggle, a slider, a dial and a menu worked by the index finger tips (see js/lib/hand_widgets.js)
+- showWidgets: Whether the widgets are shown and working (toggle with I)
+- trailsToggle: The widget that turns the motion trails on and off, kept in step with the V key
+- poseTrainer: Learns your own hand shapes from labelled examples with ml5.neuralNetwork (see js/lib/pose_trainer.js)
+- trainerTask: "classification" to name hand shapes, or "regression" to turn a hand shape into a number
+- trainerBackend: "cpu" trains on the CPU, which is plenty for the small network (ml5 then runs the hand model
+  there too, a little slower); null keeps ml5's default WebGL backend for both
+- trainingMode: Whether the number keys, T, H, Y and I work the pose trainer (toggle with A)
+- trainingLabel: The label being added while a number key is held (null when not adding)
 
 Key Functions:
 - preload(): Loads the ML5 hand pose model
 - gotHands(): Callback function when hands are detected
 - showAllPoints(): Visualizes all detected keypoints and the bounding box
-- showPoint(): Highlights a specific keypoint with given color and index
-- showCentroid(): Highlights the centroid point
 - getKeypoint(): Helper function to safely get keypoint data
-- measureDistance(point1, point2): Calculates and shows distance between two points in pixels
+- getKeypointByName(): Helper function to get a keypoint by its name, e.g. getKeypointByName('index_finger_tip', 0)
+- measureDistance(point1, point2, handIndex): Calculates and shows distance between two points in pixels and cm
 - measureAngle(basePoint, endPoint): Calculates and shows angle from horizontal in degrees
+- showGestures(): Writes the recognised gesture above each hand
+- addGestureTemplate(): Saves the first hand's current shape as a named custom gesture
+- showPinches(): Draws the draggable shapes and a marker on each pinching hand
+- showMotionTrails(): Draws fading trails and velocity arrows for the index finger tip and centroid
+- loadSettings() / applySettings(): Read the saved settings and copy them into the variables below
+- reloadModel() / restartVideo(): Re-create the model and webcam after a settings change
+- mousePressed(): Adds a point to the scale calibration
+- soundValues(): The values the sound map can use: wristHeight, handDistance, indexTip, gesture and hands
+- createWidgets(): Adds the touchless controls to widgetPanel
+- handleTrainerKey(): The pose trainer keys while training mode is on
+- showPrediction(): Writes the pose trainer's prediction above the first hand
+- showFilterType(): Writes the current smoothing filter in the bottom left corner
 
-HandPose Keypoint Indices:
+Pinch and drag:
+- D: show/hide the draggable shapes
+- Pinch a shape with one hand to drag it, pinch it with two hands to scale and rotate it
+
+Gesture keys:
+- G: add a custom gesture from the first hand (asks for a name)
+- T: save the custom gestures as gestures.json
+- Y: load custom gestures from a JSON file
+
+Smoothing keys (see js/lib/filters.js):
+- F: change the filter (oneEuro, ema, kalman, median, none; shown in the bottom left corner)
+- H: show the raw and filtered points side by side
+
+Centimetres (see js/lib/units.js): box sizes and distances are in cm, using an average palm size
+(9.5 cm from the wrist to the middle knuckle). For a better scale press Z, click both ends of
+something you know the length of (next to your hand), and type its length; ESC cancels.
+
+Sound keys (see js/lib/sonify.js and sounds/hand.json):
+- N: sound on/off; wrist height plays the pitch, the distance measureDistance() shows opens the
+  filter, moving the index finger makes it louder, and gestures play notes
+- W: start/stop capturing the sound values (e.g. while a session plays back); when it stops, the
+  sound is rendered offline and saved as a WAV file with a JSON log of every mapped value
+- Open the page with ?sound=sounds/my_map.json to use a different sound map
+
+Training keys (your own hand shapes, see js/lib/pose_trainer.js). Press A to turn training mode on
+and off; while it is on these keys work the trainer, as in index_skeleton.html:
+- 0-9: hold a number key while holding a hand shape to add examples of the first hand with that label
+- T: train the network (the loss curve shows in the panel); predictions start when it finishes
+- H: save the trained model (3 files) and the examples (JSON)
+- Y: load a saved model (pick model.json, model_meta.json and model.weights.bin together), I: load saved examples
+- Or open the page with ?trainer=models/model.json to load a model on start
+
+Touchless controls (see js/lib/hand_widgets.js): I shows the widgets. Hold an index finger tip over
+one for a second (the ring round the cursor fills up), or pinch over it, to press it. Sliders and
+the dial follow the finger until the pinch opens or the finger moves off them. Every hand has its
+own cursor. The Activation menu chooses dwell, pinch or both, and the Dwell dial sets how long to hold.
+
+Movement keys (moving gestures like a wave or swipe, see js/lib/motion_gestures.js):
+- M: start/stop recording an example movement (asks for a name); record a few of each
+- C: start/stop recording a test clip (asks which movement it is)
+- J: save the movement templates as JSON, U: load them
+- Q: confusion report of the test clips (shown on the canvas and saved as JSON; Q again hides it)
+
+Keypoint access, boxes and drawing helpers come from js/lib/tracking.js (Tracking)
+and js/lib/tracking_draw.js (TrackingDraw).
+
+HandPose Keypoint Indices (the names, in lower case, and the bones are in js/lib/skeletons.js):
     0: "WRIST",
     1: "THUMB_CMC",
     2: "THUMB_MCP", 
@@ -54,13 +142,15 @@ HandPose Keypoint Indices:
 
 // Declare variables for video, hand detection, and data storage
 let video;
+let coords;
 let handPose;
 let hands = [];
 let boundingBoxes = [];
-let centroid = { x: 0, y: 0 };
+let centroid = null;
 let confidenceThreshold = 0.5;
 let flipVideo = true;
 let showVideo = true;
+let showLabels = true;
 
 // Variables for point selection
 let handNumberIndex1 = 0;  // First hand index (0 or 1)
@@ -68,11 +158,45 @@ let handPointIndex1 = 4;   // Default to thumb tip
 let handNumberIndex2 = 0;  // Second hand index (0 or 1)
 let handPointIndex2 = 8;   // Default to index tip
 
-let maxHands = 4;
+let handPoseOptions = { maxHands: 4, flipped: flipVideo };
+let gestureClassifier;
+let gestures = [];
+let handTracker;
+let handTracks = [];
+let handKeys = [];
+let kinematics;
+let showMotion = true;
+let pinchDetector;
+let pinchInteraction;
+let pinchObjects = [];
+let showPinchObjects = true;
+let outputBridge;
+let dataLogger;
+let sessionRecorder;
+let sessionPlayer;
+let settings;
+let motionRecognizer;
+let keypointFilter;
+let showFilterDebug = false;
+let unitScale;
+let calibrationTool;
+let sonifier;
+let widgetPanel;
+let showWidgets = false;
+let trailsToggle;
+let poseTrainer;
+let trainerTask = "classification";
+let trainerBackend = "cpu";
+let trainingMode = false;
+let trainingLabel = null;
+
+// How keypoints are drawn (see js/lib/tracking_draw.js)
+let pointStyle = { size: 10, showIndex: true, showName: false, showCoordinates: true };
 
 // Preload function to load the ML5 hand pose model
 function preload() {
-    handPose = ml5.handPose({maxHands: maxHands, flipped: flipVideo});
+    loadSettings();
+    handPose = ml5.handPose(handPoseOptions);
 }
 
 // Setup function to initialize the canvas, video, and start hand detection
@@ -81,173 +205,282 @@ function setup() {
     video = createCapture(VIDEO, {flipped: flipVideo});
     video.size(640, 480);
     video.hide();
-    handPose.detectStart(video, gotHands);
+
+    // The models give video pixels; coords fits the video onto the canvas and moves results to match
+    coords = new CoordinateSpace({ sourceWidth: 640, sourceHeight: 480, canvasWidth: width, canvasHeight: height });
+
+    // Built-in gestures plus any custom gestures the user adds
+    gestureClassifier = new HandGestures.GestureClassifier();
+
+    // Moving gestures of the wrist and index finger tip, recorded with M
+    motionRecognizer = new MotionGestures.MotionRecognizer({ keypoints: [0, 8], confidence: confidenceThreshold });
+
+    // Follow each hand so its motion history isn't mixed up with another hand's
+    handTracker = new PersonTracker({ timeout: 500, threshold: confidenceThreshold });
+    kinematics = new Kinematics({ bufferTime: 1000, threshold: confidenceThreshold });
+
+    // Smooth the keypoints; points missing for under 200 ms are held where they were (change filter with F)
+    keypointFilter = new Filters.KeypointFilter({ type: "oneEuro", params: { minCutoff: 1, beta: 0.02 }, threshold: confidenceThreshold, maxGap: 200 });
+
+    // Centimetres from each hand's palm size, or from two clicked points (press Z)
+    unitScale = new UnitScale({ reference: "palm", threshold: confidenceThreshold });
+    calibrationTool = new CalibrationTool(unitScale);
+    const savedUnits = localStorage.getItem("ml5experiments.hand.units");
+    if (savedUnits) unitScale.fromJSON(JSON.parse(savedUnits));
+    unitScale.on('calibrated', () => localStorage.setItem("ml5experiments.hand.units", JSON.stringify(unitScale.toJSON())));
+
+    // Sound from the hand (turn on with N, or open the page with ?sound=path/to/map.json)
+    sonifier = new Sonify.Sonifier();
+    (sonifier.loadFromQuery() || sonifier.loadUrl("sounds/hand.json")).catch(err => console.error(err));
+
+    // Pinch the selected points (thumb tip and index tip by default) to pick up shapes
+    pinchDetector = new PinchDetector({ pointA: handPointIndex1, pointB: handPointIndex2 });
+    pinchObjects = [
+        { x: 160, y: 240, width: 100, height: 100, scale: 1, rotation: 0, color: color(0, 150, 255, 180) },
+        { x: 320, y: 240, width: 120, height: 80, scale: 1, rotation: 0, color: color(255, 100, 0, 180) },
+        { x: 480, y: 240, width: 80, height: 120, scale: 1, rotation: 0, color: color(150, 0, 255, 180) }
+    ];
+    pinchInteraction = new PinchInteraction(pinchDetector, pinchObjects);
+
+    // Your own hand shapes: A for training mode, then hold 0-9 to add examples and T to train
+    // (or load a model with ?trainer=path/to/model.json)
+    poseTrainer = new PoseTrainer({ task: trainerTask, threshold: confidenceThreshold, backend: trainerBackend });
+    const trainerUrl = new URLSearchParams(window.location.search).get('trainer');
+    if (trainerUrl) poseTrainer.load(trainerUrl);
+
+    // Touchless controls, pressed by dwelling or pinching with an index finger tip (show them with I)
+    widgetPanel = new HandWidgets.WidgetPanel({ pinch: pinchDetector, threshold: confidenceThreshold });
+    createWidgets();
+
+    // Stream frames to relay/osc_relay.js (toggle with B, or open the page with ?bridge=ws://host:port)
+    outputBridge = new OutputBridge({ model: "hand", threshold: confidenceThreshold });
+    outputBridge.connectFromQuery();
+
+    // Log per-frame data for analysis (toggle with E, the CSV and JSON files save when logging stops)
+    dataLogger = new DataLogger({
+        model: "HandPose",
+        options: handPoseOptions,
+        canvas: { width: width, height: height },
+        flipped: flipVideo,
+        confidenceThreshold: confidenceThreshold
+    });
+
+    // Record live results, or replay a recorded session instead of the webcam
+    sessionRecorder = new SessionRecorder({ model: "HandPose", options: handPoseOptions });
+    sessionPlayer = new SessionPlayer(gotHands, {
+        onStart: () => handPose.detectStop(),
+        onStop: () => handPose.detectStart(video, sessionRecorder.wrap(gotHands))
+    });
+    handPose.detectStart(video, sessionRecorder.wrap(gotHands));
+    sessionPlayer.loadFromQuery();
+
+    // Settings panel under the canvas; model options re-create the model
+    settings.on('change', (change) => {
+        applySettings();
+        if (change.key === 'flipVideo') restartVideo();
+        if (change.reload) reloadModel();
+    });
+    new SettingsPanel(settings);
 }
 
 function draw() {
     background(255);
-    // Display the video feed based on variable
-    if(showVideo) { 
-        image(video, 0, 0, width, height);
+    sessionPlayer.update();
+
+    // Display the video feed based on variable (there is no matching video during playback)
+    if(showVideo && !sessionPlayer.active) { 
+        coords.drawVideo(video);
     }
     
     // Process and display hand data
+    if (showMotion) {
+        showMotionTrails();
+    }
+    showPinches();
     showAllPoints();
+    showGestures();
+    showPrediction();
+    if (showWidgets) {
+        widgetPanel.draw();
+    }
+    MotionGestures.drawMotionStatus(motionRecognizer);
+    calibrationTool.draw(mouseX, mouseY);
+    if (trainingMode || poseTrainer.state !== 'collecting') {
+        drawTrainerStatus(poseTrainer, 10, 62, trainingLabel);
+    }
+    if (showFilterDebug) {
+        Filters.drawFilterDebug(keypointFilter, hands);
+    }
+    showFilterType();
+    drawSessionStatus(sessionRecorder, sessionPlayer);
+    drawLoggerStatus(dataLogger);
+    drawBridgeStatus(outputBridge);
 }
 
 // Callback function when hands are detected
 function gotHands(results) {
-    hands = results;
+    const rawHands = coords.convertSubjects(results, 'source', 'canvas');
+
+    // Update hand IDs first, so each hand keeps its own filter even if the model swaps their order
+    handTracks = handTracker.update(rawHands);
+    kinematics.update(handTracks);
+
+    // Smooth the keypoints (the model's points stay in hand.raw). Hands lost for under 200 ms are held
+    // where they were and added at the end, so from here on each hand's track ID is in handKeys
+    hands = keypointFilter.update(rawHands, undefined, handTracks.map(track => track.id));
+    handKeys = hands.map(hand => hand.key);
+
+    // Pixels per centimetre for each hand, kept under its track ID
+    unitScale.update(hands, handKeys);
     
-    // Calculate bounding boxes for each hand
-    boundingBoxes = hands.map(hand => {
-        if (!hand.keypoints || hand.keypoints.length === 0) return null;
-        
-        // Find min/max coordinates
-        let xCoords = hand.keypoints.map(p => p.x);
-        let yCoords = hand.keypoints.map(p => p.y);
-        let xMin = Math.min(...xCoords);
-        let xMax = Math.max(...xCoords);
-        let yMin = Math.min(...yCoords);
-        let yMax = Math.max(...yCoords);
-        
-        return {
-            xMin: xMin,
-            xMax: xMax,
-            yMin: yMin,
-            yMax: yMax,
-            width: xMax - xMin,
-            height: yMax - yMin
-        };
-    }).filter(box => box != null);
+    // Calculate bounding boxes for each hand from its keypoints
+    boundingBoxes = Tracking.getBoxes(hands, confidenceThreshold);
     
     // Update centroid position for first hand
-    if (boundingBoxes[0]) {
-        const box = boundingBoxes[0];
-        centroid.x = (box.xMin + box.xMax) / 2;
-        centroid.y = (box.yMin + box.yMax) / 2;
+    centroid = Tracking.boxCenter(boundingBoxes[0]);
+
+    // Recognise the gesture each hand is making
+    gestures = gestureClassifier.classifyAll(hands, handKeys);
+
+    // Update pinch states, which moves any grabbed shapes
+    pinchDetector.update(hands, undefined, handKeys);
+
+    // Move the fingertip cursors and work the widgets
+    if (showWidgets) widgetPanel.update(hands, undefined, handKeys);
+
+    // Follow the first hand's movement
+    if (hands[0]) motionRecognizer.push(hands[0]);
+
+    // Add training examples while a number key is held, otherwise predict once trained
+    if (hands[0]) {
+        if (trainingLabel !== null) {
+            poseTrainer.addSample(hands[0], trainingLabel);
+        } else {
+            poseTrainer.predict(hands[0]);
+        }
     }
+
+    // Play this frame as sound
+    sonifier.update(soundValues());
+
+    // Stream and log this frame
+    let subjects = frameSubjects();
+    outputBridge.send(subjects);
+    dataLogger.log(subjects);
 }
 
 // Function to visualize all detected keypoints and bounding box
 function showAllPoints() {
     // Draw bounding boxes
     boundingBoxes.forEach((box, i) => {
-        if (!box) return;
-
-        // Draw box outline
-        noFill();
-        stroke(0, 255, 0);
-        strokeWeight(2);
-        rect(box.xMin, box.yMin, box.width, box.height);
-        
-        // Draw box dimensions
-        fill(0, 255, 0);
-        noStroke();
-        textAlign(CENTER, CENTER);
-        textSize(12);
-        
-        // Width label
-        text(`Width: ${Math.round(box.width)}px`, 
-             box.xMin + box.width / 2, box.yMin - 10);
-        
-        // Height label
-        push();
-        translate(box.xMin - 10, box.yMin + box.height / 2);
-        rotate(-PI/2);
-        text(`Height: ${Math.round(box.height)}px`, 0, 0);
-        pop();
-
-        // Hand number label
-        text(`Hand ${i}`, box.xMin + box.width / 2, box.yMin + 20);
+        TrackingDraw.drawBoxWithDimensions(box, showLabels ? `Hand ${i}` : null, undefined,
+                                           (pixels) => unitScale.format(pixels, handKeys[i]));
     });
 
-    // Draw all keypoints for each hand
+    // Draw the bones and all keypoints for each hand
     hands.forEach((hand, handIndex) => {
-        if (!hand.keypoints) return;
-        
-        hand.keypoints.forEach((point, index) => {
-            point.index = index;  // Add index for reference
-            showPoint(point, color(0, 255, 0));
+        Skeletons.draw(hand, { model: "HandPose", color: [0, 200, 0], weight: 2, threshold: confidenceThreshold });
+        Tracking.visibleKeypoints(hand, confidenceThreshold).forEach(point => {
+            TrackingDraw.showPoint(point, color(0, 255, 0), pointStyle);
         });
     });
-    
-    // Show centroid
-    // showCentroid();
 }
 
-// Function to highlight a specific point with a given color
-function showPoint(point, pointColor) {
-    if (!isValidPoint(point)) return;
+// Function to write the recognised gesture and its confidence above each hand
+function showGestures() {
+    gestures.forEach((gesture, i) => {
+        const box = boundingBoxes[i];
+        if (!box || !gesture.label) return;
 
-    // Draw point circle
-    fill(pointColor);
+        fill(255, 0, 255);
+        noStroke();
+        textAlign(CENTER, BOTTOM);
+        textSize(16);
+        text(`${gesture.label} ${Math.round(gesture.confidence * 100)}%`,
+             box.xMin + box.width / 2, box.yMin - 22);
+    });
+}
+
+// Function to write the pose trainer's prediction above the first hand's gesture
+function showPrediction() {
+    const prediction = poseTrainer.prediction;
+    const box = boundingBoxes[0];
+    if (!prediction || !box || trainingLabel !== null) return;
+
+    const label = poseTrainer.task === 'regression'
+        ? prediction.value.toFixed(2)
+        : `${prediction.label} (${Math.round(prediction.confidence * 100)}%)`;
+    push();
+    fill(255, 165, 0);
+    stroke(0);
+    strokeWeight(3);
+    textSize(24);
+    textAlign(CENTER, BOTTOM);
+    text(label, box.xMin + box.width / 2, box.yMin - 42);
+    pop();
+}
+
+// Function to write the current smoothing filter in the bottom left corner (hidden while calibrating)
+function showFilterType() {
+    if (calibrationTool.active) return;
+    push();
     noStroke();
-    circle(point.x, point.y, 10);
-    
-    // Draw point index number
-    if (point.index != null) {
-        fill(255);
-        textAlign(CENTER, CENTER);
-        textSize(10);
-        text(point.index, point.x, point.y);
+    fill(0);
+    textAlign(LEFT, BOTTOM);
+    textSize(12);
+    text(`F: ${keypointFilter.type}`, 5, height - 5);
+    pop();
+}
+
+// Function to draw the draggable shapes and mark each pinching hand
+function showPinches() {
+    if (showPinchObjects) {
+        drawPinchObjects(pinchObjects, pinchInteraction);
     }
-    
-    // Draw point coordinates
-    fill(255, 255, 0);
-    textAlign(CENTER, TOP);
-    textSize(8);
-    text(`(${Math.round(point.x)}, ${Math.round(point.y)})`, 
-         point.x, point.y + 10);
+
+    pinchDetector.states.forEach(state => {
+        if (!state.pinching) return;
+        noFill();
+        stroke(255, 255, 0);
+        strokeWeight(3);
+        circle(state.last.x, state.last.y, 30);
+    });
 }
 
-// Function to highlight the centroid point
-function showCentroid() {
-    if (!isValidPoint(centroid)) return;
+// Function to draw motion trails and velocity arrows for each tracked hand
+function showMotionTrails() {
+    handTracks.forEach(track => {
+        [8, 'centroid'].forEach(point => {
+            drawTrail(kinematics.getTrail(track.id, point), track.color);
+            drawVelocityArrow(kinematics.getMotion(track.id, point), track.color);
+        });
+    });
+}
 
-    // Draw centroid circle
-    fill(255, 0, 0);
-    noStroke();
-    circle(centroid.x, centroid.y, 15);
-    
-    // Draw 'C' label
-    fill(255);
-    textAlign(CENTER, CENTER);
-    textSize(10);
-    text('C', centroid.x, centroid.y);
-    
-    // Draw centroid coordinates
-    fill(255, 255, 0);
-    textAlign(CENTER, TOP);
-    textSize(8);
-    text(`Centroid: (${Math.round(centroid.x)}, ${Math.round(centroid.y)})`, 
-         centroid.x, centroid.y + 15);
+// Function to save the first hand's current shape as a custom gesture
+function addGestureTemplate() {
+    const hand = hands[0];
+    if (!hand) return;
+    const name = prompt('Name for this gesture:');
+    if (!name) return;
+    gestureClassifier.templates.add(name.trim(), hand.keypoints);
 }
 
 // Helper function to safely get keypoint data
 function getKeypoint(pointIndex, handIndex = 0) {
-    // Check if we have valid data
-    if (!hands || hands.length === 0) return null;
-    if (!hands[handIndex] || !hands[handIndex].keypoints) return null;
-    
-    return hands[handIndex].keypoints[pointIndex] || null;
+    return Tracking.getKeypoint(hands, pointIndex, handIndex);
 }
 
-// Helper function to check if a point has valid coordinates
-function isValidPoint(point) {
-    return point && 
-           typeof point.x === 'number' && 
-           typeof point.y === 'number';
+// Helper function to get a keypoint by name ('thumb_tip', 'index_finger_tip', ...) from a hand or hand index
+function getKeypointByName(name, hand = 0) {
+    return Skeletons.getKeypointByName(name, typeof hand === 'number' ? hands[hand] : hand);
 }
 
-// Function to measure and visualize distance between two points
-function measureDistance(point1, point2) {
-    if (!point1 || !point2) return null;
-    
+// Function to measure and visualize distance between two points (in cm too, using the scale of handIndex)
+function measureDistance(point1, point2, handIndex = 0) {
     // Calculate distance
-    const dx = point2.x - point1.x;
-    const dy = point2.y - point1.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
+    const distance = Tracking.distance(point1, point2);
+    if (distance === null) return null;
     
     // Draw line between points
     stroke(255, 165, 0); // Orange
@@ -260,20 +493,17 @@ function measureDistance(point1, point2) {
     noStroke();
     fill(255, 165, 0);
     textSize(12);
-    text(`${Math.round(distance)}px`, midX, midY);
+    const cm = unitScale.toCm(distance, handKeys[handIndex]);
+    text(cm !== null ? `${Math.round(distance)}px (${cm.toFixed(1)}cm)` : `${Math.round(distance)}px`, midX, midY);
 
     return distance;
 }
 
 // Function to measure and visualize angle between two points
 function measureAngle(basePoint, endPoint) {
-    if (!basePoint || !endPoint) return null;
-    
     // Calculate angle
-    const dx = endPoint.x - basePoint.x;
-    const dy = endPoint.y - basePoint.y;
-    let angle = Math.atan2(dy, dx) * 180 / Math.PI;
-    if (angle < 0) angle += 360;
+    const angle = Tracking.angleFromHorizontal(basePoint, endPoint);
+    if (angle === null) return null;
     
     // Draw angle arc
     noFill();
@@ -294,11 +524,128 @@ function measureAngle(basePoint, endPoint) {
     return angle;
 }
 
+// Function to add the touchless controls, and what each one does
+function createWidgets() {
+    widgetPanel.add(new HandWidgets.Button({ x: 10, y: 430, width: 100, height: 40, label: "Snapshot" }))
+        .on('press', () => saveCanvas('hands_' + Files.fileTimestamp(), 'png'));
+
+    trailsToggle = widgetPanel.add(new HandWidgets.Toggle({ x: 120, y: 430, width: 100, height: 40, label: "Trails", value: showMotion }));
+    trailsToggle.on('change', (event) => { showMotion = event.value; });
+
+    widgetPanel.add(new HandWidgets.Slider({ x: 230, y: 430, width: 170, height: 40, label: "Point size", min: 4, max: 30, step: 1, value: pointStyle.size }))
+        .on('change', (event) => { pointStyle.size = event.value; });
+
+    widgetPanel.add(new HandWidgets.Dial({ x: 580, y: 120, radius: 35, label: "Dwell s", min: 0.3, max: 2, step: 0.1, value: widgetPanel.dwellTime / 1000 }))
+        .on('change', (event) => { widgetPanel.dwellTime = event.value * 1000; });
+
+    widgetPanel.add(new HandWidgets.Menu({ x: 10, y: 120, width: 160, height: 36, label: "Activation", items: ["both", "dwell", "pinch"], value: widgetPanel.activation }))
+        .on('change', (event) => { widgetPanel.activation = event.value; });
+}
+
+// Function to collect the values the sound map can use (null when a point is hidden)
+function soundValues() {
+    const wrist = getKeypoint(0, 0);
+    const indexTip = getKeypoint(8, 0);
+    const wristVisible = Tracking.isVisible(wrist, confidenceThreshold);
+    return {
+        wristHeight: wristVisible ? 1 - wrist.y / height : null,
+        handDistance: Tracking.distance(getKeypoint(handPointIndex1, handNumberIndex1), getKeypoint(handPointIndex2, handNumberIndex2)),
+        indexTip: Tracking.isVisible(indexTip, confidenceThreshold) ? { x: indexTip.x, y: indexTip.y } : null,
+        gesture: gestures[0] ? gestures[0].label : null,
+        hands: hands.length
+    };
+}
+
+// Function to collect keypoints, boxes, gestures and pinch states for each hand for the output bridge and data logger
+function frameSubjects() {
+    return hands.map((hand, i) => ({
+        id: handKeys[i],
+        keypoints: hand.keypoints,
+        box: boundingBoxes[i],
+        derived: {
+            handedness: hand.handedness,
+            gesture: gestures[i] ? gestures[i].label : null,
+            pinching: pinchDetector.isPinching(handKeys[i]),
+            pixelsPerCm: unitScale.scaleFor(handKeys[i])
+        }
+    }));
+}
+
+// Read saved and URL settings over the defaults above (see js/lib/settings.js)
+function loadSettings() {
+    settings = new Settings(
+        MODEL_SETTINGS.HandPose.concat(displaySettings(['confidenceThreshold', 'showVideo', 'flipVideo', 'showIndex', 'showName', 'showCoordinates', 'showLabels'])),
+        Object.assign({}, handPoseOptions, {
+            confidenceThreshold: confidenceThreshold,
+            showVideo: showVideo,
+            flipVideo: flipVideo,
+            showIndex: pointStyle.showIndex,
+            showName: pointStyle.showName,
+            showCoordinates: pointStyle.showCoordinates,
+            showLabels: showLabels
+        }),
+        { storageKey: "ml5experiments.hand" }
+    ).load();
+    applySettings();
+}
+
+// Copy the settings into the sketch's variables and the helpers that use them
+function applySettings() {
+    settings.copyTo(handPoseOptions, MODEL_SETTINGS.HandPose.map(setting => setting.key));
+    confidenceThreshold = settings.get('confidenceThreshold');
+    showVideo = settings.get('showVideo');
+    flipVideo = settings.get('flipVideo');
+    showLabels = settings.get('showLabels');
+    settings.copyTo(pointStyle, ['showIndex', 'showName', 'showCoordinates']);
+    handPoseOptions.flipped = flipVideo;
+
+    // Helpers made in setup() keep their own copy of the threshold
+    if (handTracker) handTracker.threshold = confidenceThreshold;
+    if (kinematics) kinematics.threshold = confidenceThreshold;
+    if (motionRecognizer) motionRecognizer.confidence = confidenceThreshold;
+    if (keypointFilter) keypointFilter.threshold = confidenceThreshold;
+    if (unitScale) unitScale.threshold = confidenceThreshold;
+    if (widgetPanel) widgetPanel.threshold = confidenceThreshold;
+    if (poseTrainer) poseTrainer.threshold = confidenceThreshold;
+    if (outputBridge) outputBridge.options.threshold = confidenceThreshold;
+    if (dataLogger) Object.assign(dataLogger.metadata, { flipped: flipVideo, confidenceThreshold: confidenceThreshold });
+}
+
+// Re-create the model with the new options, then start detecting again
+function reloadModel() {
+    handPose.detectStop();
+    const model = ml5.handPose(handPoseOptions, () => {
+        // Another change may have replaced this model while it was loading
+        if (model !== handPose) return;
+        if (!sessionPlayer.active) handPose.detectStart(video, sessionRecorder.wrap(gotHands));
+    });
+    handPose = model;
+}
+
+// Re-create the webcam capture so it is mirrored (or not) to match flipVideo
+function restartVideo() {
+    if (video.elt.srcObject) video.elt.srcObject.getTracks().forEach(track => track.stop());
+    video.remove();
+    video = createCapture(VIDEO, {flipped: flipVideo});
+    video.size(640, 480);
+    video.hide();
+}
+
 function keyPressed() 
 {
+    // Recording and playback controls
+    if (handleSessionKey(key, keyCode, sessionRecorder, sessionPlayer)) return;
+
+    // Turn training mode on/off with 'a' key; while it is on the trainer gets the number keys, T, H, Y and I
+    if (key === 'a' || key === 'A') {
+        trainingMode = !trainingMode;
+        trainingLabel = null;
+    }
+    if (trainingMode && handleTrainerKey()) return;
+
     // Toggle video with 's' key
     if (key === 's' || key === 'S') {
-        showVideo = !showVideo;
+        settings.set('showVideo', !showVideo);
     }
     
     // Save canvas as PNG with 'p' key
@@ -306,4 +653,122 @@ function keyPressed()
         let timestamp = year() + nf(month(), 2) + nf(day(), 2) + '_' + nf(hour(), 2) + nf(minute(), 2) + nf(second(), 2);
         saveCanvas('pose_' + timestamp, 'png');
     }
-}
\ No newline at end of file
+
+    // Toggle motion trails with 'v' key
+    if (key === 'v' || key === 'V') {
+        showMotion = !showMotion;
+        trailsToggle.value = showMotion;
+    }
+
+    // Show/hide the draggable shapes with 'd' key
+    if (key === 'd' || key === 'D') {
+        showPinchObjects = !showPinchObjects;
+        pinchInteraction.objects = showPinchObjects ? pinchObjects : [];
+    }
+
+    // Custom gestures: add, save and load
+    if (key === 'g' || key === 'G') {
+        addGestureTemplate();
+    }
+    if (key === 't' || key === 'T') {
+        Files.downloadJSON(gestureClassifier.templates.toJSON(), 'gestures.json');
+    }
+    if (key === 'y' || key === 'Y') {
+        Files.openJSONFile()
+            .then(data => gestureClassifier.templates.fromJSON(data))
+            .catch(err => console.error(err));
+    }
+
+    // Change the smoothing filter with 'f' key
+    if (key === 'f' || key === 'F') {
+        const types = Filters.FILTER_TYPES;
+        keypointFilter.setType(types[(types.indexOf(keypointFilter.type) + 1) % types.length]);
+    }
+
+    // Show the raw and filtered points side by side with 'h' key
+    if (key === 'h' || key === 'H') {
+        showFilterDebug = !showFilterDebug;
+    }
+
+    // Calibrate centimetres from two clicked points with 'z' key, ESC to cancel
+    if (key === 'z' || key === 'Z') {
+        calibrationTool.start();
+    }
+    if (keyCode === ESCAPE) {
+        calibrationTool.cancel();
+    }
+
+    // Show/hide the touchless widgets with 'i' key
+    if (key === 'i' || key === 'I') {
+        showWidgets = !showWidgets;
+    }
+
+    // Turn the sound on/off with 'n' key
+    if (key === 'n' || key === 'N') {
+        sonifier.toggle();
+    }
+
+    // Capture the sound values with 'w' key (renders and saves a WAV file and a JSON log when stopped)
+    if (key === 'w' || key === 'W') {
+        sonifier.toggleCapture();
+    }
+
+    // Record, save and test moving gestures (M, C, J, U, Q)
+    if (MotionGestures.handleMotionKey(key, motionRecognizer)) return;
+
+    // Connect/disconnect the OSC output bridge with 'b' key
+    if (key === 'b' || key === 'B') {
+        outputBridge.toggle();
+    }
+
+    // Start/stop logging with 'e' key (saves CSV and JSON when stopped)
+    if (key === 'e' || key === 'E') {
+        dataLogger.toggle();
+    }
+}
+
+// Function to work the pose trainer while training mode is on; returns true if the key was used
+function handleTrainerKey() {
+    // Hold a number key to add examples of the first hand with that label
+    if (key >= '0' && key <= '9') {
+        trainingLabel = key;
+        return true;
+    }
+
+    // Train the network on the examples with 't' key
+    if (key === 't' || key === 'T') {
+        poseTrainer.train();
+        return true;
+    }
+
+    // Save the trained model and the examples with 'h' key
+    if (key === 'h' || key === 'H') {
+        if (poseTrainer.state === 'ready') poseTrainer.save();
+        if (poseTrainer.sampleCount > 0) poseTrainer.saveData();
+        return true;
+    }
+
+    // Load a saved model with 'y' key, or saved examples with 'i' key
+    if (key === 'y' || key === 'Y') {
+        poseTrainer.openFiles('model');
+        return true;
+    }
+    if (key === 'i' || key === 'I') {
+        poseTrainer.openFiles('data');
+        return true;
+    }
+    return false;
+}
+
+// Add a point to the scale calibration (clicks outside the canvas are ignored)
+function mousePressed() {
+    if (mouseX < 0 || mouseY < 0 || mouseX > width || mouseY > height) return;
+    calibrationTool.mousePressed(mouseX, mouseY, hands[0]);
+}
+
+// Stop adding training examples when the number key is let go
+function keyReleased() {
+    if (key === trainingLabel) {
+        trainingLabel = null;
+    }
+}
@@ -6,35 +6,86 @@ It focuses on tracking as many people as possible, showing only bounding boxes w
 
 Key Variables:
 - video: Stores the webcam video feed
+- coords: Fits the video onto the canvas and converts keypoints to canvas pixels (see js/lib/coords.js)
 - bodyPose: ML5 pose detection model
 - poses: Array to store detected poses
 - confidenceThreshold: Minimum confidence score for a pose to be considered
+- personTracker: Gives each person a stable ID, colour and history, matched by the model's track id (see js/lib/person_tracker.js)
+- tracks: Tracked person for each pose, in the same order as poses
+- outputBridge: Streams each frame over a WebSocket for relay/osc_relay.js to re-send as OSC (see js/lib/output_bridge.js)
+- dataLogger: Logs every frame's keypoints, boxes and centroids to CSV and JSON (toggle with E, see js/lib/data_logger.js)
+- sessionRecorder / sessionPlayer: Record tracking sessions to JSON and play them back (see js/lib/session.js)
+- settings: Model options and display toggles from the panel under the canvas, saved between visits (see js/lib/settings.js)
+- showLabels / showCoordinates: Whether to write the person IDs and centre coordinates
+- zoneMap: Polygon zones and tripwire lines that fire enter, leave and cross events (see js/lib/zones.js)
+- zoneEditor: Draws new zones and tripwires with the mouse
+- sonifier: Plays the room as sound, following the sound map in sounds/multi.json (see js/lib/sonify.js)
 
 Key Functions:
 - preload(): Loads the ML5 body pose model with multi-pose settings
 - gotPoses(): Callback function when poses are detected
-- drawBoxes(): Draws bounding boxes and coordinates for each detected person
+- drawBoxes(): Draws bounding boxes, IDs, coordinates and the recent path of each tracked person
+- mousePressed(): Adds a corner to the zone or tripwire being drawn
+- saveZones() / openZones(): Save the zones and tripwires to a JSON file, and open one
+- loadSettings() / applySettings(): Read the saved settings and copy them into the variables below
+- reloadModel() / restartVideo(): Re-create the model and webcam after a settings change
+
+Boxes and drawing helpers come from js/lib/tracking.js (Tracking) and js/lib/tracking_draw.js (TrackingDraw).
+
+Zone keys: Z draws a zone (click the corners, ENTER to finish), T draws a tripwire (click both ends),
+ESC cancels, BACKSPACE deletes the zone or tripwire under the mouse, J saves them to a file, U opens one.
+Zones can also be loaded from the page address, e.g. index_multi.html?zones=zones/gallery.json
+
+Sound (see js/lib/sonify.js and sounds/multi.json): N turns it on and off. A drone grows with the
+number of people and pans with the first person, and walking into or out of a zone or across a
+tripwire plays a note. The events are named "enter", "leave" and "cross" plus the zone's name, so a
+sound map can give one zone its own sample: { "event": "enter:Stage", "sample": "bell.wav" }.
+W captures the sound values and events and, when pressed again, saves them rendered offline as a
+WAV file with a JSON log. Open the page with ?sound=sounds/my_map.json to use a different sound map.
+
+Example of reacting to the zones:
+
+zoneMap.on('enter', (event) => console.log(`Person ${event.id} entered ${event.zone.name}`));
+zoneMap.on('cross', (event) => {
+    if (event.direction === 'forward') visitorsIn++;
+});
 */
 
 // Declare variables for video, pose detection, and data storage
 let video;
+let coords;
 let bodyPose;
 let poses = [];
 let confidenceThreshold = 0.2;
 let flipVideo = true;
 let showVideo = true;
+let showLabels = true;
+let showCoordinates = true;
+let personTracker;
+let tracks = [];
+let outputBridge;
+let dataLogger;
+let sessionRecorder;
+let sessionPlayer;
+let settings;
+let zoneMap;
+let zoneEditor;
+let sonifier;
+
+let bodyPoseOptions = {
+    modelType: "MULTIPOSE_LIGHTNING",
+    enableSmoothing: true,
+    minPoseScore: 0.25,
+    multiPoseMaxDimension: 256,
+    enableTracking: true,
+    trackerType: "boundingBox",
+    flipped: flipVideo
+};
 
 // Preload function to load the ML5 body pose model
 function preload() {
-    bodyPose = ml5.bodyPose("MoveNet", {
-        modelType: "MULTIPOSE_LIGHTNING",
-        enableSmoothing: true,
-        minPoseScore: 0.25,
-        multiPoseMaxDimension: 256,
-        enableTracking: true,
-        trackerType: "boundingBox",
-        flipped: flipVideo
-    });
+    loadSettings();
+    bodyPose = ml5.bodyPose("MoveNet", bodyPoseOptions);
 }
 
 // Setup function to initialize the canvas, video, and start pose detection
@@ -43,58 +94,254 @@ function setup() {
     video = createCapture(VIDEO, {flipped: flipVideo});
     video.size(640, 480);
     video.hide();
-    /*
-    if (flipVideo) {
-        video.style('transform', 'scaleX(-1)');
-    }
-    */
-    bodyPose.detectStart(video, gotPoses);
+
+    // The models give video pixels; coords fits the video onto the canvas and moves results to match
+    coords = new CoordinateSpace({ sourceWidth: 640, sourceHeight: 480, canvasWidth: width, canvasHeight: height });
+
+    // Keep IDs for a second after someone is lost so they get the same ID when they come back
+    personTracker = new PersonTracker({ timeout: 1000, threshold: confidenceThreshold });
+
+    // Zones and tripwires react to where each person stands (the bottom middle of their box)
+    zoneMap = new ZoneMap({ anchor: "bottom" });
+    zoneEditor = new ZoneEditor(zoneMap);
+
+    // Sound from the people and the zone events (turn on with N, or open the page with ?sound=path/to/map.json)
+    sonifier = new Sonify.Sonifier();
+    (sonifier.loadFromQuery() || sonifier.loadUrl("sounds/multi.json")).catch(err => console.error(err));
+    zoneMap.on('enter', (event) => sonifier.trigger(`enter:${event.zone.name}`));
+    zoneMap.on('leave', (event) => sonifier.trigger(`leave:${event.zone.name}`));
+    zoneMap.on('cross', (event) => sonifier.trigger(`cross:${event.tripwire.name}`));
+    const zonesLoading = zoneMap.loadFromQuery();
+    if (zonesLoading) zonesLoading.catch(err => console.error(err));
+
+    // Stream frames to relay/osc_relay.js (toggle with B, or open the page with ?bridge=ws://host:port)
+    outputBridge = new OutputBridge({ model: "body", threshold: confidenceThreshold });
+    outputBridge.connectFromQuery();
+
+    // Log per-frame data for analysis (toggle with E, the CSV and JSON files save when logging stops)
+    dataLogger = new DataLogger({
+        model: "MoveNet",
+        options: bodyPoseOptions,
+        canvas: { width: width, height: height },
+        flipped: flipVideo,
+        confidenceThreshold: confidenceThreshold
+    });
+
+    // Record live results, or replay a recorded session instead of the webcam
+    sessionRecorder = new SessionRecorder({ model: "MoveNet", options: bodyPoseOptions });
+    sessionPlayer = new SessionPlayer(gotPoses, {
+        onStart: () => bodyPose.detectStop(),
+        onStop: () => bodyPose.detectStart(video, sessionRecorder.wrap(gotPoses))
+    });
+    bodyPose.detectStart(video, sessionRecorder.wrap(gotPoses));
+    sessionPlayer.loadFromQuery();
+
+    // Settings panel under the canvas; model options re-create the model
+    settings.on('change', (change) => {
+        applySettings();
+        if (change.key === 'flipVideo') restartVideo();
+        if (change.reload) reloadModel();
+    });
+    new SettingsPanel(settings);
 }
 
 // Main draw loop
 function draw() {
     background(255);
-    // Display the video feed based on variable
-    if (showVideo) {
-        image(video, 0, 0, width, height);
+    sessionPlayer.update();
+
+    // Display the video feed based on variable (there is no matching video during playback)
+    if (showVideo && !sessionPlayer.active) {
+        coords.drawVideo(video);
     }
 
-    // Draw bounding boxes and coordinates
+    // Draw the zones under the people, then bounding boxes and coordinates
+    drawZones(zoneMap);
     drawBoxes();
+    zoneEditor.draw(mouseX, mouseY);
+    drawSessionStatus(sessionRecorder, sessionPlayer);
+    drawLoggerStatus(dataLogger);
+    drawBridgeStatus(outputBridge);
 }
 
 // Callback function when poses are detected
 function gotPoses(results) {
-    poses = results || [];
+    poses = coords.convertSubjects(results, 'source', 'canvas');
+    tracks = personTracker.update(poses);
+
+    // Everyone the tracker still remembers, so a missed frame doesn't count as leaving a zone
+    zoneMap.update(personTracker.activeTracks());
+
+    // How many people there are and where the first one is, as sound
+    sonifier.update({ people: tracks.length, firstPerson: tracks[0] ? tracks[0].centroid : null });
+
+    // Stream and log this frame
+    let subjects = frameSubjects();
+    outputBridge.send(subjects);
+    dataLogger.log(subjects);
 }
 
 // Function to draw bounding boxes and coordinates for each person
 function drawBoxes() {
-    poses.forEach((pose, index) => {
-        if (!pose.box) return;
+    tracks.forEach(track => {
+        // Draw the path of the centre over the last few seconds
+        noFill();
+        stroke(track.color);
+        strokeWeight(2);
+        beginShape();
+        track.history.forEach(entry => {
+            if (entry.centroid) vertex(entry.centroid.x, entry.centroid.y);
+        });
+        endShape();
 
-        const box = pose.box;
-        const centerX = (box.xMin + box.xMax) / 2;
-        const centerY = (box.yMin + box.yMax) / 2;
+        TrackingDraw.drawBoxWithCenter(track.box, track.color, showLabels ? `Person ${track.id}` : null, showCoordinates);
 
-        // Draw box outline
-        noFill();
-        stroke(0, 255, 0);
-        strokeWeight(5);
-        rect(box.xMin, box.yMin, box.width, box.height);
-
-        // Draw coordinates in the middle of the box
-        fill(0, 255, 0);
-        noStroke();
-        textAlign(CENTER, CENTER);
-        textSize(20);
-        text(`(${Math.round(centerX)}, ${Math.round(centerY)})`,
-             box.xMin + box.width / 2, box.yMin + box.height / 2);
+        // How long the person has been in each zone they are in
+        const inZones = zoneMap.zonesFor(track.id);
+        if (inZones.length > 0 && track.box) {
+            noStroke();
+            fill(track.color);
+            textAlign(CENTER, TOP);
+            textSize(12);
+            text(inZones.map(zone => `${zone.name} ${(zoneMap.dwellTime(zone, track.id) / 1000).toFixed(1)} s`).join(', '),
+                 track.box.xMin + track.box.width / 2, track.box.yMax + 5);
+        }
     });
 }
 
+// Add a corner to the zone or tripwire being drawn (clicks outside the canvas are ignored)
+function mousePressed() {
+    if (mouseX < 0 || mouseY < 0 || mouseX > width || mouseY > height) return;
+    zoneEditor.mousePressed(mouseX, mouseY);
+}
+
+// Save the zones and tripwires to a JSON file
+function saveZones() {
+    Files.downloadJSON(zoneMap.toJSON(width, height), `zones_${Files.fileTimestamp()}.json`);
+}
+
+// Ask for a zones file and use it instead of the current zones
+function openZones() {
+    Files.openJSONFile()
+        .then(data => zoneMap.fromJSON(data, width, height))
+        .catch(err => console.error(err));
+}
+
+// Function to collect keypoints, boxes and centres for each tracked person for the output bridge and data logger
+function frameSubjects() {
+    return tracks.map(track => ({
+        id: track.id,
+        keypoints: track.subject.keypoints,
+        box: track.box,
+        centroid: track.centroid,
+        derived: { zones: zoneMap.zonesFor(track.id).map(zone => zone.name).join(',') }
+    }));
+}
+
+// Read saved and URL settings over the defaults above (see js/lib/settings.js)
+function loadSettings() {
+    settings = new Settings(
+        MODEL_SETTINGS.MoveNet.concat(displaySettings(['confidenceThreshold', 'showVideo', 'flipVideo', 'showLabels', 'showCoordinates'])),
+        Object.assign({}, bodyPoseOptions, {
+            confidenceThreshold: confidenceThreshold,
+            showVideo: showVideo,
+            flipVideo: flipVideo,
+            showLabels: showLabels,
+            showCoordinates: showCoordinates
+        }),
+        { storageKey: "ml5experiments.multi" }
+    ).load();
+    applySettings();
+}
+
+// Copy the settings into the sketch's variables and the helpers that use them
+function applySettings() {
+    settings.copyTo(bodyPoseOptions, MODEL_SETTINGS.MoveNet.map(setting => setting.key));
+    confidenceThreshold = settings.get('confidenceThreshold');
+    showVideo = settings.get('showVideo');
+    flipVideo = settings.get('flipVideo');
+    showLabels = settings.get('showLabels');
+    showCoordinates = settings.get('showCoordinates');
+    bodyPoseOptions.flipped = flipVideo;
+
+    // Helpers made in setup() keep their own copy of the threshold
+    if (personTracker) personTracker.threshold = confidenceThreshold;
+    if (outputBridge) outputBridge.options.threshold = confidenceThreshold;
+    if (dataLogger) Object.assign(dataLogger.metadata, { flipped: flipVideo, confidenceThreshold: confidenceThreshold });
+}
+
+// Re-create the model with the new options, then start detecting again
+function reloadModel() {
+    bodyPose.detectStop();
+    const model = ml5.bodyPose("MoveNet", bodyPoseOptions, () => {
+        // Another change may have replaced this model while it was loading
+        if (model !== bodyPose) return;
+        if (!sessionPlayer.active) bodyPose.detectStart(video, sessionRecorder.wrap(gotPoses));
+    });
+    bodyPose = model;
+}
+
+// Re-create the webcam capture so it is mirrored (or not) to match flipVideo
+function restartVideo() {
+    if (video.elt.srcObject) video.elt.srcObject.getTracks().forEach(track => track.stop());
+    video.remove();
+    video = createCapture(VIDEO, {flipped: flipVideo});
+    video.size(640, 480);
+    video.hide();
+}
+
 function keyPressed() {
+    if (handleSessionKey(key, keyCode, sessionRecorder, sessionPlayer)) return;
+
     if (key === 's' || key === 'S') {
-        showVideo = !showVideo;
+        settings.set('showVideo', !showVideo);
+    }
+
+    // Connect/disconnect the OSC output bridge with 'b' key
+    if (key === 'b' || key === 'B') {
+        outputBridge.toggle();
+    }
+
+    // Start/stop logging with 'e' key (saves CSV and JSON when stopped)
+    if (key === 'e' || key === 'E') {
+        dataLogger.toggle();
+    }
+
+    // Draw a zone with 'z' key or a tripwire with 't' key
+    if (key === 'z' || key === 'Z') {
+        zoneEditor.start('zone');
+    }
+    if (key === 't' || key === 'T') {
+        zoneEditor.start('tripwire');
+    }
+    if (keyCode === ENTER) {
+        zoneEditor.finish();
+    }
+    if (keyCode === ESCAPE) {
+        zoneEditor.cancel();
+    }
+
+    // Delete the zone or tripwire under the mouse with BACKSPACE or DELETE
+    if (keyCode === BACKSPACE || keyCode === DELETE) {
+        const shape = zoneMap.shapeAt({ x: mouseX, y: mouseY });
+        if (shape) zoneMap.remove(shape.id);
+    }
+
+    // Save the zones with 'j' key, open a zones file with 'u' key
+    if (key === 'j' || key === 'J') {
+        saveZones();
+    }
+    if (key === 'u' || key === 'U') {
+        openZones();
+    }
+
+    // Turn the sound on/off with 'n' key
+    if (key === 'n' || key === 'N') {
+        sonifier.toggle();
+    }
+
+    // Capture the sound values and events with 'w' key (renders and saves a WAV file and a JSON log when stopped)
+    if (key === 'w' || key === 'W') {
+        sonifier.toggleCapture();
     }
 }
@@ -7,21 +7,78 @@ calculates the centroid of all visible points, and draws a bounding box around t
 
 Key Variables:
 - video: Stores the webcam video feed
+- coords: Fits the video onto the canvas and converts keypoints to canvas pixels (see js/lib/coords.js)
 - bodyPose: ML5 pose detection model
 - poses: Array to store detected poses
 - boundingBoxes: Array to store bounding box coordinates for each detected pose
 - centroid: Object to store the x and y coordinates of the centroid
 - confidenceThreshold: Minimum confidence score for a point to be considered visible
+- jointAngles: Array of named joint angles for each detected pose (see js/lib/joint_angles.js)
+- showJointAngles: Whether to draw the joint angle arcs (toggle with A)
+- personTracker: Gives each person a stable ID and colour that don't swap when people cross (see js/lib/person_tracker.js)
+- tracks: Tracked person for each pose, in the same order as poses
+- kinematics: Velocity, speed and acceleration of every keypoint and centroid per person (see js/lib/kinematics.js)
+- showMotion: Whether to draw motion trails and velocity arrows (toggle with V)
+- motionPoints: Keypoints that get trails and arrows (the centroid always does)
+- outputBridge: Streams each frame over a WebSocket for relay/osc_relay.js to re-send as OSC (see js/lib/output_bridge.js)
+- dataLogger: Logs every frame's keypoints, boxes and centroids to CSV and JSON (toggle with E, see js/lib/data_logger.js)
+- sessionRecorder / sessionPlayer: Record tracking sessions to JSON and play them back (see js/lib/session.js)
+- settings: Model options and display toggles from the panel under the canvas, saved between visits (see js/lib/settings.js)
+- showLabels: Whether to write the person IDs on the boxes
+- repCounter: Counts reps of the current exercise for the first person (see js/lib/rep_counter.js)
+- workoutMode: Whether the rep counter is running (toggle with W, the summary saves when it stops)
+- exerciseNames: Exercises to cycle through with N
+- motionRecognizer: Recognises recorded movements of the first person's wrists, like a wave or clap (see js/lib/motion_gestures.js)
+- poseTrainer: Learns your own poses from labelled examples with ml5.neuralNetwork (see js/lib/pose_trainer.js)
+- trainerTask: "classification" to name poses, or "regression" to turn a pose into a number
+- trainerBackend: "cpu" trains on the CPU, which is plenty for the small network (ml5 then runs the pose model
+  there too, a little slower); null keeps ml5's default WebGL backend for both
+- trainingLabel: The label being added while a number key is held (null when not adding)
+- unitScale: Pixels per centimetre for each person from their shoulder width, so sizes and speeds are in cm (see js/lib/units.js)
+- calibrationTool: Click two points a known distance apart to calibrate the scale (start with Z)
+- visualScene: Puppet sprites, particles, ribbons and silhouettes that follow the body, from a JSON scene file (see js/lib/visuals.js)
+- showVisuals: Whether to draw the scene instead of the keypoints and boxes (toggle with G)
 
 Key Functions:
 - preload(): Loads the ML5 body pose model
 - gotPoses(): Callback function when poses are detected
 - showAllPoints(): Visualizes all detected keypoints and the bounding box
-- showPoint(): Highlights a specific keypoint with given color and index
-- showCentroid(): Highlights the centroid point
 - getKeypoint(): Helper function to safely get keypoint data
+- getKeypointByName(): Helper function to get a keypoint by its name, e.g. getKeypointByName('left_wrist', 0)
+- drawSkeleton(): Draws the connections between keypoints for whichever model the pose came from (see js/lib/skeletons.js)
+- showMotionTrails(): Draws fading trails, velocity arrows and the centroid speed for each person
+- toggleWorkout() / nextExercise(): Start and stop workout mode, and change the exercise
+- showPrediction(): Writes the trained network's prediction above the first person's skeleton
+- mousePressed(): Adds a point to the scale calibration
+- loadSettings() / applySettings(): Read the saved settings and copy them into the variables below
+- reloadModel() / restartVideo(): Re-create the model and webcam after a settings change
 
-MoveNet Keypoint Indices:
+Keypoint access, boxes and drawing helpers come from js/lib/tracking.js (Tracking)
+and js/lib/tracking_draw.js (TrackingDraw).
+
+Movement keys (moving gestures like a wave or swipe, see js/lib/motion_gestures.js):
+- M: start/stop recording an example movement (asks for a name); record a few of each
+- C: start/stop recording a test clip (asks which movement it is)
+- J: save the movement templates as JSON, U: load them
+- Q: confusion report of the test clips (shown on the canvas and saved as JSON; Q again hides it)
+
+Training keys (your own poses, see js/lib/pose_trainer.js):
+- 0-9: hold a number key while holding a pose to add examples with that label (or value, for regression)
+- T: train the network (the loss curve shows in the panel); predictions start when it finishes
+- H: save the trained model (3 files) and the examples (JSON)
+- Y: load a saved model (pick model.json, model_meta.json and model.weights.bin together), I: load saved examples
+- Or open the page with ?trainer=models/model.json to load a model on start
+
+Centimetres (see js/lib/units.js): box sizes and speeds are in cm, using an average shoulder width
+of 36 cm. For a better scale press Z, click both ends of something you know the length of (at the
+same distance from the camera as you), and type its length; ESC cancels. The calibration is saved.
+
+Visuals (see js/lib/visuals.js): G swaps the keypoints and boxes for the scene in scenes/puppet.json,
+F opens a different scene file (its sprites are loaded from scenes/). Open the page with
+?scene=scenes/my_scene.json to start with your own scene showing (sprite images are loaded from
+paths relative to the scene file); ?scene=scenes/robot.json shows the sprite-based robot.
+
+MoveNet Keypoint Indices (the names, bones and left/right pairs are in js/lib/skeletons.js):
 0: nose
 1: left_eye
 2: right_eye
@@ -55,30 +112,79 @@ if (shoulder && shoulder.confidence > confidenceThreshold) {
     // The shoulder was found and is visible enough!
     circle(shoulder.x, shoulder.y, 20);
 }
+
+// The same point by name (works for BlazePose, HandPose and FaceMesh names too)
+let leftShoulder = getKeypointByName('left_shoulder', 0);
+
+// Get the left knee angle for the first person (null when the hip, knee or ankle is hidden)
+let kneeAngle = jointAngles[0] ? jointAngles[0].left_knee : null;
+
+// Do something every time a squat is counted in workout mode
+repCounter.on('rep', (rep) => console.log(`Rep ${rep.number} in ${rep.duration} ms`));
+
+// Distance between the wrists of the first person in centimetres (null before there is a scale)
+let wristsCm = unitScale.distanceCm(getKeypoint(9, 0), getKeypoint(10, 0), tracks[0].id);
+
+// Use your own trained pose (label "1" while holding the 1 key) to do something
+if (poseTrainer.prediction && poseTrainer.prediction.label === "1") {
+    background(255, 0, 0);
+}
 */
 
 // Declare variables for video, pose detection, and data storage
 let video;
+let coords;
 let bodyPose;
 let poses = [];
 let boundingBoxes = [];
-let centroid = { x: 0, y: 0 };
+let centroid = null;
+let jointAngles = [];
+let showJointAngles = true;
 let confidenceThreshold = 0.2;
 let flipVideo = true;
 let showVideo = true;
+let showLabels = true;
+let personTracker;
+let tracks = [];
+let kinematics;
+let showMotion = true;
+let motionPoints = [9, 10];  // left and right wrist
+let outputBridge;
+let dataLogger;
+let sessionRecorder;
+let sessionPlayer;
+let settings;
+let repCounter;
+let workoutMode = false;
+let exerciseNames = Object.keys(EXERCISES);  // squat, pushup, jumpingJack, bicepCurl, lunge
+let motionRecognizer;
+let poseTrainer;
+let trainerTask = "classification";
+let trainerBackend = "cpu";
+let trainingLabel = null;
+let unitScale;
+let calibrationTool;
+let visualScene;
+let showVisuals = false;
+
+// How keypoints are drawn (see js/lib/tracking_draw.js)
+let pointStyle = { size: 20, showIndex: true, showName: true, showCoordinates: true };
+
+let bodyPoseOptions = {
+    modelType: "MULTIPOSE_LIGHTNING",
+    enableSmoothing: true,
+    minPoseScore: 0.25,
+    multiPoseMaxDimension: 256,
+    enableTracking: true,
+    trackerType: "boundingBox",
+    flipped: flipVideo
+};
 
 
 // Preload function to load the ML5 body pose model
 function preload() {
-        bodyPose = ml5.bodyPose("MoveNet", {
-        modelType: "MULTIPOSE_LIGHTNING",
-        enableSmoothing: true,
-        minPoseScore: 0.25,
-        multiPoseMaxDimension: 256,
-        enableTracking: true,
-        trackerType: "boundingBox",
-        flipped: flipVideo
-    });
+    loadSettings();
+    bodyPose = ml5.bodyPose("MoveNet", bodyPoseOptions);
 }
 
 // Setup function to initialize the canvas, video, and start pose detection
@@ -87,220 +193,414 @@ function setup() {
     video = createCapture(VIDEO, {flipped: flipVideo});
     video.size(640, 480);
     video.hide();
-    bodyPose.detectStart(video, gotPoses);
+
+    // The models give video pixels; coords fits the video onto the canvas and moves results to match
+    coords = new CoordinateSpace({ sourceWidth: 640, sourceHeight: 480, canvasWidth: width, canvasHeight: height });
+
+    // Stable person IDs from MoveNet's tracker (enableTracking: true)
+    personTracker = new PersonTracker({ timeout: 1000, threshold: confidenceThreshold });
+
+    // Motion history for the last second of each person
+    kinematics = new Kinematics({ bufferTime: 1000, threshold: confidenceThreshold });
+
+    // Workout mode: count reps of the first person (start with W, change exercise with N)
+    repCounter = new RepCounter(exerciseNames[0], { threshold: confidenceThreshold });
+
+    // Moving gestures of both wrists, recorded with M
+    motionRecognizer = new MotionGestures.MotionRecognizer({ keypoints: [9, 10], confidence: confidenceThreshold });
+
+    // Your own poses: hold 0-9 to add examples, T to train (or load a model with ?trainer=path/to/model.json)
+    poseTrainer = new PoseTrainer({ task: trainerTask, threshold: confidenceThreshold, backend: trainerBackend });
+    const trainerUrl = new URLSearchParams(window.location.search).get('trainer');
+    if (trainerUrl) poseTrainer.load(trainerUrl);
+
+    // Centimetres from each person's shoulder width, or from two clicked points (press Z)
+    unitScale = new UnitScale({ reference: "shoulderWidth", threshold: confidenceThreshold });
+    calibrationTool = new CalibrationTool(unitScale);
+    const savedUnits = localStorage.getItem("ml5experiments.skeleton.units");
+    if (savedUnits) unitScale.fromJSON(JSON.parse(savedUnits));
+    unitScale.on('calibrated', () => localStorage.setItem("ml5experiments.skeleton.units", JSON.stringify(unitScale.toJSON())));
+
+    // Generative visuals from a scene file (toggle with G, or open the page with ?scene=path/to/scene.json)
+    visualScene = new Visuals.VisualScene({ threshold: confidenceThreshold });
+    const sceneLoad = visualScene.loadFromQuery();
+    if (sceneLoad) showVisuals = true;
+    (sceneLoad || visualScene.loadUrl("scenes/puppet.json")).catch(err => console.error(err));
+
+    // Stream frames to relay/osc_relay.js (toggle with B, or open the page with ?bridge=ws://host:port)
+    outputBridge = new OutputBridge({ model: "body", threshold: confidenceThreshold });
+    outputBridge.connectFromQuery();
+
+    // Log per-frame data for analysis (toggle with E, the CSV and JSON files save when logging stops)
+    dataLogger = new DataLogger({
+        model: "MoveNet",
+        options: bodyPoseOptions,
+        canvas: { width: width, height: height },
+        flipped: flipVideo,
+        confidenceThreshold: confidenceThreshold
+    });
+
+    // Record live results, or replay a recorded session instead of the webcam
+    sessionRecorder = new SessionRecorder({ model: "MoveNet", options: bodyPoseOptions });
+    sessionPlayer = new SessionPlayer(gotPoses, {
+        onStart: () => bodyPose.detectStop(),
+        onStop: () => bodyPose.detectStart(video, sessionRecorder.wrap(gotPoses))
+    });
+    bodyPose.detectStart(video, sessionRecorder.wrap(gotPoses));
+    sessionPlayer.loadFromQuery();
+
+    // Settings panel under the canvas; model options re-create the model
+    settings.on('change', (change) => {
+        applySettings();
+        if (change.key === 'flipVideo') restartVideo();
+        if (change.reload) reloadModel();
+    });
+    new SettingsPanel(settings);
 }
 
 // Main draw loop
 function draw() {
     background(255);
-    // Display the video feed based on variable
-    if(showVideo)
+    sessionPlayer.update();
+
+    // Display the video feed based on variable (there is no matching video during playback)
+    if(showVideo && !sessionPlayer.active)
      { 
-    image(video, 0, 0, width, height);
+    coords.drawVideo(video);
      }
     
     
     // Process and display pose data
-    showAllPoints();
-    showCentroid();
+    if (showVisuals) {
+        visualScene.draw();
+    } else {
+        if (showMotion) {
+            showMotionTrails();
+        }
+        showAllPoints();
+        TrackingDraw.showCentroid(centroid);
+    }
+    if (workoutMode) {
+        drawRepCounter(repCounter, 10, height - 130);
+    }
+    MotionGestures.drawMotionStatus(motionRecognizer);
+    calibrationTool.draw(mouseX, mouseY);
+    if (trainingLabel !== null || poseTrainer.sampleCount > 0 || poseTrainer.state !== 'collecting') {
+        drawTrainerStatus(poseTrainer, 10, 62, trainingLabel);
+    }
+    drawSessionStatus(sessionRecorder, sessionPlayer);
+    drawLoggerStatus(dataLogger);
+    drawBridgeStatus(outputBridge);
 }
 
 // Callback function when poses are detected
 function gotPoses(results) {
-    poses = results || [];
+    poses = coords.convertSubjects(results, 'source', 'canvas');
     
     // Update bounding boxes and centroid
-    boundingBoxes = poses.map(pose => pose.box).filter(box => box != null);
-    
-    // Update centroid position
-    if (boundingBoxes[0]) {
-        const box = boundingBoxes[0];
-        centroid.x = (box.xMin + box.xMax) / 2;
-        centroid.y = (box.yMin + box.yMax) / 2;
-    } else {
-        centroid.x = 0;
-        centroid.y = 0;
+    boundingBoxes = Tracking.getBoxes(poses, confidenceThreshold);
+    centroid = Tracking.boxCenter(boundingBoxes[0]);
+    tracks = personTracker.update(poses);
+    kinematics.update(tracks);
+    unitScale.update(poses, tracks.map(track => track.id));
+    if (showVisuals) visualScene.update(poses, tracks.map(track => track.id));
+
+    // Update elbow, shoulder, hip, knee, neck and torso angles for each person
+    jointAngles = JointAngles.computeAllJointAngles(poses, confidenceThreshold);
+
+    // Count reps for the first person
+    if (workoutMode && poses[0]) {
+        repCounter.update(poses[0]);
+    }
+
+    // Follow the first person's wrists
+    if (poses[0]) motionRecognizer.push(poses[0]);
+
+    // Add training examples while a number key is held, otherwise predict once trained
+    if (poses[0]) {
+        if (trainingLabel !== null) {
+            poseTrainer.addSample(poses[0], trainingLabel);
+        } else {
+            poseTrainer.predict(poses[0]);
+        }
     }
+
+    // Stream and log this frame
+    let subjects = frameSubjects();
+    outputBridge.send(subjects);
+    dataLogger.log(subjects);
 }
 
 // Function to visualize all detected keypoints and bounding box
 function showAllPoints() {
     // Draw bounding boxes
     boundingBoxes.forEach((box, i) => {
-        if (!box) return;
-
-        // Draw box outline
-        noFill();
-        stroke(0, 255, 0);
-        strokeWeight(2);
-        rect(box.xMin, box.yMin, box.width, box.height);
-        
-        // Draw box dimensions
-        fill(0, 255, 0);
-        noStroke();
-        textAlign(CENTER, CENTER);
-        textSize(12);
-        
-        // Width label
-        text(`Width: ${Math.round(box.width)}px`, 
-             box.xMin + box.width / 2, box.yMin - 10);
-        
-        // Height label
-        push();
-        translate(box.xMin - 10, box.yMin + box.height / 2);
-        rotate(-PI/2);
-        text(`Height: ${Math.round(box.height)}px`, 0, 0);
-        pop();
-
-        // Person number label
-        text(`Person ${i}`, box.xMin + box.width / 2, box.yMin + 20);
+        const track = tracks[i];
+        TrackingDraw.drawBoxWithDimensions(box, showLabels ? `Person ${track.id}` : null, track.color,
+                                           (pixels) => unitScale.format(pixels, track.id));
     });
 
     // Draw all keypoints for each person
     poses.forEach((pose, personIndex) => {
-        // Check each possible keypoint (0-16 for MoveNet)
-        for (let pointIndex = 0; pointIndex < 17; pointIndex++) {
-            const point = getKeypoint(pointIndex, personIndex);
-            if (point && point.confidence > confidenceThreshold) {
-                point.index = pointIndex;
-                showPoint(point, color(0, 255, 0));
-            }
-        }
+        Tracking.visibleKeypoints(pose, confidenceThreshold).forEach(point => {
+            TrackingDraw.showPoint(point, color(0, 255, 0), pointStyle);
+        });
         
         // Draw skeleton connections
         drawSkeleton(personIndex);
+
+        // Draw joint angle arcs
+        if (showJointAngles) {
+            JointAngles.drawJointAngles(pose, jointAngles[personIndex], confidenceThreshold);
+        }
     });
+
+    // Write the trained network's prediction over the first skeleton
+    showPrediction();
 }
 
-// Function to highlight a specific point with a given color
-function showPoint(point, pointColor) {
-    if (!isValidPoint(point)) return;
+// Function to write the pose trainer's prediction above the first person's box
+function showPrediction() {
+    const prediction = poseTrainer.prediction;
+    const box = boundingBoxes[0];
+    if (!prediction || !box || trainingLabel !== null) return;
 
-    // Draw point circle
-    fill(pointColor);
-    noStroke();
-    circle(point.x, point.y, 20);
-    
-    // Draw point index number
-    if (point.index != null) {
-        fill(255);
-        textAlign(CENTER, CENTER);
-        textSize(10);
-        text(point.index, point.x, point.y);
-    }
-    
-    // Draw point coordinates
-    fill(255, 255, 0);
-    textAlign(CENTER, TOP);
-    textSize(8);
-    let displayText = `(${Math.round(point.x)}, ${Math.round(point.y)})`;
-    if (point.name) {
-        displayText = `${point.name}\n${displayText}`;
-    }
-    text(displayText, point.x, point.y + 15);
+    const label = poseTrainer.task === 'regression'
+        ? prediction.value.toFixed(2)
+        : `${prediction.label} (${Math.round(prediction.confidence * 100)}%)`;
+    push();
+    fill(255, 165, 0);
+    stroke(0);
+    strokeWeight(3);
+    textSize(28);
+    textAlign(CENTER, BOTTOM);
+    text(label, box.xMin + box.width / 2, box.yMin - 24);
+    pop();
 }
 
-// Function to highlight the centroid point
-function showCentroid() {
-    if (!isValidPoint(centroid)) return;
+// Function to draw motion trails and velocity arrows for each tracked person
+function showMotionTrails() {
+    tracks.forEach(track => {
+        [...motionPoints, 'centroid'].forEach(point => {
+            drawTrail(kinematics.getTrail(track.id, point), track.color);
+            drawVelocityArrow(kinematics.getMotion(track.id, point), track.color);
+        });
 
-    // Draw centroid circle
-    fill(255, 0, 0);
-    noStroke();
-    circle(centroid.x, centroid.y, 15);
-    
-    // Draw 'C' label
-    fill(255);
-    textAlign(CENTER, CENTER);
-    textSize(10);
-    text('C', centroid.x, centroid.y);
-    
-    // Draw centroid coordinates
-    fill(255, 255, 0);
-    textAlign(CENTER, TOP);
-    textSize(8);
-    text(`Centroid: (${Math.round(centroid.x)}, ${Math.round(centroid.y)})`, 
-         centroid.x, centroid.y + 15);
+        // Write how fast the person is moving under their box (in cm/s once there is a scale)
+        const motion = kinematics.getMotion(track.id, 'centroid');
+        if (motion && track.box) {
+            const velocity = unitScale.velocityCm(motion, track.id);
+            fill(track.color);
+            noStroke();
+            textAlign(CENTER, TOP);
+            textSize(12);
+            text(velocity ? `${Math.round(velocity.speed)} cm/s` : `${Math.round(motion.speed)} px/s`,
+                 track.box.xMin + track.box.width / 2, track.box.yMax + 5);
+        }
+    });
 }
 
-
 // Helper function to safely get keypoint data
 function getKeypoint(pointIndex, personIndex = 0) {
-    // Check if we have valid data
-    if (!poses || poses.length === 0) return null;
-    if (!poses[personIndex]) return null;
-    
-    // Get the keypoint if it exists
-    const keypoints = poses[personIndex].keypoints;
-    if (!keypoints) return null;
-    
-    return keypoints[pointIndex] || null;
+    return Tracking.getKeypoint(poses, pointIndex, personIndex);
 }
 
-// Helper function to check if a point has valid coordinates
-function isValidPoint(point) {
-    return point && 
-           typeof point.x === 'number' && 
-           typeof point.y === 'number';
+// Helper function to get a keypoint by name ('left_wrist', 'right_ankle', ...) from a person or person index
+function getKeypointByName(name, person = 0) {
+    return Skeletons.getKeypointByName(name, typeof person === 'number' ? poses[person] : person);
 }
 
 // Function to draw skeleton connections between keypoints
 function drawSkeleton(personIndex) {
-    // Define the connections for MoveNet keypoints
-    const connections = [
-        // Head
-        [0, 1],   // nose to left_eye
-        [0, 2],   // nose to right_eye
-        [1, 3],   // left_eye to left_ear
-        [2, 4],   // right_eye to right_ear
-        
-        // Torso
-        [5, 6],   // left_shoulder to right_shoulder
-        [5, 11],  // left_shoulder to left_hip
-        [6, 12],  // right_shoulder to right_hip
-        [11, 12], // left_hip to right_hip
-        
-        // Left arm
-        [5, 7],   // left_shoulder to left_elbow
-        [7, 9],   // left_elbow to left_wrist
-        
-        // Right arm
-        [6, 8],   // right_shoulder to right_elbow
-        [8, 10],  // right_elbow to right_wrist
-        
-        // Left leg
-        [11, 13], // left_hip to left_knee
-        [13, 15], // left_knee to left_ankle
-        
-        // Right leg
-        [12, 14], // right_hip to right_knee
-        [14, 16]  // right_knee to right_ankle
-    ];
-    
-    // Draw each connection
-    stroke(0, 255, 0); // Green lines
-    strokeWeight(3);
-    noFill();
-    
-    connections.forEach(([startIdx, endIdx]) => {
-        const startPoint = getKeypoint(startIdx, personIndex);
-        const endPoint = getKeypoint(endIdx, personIndex);
-        
-        if (startPoint && endPoint && 
-            startPoint.confidence > confidenceThreshold && 
-            endPoint.confidence > confidenceThreshold) {
-            line(startPoint.x, startPoint.y, endPoint.x, endPoint.y);
-        }
+    // The bones come from the model's definition in js/lib/skeletons.js (MoveNet here)
+    Skeletons.draw(poses[personIndex], { color: [0, 255, 0], weight: 3, threshold: confidenceThreshold });
+}
+
+// Function to collect keypoints, boxes, joint angles and speed for each person for the output bridge and data logger
+function frameSubjects() {
+    return poses.map((pose, i) => {
+        const motion = kinematics.getMotion(tracks[i].id, 'centroid');
+        return {
+            id: tracks[i].id,
+            keypoints: pose.keypoints,
+            box: boundingBoxes[i],
+            centroid: tracks[i].centroid,
+            derived: Object.assign({ speed: motion ? motion.speed : null, pixelsPerCm: unitScale.scaleFor(tracks[i].id) }, jointAngles[i])
+        };
     });
 }
 
-function keyPressed() {
-    if (key === 's' || key === 'S') {
-        showVideo = !showVideo;
+// Start or stop workout mode; stopping saves a summary of the set as JSON
+function toggleWorkout() {
+    workoutMode = !workoutMode;
+    if (workoutMode) {
+        repCounter.reset();
+    } else if (repCounter.reps.length > 0 || repCounter.partialReps > 0) {
+        Files.downloadJSON(repCounter.summary(), `workout_${repCounter.name}_${Files.fileTimestamp()}.json`);
     }
 }
+
+// Switch to the next exercise (the count starts again)
+function nextExercise() {
+    const next = exerciseNames[(exerciseNames.indexOf(repCounter.name) + 1) % exerciseNames.length];
+    repCounter.setExercise(next);
+}
+
+// Read saved and URL settings over the defaults above (see js/lib/settings.js)
+function loadSettings() {
+    settings = new Settings(
+        MODEL_SETTINGS.MoveNet.concat(displaySettings(['confidenceThreshold', 'showVideo', 'flipVideo', 'showIndex', 'showName', 'showCoordinates', 'showLabels'])),
+        Object.assign({}, bodyPoseOptions, {
+            confidenceThreshold: confidenceThreshold,
+            showVideo: showVideo,
+            flipVideo: flipVideo,
+            showIndex: pointStyle.showIndex,
+            showName: pointStyle.showName,
+            showCoordinates: pointStyle.showCoordinates,
+            showLabels: showLabels
+        }),
+        { storageKey: "ml5experiments.skeleton" }
+    ).load();
+    applySettings();
+}
+
+// Copy the settings into the sketch's variables and the helpers that use them
+function applySettings() {
+    settings.copyTo(bodyPoseOptions, MODEL_SETTINGS.MoveNet.map(setting => setting.key));
+    confidenceThreshold = settings.get('confidenceThreshold');
+    showVideo = settings.get('showVideo');
+    flipVideo = settings.get('flipVideo');
+    showLabels = settings.get('showLabels');
+    settings.copyTo(pointStyle, ['showIndex', 'showName', 'showCoordinates']);
+    bodyPoseOptions.flipped = flipVideo;
+
+    // Helpers made in setup() keep their own copy of the threshold
+    if (personTracker) personTracker.threshold = confidenceThreshold;
+    if (kinematics) kinematics.threshold = confidenceThreshold;
+    if (repCounter) repCounter.threshold = confidenceThreshold;
+    if (motionRecognizer) motionRecognizer.confidence = confidenceThreshold;
+    if (poseTrainer) poseTrainer.threshold = confidenceThreshold;
+    if (unitScale) unitScale.threshold = confidenceThreshold;
+    if (visualScene) visualScene.threshold = confidenceThreshold;
+    if (outputBridge) outputBridge.options.threshold = confidenceThreshold;
+    if (dataLogger) Object.assign(dataLogger.metadata, { flipped: flipVideo, confidenceThreshold: confidenceThreshold });
+}
+
+// Re-create the model with the new options, then start detecting again
+function reloadModel() {
+    bodyPose.detectStop();
+    const model = ml5.bodyPose("MoveNet", bodyPoseOptions, () => {
+        // Another change may have replaced this model while it was loading
+        if (model !== bodyPose) return;
+        if (!sessionPlayer.active) bodyPose.detectStart(video, sessionRecorder.wrap(gotPoses));
+    });
+    bodyPose = model;
+}
+
+// Re-create the webcam capture so it is mirrored (or not) to match flipVideo
+function restartVideo() {
+    if (video.elt.srcObject) video.elt.srcObject.getTracks().forEach(track => track.stop());
+    video.remove();
+    video = createCapture(VIDEO, {flipped: flipVideo});
+    video.size(640, 480);
+    video.hide();
+}
+
 function keyPressed() {
-  if (key === ' ') {
-    showVideo = !showVideo;
-  }
-}
\ No newline at end of file
+    if (handleSessionKey(key, keyCode, sessionRecorder, sessionPlayer)) return;
+
+    if (key === 's' || key === 'S' || key === ' ') {
+        settings.set('showVideo', !showVideo);
+    }
+
+    // Toggle motion trails with 'v' key
+    if (key === 'v' || key === 'V') {
+        showMotion = !showMotion;
+    }
+
+    // Toggle joint angle arcs with 'a' key
+    if (key === 'a' || key === 'A') {
+        showJointAngles = !showJointAngles;
+    }
+
+    // Start/stop workout mode with 'w' key (saves the summary when stopped)
+    if (key === 'w' || key === 'W') {
+        toggleWorkout();
+    }
+
+    // Change exercise with 'n' key
+    if (key === 'n' || key === 'N') {
+        nextExercise();
+    }
+
+    // Record, save and test moving gestures (M, C, J, U, Q)
+    if (MotionGestures.handleMotionKey(key, motionRecognizer)) return;
+
+    // Hold a number key to add examples of the current pose with that label
+    if (key >= '0' && key <= '9') {
+        trainingLabel = key;
+    }
+
+    // Train the network on the examples with 't' key
+    if (key === 't' || key === 'T') {
+        poseTrainer.train();
+    }
+
+    // Save the trained model and the examples with 'h' key
+    if (key === 'h' || key === 'H') {
+        if (poseTrainer.state === 'ready') poseTrainer.save();
+        if (poseTrainer.sampleCount > 0) poseTrainer.saveData();
+    }
+
+    // Load a saved model with 'y' key, or saved examples with 'i' key
+    if (key === 'y' || key === 'Y') {
+        poseTrainer.openFiles('model');
+    }
+    if (key === 'i' || key === 'I') {
+        poseTrainer.openFiles('data');
+    }
+
+    // Calibrate centimetres from two clicked points with 'z' key, ESC to cancel
+    if (key === 'z' || key === 'Z') {
+        calibrationTool.start();
+    }
+    if (keyCode === ESCAPE) {
+        calibrationTool.cancel();
+    }
+
+    // Show/hide the generative visuals with 'g' key
+    if (key === 'g' || key === 'G') {
+        showVisuals = !showVisuals;
+    }
+
+    // Open a different visual scene file with 'f' key (its sprites load from scenes/)
+    if (key === 'f' || key === 'F') {
+        Files.openJSONFile()
+            .then(data => visualScene.fromJSON(data, "scenes/"))
+            .then(() => { showVisuals = true; })
+            .catch(err => console.error(err));
+    }
+
+    // Connect/disconnect the OSC output bridge with 'b' key
+    if (key === 'b' || key === 'B') {
+        outputBridge.toggle();
+    }
+
+    // Start/stop logging with 'e' key (saves CSV and JSON when stopped)
+    if (key === 'e' || key === 'E') {
+        dataLogger.toggle();
+    }
+}
+
+// Add a point to the scale calibration (clicks outside the canvas are ignored)
+function mousePressed() {
+    if (mouseX < 0 || mouseY < 0 || mouseX > width || mouseY > height) return;
+    calibrationTool.mousePressed(mouseX, mouseY, poses[0]);
+}
+
+// Stop adding training examples when the number key is let go
+function keyReleased() {
+    if (key === trainingLabel) {
+        trainingLabel = null;
+    }
+}
@@ -0,0 +1,116 @@
+/*
+OSC Encoding and Decoding
+
+Just enough of the OSC 1.0 format for the relay and the test listener: messages with
+int32 ('i'), float32 ('f') and string ('s') arguments, and bundles of messages.
+No dependencies, Node only.
+
+Key Functions:
+- encodeMessage(address, values, types): Buffer for one message
+- encodeBundles(messages, maxSize): Buffers of bundles, each no bigger than maxSize bytes
+- decodePacket(buffer): list of { address, values } from a message or bundle
+*/
+
+// OSC strings end with a null and are padded to a multiple of 4 bytes
+function encodeString(text) {
+    const bytes = Buffer.from(text, 'utf8');
+    const padded = Buffer.alloc(Math.ceil((bytes.length + 1) / 4) * 4);
+    bytes.copy(padded);
+    return padded;
+}
+
+// Type tag for a value: 'i' or 'f' for numbers, 's' for strings
+function typeOf(value, type) {
+    if (type) return type;
+    return typeof value === 'string' ? 's' : 'f';
+}
+
+function encodeMessage(address, values, types = []) {
+    values = Array.isArray(values) ? values : [values];
+    const tags = values.map((value, i) => typeOf(value, types[i]));
+    const parts = [encodeString(address), encodeString(',' + tags.join(''))];
+
+    values.forEach((value, i) => {
+        if (tags[i] === 's') {
+            parts.push(encodeString(String(value)));
+        } else {
+            const arg = Buffer.alloc(4);
+            if (tags[i] === 'i') {
+                arg.writeInt32BE(Math.round(value));
+            } else {
+                arg.writeFloatBE(value);
+            }
+            parts.push(arg);
+        }
+    });
+    return Buffer.concat(parts);
+}
+
+// Pack { address, value, type? } messages into "#bundle" packets no larger than maxSize
+function encodeBundles(messages, maxSize = 8192) {
+    const header = Buffer.concat([
+        encodeString('#bundle'),
+        Buffer.from([0, 0, 0, 0, 0, 0, 0, 1])   // timetag 1 = "immediately"
+    ]);
+    const bundles = [];
+    let parts = [header];
+    let size = header.length;
+
+    messages.forEach(message => {
+        const encoded = encodeMessage(message.address, [message.value], [message.type]);
+        const length = Buffer.alloc(4);
+        length.writeInt32BE(encoded.length);
+        if (size + 4 + encoded.length > maxSize && parts.length > 1) {
+            bundles.push(Buffer.concat(parts));
+            parts = [header];
+            size = header.length;
+        }
+        parts.push(length, encoded);
+        size += 4 + encoded.length;
+    });
+    if (parts.length > 1) bundles.push(Buffer.concat(parts));
+    return bundles;
+}
+
+function readString(buffer, offset) {
+    const end = buffer.indexOf(0, offset);
+    const text = buffer.toString('utf8', offset, end);
+    return { text: text, next: Math.ceil((end + 1) / 4) * 4 };
+}
+
+// Decode a message or (nested) bundle into [{ address, values }]
+function decodePacket(buffer) {
+    if (buffer.toString('utf8', 0, 7) === '#bundle') {
+        const messages = [];
+        let offset = 16;   // "#bundle\0" + 8 byte timetag
+        while (offset < buffer.length) {
+            const size = buffer.readInt32BE(offset);
+            messages.push(...decodePacket(buffer.subarray(offset + 4, offset + 4 + size)));
+            offset += 4 + size;
+        }
+        return messages;
+    }
+
+    const address = readString(buffer, 0);
+    const tags = readString(buffer, address.next);
+    const values = [];
+    let offset = tags.next;
+    for (const tag of tags.text.slice(1)) {
+        if (tag === 'i') {
+            values.push(buffer.readInt32BE(offset));
+            offset += 4;
+        } else if (tag === 'f') {
+            values.push(buffer.readFloatBE(offset));
+            offset += 4;
+        } else if (tag === 's') {
+            const s = readString(buffer, offset);
+            values.push(s.text);
+            offset = s.next;
+        } else {
+            throw new Error(`Unsupported OSC type tag '${tag}' in ${address.text}`);
+        }
+    }
+    return [{ address: address.text, values: values }];
+}
+
+module.exports = { encodeMessage, encodeBundles, decodePacket };
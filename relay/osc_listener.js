@@ -0,0 +1,75 @@
+/*
+OSC Test Listener
+
+Prints the OSC messages arriving on a UDP port, to check the relay without any other
+software. Node only, with no dependencies to install.
+
+Usage:
+    node relay/osc_listener.js [--port 9000] [--filter "/keypoint/9/"] [--summary]
+
+Options:
+- --port: UDP port to listen on (the relay's --osc-port)
+- --filter: only print addresses matching this regular expression
+- --summary: print a count of messages per second instead of every message
+*/
+
+const dgram = require('dgram');
+const { decodePacket } = require('./osc.js');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const next = argv[i + 1];
+        args[argv[i].slice(2)] = next && !next.startsWith('--') ? next : true;
+    }
+    return {
+        port: Number(args.port || 9000),
+        filter: typeof args.filter === 'string' ? new RegExp(args.filter) : null,
+        summary: !!args.summary
+    };
+}
+
+function startListener(config, onMessage) {
+    const socket = dgram.createSocket('udp4');
+    let count = 0;
+
+    socket.on('message', packet => {
+        let messages;
+        try {
+            messages = decodePacket(packet);
+        } catch (err) {
+            console.warn(`Could not decode packet: ${err.message}`);
+            return;
+        }
+        messages.forEach(message => {
+            if (config.filter && !config.filter.test(message.address)) return;
+            count++;
+            if (onMessage) onMessage(message);
+            else if (!config.summary) console.log(message.address, ...message.values);
+        });
+    });
+
+    let timer = null;
+    if (config.summary) {
+        timer = setInterval(() => {
+            console.log(`${count} messages/s`);
+            count = 0;
+        }, 1000);
+    }
+
+    socket.bind(config.port, () => console.log(`Listening for OSC on UDP port ${config.port}`));
+    return {
+        socket: socket,
+        close() {
+            clearInterval(timer);
+            socket.close();
+        }
+    };
+}
+
+if (require.main === module) {
+    startListener(parseArgs(process.argv.slice(2)));
+}
+
+module.exports = { startListener };
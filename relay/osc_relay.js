@@ -0,0 +1,181 @@
+/*
+WebSocket to OSC Relay
+
+Receives the frames sent by OutputBridge (js/lib/output_bridge.js) over a WebSocket and
+re-sends every value as an OSC message over UDP, e.g. /body/0/keypoint/9/x.
+Node only, with no dependencies to install.
+
+Usage:
+    node relay/osc_relay.js [--ws-port 8080] [--osc-host 127.0.0.1] [--osc-port 9000]
+                            [--filter "^/body/0/"] [--max-packet 8192]
+
+Options:
+- --ws-port: port the sketches connect to (ws://localhost:8080)
+- --osc-host / --osc-port: where OSC messages are sent (TouchDesigner, Max, Unity, ...)
+- --filter: only send addresses matching this regular expression
+- --max-packet: largest UDP packet in bytes; big frames are split into several bundles
+
+Try it without any other software by running the test listener in a second terminal:
+    node relay/osc_listener.js --port 9000
+*/
+
+const http = require('http');
+const crypto = require('crypto');
+const dgram = require('dgram');
+const { frameToOscMessages } = require('../js/lib/output_bridge.js');
+const { encodeBundles } = require('./osc.js');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Read "--name value" pairs from the command line
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[i + 1];
+    }
+    return {
+        wsPort: Number(args['ws-port'] || 8080),
+        oscHost: args['osc-host'] || '127.0.0.1',
+        oscPort: Number(args['osc-port'] || 9000),
+        filter: args.filter ? new RegExp(args.filter) : null,
+        maxPacket: Number(args['max-packet'] || 8192)
+    };
+}
+
+// Parse one WebSocket frame from the start of buffer, or return null if it isn't all here yet
+function readFrame(buffer) {
+    if (buffer.length < 2) return null;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+    return { fin: fin, opcode: opcode, payload: payload, size: offset + length };
+}
+
+// Build an unmasked server-to-client frame
+function writeFrame(opcode, payload = Buffer.alloc(0)) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Accept a WebSocket upgrade and call onMessage with each text message
+function handleUpgrade(request, socket, onMessage) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.destroy();
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+                 'Upgrade: websocket\r\n' +
+                 'Connection: Upgrade\r\n' +
+                 `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+    socket.on('data', chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+        let frame;
+        while ((frame = readFrame(buffer))) {
+            buffer = buffer.subarray(frame.size);
+            if (frame.opcode === 0x8) {            // close
+                socket.end(writeFrame(0x8));
+                return;
+            } else if (frame.opcode === 0x9) {     // ping
+                socket.write(writeFrame(0xA, frame.payload));
+            } else if (frame.opcode === 0x1 || frame.opcode === 0x0) {   // text or continuation
+                fragments.push(frame.payload);
+                if (frame.fin) {
+                    onMessage(Buffer.concat(fragments).toString('utf8'));
+                    fragments = [];
+                }
+            }
+        }
+    });
+    socket.on('error', () => socket.destroy());
+}
+
+function startRelay(config) {
+    const udp = dgram.createSocket('udp4');
+    let frameCount = 0;
+
+    // Turn one bridge frame into OSC bundles and send them
+    function relayMessage(text) {
+        let frame;
+        try {
+            frame = JSON.parse(text);
+        } catch (err) {
+            console.warn('Ignoring message that is not JSON');
+            return;
+        }
+        if (!frame || frame.type !== 'frame' || !Array.isArray(frame.subjects)) return;
+
+        let messages = frameToOscMessages(frame);
+        if (config.filter) messages = messages.filter(m => config.filter.test(m.address));
+        encodeBundles(messages, config.maxPacket).forEach(packet => {
+            udp.send(packet, config.oscPort, config.oscHost);
+        });
+        frameCount++;
+    }
+
+    const server = http.createServer((request, response) => {
+        response.writeHead(200, { 'Content-Type': 'text/plain' });
+        response.end(`OSC relay: ${frameCount} frames sent to ${config.oscHost}:${config.oscPort}\n`);
+    });
+    server.on('upgrade', (request, socket) => {
+        console.log(`Sketch connected from ${socket.remoteAddress}`);
+        socket.on('close', () => console.log('Sketch disconnected'));
+        handleUpgrade(request, socket, relayMessage);
+    });
+    server.listen(config.wsPort, () => {
+        console.log(`OSC relay listening on ws://localhost:${config.wsPort}, ` +
+                    `sending OSC to ${config.oscHost}:${config.oscPort}`);
+    });
+
+    return {
+        server: server,
+        close() {
+            server.close();
+            udp.close();
+        }
+    };
+}
+
+if (require.main === module) {
+    startRelay(parseArgs(process.argv.slice(2)));
+}
+
+module.exports = { startRelay, parseArgs, readFrame, writeFrame };
@@ -0,0 +1,100 @@
+// Tests for js/lib/face_analysis.js. Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { FaceAnalyzer, FACE_LANDMARKS } = require('../js/lib/face_analysis.js');
+
+// A front-on face with 478 points centred on (x, 200). eyeGap sets the eye aspect ratio
+// (0.3 is the typical open eye) and mouthGap the lip gap as a share of the mouth width.
+function makeFace(x, { eyeGap = 0.3, mouthGap = 0.02 } = {}) {
+    const L = FACE_LANDMARKS;
+    const y = 200;
+    const keypoints = [];
+    for (let i = 0; i < 478; i++) keypoints.push({ x: x, y: y, z: 0 });
+    const set = (index, px, py) => { keypoints[index] = { x: px, y: py, z: 0 }; };
+
+    // Eyes 30 pixels wide, so a lid gap of 2 * h gives an aspect ratio of h / 15
+    const h = eyeGap * 15;
+    [[L.rightEye, -1], [L.leftEye, 1]].forEach(([eye, side]) => {
+        set(eye.outer, x + side * 40, y);
+        set(eye.inner, x + side * 10, y);
+        eye.top.forEach(i => set(i, x + side * 25, y - h));
+        eye.bottom.forEach(i => set(i, x + side * 25, y + h));
+        set(eye.lidTop, x + side * 25, y - h);
+        set(eye.lidBottom, x + side * 25, y + h);
+        set(eye.iris, x + side * 25, y);
+    });
+    set(L.rightBrow, x - 25, y - 25);
+    set(L.leftBrow, x + 25, y - 25);
+    set(L.mouth.right, x - 25, y + 60);
+    set(L.mouth.left, x + 25, y + 60);
+    set(L.mouth.top, x, y + 60 - mouthGap * 25);
+    set(L.mouth.bottom, x, y + 60 + mouthGap * 25);
+    set(L.forehead, x, y - 60);
+    set(L.chin, x, y + 100);
+    set(L.rightCheek, x - 70, y);
+    set(L.leftCheek, x + 70, y);
+    return { keypoints: keypoints };
+}
+
+function listen(analyzer, name) {
+    const events = [];
+    analyzer.on(name, event => events.push(event));
+    return events;
+}
+
+test('closing both eyes fires one blink until they open again', () => {
+    const analyzer = new FaceAnalyzer({ now: () => 0 });
+    const blinks = listen(analyzer, 'blink');
+    const frames = [0.3, 0.3, 0.05, 0.04, 0.05, 0.3, 0.3, 0.05, 0.3];
+    const blinking = frames.map((eyeGap, i) => analyzer.update([makeFace(300, { eyeGap })], i * 33, [4])[0].states.blinking);
+
+    assert.deepStrictEqual(blinking, [false, false, true, true, true, false, false, true, false]);
+    assert.deepStrictEqual(blinks.map(event => [event.time, event.key, event.faceIndex]), [[66, 4, 0], [231, 4, 0]]);
+});
+
+test('calibration makes a face with narrow eyes read as open', () => {
+    let time = 0;
+    const analyzer = new FaceAnalyzer({ now: () => time });
+    const narrow = makeFace(300, { eyeGap: 0.18 });
+    assert.ok(Math.abs(analyzer.update([narrow], time, [1])[0].signals.leftEyeOpen - 0.6) < 1e-9);
+
+    analyzer.startCalibration(100);
+    for (time = 0; time <= 100; time += 25) analyzer.update([narrow], time, [1]);
+    assert.strictEqual(analyzer.calibrating, false);
+    assert.strictEqual(analyzer.calibrated(1), true);
+    assert.strictEqual(analyzer.calibrated(0), false);
+    assert.ok(Math.abs(analyzer.update([narrow], time, [1])[0].signals.leftEyeOpen - 1) < 1e-9);
+
+    analyzer.resetCalibration();
+    assert.strictEqual(analyzer.calibrated(1), false);
+});
+
+test('each face keeps its own baseline when faces swap places', () => {
+    let time = 0;
+    const analyzer = new FaceAnalyzer({ now: () => time });
+    analyzer.startCalibration(100);
+    for (time = 0; time <= 100; time += 25) {
+        analyzer.update([makeFace(150, { eyeGap: 0.18 }), makeFace(450)], time, [7, 9]);
+    }
+
+    // The model now lists the faces the other way round
+    const results = analyzer.update([makeFace(450), makeFace(150, { eyeGap: 0.18 })], time, [9, 7]);
+    assert.deepStrictEqual(results.map(result => result.key), [9, 7]);
+    results.forEach(result => assert.ok(Math.abs(result.signals.leftEyeOpen - 1) < 1e-9));
+    assert.ok(results.every(result => !result.states.blinking));
+});
+
+test('a face that takes the place of one that left does not inherit its states', () => {
+    const analyzer = new FaceAnalyzer({ now: () => 0 });
+    const closes = listen(analyzer, 'mouthClose');
+    const opens = listen(analyzer, 'mouthOpen');
+
+    analyzer.update([makeFace(300, { mouthGap: 0.6 })], 0, [1]);
+    assert.deepStrictEqual(opens.map(event => event.key), [1]);
+
+    // Face 1 leaves and face 2, with its mouth closed, is first in the list
+    const result = analyzer.update([makeFace(300)], 33, [2])[0];
+    assert.strictEqual(result.states.mouthOpen, false);
+    assert.deepStrictEqual(closes, []);
+    assert.deepStrictEqual([...analyzer.states.keys()], [2]);
+});
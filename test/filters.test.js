@@ -0,0 +1,63 @@
+// Tests for js/lib/filters.js. Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { Filters } = require('../js/lib/filters.js');
+const squats = require('./fixtures/squat_session.json');
+
+// One subject with a single keypoint
+function makeSubject(x, y) {
+    return { keypoints: [{ x: x, y: y, confidence: 0.9 }] };
+}
+
+test('a missing subject is held until maxGap, then dropped', () => {
+    const filter = new Filters.KeypointFilter({ type: 'none', maxGap: 100 });
+    assert.strictEqual(filter.update([makeSubject(10, 20)], 0).length, 1);
+
+    const held = filter.update([], 33);
+    assert.strictEqual(held.length, 1);
+    assert.strictEqual(held[0].held, true);
+    assert.strictEqual(held[0].key, 0);
+    assert.deepStrictEqual(held[0].raw, []);
+    assert.deepStrictEqual(held[0].keypoints, [{ x: 10, y: 20, confidence: 0.9, held: true }]);
+
+    assert.strictEqual(filter.update([], 100).length, 1);
+    assert.strictEqual(filter.update([], 134).length, 0);
+});
+
+test('held subjects come after the subjects seen this frame', () => {
+    const filter = new Filters.KeypointFilter({ type: 'none' });
+    filter.update([makeSubject(0, 0), makeSubject(100, 0)], 0, ['a', 'b']);
+    const result = filter.update([makeSubject(110, 0)], 33, ['b']);
+    assert.deepStrictEqual(result.map(subject => subject.key), ['b', 'a']);
+    assert.deepStrictEqual(result.map(subject => !!subject.held), [false, true]);
+});
+
+test('filtering a recorded session is deterministic', () => {
+    // Drop the person for a few frames so the hold is exercised too
+    const session = Object.assign({}, squats, {
+        frames: squats.frames.map((frame, i) => (i >= 20 && i < 23 ? { t: frame.t, results: [] } : frame))
+    });
+    const options = { type: 'oneEuro', params: { beta: 0.02 }, threshold: 0.3, maxGap: 250 };
+    const first = Filters.filterSession(session, options);
+    const second = Filters.filterSession(session, options);
+    assert.deepStrictEqual(first, second);
+
+    assert.strictEqual(first.frames.length, session.frames.length);
+    [20, 21, 22].forEach(i => {
+        assert.strictEqual(first.frames[i].results.length, 1);
+        assert.strictEqual(first.frames[i].results[0].held, true);
+    });
+    // The held person stays where they were last seen
+    assert.deepStrictEqual(first.frames[21].results[0].keypoints.map(p => [p.x, p.y]),
+                           first.frames[19].results[0].keypoints.map(p => [p.x, p.y]));
+    // Files keep their shape: no raw keypoints or filter keys
+    assert.ok(!('raw' in first.frames[0].results[0]) && !('key' in first.frames[0].results[0]));
+});
+
+test('every filter type gives the same result twice on a recorded session', () => {
+    Filters.FILTER_TYPES.forEach(type => {
+        const first = JSON.stringify(Filters.filterSession(squats, { type: type }));
+        const second = JSON.stringify(Filters.filterSession(squats, { type: type }));
+        assert.strictEqual(first, second, type);
+    });
+});
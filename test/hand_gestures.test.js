@@ -0,0 +1,96 @@
+// Tests for js/lib/hand_gestures.js. Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { HandGestures } = require('../js/lib/hand_gestures.js');
+
+// Knuckles of the four fingers on a hand with the wrist at (0, 0) and the middle knuckle at (0, -1)
+const KNUCKLES = { index: [-0.35, -0.95], middle: [0, -1], ring: [0.3, -0.95], pinky: [0.55, -0.85] };
+
+// 21 keypoints for a hand; each finger's bend goes from 0 (straight) to 1 (curled into the palm).
+// The hand is then turned by angle, scaled and moved to (x, y), as a camera would see it.
+function makeHand(bends = {}, { angle = 0, scale = 80, x = 320, y = 300 } = {}) {
+    const points = [[0, 0]];
+    // Thumb: straight out to the side, or folded across the palm
+    const thumb = bends.thumb ?? 0;
+    points.push([-0.3, -0.2], [-0.55, -0.45], [-0.75, -0.65]);
+    points.push([-0.95 + 0.75 * thumb, -0.85 + 0.15 * thumb]);
+    ['index', 'middle', 'ring', 'pinky'].forEach(finger => {
+        const [kx, ky] = KNUCKLES[finger];
+        const bend = bends[finger] ?? 0;
+        const reach = 1 - 0.95 * bend;
+        points.push([kx, ky], [kx, ky - 0.4], [kx + 0.1 * bend, ky - 0.4 - 0.3 * (1 - bend)], [kx, ky - reach]);
+    });
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return points.map(([px, py]) => ({
+        x: x + scale * (px * cos - py * sin),
+        y: y + scale * (px * sin + py * cos),
+        confidence: 0.9
+    }));
+}
+
+const FIST = { thumb: 1, index: 1, middle: 1, ring: 1, pinky: 1 };
+const POINT = { thumb: 1, middle: 1, ring: 1, pinky: 1 };
+const PEACE = { thumb: 1, ring: 1, pinky: 1 };
+const THUMBS_UP = { index: 1, middle: 1, ring: 1, pinky: 1 };
+
+function builtIn(keypoints) {
+    return HandGestures.classifyBuiltIn(HandGestures.normalizeHand(keypoints));
+}
+
+test('built-in gestures are recognised wherever the hand is and however it is turned', () => {
+    [[{}, 'open_palm'], [FIST, 'fist'], [POINT, 'point'], [PEACE, 'peace'], [THUMBS_UP, 'thumbs_up']].forEach(([bends, label]) => {
+        [{}, { angle: 1.2, scale: 40, x: 100, y: 80 }, { angle: -2.5, scale: 150 }].forEach(pose => {
+            const result = builtIn(makeHand(bends, pose));
+            assert.strictEqual(result.label, label);
+            assert.ok(result.confidence > 0.9, `${label} confidence ${result.confidence}`);
+        });
+    });
+});
+
+test('finger extension is graded, and the finger states split it at 0.5', () => {
+    const normalized = HandGestures.normalizeHand(makeHand({ index: 0.3, middle: 0.6, ring: 1 }));
+    const extension = HandGestures.fingerExtension(normalized);
+    assert.ok(extension.thumb > 0.9 && extension.pinky > 0.9);
+    assert.ok(extension.index > 0.5 && extension.index < 0.9);
+    assert.ok(extension.middle < 0.5 && extension.middle > 0.1);
+    assert.ok(extension.ring < 0.1);
+    assert.deepStrictEqual(HandGestures.fingerStates(normalized),
+        { thumb: 'extended', index: 'extended', middle: 'curled', ring: 'curled', pinky: 'extended' });
+});
+
+test('a gesture on the edge between two shapes is less confident than a clear one', () => {
+    const clear = builtIn(makeHand(POINT));
+    const halfBentMiddle = builtIn(makeHand(Object.assign({}, POINT, { middle: 0.6 })));
+    assert.strictEqual(halfBentMiddle.label, 'point');
+    assert.ok(halfBentMiddle.confidence < clear.confidence - 0.2);
+    assert.ok(halfBentMiddle.confidence > 0.5);
+});
+
+test('a custom template wins over a built-in rule that only just fits', () => {
+    // "Call me": thumb and little finger out
+    const callMe = { index: 1, middle: 1, ring: 1 };
+    const templates = new HandGestures.GestureTemplates();
+    templates.add('call_me', makeHand(callMe));
+    const classifier = new HandGestures.GestureClassifier({ templates: templates, holdFrames: 1 });
+
+    // With the little finger half bent, the finger rules read thumbs_up
+    const sloppy = makeHand(Object.assign({}, callMe, { pinky: 0.6 }), { angle: 0.4 });
+    assert.strictEqual(builtIn(sloppy).label, 'thumbs_up');
+    assert.strictEqual(classifier.rawClassify(sloppy).label, 'call_me');
+
+    // A clear thumbs up is still a thumbs up
+    assert.strictEqual(classifier.rawClassify(makeHand(THUMBS_UP)).label, 'thumbs_up');
+});
+
+test('the classifier keeps each hand\'s label under its key', () => {
+    const classifier = new HandGestures.GestureClassifier({ holdFrames: 2 });
+    const fist = makeHand(FIST);
+    const palm = makeHand({}, { x: 500 });
+    classifier.classifyAll([fist, palm].map(keypoints => ({ keypoints })), [3, 8]);
+    const labels = classifier.classifyAll([palm, fist].map(keypoints => ({ keypoints })), [8, 3]);
+    assert.deepStrictEqual(labels.map(result => result.label), ['open_palm', 'fist']);
+
+    classifier.classifyAll([{ keypoints: fist }], [3]);
+    assert.deepStrictEqual([...classifier.states.keys()], [3]);
+});
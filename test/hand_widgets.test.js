@@ -0,0 +1,57 @@
+// Tests for js/lib/hand_widgets.js. Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { HandWidgets } = require('../js/lib/hand_widgets.js');
+
+// A hand with only its index finger tip (the default pointer)
+function makeHand(x, y) {
+    const keypoints = [];
+    keypoints[8] = { x: x, y: y, confidence: 0.9 };
+    return { keypoints: keypoints };
+}
+
+// A panel driven by a fake pinch detector and clock
+function makePanel(activation) {
+    const pinching = new Set();
+    const panel = new HandWidgets.WidgetPanel({
+        activation: activation,
+        dwellTime: 1000,
+        pinch: { isPinching: key => pinching.has(key) },
+        now: () => 0
+    });
+    return { panel, pinching };
+}
+
+test('dwell presses a button once', () => {
+    const { panel } = makePanel('dwell');
+    const button = panel.add(new HandWidgets.Button({ x: 0, y: 0, width: 100, height: 50, label: 'B' }));
+    const presses = [];
+    button.on('press', event => presses.push(event.key));
+    for (let t = 0; t <= 2500; t += 100) panel.update([makeHand(50, 25)], t, ['a']);
+    assert.deepStrictEqual(presses, ['a']);
+});
+
+test('a held slider follows its hand by key when the hand order changes', () => {
+    const { panel, pinching } = makePanel('pinch');
+    const slider = panel.add(new HandWidgets.Slider({ x: 0, y: 100, width: 200, height: 40, min: 0, max: 10, step: 1 }));
+    const changes = [];
+    slider.on('change', event => changes.push(`${event.value} by ${event.key}`));
+
+    panel.update([makeHand(500, 500), makeHand(20, 120)], 0, ['a', 'b']);
+    pinching.add('b');
+    panel.update([makeHand(500, 500), makeHand(20, 120)], 33, ['a', 'b']);
+    // The model swaps the hands round; hand b keeps the slider
+    panel.update([makeHand(100, 120), makeHand(500, 500)], 66, ['b', 'a']);
+    assert.deepStrictEqual(changes, ['1 by b', '5 by b']);
+    assert.strictEqual(panel.cursors.get('b').handIndex, 0);
+
+    // Hand a leaves: only its cursor goes, and b still holds the slider
+    panel.update([makeHand(100, 120)], 100, ['b']);
+    assert.deepStrictEqual([...panel.cursors.keys()], ['b']);
+    assert.strictEqual(panel.cursors.get('b').held, slider);
+
+    // Hand b leaves: it lets go
+    panel.update([], 133, []);
+    assert.strictEqual(panel.cursors.size, 0);
+    assert.strictEqual(slider.pressed, false);
+});
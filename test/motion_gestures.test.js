@@ -0,0 +1,147 @@
+// Tests for js/lib/motion_gestures.js. Run with: npm test
+// fixtures/hand_motion_session.json is a HandPose session (15 fps) of one hand doing a wave, a swipe
+// and a circle four times each, at different sizes, speeds and places, with a pause before each.
+const test = require('node:test');
+const assert = require('node:assert');
+const { MotionGestures } = require('../js/lib/motion_gestures.js');
+const session = require('./fixtures/hand_motion_session.json');
+
+// [movement, start, end] in milliseconds for each take in the session
+const TAKES = [
+    ['wave', 400, 1600], ['swipe', 2067, 2933], ['circle', 3400, 4733],
+    ['wave', 5200, 6200], ['swipe', 6667, 7800], ['circle', 8267, 9400],
+    ['wave', 9867, 11200], ['swipe', 11667, 12467], ['circle', 12933, 14467],
+    ['wave', 14933, 16067], ['swipe', 16533, 17533], ['circle', 18000, 19200]
+];
+
+// Play the session into a recognizer, recording the first two takes of each movement as examples
+// and the rest as test clips (as pressing M and C around them would)
+function train(options = {}) {
+    const recognizer = new MotionGestures.MotionRecognizer(Object.assign({ keypoints: [0, 8], now: () => 0 }, options));
+    const seen = {};
+    session.frames.forEach(frame => {
+        const take = TAKES.find(([, start]) => start === frame.t);
+        if (take) {
+            seen[take[0]] = (seen[take[0]] || 0) + 1;
+            recognizer.startRecording(take[0], seen[take[0]] > 2);
+        }
+        recognizer.push(frame.results[0], frame.t);
+        if (TAKES.some(([, , end]) => end === frame.t)) recognizer.stopRecording();
+    });
+    return recognizer;
+}
+
+// { t, points } frames of a straight line from (x, y), moving by (dx, dy) over duration milliseconds
+function line(x, y, dx, dy, duration, count = 20) {
+    const frames = [];
+    for (let i = 0; i < count; i++) {
+        const f = i / (count - 1);
+        frames.push({ t: duration * f, points: [{ x: x + dx * f, y: y + dy * f }] });
+    }
+    return frames;
+}
+
+test('normalizeSequence resamples, centres and scales a movement', () => {
+    const sequence = MotionGestures.normalizeSequence(line(100, 200, 300, 0, 1000), 11);
+    assert.strictEqual(sequence.length, 11);
+    assert.deepStrictEqual(sequence[0][0], { x: -0.5, y: 0 });
+    assert.deepStrictEqual(sequence[10][0], { x: 0.5, y: 0 });
+    assert.ok(Math.abs(sequence[5][0].x) < 1e-9);
+
+    // The same movement somewhere else and smaller normalizes the same
+    const other = MotionGestures.normalizeSequence(line(400, 50, 60, 0, 1000), 11);
+    other.forEach((points, i) => assert.ok(Math.abs(points[0].x - sequence[i][0].x) < 1e-9));
+    assert.strictEqual(MotionGestures.normalizeSequence(line(0, 0, 10, 0, 100).slice(0, 1)), null);
+});
+
+test('dtwDistance forgives a change of pace that a frame-by-frame match would not', () => {
+    const even = MotionGestures.normalizeSequence(line(0, 0, 100, 0, 1000));
+    // Slow for the first half of the time, then fast
+    const uneven = MotionGestures.normalizeSequence(line(0, 0, 100, 0, 1000).map((frame, i, all) => {
+        const f = i / (all.length - 1);
+        return { t: frame.t, points: [{ x: 100 * f * f, y: 0 }] };
+    }));
+    const across = MotionGestures.normalizeSequence(line(0, 0, 0, 100, 1000));
+    const paced = MotionGestures.dtwDistance(even, uneven);
+    assert.strictEqual(MotionGestures.dtwDistance(even, even), 0);
+    assert.ok(paced < 0.05, `change of pace ${paced}`);
+    assert.ok(MotionGestures.dtwDistance(even, across) > paced * 5);
+});
+
+test('unistrokeDistance only looks at the shape of the path', () => {
+    const even = MotionGestures.normalizeSequence(line(0, 0, 100, 0, 1000));
+    const uneven = MotionGestures.normalizeSequence(line(0, 0, 100, 0, 1000).map((frame, i, all) => {
+        const f = i / (all.length - 1);
+        return { t: frame.t, points: [{ x: 100 * f * f * f, y: 0 }] };
+    }));
+    const back = MotionGestures.normalizeSequence(line(100, 0, -100, 0, 1000));
+    assert.ok(MotionGestures.unistrokeDistance(even, uneven) < 0.01);
+    assert.ok(MotionGestures.unistrokeDistance(even, back) > 0.4);
+});
+
+['dtw', 'unistroke'].forEach(method => {
+    test(`the recorded test clips are all recognised (${method})`, () => {
+        const recognizer = train({ method: method });
+        assert.strictEqual(recognizer.templates.length, 6);
+        assert.strictEqual(recognizer.testClips.length, 6);
+
+        const report = recognizer.confusionReport();
+        assert.deepStrictEqual(report.labels, ['circle', 'swipe', 'wave', 'none']);
+        assert.strictEqual(report.accuracy, 1);
+        report.labels.forEach(actual => report.labels.forEach(predicted => {
+            const expected = actual === predicted && actual !== 'none' ? 2 : 0;
+            assert.strictEqual(report.matrix[actual][predicted], expected, `${actual} as ${predicted}`);
+        }));
+        assert.match(MotionGestures.formatConfusion(report), /accuracy: 100% of 6 clips/);
+    });
+});
+
+test('a confusion report counts the clips that were recognised as something else', () => {
+    const recognizer = train();
+    // Without the circle templates, circles match nothing
+    recognizer.remove('circle');
+    const report = recognizer.confusionReport();
+    assert.strictEqual(report.matrix.circle.none, 2);
+    assert.strictEqual(report.accuracy, 4 / 6);
+});
+
+test('live movement in the session is recognised from a saved library', () => {
+    const library = train().toJSON();
+    const recognizer = new MotionGestures.MotionRecognizer({ keypoints: [0, 8], now: () => 0 }).fromJSON(JSON.parse(JSON.stringify(library)));
+    const gestures = [];
+    recognizer.on('gesture', event => gestures.push(event));
+    session.frames.forEach(frame => recognizer.push(frame.results[0], frame.t));
+
+    // Every take is recognised once, near its end, as the right movement
+    assert.deepStrictEqual(gestures.map(event => event.label), TAKES.map(([name]) => name));
+    gestures.forEach((event, i) => {
+        const [, start, end] = TAKES[i];
+        assert.ok(event.time > start && event.time <= end + 200, `${event.label} at ${event.time}`);
+    });
+});
+
+test('recording an example only recalibrates that movement', () => {
+    const recognizer = train();
+    const library = recognizer.toJSON();
+    library.templates.forEach(template => {
+        if (template.name === 'wave') template.threshold = 0.9;
+    });
+    recognizer.fromJSON(library);
+    recognizer.setThreshold('circle', 0.05);
+
+    // Record one more swipe (the second take again)
+    recognizer.startRecording('swipe');
+    session.frames.filter(frame => frame.t >= 6667 && frame.t <= 7800).forEach(frame => recognizer.push(frame.results[0], frame.t));
+    recognizer.stopRecording();
+
+    const thresholds = name => recognizer.templates.filter(t => t.name === name).map(t => t.threshold);
+    assert.deepStrictEqual(thresholds('wave'), [0.9, 0.9]);
+    assert.deepStrictEqual(thresholds('circle'), [0.05, 0.05]);
+    assert.strictEqual(thresholds('swipe').length, 3);
+    assert.ok(thresholds('swipe').every(threshold => threshold >= 0.1 && threshold !== 0.05));
+
+    // calibrateThresholds() still does every movement when asked
+    recognizer.calibrateThresholds();
+    assert.ok(thresholds('wave').every(threshold => threshold < 0.9));
+    assert.ok(thresholds('circle').every(threshold => threshold >= 0.1));
+});
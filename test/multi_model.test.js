@@ -0,0 +1,48 @@
+// Tests for js/lib/multi_model.js. Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { ModelScheduler } = require('../js/lib/multi_model.js');
+
+// Let the scheduler's timers and promises run
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('a model whose detect() rejects does not stop the others', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    let bodyRuns = 0;
+    const scheduler = new ModelScheduler();
+    scheduler.add('body', { detect: (media, callback) => Promise.resolve().then(() => callback([])) }, () => bodyRuns++);
+    scheduler.add('face', { detect: () => Promise.reject(new Error('no backend')) }, () => {});
+    scheduler.start({});
+    await wait(50);
+    scheduler.stop();
+
+    assert.ok(bodyRuns > 2, `body ran ${bodyRuns} times`);
+    assert.ok(scheduler.get('face').errors > 2);
+    assert.strictEqual(scheduler.busy, false);
+});
+
+test('a callback that throws still schedules the next detection', async (t) => {
+    let handRuns = 0;
+    let faceRuns = 0;
+    const detect = (media, callback) => setTimeout(() => {
+        try {
+            callback([]);
+        } catch (err) {
+            // ml5 would report this; the scheduler must carry on regardless
+        }
+    }, 1);
+    const scheduler = new ModelScheduler();
+    scheduler.add('hands', { detect: detect }, () => {
+        handRuns++;
+        throw new Error('bug in gotHands');
+    });
+    scheduler.add('face', { detect: detect }, () => faceRuns++);
+    scheduler.start({});
+    await wait(80);
+    scheduler.stop();
+
+    assert.ok(handRuns > 2, `hands ran ${handRuns} times`);
+    assert.ok(faceRuns > 2, `face ran ${faceRuns} times`);
+});
@@ -0,0 +1,56 @@
+// Tests for js/lib/person_tracker.js. Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { PersonTracker } = require('../js/lib/person_tracker.js');
+const { Kinematics } = require('../js/lib/kinematics.js');
+
+// A subject with two keypoints, so its box runs from (x, y) to (x + 50, y + 100)
+function makeSubject(x, y, confidence = 0.9) {
+    return { keypoints: [{ x: x, y: y, confidence: confidence }, { x: x + 50, y: y + 100, confidence: confidence }] };
+}
+
+test('subjects keep their IDs as they move', () => {
+    const tracker = new PersonTracker({ threshold: 0.3 });
+    const first = tracker.update([makeSubject(0, 0), makeSubject(300, 0)], 0);
+    const second = tracker.update([makeSubject(310, 5), makeSubject(10, 5)], 33);
+    assert.deepStrictEqual(first.map(track => track.id), [0, 1]);
+    assert.deepStrictEqual(second.map(track => track.id), [1, 0]);
+});
+
+test('a subject with no box gets a placeholder instead of a new track every frame', () => {
+    const tracker = new PersonTracker({ threshold: 0.3 });
+    const entered = [];
+    tracker.on('enter', track => entered.push(track.id));
+
+    for (let t = 0; t < 5; t++) {
+        const tracks = tracker.update([makeSubject(0, 0), makeSubject(300, 0, 0.1)], t * 33);
+        assert.strictEqual(tracks.length, 2);
+        assert.strictEqual(tracks[0].id, 0);
+        assert.strictEqual(tracks[1].id, 'placeholder:1');
+        assert.strictEqual(tracks[1].placeholder, true);
+        assert.strictEqual(tracks[1].box, null);
+    }
+    assert.deepStrictEqual(entered, [0]);
+    assert.strictEqual(tracker.activeTracks().length, 1);
+});
+
+test('a placeholder never shares a key with a real track', () => {
+    const tracker = new PersonTracker({ threshold: 0.3 });
+    const kinematics = new Kinematics({ threshold: 0.3 });
+    kinematics.update(tracker.update([makeSubject(0, 0), makeSubject(300, 0)], 0), 0);
+    // Track 1 is now third in the list, behind a subject with no box at index 1
+    const tracks = tracker.update([makeSubject(0, 0), makeSubject(150, 0, 0.1), makeSubject(300, 0)], 33);
+    assert.deepStrictEqual(tracks.map(track => track.id), [0, 'placeholder:1', 1]);
+    kinematics.update(tracks, 33);
+    assert.deepStrictEqual([...kinematics.subjects.keys()].sort(), [0, 1, 'placeholder:1']);
+    assert.strictEqual(kinematics.getMotion(1).vx, 0);
+});
+
+test('a subject with no box keeps its track through the model id', () => {
+    const tracker = new PersonTracker({ threshold: 0.3 });
+    const visible = Object.assign(makeSubject(0, 0), { id: 5 });
+    const hidden = Object.assign(makeSubject(0, 0, 0.1), { id: 5 });
+    const id = tracker.update([visible], 0)[0].id;
+    assert.strictEqual(tracker.update([hidden], 33)[0].id, id);
+    assert.strictEqual(tracker.activeTracks().length, 1);
+});
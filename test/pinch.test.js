@@ -0,0 +1,47 @@
+// Tests for js/lib/pinch.js. Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { PinchDetector, PinchInteraction } = require('../js/lib/pinch.js');
+
+// A 21-point hand at x with the thumb and index tips together (pinched) or apart
+function makeHand(x, pinched) {
+    const keypoints = [];
+    for (let i = 0; i < 21; i++) keypoints.push({ x: x + i, y: 100 + i * 5 });
+    keypoints[4] = { x: x, y: 100 };
+    keypoints[8] = { x: x + (pinched ? 2 : 80), y: 100 };
+    return { keypoints: keypoints };
+}
+
+test('pinch state follows the hand key when the model swaps hand order', () => {
+    const detector = new PinchDetector();
+    const events = [];
+    ['pinchstart', 'pinchmove', 'pinchend'].forEach(name => {
+        detector.on(name, event => events.push(`${name} ${event.key}@${event.handIndex}`));
+    });
+
+    detector.update([makeHand(50, true), makeHand(300, false)], 0, [7, 9]);
+    detector.update([makeHand(300, false), makeHand(60, true)], 33, [9, 7]);
+    assert.strictEqual(detector.isPinching(7), true);
+    assert.strictEqual(detector.isPinching(9), false);
+
+    // Hand 7 is lost, so its pinch ends and its state is forgotten
+    detector.update([makeHand(300, false)], 66, [9]);
+    assert.deepStrictEqual(events, ['pinchstart 7@0', 'pinchmove 7@1', 'pinchend 7@1']);
+    assert.deepStrictEqual([...detector.states.keys()], [9]);
+});
+
+test('a grabbed object stays with the hand that grabbed it', () => {
+    const detector = new PinchDetector();
+    const object = { x: 50, y: 100, width: 40, height: 40 };
+    const interaction = new PinchInteraction(detector, [object]);
+
+    detector.update([makeHand(50, true)], 0, [4]);
+    assert.deepStrictEqual(interaction.handsOn(object), [4]);
+
+    // A second hand appears in front of it in the array; the object still follows hand 4
+    detector.update([makeHand(400, false), makeHand(70, true)], 33, [5, 4]);
+    assert.strictEqual(object.x, 70);
+
+    detector.update([makeHand(400, false), makeHand(70, false)], 66, [5, 4]);
+    assert.strictEqual(interaction.grabs.size, 0);
+});
@@ -0,0 +1,62 @@
+// Tests for js/lib/pose_trainer.js. Run with: npm test
+// ml5 only runs in the browser, so a stand-in network answers classify() the way each test needs.
+const test = require('node:test');
+const assert = require('node:assert');
+const { PoseTrainer, normalizeKeypoints } = require('../js/lib/pose_trainer.js');
+
+const subject = { keypoints: [{ x: 100, y: 100, confidence: 0.9 }, { x: 200, y: 300, confidence: 0.9 }] };
+
+// A trainer whose network calls answer(inputs, callback) on every classify()
+function makeTrainer(answer) {
+    const network = { addData() {}, classify: answer };
+    globalThis.ml5 = { neuralNetwork: () => network, setBackend() {} };
+    const trainer = new PoseTrainer();
+    trainer.state = 'ready';
+    return trainer;
+}
+
+test.after(() => {
+    delete globalThis.ml5;
+});
+
+test('normalizeKeypoints centres on the box and scales by its larger side', () => {
+    assert.deepStrictEqual(normalizeKeypoints(subject), [-0.25, -0.5, 0.25, 0.5]);
+    assert.strictEqual(normalizeKeypoints({ keypoints: [] }), null);
+});
+
+test('a prediction arrives through the callback', () => {
+    const trainer = makeTrainer((inputs, callback) => callback([{ label: 'arms up', confidence: 0.8 }]));
+    const predictions = [];
+    trainer.on('prediction', prediction => predictions.push(prediction));
+    trainer.predict(subject);
+    assert.deepStrictEqual(trainer.prediction, { label: 'arms up', confidence: 0.8 });
+    assert.strictEqual(trainer.predicting, false);
+    assert.strictEqual(predictions.length, 1);
+});
+
+test('predictions carry on after classify throws, rejects or reports an error', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const failures = [
+        () => { throw new Error('no backend'); },
+        () => Promise.reject(new Error('disposed tensor')),
+        (inputs, callback) => callback(undefined, new Error('bad input'))
+    ];
+    let calls = 0;
+    const trainer = makeTrainer((inputs, callback) => {
+        const failure = failures[calls++];
+        if (failure) return failure(inputs, callback);
+        callback([{ label: 'wave', confidence: 0.9 }]);
+        return Promise.resolve([{ label: 'wave', confidence: 0.9 }]);
+    });
+
+    for (let i = 0; i < failures.length; i++) {
+        trainer.predict(subject);
+        await Promise.resolve();
+        assert.strictEqual(trainer.predicting, false, `after failure ${i}`);
+    }
+    assert.strictEqual(console.error.mock.callCount(), 3);
+
+    trainer.predict(subject);
+    assert.strictEqual(calls, 4);
+    assert.strictEqual(trainer.prediction.label, 'wave');
+});
@@ -0,0 +1,45 @@
+// Tests for js/lib/rep_counter.js. Run with: npm test
+//
+// The fixtures are MoveNet sessions in the js/lib/session.js format. The poses were made from
+// scripted knee, elbow and lean angles (with a little jitter) and saved through SessionRecorder:
+// - squat_session.json: 3 squats (the second leaning too far forward), 1 two-thirds squat,
+//   and two frames with the knees hidden
+// - bicep_curl_session.json: 4 curls (the third swinging the elbows forward), 1 half curl
+const test = require('node:test');
+const assert = require('node:assert');
+const { RepCounter, countSession } = require('../js/lib/rep_counter.js');
+const squats = require('./fixtures/squat_session.json');
+const curls = require('./fixtures/bicep_curl_session.json');
+
+test('counts squats, partial squats and form issues in a recorded session', () => {
+    const summary = countSession(squats, 'squat', { threshold: 0.3 });
+    assert.strictEqual(summary.exercise, 'squat');
+    assert.strictEqual(summary.reps, 3);
+    assert.strictEqual(summary.partialReps, 1);
+    assert.deepStrictEqual(summary.formIssues, { 'Keep your chest up': 1 });
+    assert.deepStrictEqual(summary.repDetails.map(rep => rep.form), [[], ['Keep your chest up'], []]);
+    summary.repDetails.forEach(rep => {
+        assert.ok(rep.down > 0 && rep.up > 0, `rep ${rep.number} has a way down and a way up`);
+    });
+});
+
+test('counts bicep curls, partial curls and form issues in a recorded session', () => {
+    const summary = countSession(curls, 'bicepCurl', { threshold: 0.3 });
+    assert.strictEqual(summary.reps, 4);
+    assert.strictEqual(summary.partialReps, 1);
+    assert.deepStrictEqual(summary.formIssues, { 'Keep your elbows by your sides': 1 });
+    assert.deepStrictEqual(summary.repDetails[2].form, ['Keep your elbows by your sides']);
+});
+
+test('squats are not counted as curls', () => {
+    assert.strictEqual(countSession(squats, 'bicepCurl', { threshold: 0.3 }).reps, 0);
+});
+
+test('rep and partial events match the summary', () => {
+    const counter = new RepCounter('squat', { threshold: 0.3 });
+    const events = [];
+    counter.on('rep', rep => events.push(`rep ${rep.number}`));
+    counter.on('partial', () => events.push('partial'));
+    squats.frames.forEach(frame => counter.update(frame.results[0], frame.t));
+    assert.deepStrictEqual(events, ['rep 1', 'rep 2', 'partial', 'rep 3']);
+});
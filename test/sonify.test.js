@@ -0,0 +1,52 @@
+// Tests for js/lib/sonify.js. Run with: npm test
+// The sound map in fixtures/squat_sound.json plays the squat session: lower hips play lower notes,
+// and a note fires at the bottom of each full squat.
+const test = require('node:test');
+const assert = require('node:assert');
+const { Sonify } = require('../js/lib/sonify.js');
+const session = require('./fixtures/squat_session.json');
+const soundMap = require('./fixtures/squat_sound.json');
+
+// Left hip height as a share of the canvas, from the top (0.5 standing, about 0.65 at the bottom)
+function hipDepth(results, session) {
+    const hip = results[0] ? results[0].keypoints.find(k => k.name === 'left_hip') : null;
+    return { hipDepth: hip ? hip.y / session.canvas.height : null };
+}
+
+test('quantize snaps notes to the scale', () => {
+    assert.strictEqual(Sonify.quantize(61, 'pentatonic', 60), 60);
+    assert.strictEqual(Sonify.quantize(65.9, 'pentatonic', 60), 67);
+    assert.strictEqual(Sonify.quantize(58.2, 'pentatonic', 60), 57);
+    assert.strictEqual(Sonify.quantize(70.6, 'minor', 62), 70);
+});
+
+test('sessionTimeline turns a recorded session into timeline frames', () => {
+    const timeline = Sonify.sessionTimeline(session, hipDepth);
+    assert.strictEqual(timeline.length, session.frames.length);
+    assert.deepStrictEqual(timeline.map(frame => frame.t), session.frames.map(frame => frame.t));
+    assert.ok(timeline.every(frame => typeof frame.values.hipDepth === 'number' && frame.events.length === 0));
+    assert.throws(() => Sonify.sessionTimeline({}, hipDepth), /Not a tracking session/);
+});
+
+test('a squat session plays pentatonic notes and fires a note at the bottom of each full squat', () => {
+    const log = Sonify.mapTimeline(soundMap, Sonify.sessionTimeline(session, hipDepth));
+    const pentatonic = Sonify.SCALES.pentatonic;
+    const notes = log.map(frame => frame.params.body.pitch);
+    notes.forEach(note => {
+        assert.ok(Number.isInteger(note), `${note} is not a whole note`);
+        assert.ok(pentatonic.includes(((note - 60) % 12 + 12) % 12), `${note} is not on the pentatonic scale`);
+        assert.ok(note >= 48 && note <= 72);
+    });
+    // Standing plays the top of the range and the deep squats reach the bottom
+    assert.strictEqual(notes[0], 72);
+    assert.ok(Math.min(...notes) <= 52);
+    assert.ok(new Set(notes).size >= 5);
+
+    // Three full squats fire the trigger once each; the partial squat stays above the level
+    const fired = log.filter(frame => frame.fired.length > 0);
+    assert.strictEqual(fired.length, 3);
+    fired.forEach(frame => assert.strictEqual(frame.fired[0].note, 84));
+    assert.ok(fired[0].t > 1333 && fired[0].t < 2667);
+    assert.ok(fired[1].t > 4000 && fired[1].t < 5000);
+    assert.ok(fired[2].t > 8333 && fired[2].t < 9667);
+});
@@ -0,0 +1,46 @@
+// Tests for js/lib/tracking.js. Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { Tracking } = require('../js/lib/tracking.js');
+
+test('getBox uses the model box and fills in missing edges', () => {
+    const box = Tracking.getBox({ box: { xMin: 10, yMin: 20, width: 30, height: 40 }, keypoints: [] });
+    assert.deepStrictEqual(box, { xMin: 10, yMin: 20, xMax: 40, yMax: 60, width: 30, height: 40 });
+});
+
+test('getBox falls back to the visible keypoints', () => {
+    const subject = {
+        keypoints: [
+            { x: 5, y: 50, confidence: 0.9 },
+            { x: 25, y: 10, confidence: 0.8 },
+            { x: 500, y: 500, confidence: 0.1 }
+        ]
+    };
+    assert.deepStrictEqual(Tracking.getBox(subject, 0.3),
+                           { xMin: 5, yMin: 10, xMax: 25, yMax: 50, width: 20, height: 40 });
+    assert.strictEqual(Tracking.getBox({ keypoints: [{ x: 1, y: 1, confidence: 0 }] }, 0.3), null);
+    assert.strictEqual(Tracking.getBox(null), null);
+});
+
+test('isVisible checks coordinates and confidence', () => {
+    assert.strictEqual(Tracking.isVisible({ x: 1, y: 2, confidence: 0.5 }, 0.3), true);
+    assert.strictEqual(Tracking.isVisible({ x: 1, y: 2, confidence: 0.2 }, 0.3), false);
+    // Hand and face points have no confidence, so they always count as visible
+    assert.strictEqual(Tracking.isVisible({ x: 1, y: 2 }, 0.9), true);
+    assert.strictEqual(Tracking.isVisible({ x: NaN, y: 2 }), false);
+    assert.strictEqual(Tracking.isVisible(null), false);
+});
+
+test('distance is in pixels and null for invalid points', () => {
+    assert.strictEqual(Tracking.distance({ x: 0, y: 0 }, { x: 3, y: 4 }), 5);
+    assert.strictEqual(Tracking.distance({ x: 0, y: 0 }, null), null);
+});
+
+test('angleFromHorizontal goes clockwise on screen from 0 to 360', () => {
+    const base = { x: 0, y: 0 };
+    assert.strictEqual(Tracking.angleFromHorizontal(base, { x: 10, y: 0 }), 0);
+    assert.strictEqual(Tracking.angleFromHorizontal(base, { x: 0, y: 10 }), 90);
+    assert.strictEqual(Tracking.angleFromHorizontal(base, { x: -10, y: 0 }), 180);
+    assert.strictEqual(Tracking.angleFromHorizontal(base, { x: 0, y: -10 }), 270);
+    assert.strictEqual(Tracking.angleFromHorizontal(base, { y: 3 }), null);
+});
@@ -0,0 +1,25 @@
+// Tests for js/lib/visuals.js. Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { Visuals } = require('../js/lib/visuals.js');
+
+const SCENES = path.join(__dirname, '..', 'scenes');
+
+test('every scene in scenes/ loads and its sprites are committed', () => {
+    const files = fs.readdirSync(SCENES).filter(file => file.endsWith('.json'));
+    assert.ok(files.includes('robot.json'));
+    let sprites = 0;
+    files.forEach(file => {
+        const data = JSON.parse(fs.readFileSync(path.join(SCENES, file), 'utf8'));
+        const scene = new Visuals.VisualScene().fromJSON(data, 'scenes/');
+        assert.strictEqual(scene.layers.length, data.layers.length, file);
+        data.layers.forEach(layer => (layer.parts || []).forEach(part => {
+            if (!part.image) return;
+            sprites++;
+            assert.ok(fs.existsSync(path.join(SCENES, part.image)), `${file}: missing ${part.image}`);
+        }));
+    });
+    assert.ok(sprites > 0, 'no scene uses sprite images');
+});
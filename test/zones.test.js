@@ -0,0 +1,29 @@
+// Tests for js/lib/zones.js. Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { ZoneMap, segmentsIntersect } = require('../js/lib/zones.js');
+
+test('segmentsIntersect finds crossings, including ones that end on the line', () => {
+    const a = { x: 0, y: 0 };
+    const b = { x: 100, y: 0 };
+    assert.strictEqual(segmentsIntersect({ x: 50, y: -10 }, { x: 50, y: 10 }, a, b), true);
+    assert.strictEqual(segmentsIntersect({ x: 50, y: -10 }, { x: 50, y: -1 }, a, b), false);
+    assert.strictEqual(segmentsIntersect({ x: 150, y: -10 }, { x: 150, y: 10 }, a, b), false);
+    // Landing exactly on the line counts once; carrying on from it to the same side does not
+    assert.strictEqual(segmentsIntersect({ x: 50, y: -10 }, { x: 50, y: 0 }, a, b), true);
+    assert.strictEqual(segmentsIntersect({ x: 50, y: 0 }, { x: 50, y: 10 }, a, b), false);
+});
+
+test('a person stepping onto and then over a tripwire crosses it once', () => {
+    const zones = new ZoneMap({ now: () => 0 });
+    const line = zones.addTripwire({ x: 0, y: 100 }, { x: 200, y: 100 }, 'Door');
+    const crossings = [];
+    zones.on('cross', event => crossings.push(`${event.tripwire.name} ${event.direction}`));
+
+    [90, 100, 110].forEach((y, t) => zones.update([{ id: 1, centroid: { x: 50, y: y } }], t));
+    assert.deepStrictEqual(crossings, ['Door forward']);
+    assert.strictEqual(line.forward, 1);
+
+    [100, 90].forEach((y, t) => zones.update([{ id: 1, centroid: { x: 50, y: y } }], 3 + t));
+    assert.deepStrictEqual(crossings, ['Door forward', 'Door backward']);
+});